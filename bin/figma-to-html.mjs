@@ -0,0 +1,22 @@
+#!/usr/bin/env node
+// figma-to-html: converts Figma files from the command line (see src/Components/Convert/Cli.jsx).
+// The token is read from FIGMA_TOKEN here, so it never ends up in the web app's bundle.
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import { dirname, resolve } from "node:path";
+import { pathToFileURL } from "node:url";
+import "./register.mjs";
+
+const { runCli } = await import("../src/Components/Convert/Cli.jsx");
+
+const io = {
+  readFile: (path) => readFile(path),
+  writeFile: async (path, data) => {
+    await mkdir(dirname(path), { recursive: true });
+    await writeFile(path, data);
+  },
+  importModule: (path) => import(pathToFileURL(resolve(path)).href),
+  log: (message) => console.log(message),
+  error: (message) => console.error(message),
+};
+
+process.exitCode = await runCli(process.argv.slice(2), { io, env: process.env });
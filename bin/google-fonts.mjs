@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+// google-fonts: regenerates src/Components/Output/GoogleFonts.jsx, the families Fonts.jsx loads from
+// Google Fonts. The input is a Google Fonts Developer API response (webfonts/v1/webfonts), or the
+// data/api-response.json that the google-font-metadata npm package ships:
+//   npm pack google-font-metadata && tar xzf google-font-metadata-*.tgz
+//   node bin/google-fonts.mjs package/data/api-response.json
+import { readFile, writeFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+
+const [source] = process.argv.slice(2);
+if (!source) {
+  console.error("Usage: google-fonts <webfonts.json>");
+  process.exit(1);
+}
+
+const json = JSON.parse(await readFile(source, "utf8"));
+const families = [...new Set((Array.isArray(json) ? json : json.items).map((f) => f.family))].sort();
+
+// Ten quoted names per line, so a regenerated file diffs by family
+const lines = [];
+for (let i = 0; i < families.length; i += 10) {
+  lines.push(`  ${families.slice(i, i + 10).map((f) => JSON.stringify(f)).join(", ")},`);
+}
+const out = `// Generated by bin/google-fonts.mjs from the Google Fonts family list; do not edit by hand.
+export const GOOGLE_FONTS = new Set([
+${lines.join("\n")}
+]);
+`;
+await writeFile(fileURLToPath(new URL("../src/Components/Output/GoogleFonts.jsx", import.meta.url)), out);
+console.log(`Wrote ${families.length} families.`);
@@ -0,0 +1,16 @@
+// Node module hooks that load the app's modules as they are written for the bundler: imports without
+// an extension find the .jsx file, and .jsx files (the pipeline has no JSX in them) load as ES modules.
+
+export async function resolve(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (err) {
+    if (err.code !== "ERR_MODULE_NOT_FOUND" || !/^\.\.?\//.test(specifier)) throw err;
+    return nextResolve(`${specifier}.jsx`, context);
+  }
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.endsWith(".jsx")) return nextLoad(url, { ...context, format: "module" });
+  return nextLoad(url, context);
+}
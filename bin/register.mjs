@@ -0,0 +1,4 @@
+// node --import ./bin/register.mjs: lets scripts import the app's .jsx modules (see jsx-loader.mjs)
+import { register } from "node:module";
+
+register("./jsx-loader.mjs", import.meta.url);
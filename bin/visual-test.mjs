@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+// visual-test: screenshots the pages generated for visual/fixtures and diffs them against the
+// references (see src/visual/Visual.jsx). Pages are rendered by a local Chrome or
+// Chromium in headless mode; CHROME_PATH points at the browser when it is not on the PATH.
+import { execFile } from "node:child_process";
+import { mkdir, mkdtemp, readdir, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { dirname, join, resolve } from "node:path";
+import { pathToFileURL } from "node:url";
+import { promisify } from "node:util";
+import "./register.mjs";
+
+const { runVisualTests } = await import("../src/visual/Visual.jsx");
+
+const run = promisify(execFile);
+const BROWSERS = process.env.CHROME_PATH
+  ? [process.env.CHROME_PATH]
+  : ["google-chrome", "google-chrome-stable", "chromium", "chromium-browser", "chrome"];
+
+const io = {
+  readDir: (path) => readdir(path),
+  readFile: (path) => readFile(path),
+  writeFile: async (path, data) => {
+    await mkdir(dirname(path), { recursive: true });
+    await writeFile(path, data);
+  },
+  log: (message) => console.log(message),
+  error: (message) => console.error(message),
+};
+
+// One headless Chrome per page, at 1x and without scrollbars or font hinting, so the screenshot
+// is the frame's pixels; the page is opened from disk, so nothing is fetched
+const screenshot = async ({ htmlPath, width, height }) => {
+  const dir = await mkdtemp(join(tmpdir(), "visual-test-"));
+  const out = join(dir, "screenshot.png");
+  const flags = [
+    "--headless=new",
+    "--disable-gpu",
+    "--no-sandbox",
+    "--hide-scrollbars",
+    "--font-render-hinting=none",
+    "--force-device-scale-factor=1",
+    `--user-data-dir=${join(dir, "profile")}`,
+    `--window-size=${width},${height}`,
+    `--screenshot=${out}`,
+    pathToFileURL(resolve(htmlPath)).href,
+  ];
+  try {
+    for (const browser of BROWSERS) {
+      try {
+        await run(browser, flags, { timeout: 60000 });
+        return await readFile(out);
+      } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+      }
+    }
+    throw Object.assign(new Error(`No Chrome found (tried ${BROWSERS.join(", ")}); set CHROME_PATH.`), {
+      code: "no_browser",
+    });
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+};
+
+process.exitCode = await runVisualTests(process.argv.slice(2), { io, screenshot });
@@ -0,0 +1,234 @@
+import { convert } from "./Convert";
+import { readFile, readFonts, readUploads, variablesOf } from "../Input/OfflineDocument";
+import { checkPlugins } from "../Output/Plugins";
+import { parseSemanticsConfig } from "../Output/Semantics";
+
+// The figma-to-html command line. The file system and console come in as `io`, so the same code
+// runs under Node (bin/figma-to-html.mjs) and in the tests.
+
+export const USAGE = `Usage: figma-to-html convert <figma-link | file.json [images…]> --out <dir> [options]
+
+Converts a Figma file into the files the web app downloads as a ZIP.
+A link is fetched with the token in FIGMA_TOKEN (FIGMA_API_URL points at a proxy);
+a saved /v1/files or /nodes JSON, plus its image files, converts offline.
+
+Options:
+  --out <dir>             Folder to write the export to (required)
+  --frames <ids>          Comma-separated node ids to export (12:34 or 12-34); default: the
+                          link's node-id, else every top-level frame
+  --format <format>       html (default), tailwind or react
+  --vectors <format>      png (default), svg-inline or svg-file
+  --preview               Keep the fixed-size frame, scaled to fit the window
+  --tokens                Design tokens as CSS variables and tokens.json
+  --variables <file>      Saved /variables/local JSON for the tokens
+  --rules <file>          Layer name rules JSON for semantic HTML
+  --fonts <files>         Comma-separated font files (.woff2, .woff, .ttf, .otf) to bundle
+  --lang <code>           Language of the pages (default: en)
+  --plugins <files>       Comma-separated generator plugin modules (.mjs, default export)
+  --no-semantics          Plain divs instead of semantic elements
+  --readable-classes      Class names from layer names, with shared rules (html)
+  --minify                Minify styles.css (html)
+  --no-tailwind-config    Leave out tailwind.config.js (tailwind)
+  --help                  Show this help
+`;
+
+const CHOICES = {
+  format: ["html", "tailwind", "react"],
+  vectors: ["png", "svg-inline", "svg-file"],
+};
+
+// Flags that take no value, and the option each one sets
+const SWITCHES = {
+  "--preview": ["preview", true],
+  "--tokens": ["tokens", true],
+  "--no-semantics": ["semantics", false],
+  "--readable-classes": ["readableClasses", true],
+  "--minify": ["minify", true],
+  "--no-tailwind-config": ["tailwindConfig", false],
+  "--help": ["help", true],
+  "-h": ["help", true],
+};
+
+const VALUES = ["out", "frames", "format", "vectors", "variables", "rules", "fonts", "lang", "plugins"];
+
+// Options that take a comma-separated list
+const LISTS = new Set(["frames", "fonts", "plugins"]);
+
+// File types by extension, so uploaded renders and fonts keep their type in the data URLs
+const TYPES = {
+  json: "application/json",
+  woff2: "font/woff2",
+  woff: "font/woff",
+  ttf: "font/ttf",
+  otf: "font/otf",
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  gif: "image/gif",
+  webp: "image/webp",
+  svg: "image/svg+xml",
+};
+
+const baseName = (path) => String(path).split(/[\\/]/).pop();
+
+/**
+ * Reads the command line (without the node and script paths).
+ * Returns { command, inputs, out, frames, format, vectors, preview, tokens, variables, rules, fonts,
+ * lang, plugins, semantics, readableClasses, minify, tailwindConfig, help }; throws an Error for a bad
+ * argument.
+ */
+export function parseArgs(argv) {
+  const args = {
+    command: null,
+    inputs: [],
+    out: null,
+    frames: [],
+    format: "html",
+    vectors: "png",
+    preview: false,
+    tokens: false,
+    variables: null,
+    rules: null,
+    fonts: [],
+    lang: null,
+    plugins: [],
+    semantics: true,
+    readableClasses: false,
+    minify: false,
+    tailwindConfig: true,
+    help: false,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    // --name=value is the same as --name value
+    const [flag, inline] = arg.startsWith("--") && arg.includes("=") ? arg.split(/=(.*)/s) : [arg, null];
+    if (SWITCHES[flag] && inline == null) {
+      const [key, value] = SWITCHES[flag];
+      args[key] = value;
+    } else if (flag.startsWith("--") && VALUES.includes(flag.slice(2))) {
+      const key = flag.slice(2);
+      const value = inline ?? argv[++i];
+      if (value == null || value === "") throw new Error(`${flag} needs a value.`);
+      if (CHOICES[key] && !CHOICES[key].includes(value)) {
+        throw new Error(`${flag} must be one of ${CHOICES[key].join(", ")}.`);
+      }
+      if (key === "lang" && !/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(value)) {
+        throw new Error(`${flag} must be a language tag such as en or pt-BR.`);
+      }
+      args[key] = LISTS.has(key) ? value.split(",").map((v) => v.trim()).filter(Boolean) : value;
+    } else if (arg.startsWith("-")) {
+      throw new Error(`Unknown option ${arg}.`);
+    } else if (!args.command) {
+      args.command = arg;
+    } else {
+      args.inputs.push(arg);
+    }
+  }
+  return args;
+}
+
+/**
+ * Runs the command line and resolves to its exit code: 0 when every screen was exported,
+ * 1 when the conversion failed or some screens were skipped, 2 for a bad command line.
+ * io: { readFile(path) → bytes, writeFile(path, bytes | text) (creating folders),
+ * importModule(path) → the module's exports (for --plugins), log, error },
+ * env: the environment (FIGMA_TOKEN, FIGMA_API_URL) and fetchFn the fetch to call Figma with.
+ */
+export async function runCli(argv, { io, env = {}, fetchFn } = {}) {
+  let args;
+  try {
+    args = parseArgs(argv);
+    if (args.help) {
+      io.log(USAGE);
+      return 0;
+    }
+    if (args.command !== "convert") throw new Error(args.command ? `Unknown command ${args.command}.` : "");
+    if (!args.inputs.length) throw new Error("Give a Figma link or a saved Figma JSON to convert.");
+    if (!args.out) throw new Error("--out is required.");
+  } catch (err) {
+    if (err.message) io.error(err.message);
+    io.error(USAGE);
+    return 2;
+  }
+
+  try {
+    // Files on disk as File objects, read like the files dropped on the web app
+    const open = async (path) => {
+      const ext = baseName(path).split(".").pop().toLowerCase();
+      return new File([await io.readFile(path)], baseName(path), { type: TYPES[ext] || "" });
+    };
+    const text = async (path) => readFile(await open(path), "text");
+    const [first, ...rest] = args.inputs;
+    let source = first;
+    if (!/^https?:\/\//i.test(first)) {
+      // A saved JSON and its images
+      source = await readUploads(await Promise.all(args.inputs.map(open)));
+      if (!source.document) throw new Error("Give a saved Figma /v1/files or /nodes JSON to convert.");
+    } else if (rest.length) {
+      throw new Error("Image files only go with a saved Figma JSON.");
+    } else if (!env.FIGMA_TOKEN) {
+      throw new Error("Set FIGMA_TOKEN to a Figma personal access token to convert a link.");
+    }
+    const variables = args.variables ? variablesOf(JSON.parse(await text(args.variables))) : null;
+    if (args.variables && !variables) throw new Error(`${args.variables} is not a saved /variables/local response.`);
+    let semanticsConfig = null;
+    if (args.rules) {
+      try {
+        semanticsConfig = parseSemanticsConfig(await text(args.rules));
+      } catch (err) {
+        throw new Error(`${args.rules}: ${err.message}`);
+      }
+    }
+    const fontFiles = await readFonts(await Promise.all(args.fonts.map(open)));
+    // A plugin module's default export is one plugin or a list of them
+    const plugins = [];
+    for (const path of args.plugins) {
+      try {
+        const exported = (await io.importModule(path)).default;
+        plugins.push(...checkPlugins(Array.isArray(exported) ? exported : [exported]));
+      } catch (err) {
+        throw new Error(`${path}: ${err.message}`);
+      }
+    }
+
+    const result = await convert(source, {
+      token: env.FIGMA_TOKEN,
+      baseUrl: env.FIGMA_API_URL || undefined,
+      fetchFn,
+      frames: args.frames,
+      preview: args.preview,
+      vectorFormat: args.vectors,
+      outputFormat: args.format,
+      tailwindConfig: args.tailwindConfig,
+      readableClasses: args.readableClasses,
+      minify: args.minify,
+      semanticHtml: args.semantics,
+      semanticsConfig,
+      useTokens: args.tokens,
+      localVariables: variables,
+      fontFiles,
+      lang: args.lang,
+      plugins,
+      onStage: (id, stage) => stage === "done" && io.log(`${id}: done`),
+      onFail: (id, err) => io.error(`${id}: failed: ${err.message || err}`),
+    });
+    result.warnings.forEach((w) => io.error(`Warning: ${w}`));
+    if (!result.files) {
+      io.error("Nothing was exported.");
+      return 1;
+    }
+
+    const out = args.out.replace(/[\\/]+$/, "");
+    const written = [...Object.entries(result.files), ...result.assets];
+    for (const [path, data] of written) await io.writeFile(`${out}/${path}`, data);
+    io.log(`Wrote ${written.length} files for ${result.title} to ${out}/`);
+    if (result.failures) {
+      io.error(`${result.failures} screen${result.failures === 1 ? " was" : "s were"} skipped.`);
+      return 1;
+    }
+    return 0;
+  } catch (err) {
+    io.error(err.message || String(err));
+    return 1;
+  }
+}
@@ -0,0 +1,124 @@
+import { parseArgs, runCli } from './Cli';
+
+const fileJson = {
+  name: 'Demo',
+  document: {
+    id: '0:0',
+    type: 'DOCUMENT',
+    children: [
+      {
+        id: '0:1',
+        type: 'CANVAS',
+        name: 'Page',
+        children: [
+          {
+            id: '1:1',
+            type: 'FRAME',
+            name: 'Home',
+            absoluteBoundingBox: { x: 0, y: 0, width: 200, height: 100 },
+            children: [
+              {
+                id: '1:2',
+                type: 'RECTANGLE',
+                name: 'Photo',
+                absoluteBoundingBox: { x: 0, y: 0, width: 50, height: 50 },
+                fills: [{ type: 'IMAGE', imageRef: 'abc' }]
+              }
+            ]
+          }
+        ]
+      }
+    ]
+  }
+};
+
+// An in-memory file system and console
+const makeIo = (files = {}) => {
+  const written = {};
+  const logs = [];
+  const errors = [];
+  return {
+    written,
+    logs,
+    errors,
+    readFile: async (path) => {
+      if (!(path in files)) throw new Error(`ENOENT: ${path}`);
+      return files[path];
+    },
+    writeFile: async (path, data) => {
+      written[path] = data;
+    },
+    log: (m) => logs.push(m),
+    error: (m) => errors.push(m)
+  };
+};
+
+test('parses commands, values and switches', () => {
+  const args = parseArgs(['convert', 'file.json', 'abc.png', '--out=dist', '--frames', '1-1, 2:3', '--format', 'tailwind', '--no-semantics', '--minify']);
+  expect(args).toEqual(expect.objectContaining({
+    command: 'convert',
+    inputs: ['file.json', 'abc.png'],
+    out: 'dist',
+    frames: ['1-1', '2:3'],
+    format: 'tailwind',
+    semantics: false,
+    minify: true,
+    tailwindConfig: true
+  }));
+  expect(parseArgs(['convert', 'file.json', '--fonts', 'a.woff2,b.ttf']).fonts).toEqual(['a.woff2', 'b.ttf']);
+  expect(parseArgs(['convert', 'file.json', '--lang=pt-BR']).lang).toBe('pt-BR');
+  expect(parseArgs(['convert', 'file.json', '--plugins', 'team.mjs']).plugins).toEqual(['team.mjs']);
+  expect(() => parseArgs(['convert', '--lang', 'Portuguese!'])).toThrow('--lang must be a language tag such as en or pt-BR.');
+  expect(() => parseArgs(['convert', '--format', 'pdf'])).toThrow('--format must be one of html, tailwind, react.');
+  expect(() => parseArgs(['convert', '--out'])).toThrow('--out needs a value.');
+  expect(() => parseArgs(['convert', '--zip'])).toThrow('Unknown option --zip.');
+});
+
+test('converts a saved file and its images into the output folder', async () => {
+  const io = makeIo({
+    'design/file.json': JSON.stringify(fileJson),
+    'design/abc.png': new Uint8Array([137, 80, 78, 71])
+  });
+
+  const code = await runCli(['convert', 'design/file.json', 'design/abc.png', '--out', 'dist/'], { io });
+
+  expect(code).toBe(0);
+  expect(Object.keys(io.written)).toEqual(expect.arrayContaining(['dist/index.html', 'dist/Home.html', 'dist/styles.css']));
+  const asset = Object.keys(io.written).find((p) => p.startsWith('dist/assets/'));
+  expect(asset).toMatch(/\.png$/);
+  expect(io.written['dist/styles.css']).toContain(asset.replace('dist/', ''));
+  expect(io.logs).toContain('1:1: done');
+});
+
+test('loads generator plugins from modules', async () => {
+  const io = makeIo({ 'file.json': JSON.stringify(fileJson) });
+  const figure = { name: 'figure', handlers: { RECTANGLE: (node, ctx) => ({ ...ctx.next(), tag: 'figure' }) } };
+  const modules = { 'figure.mjs': { default: figure }, 'bad.mjs': { default: { handlers: [] } } };
+  io.importModule = async (path) => modules[path];
+
+  expect(await runCli(['convert', 'file.json', '--out', 'dist', '--plugins', 'figure.mjs'], { io })).toBe(0);
+  expect(io.written['dist/Home.html']).toContain('<figure class="n_1_2"></figure>');
+
+  expect(await runCli(['convert', 'file.json', '--out', 'dist', '--plugins', 'bad.mjs'], { io })).toBe(1);
+  expect(io.errors).toEqual(['bad.mjs: Plugin 1: handlers must map node types to functions.']);
+});
+
+test('explains bad command lines and failed runs through the exit code', async () => {
+  let io = makeIo();
+  expect(await runCli(['convert', 'file.json'], { io })).toBe(2);
+  expect(io.errors[0]).toBe('--out is required.');
+
+  io = makeIo();
+  expect(await runCli(['--help'], { io })).toBe(0);
+  expect(io.logs[0]).toMatch(/^Usage: figma-to-html convert/);
+
+  io = makeIo();
+  const link = 'https://www.figma.com/design/1234567890ABCDEFGHIJKL/Demo';
+  expect(await runCli(['convert', link, '--out', 'dist'], { io, env: {} })).toBe(1);
+  expect(io.errors[0]).toMatch(/FIGMA_TOKEN/);
+
+  io = makeIo({ 'file.json': JSON.stringify(fileJson) });
+  expect(await runCli(['convert', 'file.json', '--out', 'dist', '--frames', '9:9'], { io })).toBe(1);
+  expect(io.errors).toEqual(['9:9: failed: Node 9:9 was not found in the uploaded file.', 'Nothing was exported.']);
+  expect(io.written).toEqual({});
+});
@@ -0,0 +1,708 @@
+import {
+  VECTOR_TYPES,
+  buildTree,
+  isCssShape,
+  nodeElement,
+  treeToCss,
+  treeToHtml,
+} from "../Output/DownloadFiles";
+import { a11yReportJson, auditFrame } from "../Output/Accessibility";
+import { addTextAsset, bundleFiles, localizeImages } from "../Output/ExportBundle";
+import { createTokens, tokensCss, tokensJson } from "../Output/DesignTokens";
+import { addFontTags, collectFonts, describeFace, fontFacesCss, resolveFonts } from "../Output/Fonts";
+import { linkPage, overlayId, prototypeCss, readPrototype } from "../Output/Prototype";
+import { checkPlugins } from "../Output/Plugins";
+import { inferSemantics } from "../Output/Semantics";
+import { minifyCss, tidyStylesheet } from "../Output/Stylesheet";
+import { createComponentLibrary, generateReactFromFrame, generateReactIndex } from "../Output/ReactComponent";
+import {
+  createTailwindTheme,
+  createUtilitySheet,
+  tailwindConfig,
+  treeToTailwind,
+} from "../Output/Tailwind";
+import { createFigmaClient } from "../Input/FigmaClient";
+import { findNode } from "../Input/OfflineDocument";
+
+// The conversion pipeline without any UI, shared by the Input screen and the command line (see Cli).
+
+// With semantic HTML off, only the prototype's links and buttons are written
+const LINKS_ONLY = { defaults: false, headings: false, lists: false };
+
+const isPage = (n) => n.type === "CANVAS" || n.type === "PAGE";
+
+// The prototype flows of a file's pages: [{ nodeId, name }]
+const flowsOf = (pages) => pages.flatMap((p) => p.flowStartingPoints || p.flows || []);
+
+/**
+ * Checks if the given URL is a valid Figma design link.
+ */
+export const isFigmaUrl = (url) => {
+  try {
+    const u = new URL(url.trim());
+    if (!u.hostname.endsWith("figma.com")) return false;
+    return /\/[A-Za-z0-9]{22}(\/|$)/.test(u.pathname);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Extracts the Figma file key from the URL.
+ * Example: https://www.figma.com/design/ABC123/... → "ABC123"
+ */
+export const extractKey = (url) => {
+  try {
+    const m = url.match(/\/([A-Za-z0-9]{22})(\/|$)/);
+    return m ? m[1] : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Reads the node the URL points at from its node-id query parameter.
+ * Links use dashes (node-id=12-34) while the API uses colons (12:34).
+ */
+export const extractNodeId = (url) => {
+  try {
+    const raw = new URL(url.trim()).searchParams.get("node-id");
+    return raw ? raw.replaceAll("-", ":") : null;
+  } catch {
+    return null;
+  }
+};
+
+// Collects the imageRef of every visible IMAGE fill in a subtree
+export const collectImageRefs = (node, acc = new Set()) => {
+  if (!node || node.visible === false) return acc;
+  (Array.isArray(node.fills) ? node.fills : []).forEach((f) => {
+    if (f?.type === "IMAGE" && f.visible !== false && f.imageRef) acc.add(f.imageRef);
+  });
+  (node.children || []).forEach((c) => collectImageRefs(c, acc));
+  return acc;
+};
+
+// Picks the largest good node (used when we need just one)
+export const pickBestExportNode = (root) => {
+  if (!root) return null;
+  const primary = new Set(["FRAME", "COMPONENT", "INSTANCE"]);
+  const secondary = new Set(["SECTION", "GROUP"]);
+  const area = (n) =>
+    n?.absoluteBoundingBox ? (n.absoluteBoundingBox.width || 0) * (n.absoluteBoundingBox.height || 0) : 0;
+
+  const q = [root];
+  let bestP = null,
+    bestS = null;
+  while (q.length) {
+    const n = q.shift();
+    if (!n) continue;
+    const a = area(n);
+    if (primary.has(n.type)) {
+      if (!bestP || a > bestP.area) bestP = { node: n, area: a };
+    } else if (secondary.has(n.type)) {
+      if (!bestS || a > bestS.area) bestS = { node: n, area: a };
+    }
+    if (Array.isArray(n.children)) q.push(...n.children);
+  }
+  return bestP?.node || bestS?.node || null;
+};
+
+// Gets all top-level screens under pages (FRAME / COMPONENT / INSTANCE / SECTION)
+export const getAllTopScreens = (doc) => {
+  const out = [];
+  const isScreen = new Set(["FRAME", "COMPONENT", "INSTANCE", "SECTION"]);
+  (doc.children || []).filter(isPage).forEach((p) => {
+    (p.children || []).forEach((n) => {
+      if (n.visible === false) return;
+      if (isScreen.has(n.type) && n.absoluteBoundingBox) out.push(n);
+    });
+  });
+  return out;
+};
+
+// Collects the ids of nodes exported as images; vector ids also go into `vectors` for SVG export
+export const collectIds = (node, acc = new Set(), imageFills = {}, vectors = new Set()) => {
+  if (!node || node.visible === false) return acc;
+
+  const needsImage = () => {
+    // if a node contains unresolved IMAGE fills or is a vector-type shape, convert it to an image output
+    const fills = Array.isArray(node.fills) ? node.fills : [];
+    const hasImageFill = fills.some((f) => f?.type === "IMAGE" && f.visible !== false && !imageFills[f.imageRef]);
+    if (VECTOR_TYPES.has(node.type) && node.id) vectors.add(node.id);
+    return hasImageFill || VECTOR_TYPES.has(node.type);
+  };
+
+  // Plain circles and lines are drawn with CSS, so they need no image
+  if (!isCssShape(node) && needsImage() && node.id) acc.add(node.id);
+  (node.children || []).forEach((c) => collectIds(c, acc, imageFills, vectors));
+  return acc;
+};
+
+// makes a simple safe file name
+export const safeName = (s, fb = "screen") =>
+  String(s || fb).replace(/[:*?"<>|\\/]/g, "_").replace(/\s+/g, "-").slice(0, 80);
+
+/**
+ * Creates the pipeline for one Figma file, fetched through `client` or read from `offline` uploads.
+ * The export options mirror the Input screen; warn is told the non-fatal problems of the run.
+ */
+export function createConverter({
+  fileKey,
+  client = null,
+  offline = null,
+  signal = null,
+  preview = false,
+  vectorFormat = "png",
+  outputFormat = "html",
+  tailwindConfig: withTailwindConfig = true,
+  readableClasses = false,
+  minify = false,
+  semanticHtml = true,
+  semanticsConfig = null,
+  useTokens = false,
+  localVariables = null,
+  fontFiles = [],
+  lang = null,
+  plugins = [],
+  warn = () => {},
+} = {}) {
+  checkPlugins(plugins);
+  const aborted = () => Boolean(signal?.aborted);
+  const fontUrls = Object.fromEntries(fontFiles.map((f) => [f.name, f.url]));
+
+  // Fonts not on Google Fonts and without a file are named once per run
+  const warnMissingFonts = (missing) => {
+    if (!missing.length) return;
+    const list = [...new Set(missing.map(describeFace))].join(", ");
+    warn(`No font file was added for ${list} and Google Fonts does not have it; the text falls back to system fonts.`);
+  };
+
+  // Fetch /images to get signed PNG (or SVG) URLs for the node ids
+  const fetchImageUrls = async (ids, scale = 2, format = "png") => {
+    if (!ids.size) return {};
+    if (offline) {
+      // Offline, renders come from the uploaded files named after the node ids
+      const out = {};
+      ids.forEach((id) => {
+        const img = offline.images[id];
+        const url = format === "svg" ? img?.svg : img?.raster || img?.svg;
+        if (url) out[id] = url;
+      });
+      return out;
+    }
+    const { images, failed } = await client.getImages(fileKey, [...ids], { format, scale });
+    if (failed.length) warn(`Figma could not render ${failed.join(", ")} as ${format.toUpperCase()}.`);
+    return images;
+  };
+
+  // Fetch /files/:key/images to get the original image of every IMAGE fill, keyed by imageRef
+  const fetchImageFills = async () => {
+    if (offline) {
+      const out = {};
+      Object.entries(offline.images).forEach(([ref, img]) => {
+        if (img.raster) out[ref] = img.raster;
+      });
+      return out;
+    }
+    return client.getImageFills(fileKey);
+  };
+
+  // Downloads the SVG markup behind each signed URL, keyed by node id
+  const fetchSvgs = async (urls) => {
+    const out = {};
+    for (const [id, url] of Object.entries(urls)) {
+      if (!url) continue;
+      // Uploaded SVGs are percent-encoded data URLs
+      const inline = url.match(/^data:image\/svg\+xml,(.*)$/s);
+      if (inline) {
+        out[id] = decodeURIComponent(inline[1]);
+        continue;
+      }
+      const resp = await client.download(url);
+      out[id] = await resp.text();
+    }
+    return out;
+  };
+
+  // Lists the pages and their top-level frames for the frame picker
+  const loadOutline = async () => {
+    // depth=2 stops at the frames directly under each page
+    const fileJson = offline || (await client.getFile(fileKey, { depth: 2 }));
+    const pages = (fileJson.document?.children || [])
+      .filter(isPage)
+      .map((p) => ({
+        id: p.id,
+        name: p.name,
+        frames: getAllTopScreens({ children: [p] }).map((n) => ({ id: n.id, name: n.name })),
+        flows: p.flowStartingPoints || [],
+      }))
+      .filter((p) => p.frames.length);
+    if (!pages.length) throw new Error("No exportable frame found.");
+    return { name: fileJson.name, pages };
+  };
+
+  // Works out the screens to export: the link's node, the ticked frames, or every top-level screen
+  const resolveScreens = async ({ nodeId = null, outline = null, selected = [] } = {}) => {
+    if (nodeId) return { fileName: outline?.name, screens: [{ id: nodeId }], flows: [] };
+    const ticked = [...selected];
+    if (ticked.length) {
+      return {
+        fileName: outline?.name,
+        screens: ticked.map((id) => ({ id })),
+        flows: outline ? flowsOf(outline.pages) : [],
+      };
+    }
+
+    // Fetch entire Figma file structure (or use the uploaded one) and take all top-level screens
+    const fileJson = offline || (await client.getFile(fileKey));
+    const screens = getAllTopScreens(fileJson.document);
+    if (!screens.length) {
+      // fallback to a single best pick if none found
+      const one = pickBestExportNode(fileJson.document);
+      if (!one) throw new Error("No exportable frame found.");
+      screens.push(one);
+    }
+    return {
+      fileName: fileJson.name,
+      screens,
+      styles: fileJson.styles || {},
+      components: fileJson.components || {},
+      componentSets: fileJson.componentSets || {},
+      flows: flowsOf((fileJson.document?.children || []).filter(isPage)),
+    };
+  };
+
+  // Fetches the full subtree of one screen, or of each frame when the id is a page
+  const fetchFrames = async (screenId) => {
+    let fileName;
+    let doc;
+    let meta;
+    if (offline) {
+      fileName = offline.name;
+      meta = offline;
+      doc = findNode(offline.document, screenId);
+      if (!doc) throw new Error(`Node ${screenId} was not found in the uploaded file.`);
+    } else {
+      const nodesJson = await client.getNodes(fileKey, [screenId], { depth: 20, geometry: "paths" });
+      fileName = nodesJson.name;
+      doc = nodesJson.nodes[screenId].document;
+      meta = nodesJson.nodes[screenId];
+    }
+    const frames = doc.type === "CANVAS" ? getAllTopScreens({ children: [doc] }) : [doc];
+    return {
+      fileName,
+      frames,
+      styles: meta.styles || {},
+      components: meta.components || {},
+      componentSets: meta.componentSets || {},
+    };
+  };
+
+  // Fetches the images one frame needs and generates its page; with `assets` the images go into the ZIP
+  const renderScreen = async (
+    frameNode,
+    imageFills,
+    {
+      cssFileName = "styles.css",
+      assets,
+      downloaded,
+      tokens = null,
+      library = null,
+      tailwind = null,
+      links = new Map(),
+      fragment = false,
+      components = {},
+      onStage = () => {},
+    } = {}
+  ) => {
+    onStage("images");
+    // Collect ids to convert to images (images/vectors) and fetch PNG URLs
+    const vectors = new Set();
+    const ids = collectIds(frameNode, new Set(), imageFills, vectors);
+    const fills = {};
+    collectImageRefs(frameNode).forEach((ref) => {
+      if (imageFills[ref]) fills[ref] = imageFills[ref];
+    });
+    let svgs = {};
+    let imagesMap;
+    if (vectorFormat === "png") {
+      imagesMap = { ...fills, ...(await fetchImageUrls(ids, 2)) };
+    } else {
+      // Vectors come back as SVG, everything else stays PNG
+      const svgIds = new Set([...ids].filter((id) => vectors.has(id)));
+      const pngIds = new Set([...ids].filter((id) => !vectors.has(id)));
+      imagesMap = { ...fills, ...(await fetchImageUrls(pngIds, 2)) };
+      const markup = await fetchSvgs(await fetchImageUrls(svgIds, 2, "svg"));
+      if (vectorFormat === "svg-inline" || !assets) {
+        svgs = markup;
+      } else {
+        // Store each vector as its own file in assets/
+        Object.entries(markup).forEach(([id, svg]) => {
+          imagesMap[id] = addTextAsset(assets, svg, "svg");
+        });
+      }
+    }
+
+    // Signed image URLs expire, so the bytes are stored in the ZIP instead
+    if (assets) imagesMap = await localizeImages(imagesMap, assets, client?.download, downloaded, warn);
+    // Uploaded font files go into assets/ as well; the preview keeps their data URLs
+    const fontPaths = assets ? await localizeImages(fontUrls, assets, client?.download, downloaded, warn) : fontUrls;
+    const fonts = resolveFonts(collectFonts(frameNode), { files: fontPaths });
+    // The page options of treeToHtml; fonts only when the frame uses any
+    const page = {
+      preview,
+      fragment,
+      fonts: fonts.google.length || fonts.local.length ? fonts : null,
+      lang: lang || "en",
+    };
+
+    onStage("generating");
+    const semantics =
+      !library && (semanticHtml || links.size)
+        ? inferSemantics(frameNode, semanticHtml ? semanticsConfig : LINKS_ONLY, { links })
+        : null;
+    const audit = auditFrame(frameNode, {
+      element: (node) => nodeElement(node, imagesMap, svgs, semantics),
+      components,
+    });
+    if (library) {
+      const react = generateReactFromFrame(frameNode, imagesMap, {
+        library,
+        preview,
+        svgs,
+        tokens,
+        ...(plugins.length && { plugins }),
+      });
+      return { ...react, fonts, audit };
+    }
+    // One tree per screen, so plugin handlers and transforms run once for its page and stylesheet
+    const tree = buildTree(frameNode, imagesMap, { preview, svgs, tokens, semantics, components, plugins });
+    if (tailwind) {
+      return { html: treeToTailwind(tree, cssFileName, { ...page, ...tailwind }), css: "", fonts, audit };
+    }
+    const html = treeToHtml(tree, cssFileName, page);
+    const css = treeToCss(tree, { preview });
+    return { html, css, fonts, audit };
+  };
+
+  // Creates the design-token registry for a run, or null when tokens are off
+  const makeTokens = async (figmaStyles) => {
+    if (!useTokens) return null;
+    let variables = offline?.variables || localVariables;
+    if (!offline) {
+      try {
+        variables = (await client.getLocalVariables(fileKey)) || variables;
+      } catch (err) {
+        if (err.code === "aborted") throw err;
+        if (!variables) warn(`Variables were skipped: ${err.message}`);
+      }
+    }
+    return createTokens({ styles: figmaStyles, variables });
+  };
+
+  // Minifies the finished stylesheet of an HTML export when asked to
+  const tidyCss = (css) => (minify && outputFormat === "html" ? minifyCss(css) : css);
+
+  // Renders the first screen for the live preview, with Figma's own PNG of the frame
+  const previewScreen = async (resolved) => {
+    const figmaStyles = { ...resolved.styles };
+    const components = { ...resolved.components };
+    let frameNode = null;
+    for (const s of resolved.screens) {
+      const fetched = await fetchFrames(s.id);
+      Object.assign(figmaStyles, fetched.styles);
+      Object.assign(components, fetched.components);
+      frameNode = fetched.frames[0];
+      if (frameNode) break;
+    }
+    if (!frameNode) throw new Error("No exportable frame found.");
+
+    const imageFills = await fetchImageFills();
+    const tokens = await makeTokens(figmaStyles);
+    const cssFileName = "styles.css";
+    const { links } = readPrototype(frameNode);
+    const rendered = await renderScreen(frameNode, imageFills, { cssFileName, tokens, links, components });
+    warnMissingFonts(rendered.fonts.missing);
+    const tidy = readableClasses ? tidyStylesheet([{ frameNode, ...rendered }]) : null;
+    // Other screens are not part of the preview, so links to them are dropped
+    const html = linkPage(tidy ? tidy.pages[0] : rendered.html);
+    const pageCss = tidy ? tidy.css : rendered.css;
+    const css = tidyCss(tokens ? `${tokensCss(tokens)}\n${pageCss}` : pageCss);
+    // Figma's render at 1x is the reference the output is compared against
+    const reference = await fetchImageUrls(new Set([frameNode.id]), 1);
+    const box = frameNode.absoluteBoundingBox || {};
+    return {
+      title: frameNode.name || frameNode.id,
+      html,
+      css,
+      cssFileName,
+      imageUrl: reference[frameNode.id] || null,
+      width: Math.round(box.width || 0),
+      height: Math.round(box.height || 0),
+    };
+  };
+
+  /**
+   * Converts the resolved screens into { title, files, assets }, or null when none could be exported.
+   */
+  const exportFiles = async (resolved, { onStage = () => {}, onFail = () => {}, onFrames = () => {} } = {}) => {
+    let { fileName } = resolved;
+
+    // Image fills are shared by all screens, so fetch them once
+    const imageFills = await fetchImageFills();
+    // Shared styles and variables, filled in as screens are fetched
+    const figmaStyles = { ...resolved.styles };
+    // The Tailwind config names the file's styles, so it needs tokens even when they are off
+    const tailwind =
+      outputFormat === "tailwind"
+        ? { theme: withTailwindConfig ? createTailwindTheme() : null, sheet: createUtilitySheet() }
+        : null;
+    const tokens = (await makeTokens(figmaStyles)) || (tailwind?.theme ? createTokens({ styles: figmaStyles }) : null);
+    // Figma components used by the screens become shared React components
+    const figmaComponents = { ...resolved.components };
+    const figmaComponentSets = { ...resolved.componentSets };
+    const library =
+      outputFormat === "react"
+        ? createComponentLibrary({ components: figmaComponents, componentSets: figmaComponentSets })
+        : null;
+
+    // Everything that goes into the export
+    const cssFileName = "styles.css";
+    const pages = [];
+    const cssParts = [];
+    // HTML mode with readable classes: each page's frame and output, renamed together at the end
+    const sources = [];
+    // Prototype: frames by id, the overlays the pages open and the transitions between them
+    const rendered = new Map();
+    const overlays = new Map();
+    const transitions = [];
+    const reactFiles = {};
+    // Accessibility problems per screen, for a11y-report.json
+    const audits = [];
+    const audited = (frameNode, file, audit) =>
+      audits.push({ id: frameNode.id, name: frameNode.name || frameNode.id, file, ...audit });
+    const assets = new Map();
+    const downloaded = new Map();
+    const usedNames = new Set(["index"]);
+    let failures = 0;
+    // Every face the export uses, and the uploaded font files as bundled assets
+    const faces = new Map();
+    const fontPaths = await localizeImages(fontUrls, assets, client?.download, downloaded, warn);
+    const recordFonts = (frameNode) => {
+      const list = collectFonts(frameNode);
+      list.forEach((f) => faces.set(describeFace(f), f));
+      return list;
+    };
+
+    // Reports a failed screen, unless the failure is the cancel itself
+    const fail = (id, err) => {
+      if (aborted()) return;
+      failures++;
+      onFail(id, err);
+    };
+
+    // For each screen, fetch its subtree and build its page
+    for (const screen of resolved.screens) {
+      if (aborted()) break;
+      onStage(screen.id, "nodes");
+      let fetched;
+      try {
+        fetched = await fetchFrames(screen.id);
+      } catch (err) {
+        fail(screen.id, err);
+        continue;
+      }
+      fileName = fileName || fetched.fileName;
+      Object.assign(figmaStyles, fetched.styles);
+      Object.assign(figmaComponents, fetched.components);
+      Object.assign(figmaComponentSets, fetched.componentSets);
+
+      const frames = fetched.frames;
+      if (frames.length !== 1 || frames[0].id !== screen.id) onFrames(screen.id, frames);
+
+      for (const frameNode of frames) {
+        if (aborted()) break;
+        const rootId = frameNode.id;
+        try {
+          const proto = library ? null : readPrototype(frameNode);
+          const output = await renderScreen(frameNode, imageFills, {
+            cssFileName,
+            assets,
+            downloaded,
+            tokens,
+            library,
+            tailwind,
+            links: proto?.links,
+            components: figmaComponents,
+            onStage: (stage) => onStage(rootId, stage),
+          });
+          const pageFaces = recordFonts(frameNode);
+          if (library) {
+            Object.assign(reactFiles, output.files);
+            pages.push({ title: frameNode.name || rootId, name: output.name });
+            audited(frameNode, `${output.name}.jsx`, output.audit);
+            onStage(rootId, "done");
+            continue;
+          }
+          const { html, css } = output;
+          let base = safeName(frameNode.name || rootId);
+          for (let n = 2; usedNames.has(base.toLowerCase()); n++) {
+            base = `${safeName(frameNode.name || rootId)}-${n}`;
+          }
+          usedNames.add(base.toLowerCase());
+          cssParts.push(css);
+          const page = {
+            id: rootId,
+            title: frameNode.name || rootId,
+            fileName: `${base}.html`,
+            html,
+            faces: pageFaces,
+          };
+          pages.push(page);
+          audited(frameNode, page.fileName, output.audit);
+          if (readableClasses && !tailwind) sources.push({ frameNode, html, css, target: page });
+          rendered.set(rootId, frameNode);
+          proto.overlays.forEach((transition, id) => overlays.set(id, overlays.get(id) || { transition }));
+          transitions.push(...proto.transitions);
+          onStage(rootId, "done");
+        } catch (err) {
+          fail(rootId, err);
+        }
+      }
+    }
+
+    // Nothing is exported after a cancel
+    if (aborted()) return null;
+    if (!pages.length) {
+      if (failures) return null;
+      throw new Error("No exportable frame found.");
+    }
+
+    const title = fileName || "Export";
+    if (library) {
+      const fonts = resolveFonts([...faces.values()], { files: fontPaths });
+      warnMissingFonts(fonts.missing);
+      // Components have no <head>, so index.js imports the fonts once for the whole app
+      const fontsCss = fontFacesCss(fonts);
+      const files = {
+        ...reactFiles,
+        ...library.files(),
+        "index.js": generateReactIndex(pages.map((p) => p.name), { styles: fontsCss ? ["./fonts.css"] : [] }),
+        ...(fontsCss && { "fonts.css": fontsCss }),
+        "a11y-report.json": a11yReportJson(audits, { lang: lang || "en" }),
+        ...(tokens && { "tokens.css": tokensCss(tokens), "tokens.json": tokensJson(tokens) }),
+      };
+      return { title, files, assets };
+    }
+    // Overlays are rendered once each, as markup for the <dialog>s of the pages that open them
+    for (const [id, overlay] of overlays) {
+      if (aborted()) break;
+      try {
+        const frameNode = rendered.get(id) || (await fetchFrames(id)).frames[0];
+        const proto = readPrototype(frameNode);
+        const { html, css } = await renderScreen(frameNode, imageFills, {
+          cssFileName,
+          assets,
+          downloaded,
+          tokens,
+          tailwind,
+          links: proto.links,
+          components: figmaComponents,
+          fragment: true,
+        });
+        Object.assign(overlay, { node: frameNode, html, faces: recordFonts(frameNode) });
+        cssParts.push(css);
+        if (readableClasses && !tailwind) sources.push({ frameNode, html, css, target: overlay });
+        // An overlay can open another one, which then joins the end of this loop
+        proto.overlays.forEach((transition, next) => overlays.set(next, overlays.get(next) || { transition }));
+      } catch (err) {
+        if (aborted()) return null;
+        warn(`Overlay ${id} was skipped: ${err.message || err}`);
+      }
+    }
+    if (aborted()) return null;
+    overlays.forEach((overlay, id) => !overlay.node && overlays.delete(id));
+
+    // All pages share one stylesheet, so their classes are renamed and merged in one go
+    if (sources.length) {
+      const tidy = tidyStylesheet(sources);
+      sources.forEach((source, i) => (source.target.html = tidy.pages[i]));
+      cssParts.splice(0, cssParts.length, tidy.css);
+    }
+    // Links point at the page files now that they are all known
+    const files = new Map(pages.map((p) => [p.id, p.fileName]));
+    pages.forEach((p) => (p.html = linkPage(p.html, { files, overlays })));
+    // A page loads the fonts of the overlays it shows as well
+    pages.forEach((p) => {
+      const shown = [...overlays]
+        .filter(([id]) => p.html.includes(`<dialog id="${overlayId(id)}"`))
+        .flatMap(([, o]) => o.faces);
+      if (shown.length) p.html = addFontTags(p.html, p.faces, shown, { files: fontPaths });
+    });
+    warnMissingFonts(resolveFonts([...faces.values()], { files: fontPaths }).missing);
+    cssParts.push(prototypeCss(overlays, transitions));
+    const flows = (resolved.flows || [])
+      .filter((f) => files.has(f.nodeId))
+      .map((f) => ({ title: f.name || f.nodeId, fileName: files.get(f.nodeId) }));
+    // The token sheet goes first in the shared stylesheet, next to an optional tokens.json
+    const css = tidyCss(
+      [tokens && tokensCss(tokens), tailwind?.sheet.css(), ...cssParts].filter(Boolean).join("\n")
+    );
+    const extraFiles = {
+      "a11y-report.json": a11yReportJson(audits, { lang: lang || "en" }),
+      ...(tokens && { "tokens.json": tokensJson(tokens) }),
+      ...(tailwind?.theme && { "tailwind.config.js": tailwindConfig(tailwind.theme) }),
+    };
+    return { title, files: bundleFiles({ title, pages, css, cssFileName, extraFiles, flows, lang: lang || "en" }), assets };
+  };
+
+  return {
+    fetchImageUrls,
+    fetchImageFills,
+    loadOutline,
+    resolveScreens,
+    fetchFrames,
+    renderScreen,
+    makeTokens,
+    previewScreen,
+    exportFiles,
+  };
+}
+
+/**
+ * Converts a Figma link or uploaded document in one call, for scripts and the command line.
+ */
+export async function convert(
+  source,
+  { token, baseUrl, fetchFn, frames = [], signal = null, onStage = () => {}, onFail = () => {}, ...options } = {}
+) {
+  const offline = typeof source === "string" ? null : source;
+  if (!offline && !isFigmaUrl(source)) throw new Error(`${source} is not a Figma design link.`);
+  if (!offline && !token) throw new Error("A Figma token is needed to convert a link.");
+  const warnings = [];
+  let failures = 0;
+  const client = offline ? null : createFigmaClient({ token, baseUrl, signal, ...(fetchFn && { fetchFn }) });
+  const converter = createConverter({
+    ...options,
+    fileKey: offline ? "offline" : extractKey(source),
+    client,
+    offline,
+    signal,
+    warn: (message) => warnings.push(message),
+  });
+  const resolved = await converter.resolveScreens({
+    nodeId: offline || frames.length ? null : extractNodeId(source),
+    // Ids can be written as in links (12-34) or as in the API (12:34)
+    selected: frames.map((id) => id.replaceAll("-", ":")),
+  });
+  const result = await converter.exportFiles(resolved, {
+    onStage,
+    onFail: (id, err) => {
+      failures++;
+      onFail(id, err);
+    },
+  });
+  if (!result) return { title: resolved.fileName || "Export", files: null, assets: null, failures, warnings };
+  return { ...result, failures, warnings };
+}
@@ -0,0 +1,129 @@
+import { collectIds, convert, createConverter, extractKey, extractNodeId, getAllTopScreens, isFigmaUrl } from './Convert';
+import { box } from '../../testNodes';
+
+const home = {
+  id: '1:1',
+  type: 'FRAME',
+  name: 'Home',
+  absoluteBoundingBox: box(0, 0, 200, 100),
+  children: [
+    {
+      id: '1:2',
+      type: 'TEXT',
+      name: 'Title',
+      characters: 'Hello',
+      absoluteBoundingBox: box(10, 10, 80, 20),
+      style: { fontSize: 16, fontFamily: 'Inter', fontWeight: 400 },
+      reactions: [{ trigger: { type: 'ON_CLICK' }, actions: [{ type: 'NODE', destinationId: '2:1', navigation: 'NAVIGATE' }] }]
+    },
+    { id: '1:3', type: 'VECTOR', name: 'Icon', absoluteBoundingBox: box(100, 10, 20, 20) }
+  ]
+};
+
+const about = { id: '2:1', type: 'FRAME', name: 'About', absoluteBoundingBox: box(300, 0, 200, 100), children: [] };
+
+const fileJson = {
+  name: 'Demo',
+  document: {
+    id: '0:0',
+    type: 'DOCUMENT',
+    children: [{ id: '0:1', type: 'CANVAS', name: 'Page', flowStartingPoints: [{ nodeId: '1:1', name: 'Start' }], children: [home, about] }]
+  }
+};
+
+const offline = { ...fileJson, styles: {}, images: { '1:3': { raster: 'data:image/png;base64,iVBORw0K' } } };
+
+const link = 'https://www.figma.com/design/1234567890ABCDEFGHIJKL/Demo?node-id=2-1';
+
+test('reads links and finds the screens and images of a file', () => {
+  expect(isFigmaUrl(link)).toBe(true);
+  expect(isFigmaUrl('https://example.com/design/1234567890ABCDEFGHIJKL')).toBe(false);
+  expect(extractKey(link)).toBe('1234567890ABCDEFGHIJKL');
+  expect(extractNodeId(link)).toBe('2:1');
+  expect(getAllTopScreens(fileJson.document).map((n) => n.id)).toEqual(['1:1', '2:1']);
+  const vectors = new Set();
+  expect([...collectIds(home, new Set(), {}, vectors)]).toEqual(['1:3']);
+  expect([...vectors]).toEqual(['1:3']);
+});
+
+test('converts an uploaded file into linked pages, a stylesheet and assets', async () => {
+  const stages = [];
+  const result = await convert(offline, { onStage: (id, stage) => stages.push(`${id} ${stage}`) });
+
+  expect(result.title).toBe('Demo');
+  expect(result.failures).toBe(0);
+  expect(Object.keys(result.files).sort()).toEqual(['About.html', 'Home.html', 'a11y-report.json', 'index.html', 'styles.css']);
+  expect(result.files['Home.html']).toContain('href="./About.html"');
+  expect(result.files['index.html']).toContain('Prototype flows');
+  expect([...result.assets.keys()]).toEqual([expect.stringMatching(/^assets\/[0-9a-f]{8}\.png$/)]);
+  expect(stages).toEqual(expect.arrayContaining(['1:1 nodes', '1:1 done', '2:1 done']));
+});
+
+test('fetches the frames a link points at through the Figma API', async () => {
+  const calls = [];
+  const fetchFn = jest.fn(async (url) => {
+    calls.push(url);
+    const json = url.includes('/nodes')
+      ? { name: 'Demo', nodes: { '2:1': { document: about, styles: {} } } }
+      : url.includes('/files/1234567890ABCDEFGHIJKL/images')
+        ? { meta: { images: {} } }
+        : {};
+    return { ok: true, status: 200, json: async () => json };
+  });
+
+  const result = await convert(link, { token: 'secret', fetchFn, outputFormat: 'react' });
+
+  expect(Object.keys(result.files)).toEqual(expect.arrayContaining(['About.jsx', 'About.module.css', 'index.js']));
+  expect(calls.some((u) => u.includes('/nodes?ids=2%3A1'))).toBe(true);
+  await expect(convert(link, {})).rejects.toThrow('token');
+});
+
+test('loads the fonts each page uses and reports the ones it cannot find', async () => {
+  const brand = { ...home.children[0], id: '1:4', style: { fontSize: 16, fontFamily: 'Brand Sans', fontPostScriptName: 'BrandSans-Bold' } };
+  const doc = { ...offline, document: { ...offline.document, children: [{ ...fileJson.document.children[0], children: [{ ...home, children: [...home.children, brand] }, about] }] } };
+
+  const plain = await convert(doc, { frames: ['1:1'] });
+  expect(plain.files['Home.html']).toContain('href="https://fonts.googleapis.com/css2?family=Inter:wght@400&display=swap"');
+  expect(plain.warnings).toEqual([expect.stringContaining('"Brand Sans" 700')]);
+
+  const fontFiles = [{ name: 'BrandSans-Bold.woff2', url: 'data:font/woff2;base64,d09GMg==' }];
+  const bundled = await convert(doc, { frames: ['1:1'], fontFiles });
+  const font = [...bundled.assets.keys()].find((p) => p.endsWith('.woff2'));
+  expect(font).toMatch(/^assets\/[0-9a-f]{8}\.woff2$/);
+  expect(bundled.files['Home.html']).toContain(`src: url("${font}") format("woff2");\n  font-weight: 700;`);
+  expect(bundled.warnings).toEqual([]);
+
+  const react = await convert(doc, { frames: ['1:1'], fontFiles, outputFormat: 'react' });
+  expect(react.files['fonts.css']).toContain('@import url("https://fonts.googleapis.com/css2?family=Inter');
+  expect(react.files['index.js']).toMatch(/^import "\.\/fonts\.css";/);
+});
+
+test('adds an accessibility report to every export', async () => {
+  const result = await convert(offline, { lang: 'fr' });
+  const report = JSON.parse(result.files['a11y-report.json']);
+
+  expect(result.files['Home.html']).toContain('<html lang="fr">');
+  expect(result.files['index.html']).toContain('<html lang="fr">');
+  expect(report.lang).toBe('fr');
+  expect(report.screens.map((s) => [s.id, s.file])).toEqual([['1:1', 'Home.html'], ['2:1', 'About.html']]);
+  // The "Icon" vector has no name to describe it
+  expect(report.screens[0].labels).toEqual([expect.objectContaining({ id: '1:3', element: 'img' })]);
+  expect(report.summary).toEqual({ contrast: 0, labels: 1, headings: 0 });
+
+  const react = await convert(offline, { outputFormat: 'react' });
+  expect(JSON.parse(react.files['a11y-report.json']).screens[0].file).toBe('Home.jsx');
+});
+
+test('reports screens that fail and keeps the others', async () => {
+  const failed = [];
+  const warnings = [];
+  const converter = createConverter({ fileKey: 'offline', offline, warn: (w) => warnings.push(w) });
+  const resolved = await converter.resolveScreens({ selected: ['9:9', '2:1'] });
+  const result = await converter.exportFiles(resolved, { onFail: (id, err) => failed.push([id, err.message]) });
+
+  expect(failed).toEqual([['9:9', 'Node 9:9 was not found in the uploaded file.']]);
+  expect(Object.keys(result.files)).toContain('About.html');
+
+  const none = await converter.exportFiles(await converter.resolveScreens({ selected: ['9:9'] }));
+  expect(none).toBeNull();
+});
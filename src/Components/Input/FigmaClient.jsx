@@ -0,0 +1,221 @@
+// Figma's documented limit is well above this, but proxies and browsers start failing around 8 KB
+const MAX_URL_LENGTH = 4000;
+
+/**
+ * Error thrown for any failed Figma request. `code` says what went wrong:
+ * "auth" (401/403), "not_found" (404), "bad_request" (400), "rate_limited" (429),
+ * "server" (5xx), "network" (no response), "render" (/v1/images returned an err)
+ * or "aborted" (the run was cancelled through its AbortSignal).
+ * `message` is written for the user; `status` and `url` are kept for logs.
+ */
+export class FigmaApiError extends Error {
+  constructor(message, { code, status = null, url = null } = {}) {
+    super(message);
+    this.name = "FigmaApiError";
+    this.code = code;
+    this.status = status;
+    this.url = url;
+  }
+}
+
+// User-facing message and code for a failed HTTP status
+const describeStatus = (status, detail) => {
+  const why = detail ? ` (${detail})` : "";
+  if (status === 401 || status === 403) {
+    return {
+      code: "auth",
+      message: `Figma refused the token${why}. Check REACT_APP_FIGMA_TOKEN (FIGMA_TOKEN for the command line) and that it can open this file.`,
+    };
+  }
+  if (status === 404) return { code: "not_found", message: `Figma file not found${why}. Check the link.` };
+  if (status === 429) {
+    return { code: "rate_limited", message: "Figma's rate limit was reached. Wait a minute and try again." };
+  }
+  if (status >= 500) {
+    return { code: "server", message: `Figma is having trouble (HTTP ${status}). Try again later.` };
+  }
+  return { code: "bad_request", message: `Figma rejected the request (HTTP ${status})${why}.` };
+};
+
+// Seconds (or an HTTP date) from a Retry-After header, as milliseconds
+const retryAfterMs = (header) => {
+  if (header == null || header === "") return null;
+  const secs = Number(header);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(header);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+};
+
+// Reads the `err` / `message` Figma puts in error bodies, if any
+const errorDetail = async (resp) => {
+  try {
+    const json = await resp.json();
+    return json?.err || json?.message || null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Splits ids into groups whose comma-joined, URL-encoded form stays under `budget` characters.
+ */
+export function batchIds(ids, budget) {
+  const batches = [];
+  let current = [];
+  let length = 0;
+  for (const id of ids) {
+    const cost = encodeURIComponent(id).length + 3; // + the encoded comma
+    if (current.length && length + cost > budget) {
+      batches.push(current);
+      current = [];
+      length = 0;
+    }
+    current.push(id);
+    length += cost;
+  }
+  if (current.length) batches.push(current);
+  return batches;
+}
+
+const cancelled = (url) => new FigmaApiError("Export cancelled.", { code: "aborted", url });
+
+/**
+ * Resolves after `ms`, or rejects with an "aborted" FigmaApiError as soon as the signal aborts.
+ */
+export const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(cancelled());
+    };
+    // The listener goes with the timer, so a long-lived signal does not collect one per retry
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    if (signal?.aborted) onAbort();
+    else signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+/**
+ * Creates a Figma REST client.
+ * token: personal access token (sent as X-Figma-Token); oauthToken: OAuth access token (sent as Bearer).
+ * fetchFn, sleep and baseUrl can be swapped, e.g. for a local fake server in tests.
+ * signal (an AbortSignal) cancels in-flight requests and pending retries.
+ * 429 and 5xx responses are retried up to `retries` times, honoring Retry-After, else backing off 1s, 2s, 4s…
+ */
+export function createFigmaClient({
+  token,
+  oauthToken,
+  baseUrl = "https://api.figma.com",
+  fetchFn = (...args) => fetch(...args),
+  sleep = wait,
+  retries = 3,
+  maxUrlLength = MAX_URL_LENGTH,
+  signal,
+} = {}) {
+  const headers = oauthToken ? { Authorization: `Bearer ${oauthToken}` } : { "X-Figma-Token": token };
+
+  // Fetches with retries; returns the response once it is ok, else throws a FigmaApiError
+  const send = async (url, init) => {
+    // Waits before the next attempt; cancelling ends the wait early
+    const pause = async (ms) => {
+      try {
+        await sleep(ms, signal);
+      } catch {}
+      if (signal?.aborted) throw cancelled(url);
+    };
+
+    for (let attempt = 0; ; attempt++) {
+      if (signal?.aborted) throw cancelled(url);
+      let resp;
+      try {
+        resp = await fetchFn(url, signal ? { ...init, signal } : init);
+      } catch (err) {
+        if (signal?.aborted) throw cancelled(url);
+        if (attempt >= retries) {
+          throw new FigmaApiError(`Could not reach Figma: ${err.message}`, { code: "network", url });
+        }
+        await pause(1000 * 2 ** attempt);
+        continue;
+      }
+      if (resp.ok) return resp;
+
+      const retryable = resp.status === 429 || resp.status >= 500;
+      if (retryable && attempt < retries) {
+        await pause(retryAfterMs(resp.headers?.get("retry-after")) ?? 1000 * 2 ** attempt);
+        continue;
+      }
+      const { code, message } = describeStatus(resp.status, await errorDetail(resp));
+      throw new FigmaApiError(message, { code, status: resp.status, url });
+    }
+  };
+
+  // GET a Figma API path and parse the JSON body
+  const getJson = async (path) => {
+    const resp = await send(`${baseUrl}${path}`, { headers });
+    return resp.json();
+  };
+
+  return {
+    // GET /v1/files/:key (depth limits how far below the pages the tree goes)
+    getFile: (key, { depth } = {}) => getJson(`/v1/files/${key}${depth ? `?depth=${depth}` : ""}`),
+
+    /**
+     * GET /v1/files/:key/nodes for the given ids.
+     * Throws not_found when Figma returns no document for a requested id.
+     */
+    getNodes: async (key, ids, { depth, geometry } = {}) => {
+      const query = `${depth ? `&depth=${depth}` : ""}${geometry ? `&geometry=${geometry}` : ""}`;
+      const out = { name: null, nodes: {} };
+      for (const batch of batchIds(ids, maxUrlLength)) {
+        const json = await getJson(
+          `/v1/files/${key}/nodes?ids=${encodeURIComponent(batch.join(","))}${query}`
+        );
+        out.name = out.name || json.name;
+        Object.assign(out.nodes, json.nodes);
+      }
+      const missing = ids.filter((id) => !out.nodes[id]?.document);
+      if (missing.length) {
+        throw new FigmaApiError(`Node ${missing.join(", ")} was not found in this file.`, {
+          code: "not_found",
+          status: 404,
+        });
+      }
+      return out;
+    },
+
+    /**
+     * GET /v1/images/:key, batched so long id lists stay under the URL limit.
+     * Returns { images, failed }: signed URLs by id, and the ids Figma could not render.
+     */
+    getImages: async (key, ids, { format = "png", scale = 2 } = {}) => {
+      const images = {};
+      const failed = [];
+      for (const batch of batchIds(ids, maxUrlLength)) {
+        const json = await getJson(
+          `/v1/images/${key}?ids=${encodeURIComponent(batch.join(","))}&format=${format}${
+            format === "svg" ? "" : `&scale=${scale}`
+          }`
+        );
+        if (json?.err) {
+          throw new FigmaApiError(`Figma could not render the images: ${json.err}`, { code: "render" });
+        }
+        batch.forEach((id) => {
+          if (json?.images?.[id]) images[id] = json.images[id];
+          else failed.push(id);
+        });
+      }
+      return { images, failed };
+    },
+
+    // GET /v1/files/:key/variables/local: { variables, variableCollections } (Enterprise plans only)
+    getLocalVariables: async (key) => (await getJson(`/v1/files/${key}/variables/local`))?.meta || null,
+
+    // GET /v1/files/:key/images: the original of every image fill, keyed by imageRef
+    getImageFills: async (key) => (await getJson(`/v1/files/${key}/images`))?.meta?.images || {},
+
+    // Downloads a signed asset URL (no auth header), with the same retries
+    download: (url) => send(url),
+  };
+}
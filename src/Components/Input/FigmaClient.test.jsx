@@ -0,0 +1,113 @@
+import { batchIds, createFigmaClient, FigmaApiError, wait } from './FigmaClient';
+
+// fake server: answers each call with the next queued response
+const fakeFetch = (...responses) =>
+  jest.fn(() => {
+    const next = responses.shift();
+    return next instanceof Error ? Promise.reject(next) : Promise.resolve(next);
+  });
+const json = (body, init) => new Response(JSON.stringify(body), init);
+
+// Test: requests go to the base url with the token header
+test('sends the token or oauth header', async () => {
+  const fetchFn = fakeFetch(json({ name: 'F' }), json({ name: 'F' }));
+  await createFigmaClient({ token: 'pat', fetchFn, baseUrl: 'http://localhost:9' }).getFile('KEY', { depth: 2 });
+  expect(fetchFn).toHaveBeenLastCalledWith('http://localhost:9/v1/files/KEY?depth=2', { headers: { 'X-Figma-Token': 'pat' } });
+
+  await createFigmaClient({ oauthToken: 'oa', fetchFn }).getFile('KEY');
+  expect(fetchFn).toHaveBeenLastCalledWith('https://api.figma.com/v1/files/KEY', { headers: { Authorization: 'Bearer oa' } });
+});
+
+// Test: failures become typed errors with readable messages
+test('maps failed responses to typed errors', async () => {
+  const fetchFn = fakeFetch(
+    json({ status: 403, err: 'Invalid token' }, { status: 403 }),
+    json({ status: 404, err: 'Not found' }, { status: 404 })
+  );
+  const client = createFigmaClient({ token: 't', fetchFn });
+
+  const auth = await client.getFile('KEY').catch((e) => e);
+  expect(auth).toBeInstanceOf(FigmaApiError);
+  expect(auth).toMatchObject({ code: 'auth', status: 403 });
+  expect(auth.message).toMatch(/refused the token \(Invalid token\)/);
+
+  await expect(client.getFile('KEY')).rejects.toMatchObject({ code: 'not_found', status: 404 });
+});
+
+// Test: 429 waits for Retry-After, 5xx and network errors back off, then give up
+test('retries rate limits and server errors', async () => {
+  const sleep = jest.fn(() => Promise.resolve());
+  const fetchFn = fakeFetch(
+    new Response('', { status: 429, headers: { 'retry-after': '7' } }),
+    new Response('', { status: 502 }),
+    new Error('socket hang up'),
+    json({ name: 'ok' })
+  );
+  const client = createFigmaClient({ token: 't', fetchFn, sleep });
+  await expect(client.getFile('KEY')).resolves.toEqual({ name: 'ok' });
+  expect(sleep.mock.calls.map(([ms]) => ms)).toEqual([7000, 2000, 4000]);
+
+  const limited = createFigmaClient({
+    token: 't',
+    sleep,
+    retries: 1,
+    fetchFn: fakeFetch(new Response('', { status: 429 }), new Response('', { status: 429 })),
+  });
+  await expect(limited.getFile('KEY')).rejects.toMatchObject({ code: 'rate_limited', status: 429 });
+});
+
+// Test: long id lists are split across requests and null renders are reported
+test('batches image ids and reports failed renders', async () => {
+  const ids = Array.from({ length: 30 }, (_, i) => `${i}:${i}`);
+  const fetchFn = jest.fn((url) => {
+    const batch = decodeURIComponent(url.match(/ids=([^&]*)/)[1]).split(',');
+    const images = Object.fromEntries(batch.map((id) => [id, id === '3:3' ? null : `https://s3/${id}`]));
+    return Promise.resolve(json({ images }));
+  });
+  const client = createFigmaClient({ token: 't', fetchFn, maxUrlLength: 100 });
+  const { images, failed } = await client.getImages('KEY', ids, { scale: 1 });
+
+  expect(fetchFn.mock.calls.length).toBeGreaterThan(1);
+  fetchFn.mock.calls.forEach(([url]) => expect(url).toMatch(/&format=png&scale=1$/));
+  expect(Object.keys(images)).toHaveLength(29);
+  expect(failed).toEqual(['3:3']);
+  expect(batchIds(ids, 100).flat()).toEqual(ids);
+});
+
+// Test: render errors and missing nodes are not silently skipped
+test('throws on image render errors and missing nodes', async () => {
+  const client = createFigmaClient({
+    token: 't',
+    fetchFn: fakeFetch(json({ err: 'Render timeout', images: {} }), json({ name: 'F', nodes: { '1:2': null } })),
+  });
+  await expect(client.getImages('KEY', ['1:1'])).rejects.toMatchObject({ code: 'render' });
+  await expect(client.getNodes('KEY', ['1:2'])).rejects.toThrow('Node 1:2 was not found in this file.');
+});
+
+// Test: an aborted signal stops requests and pending retries
+test('stops when the signal is aborted', async () => {
+  const controller = new AbortController();
+  const fetchFn = jest.fn(() => {
+    controller.abort();
+    return Promise.resolve(new Response('', { status: 503 }));
+  });
+  const client = createFigmaClient({ token: 't', fetchFn, signal: controller.signal });
+  await expect(client.getFile('KEY')).rejects.toMatchObject({ code: 'aborted' });
+  expect(fetchFn).toHaveBeenCalledTimes(1);
+  expect(fetchFn.mock.calls[0][1].signal).toBe(controller.signal);
+});
+
+// Test: the retry pause lets go of the signal when it ends, and rejects with a typed error when cancelled
+test('waits until the timer or the signal aborts', async () => {
+  const controller = new AbortController();
+  const remove = jest.spyOn(controller.signal, 'removeEventListener');
+  await expect(wait(1, controller.signal)).resolves.toBeUndefined();
+  expect(remove).toHaveBeenCalledWith('abort', expect.any(Function));
+
+  const pending = wait(60000, controller.signal);
+  controller.abort();
+  const err = await pending.catch((e) => e);
+  expect(err).toBeInstanceOf(FigmaApiError);
+  expect(err.code).toBe('aborted');
+  await expect(wait(60000, controller.signal)).rejects.toMatchObject({ code: 'aborted' });
+});
@@ -1,208 +1,522 @@
-import React, { useState } from "react";
-import { generateCssFromFrame, generateHtmlFromFrame } from "../Output/DownloadFiles";
+import React, { useRef, useState } from "react";
 import { saveAs } from "file-saver";
+import { buildFilesZip } from "../Output/ExportBundle";
+import { parseSemanticsConfig } from "../Output/Semantics";
+import { createConverter, extractKey, extractNodeId, isFigmaUrl, safeName } from "../Convert/Convert";
+import Preview from "../Preview/Preview";
+import Progress from "../Progress/Progress";
+import { createFigmaClient } from "./FigmaClient";
+import { readFile, readFonts, readUploads } from "./OfflineDocument";
 import styles from "./Input.module.css";
 
 export default function Input() {
   // Stores the URL entered by the user
   const [input, setInput] = useState("");
   const [busy, setBusy] = useState(false);
+  // When on, exports keep the fixed-size artboard scaled to fit the window
+  const [preview, setPreview] = useState(false);
+  // How vector shapes are exported: "png", "svg-inline" or "svg-file"
+  const [vectorFormat, setVectorFormat] = useState("png");
+  // What the ZIP holds: "html" pages, "tailwind" pages with utility classes or "react" components
+  const [outputFormat, setOutputFormat] = useState("html");
+  // Tailwind mode: also write a tailwind.config.js with the file's colors, fonts and shadows
+  const [withTailwindConfig, setWithTailwindConfig] = useState(true);
+  // HTML mode: classes named after the layers with shared rules (see Stylesheet), and a minified styles.css
+  const [readableClasses, setReadableClasses] = useState(false);
+  const [minify, setMinify] = useState(false);
+  // HTML and Tailwind modes: buttons, fields, headings and lists instead of divs (see Semantics),
+  // with an optional uploaded config of the team's own layer names
+  const [semanticHtml, setSemanticHtml] = useState(true);
+  const [semanticsConfig, setSemanticsConfig] = useState(null);
+  // When on, shared styles and variables become CSS custom properties and tokens.json
+  const [useTokens, setUseTokens] = useState(false);
+  // Uploaded /variables/local JSON, used when the Variables API is not available
+  const [localVariables, setLocalVariables] = useState(null);
+  // Uploaded font files ([{ name, url }]), loaded by the pages instead of Google Fonts or a fallback
+  const [fontFiles, setFontFiles] = useState([]);
+  // The pages' lang attribute; empty means English
+  const [lang, setLang] = useState("");
+  // Pages and frames of the file for the picker: { name, pages: [{ id, name, frames: [{ id, name }] }] }
+  const [outline, setOutline] = useState(null);
+  // Frame thumbnails keyed by node id
+  const [thumbs, setThumbs] = useState({});
+  // Ids of the frames ticked in the picker
+  const [selected, setSelected] = useState(() => new Set());
+  // Generated output of the previewed frame, shown in the preview pane
+  const [previewData, setPreviewData] = useState(null);
+  // Uploaded Figma JSON and images ({ name, document, images }); when set, nothing is fetched
+  const [offline, setOffline] = useState(null);
+  // Non-fatal problems from the last run, e.g. nodes Figma could not render
+  const [warnings, setWarnings] = useState([]);
+  const warningsRef = useRef([]);
   // Figma personal access token stored in .env
   const token = process.env.REACT_APP_FIGMA_TOKEN;
+  // Per-screen stages of the running (or last) export: { rows: [{ id, name, stage, error }], running, cancelled }
+  const [progress, setProgress] = useState(null);
+  // Aborts the running export
+  const abortRef = useRef(null);
 
   /**
-   * Checks if the given URL is a valid Figma design link.
+   * The conversion pipeline (see Convert) for the current source and options.
+   * REACT_APP_FIGMA_API_URL can point the app at a proxy or a local fake server;
+   * an export passes its AbortSignal so Cancel stops the requests in flight.
    */
-  const isFigmaUrl = (url) => {
-    try {
-      const u = new URL(url.trim());
-      if (!u.hostname.endsWith("figma.com")) return false;
-      return /\/[A-Za-z0-9]{22}(\/|$)/.test(u.pathname);
-    } catch {
-      return false;
-    }
+  const makeConverter = (signal) =>
+    createConverter({
+      fileKey: offline ? "offline" : extractKey(input),
+      client: createFigmaClient({
+        token,
+        baseUrl: process.env.REACT_APP_FIGMA_API_URL || undefined,
+        signal,
+      }),
+      offline,
+      signal,
+      preview,
+      vectorFormat,
+      outputFormat,
+      tailwindConfig: withTailwindConfig,
+      readableClasses,
+      minify,
+      semanticHtml,
+      semanticsConfig,
+      useTokens,
+      localVariables,
+      fontFiles,
+      lang: lang.trim() || null,
+      warn: (message) => warningsRef.current.push(message),
+    });
+
+  // Why the current source can't be converted, or null when it can.
+  // An uploaded JSON needs neither a link nor a token.
+  const sourceProblem = () => {
+    if (offline) return null;
+    if (!isFigmaUrl(input)) return "Enter a valid Figma URL.";
+    if (!token) return "Missing REACT_APP_FIGMA_TOKEN";
+    if (!extractKey(input)) return "Could not extract file key from URL.";
+    return null;
   };
 
+  // The screens the source and picker point at (see resolveScreens)
+  const resolve = (converter) =>
+    converter.resolveScreens({
+      nodeId: offline ? null : extractNodeId(input),
+      outline,
+      selected: outline ? selected : [],
+    });
+
   /**
-   * Extracts the Figma file key from the URL.
-   * Example: https://www.figma.com/design/ABC123/... → "ABC123"
+   * Called when files are picked or dropped: loads a saved Figma JSON (plus images) to convert offline.
    */
-  const extractKey = (url) => {
+  const handleUpload = async (files) => {
+    if (!files?.length) return;
     try {
-      const m = url.match(/\/([A-Za-z0-9]{22})(\/|$)/);
-      return m ? m[1] : null;
-    } catch {
-      return null;
+      const doc = await readUploads(files);
+      if (!doc.document) {
+        // A variables JSON alone keeps the current source and only feeds the tokens
+        setLocalVariables(doc.variables);
+        return;
+      }
+      setOffline(doc);
+      setOutline(null);
+      setSelected(new Set());
+      setPreviewData(null);
+    } catch (err) {
+      console.error(err);
+      alert(err.message || "Unexpected error");
     }
   };
 
   /**
-   * Called when the user clicks "Download Files".
-   * Fetches the Figma file → extracts a frame → converts to HTML + CSS → downloads them.
+   * Called when the user clicks "Choose Frames".
+   * Fetches the pages and their top-level frames plus small thumbnails for the picker.
    */
-  const downloadFile = (filename, text, type) => {
-    const blob = new Blob([text], { type });
-    saveAs(blob, filename);
-  };
+  const handleLoadFrames = async () => {
+    const problem = sourceProblem();
+    if (problem) return alert(problem);
 
-  // Picks the largest good node (used when we need just one)
-  const pickBestExportNode = (root) => {
-    if (!root) return null;
-    const primary = new Set(["FRAME", "COMPONENT", "INSTANCE"]);
-    const secondary = new Set(["SECTION", "GROUP"]);
-    const area = (n) =>
-      n?.absoluteBoundingBox
-        ? (n.absoluteBoundingBox.width || 0) * (n.absoluteBoundingBox.height || 0)
-        : 0;
-
-    const q = [root];
-    let bestP = null,
-      bestS = null;
-    while (q.length) {
-      const n = q.shift();
-      if (!n) continue;
-      const a = area(n);
-      if (primary.has(n.type)) {
-        if (!bestP || a > bestP.area) bestP = { node: n, area: a };
-      } else if (secondary.has(n.type)) {
-        if (!bestS || a > bestS.area) bestS = { node: n, area: a };
-      }
-      if (Array.isArray(n.children)) q.push(...n.children);
+    setBusy(true);
+    warningsRef.current = [];
+    setWarnings([]);
+    try {
+      const converter = makeConverter();
+      const loaded = await converter.loadOutline();
+      setOutline(loaded);
+      setSelected(new Set());
+      const ids = new Set(loaded.pages.flatMap((p) => p.frames.map((f) => f.id)));
+      setThumbs(await converter.fetchImageUrls(ids, 0.1));
+    } catch (err) {
+      console.error(err);
+      alert(err.message || "Unexpected error");
+    } finally {
+      setBusy(false);
+      setWarnings(warningsRef.current);
     }
-    return bestP?.node || bestS?.node || null;
   };
 
-  // Gets all top-level screens under pages (FRAME / COMPONENT / INSTANCE / SECTION)
-  const getAllTopScreens = (doc) => {
-    const out = [];
-    const isScreen = new Set(["FRAME", "COMPONENT", "INSTANCE", "SECTION"]);
-    const pages = (doc.children || []).filter((c) => c.type === "CANVAS" || c.type === "PAGE");
-    pages.forEach((p) => {
-      (p.children || []).forEach((n) => {
-        if (n.visible === false) return;
-        if (isScreen.has(n.type) && n.absoluteBoundingBox) out.push(n);
-      });
+  // Ticks or unticks one frame in the picker
+  const toggleFrame = (id) =>
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
     });
-    return out;
+
+  /**
+   * Called when the user clicks "Preview".
+   * Renders the first screen that would be exported next to Figma's own PNG of the frame.
+   */
+  const handlePreview = async () => {
+    const problem = sourceProblem();
+    if (problem) return alert(problem);
+
+    setBusy(true);
+    warningsRef.current = [];
+    setWarnings([]);
+    try {
+      const converter = makeConverter();
+      setPreviewData(await converter.previewScreen(await resolve(converter)));
+    } catch (err) {
+      console.error(err);
+      alert(err.message || "Unexpected error");
+    } finally {
+      setBusy(false);
+      setWarnings(warningsRef.current);
+    }
   };
 
-  const collectIds = (node, acc = new Set()) => {
-    if (!node || node.visible === false) return acc;
-
-    const needsImage = () => {
-      // if a node contains IMAGE fills or is a vector-type shape, convert it to an image output
-      const fills = Array.isArray(node.fills) ? node.fills : [];
-      const hasImageFill = fills.some((f) => f?.type === "IMAGE" && f.visible !== false);
-      const vectorish = new Set([
-        "ELLIPSE",
-        "VECTOR",
-        "LINE",
-        "STAR",
-        "POLYGON",
-        "BOOLEAN_OPERATION",
-        "REGULAR_POLYGON",
-        "ARROW",
-      ]);
-      return hasImageFill || vectorish.has(node.type);
-    };
-
-    if (needsImage() && node.id) acc.add(node.id);
-    (node.children || []).forEach((c) => collectIds(c, acc));
-    return acc;
+  /**
+   * Called when a semantics config is picked: checks it now, so a bad entry is reported before an export.
+   */
+  const handleSemanticsConfig = async (file) => {
+    if (!file) return;
+    try {
+      setSemanticsConfig(parseSemanticsConfig(await readFile(file, "text")));
+    } catch (err) {
+      alert(`${file.name}: ${err.message}`);
+    }
   };
 
-  // Fetch /images to get signed PNG URLs for the node ids
-  const fetchImageUrls = async (fileKey, ids, scale = 2) => {
-    if (!ids.size) return {};
-    const idsCsv = Array.from(ids).join(",");
-    const resp = await fetch(
-      `https://api.figma.com/v1/images/${fileKey}?ids=${encodeURIComponent(
-        idsCsv
-      )}&format=png&scale=${scale}`,
-      { headers: { "X-Figma-Token": token } }
-    );
-    const json = await resp.json();
-    return json?.images || {};
+  /**
+   * Called when font files are picked: they are bundled and loaded through @font-face.
+   */
+  const handleFonts = async (files) => {
+    if (!files?.length) return;
+    try {
+      setFontFiles(await readFonts(files));
+    } catch (err) {
+      alert(err.message);
+    }
   };
 
-  // makes a simple safe file name
-  const safeName = (s, fb = "screen") =>
-    String(s || fb).replace(/[:*?"<>|\\/]/g, "_").replace(/\s+/g, "-").slice(0, 80);
+  // Updates one row of the progress view
+  const setStage = (id, stage, error = null) =>
+    setProgress((p) => ({
+      ...p,
+      rows: p.rows.map((r) => (r.id === id ? { ...r, stage, error } : r)),
+    }));
 
+  /**
+   * Called when the user clicks "Download Files".
+   * Exports the node from the link's node-id, the frames ticked in the picker, or else every
+   * top-level screen, and downloads the files exportFiles lays out as one ZIP.
+   * Each screen's stage is shown as it runs; a failed screen is reported and skipped,
+   * and Cancel aborts the requests in flight and stops without downloading.
+   */
   const handleSubmit = async () => {
-    if (!isFigmaUrl(input)) return alert("Enter a valid Figma URL.");
-    if (!token) return alert("Missing REACT_APP_FIGMA_TOKEN");
+    const problem = sourceProblem();
+    if (problem) return alert(problem);
 
+    const controller = new AbortController();
+    abortRef.current = controller;
     setBusy(true);
+    setProgress(null);
+    warningsRef.current = [];
+    setWarnings([]);
     try {
-      const key = extractKey(input);
-      if (!key) throw new Error("Could not extract file key from URL.");
-
-      // Step 1: Fetch entire Figma file structure
-      const fileRes = await fetch(`https://api.figma.com/v1/files/${key}`, {
-        headers: { "X-Figma-Token": token },
+      const converter = makeConverter(controller.signal);
+      const resolved = await resolve(converter);
+      setProgress({
+        running: true,
+        cancelled: false,
+        rows: resolved.screens.map((s) => ({ id: s.id, name: s.name || s.id, stage: "queued", error: null })),
       });
-      const fileJson = await fileRes.json();
-
-      // Step 2: Find all top-level screens
-      const screens = getAllTopScreens(fileJson.document);
-      if (!screens.length) {
-        // fallback to a single best pick if none found
-        const one = pickBestExportNode(fileJson.document);
-        if (!one) throw new Error("No exportable frame found.");
-        screens.push(one);
-      }
 
-      // Step 3..6: For each screen, build and download files
-      for (const screen of screens) {
-        const rootId = screen.id;
-
-        // Step 3: Fetch the subtree with depth and styles resolved
-        const nodesRes = await fetch(
-          `https://api.figma.com/v1/files/${key}/nodes?ids=${encodeURIComponent(rootId)}&depth=20`,
-          { headers: { "X-Figma-Token": token } }
-        );
-        const nodesJson = await nodesRes.json();
-        const frameNode = nodesJson?.nodes?.[rootId]?.document;
-        if (!frameNode) continue;
-
-        // Step 4: Collect ids to convert to images (images/vectors) and fetch PNG URLs
-        const ids = collectIds(frameNode);
-        const imagesMap = await fetchImageUrls(key, ids, 2);
-
-        // Step 5: Generate HTML/CSS with images
-        const base = safeName(frameNode.name || rootId);
-        const cssFileName = `${base}.css`;
-        const html = generateHtmlFromFrame(frameNode, imagesMap, cssFileName);
-        const css = generateCssFromFrame(frameNode, imagesMap);
-
-        // Step 6: Download files
-        const htmlFileName = `${base}.html`;
-        downloadFile(htmlFileName, html, "text/html;charset=utf-8");
-        downloadFile(cssFileName, css, "text/css;charset=utf-8");
-      }
+      const result = await converter.exportFiles(resolved, {
+        onStage: (id, stage) => setStage(id, stage),
+        onFail: (id, err) => {
+          console.error(err);
+          setStage(id, "failed", err.message || "Unexpected error");
+        },
+        // A page expands into one row per frame
+        onFrames: (id, frames) =>
+          setProgress((p) => ({
+            ...p,
+            rows: p.rows.flatMap((r) =>
+              r.id === id ? frames.map((f) => ({ id: f.id, name: f.name || f.id, stage: "queued", error: null })) : [r]
+            ),
+          })),
+      });
+      // Nothing is downloaded after a cancel, or when every screen failed
+      if (!result) return;
+      saveAs(await buildFilesZip(result.files, result.assets), `${safeName(result.title, "export")}.zip`);
     } catch (err) {
       console.error(err);
-      alert(err.message || "Unexpected error");
+      if (!controller.signal.aborted) alert(err.message || "Unexpected error");
     } finally {
       setBusy(false);
+      // Rows that never finished are marked cancelled
+      setProgress(
+        (p) =>
+          p && {
+            ...p,
+            running: false,
+            cancelled: controller.signal.aborted,
+            rows: p.rows.map((r) =>
+              !controller.signal.aborted || r.stage === "done" || r.stage === "failed"
+                ? r
+                : { ...r, stage: "cancelled" }
+            ),
+          }
+      );
+      setWarnings(warningsRef.current);
+      abortRef.current = null;
     }
   };
 
   return (
     <div className={styles.container}>
-      <div className={styles.card}>
-        <input
-          className={styles.inputField}
-          type="text"
-          placeholder="Paste any Figma template link"
-          onChange={(e) => setInput(e.target.value)}
-          value={input}
-        />
+      <div
+        className={styles.card}
+        onDragOver={(e) => e.preventDefault()}
+        onDrop={(e) => {
+          e.preventDefault();
+          handleUpload(e.dataTransfer?.files);
+        }}
+      >
+        {offline ? (
+          <div className={styles.offline}>
+            <span>
+              Offline: <strong>{offline.name}</strong>
+            </span>
+            <button
+              className={styles.linkButton}
+              onClick={() => {
+                setOffline(null);
+                setOutline(null);
+                setSelected(new Set());
+              }}
+            >
+              Clear
+            </button>
+          </div>
+        ) : (
+          <>
+            <input
+              className={styles.inputField}
+              type="text"
+              placeholder="Paste any Figma template link"
+              onChange={(e) => {
+                setInput(e.target.value);
+                // A different link means a different file, so the picker starts over
+                setOutline(null);
+                setSelected(new Set());
+              }}
+              value={input}
+            />
+            <label className={styles.upload}>
+              …or drop a saved Figma JSON (plus image files) here
+              <input
+                type="file"
+                multiple
+                accept=".json,application/json,image/*"
+                onChange={(e) => {
+                  handleUpload(e.target.files);
+                  e.target.value = "";
+                }}
+              />
+            </label>
+          </>
+        )}
+        {(offline || (isFigmaUrl(input) && !extractNodeId(input))) && !outline && (
+          <button className={styles.secondaryButton} onClick={handleLoadFrames} disabled={busy}>
+            Choose Frames
+          </button>
+        )}
+        {outline && (
+          <div className={styles.picker}>
+            {outline.pages.map((page) => (
+              <fieldset key={page.id} className={styles.page}>
+                <legend>{page.name}</legend>
+                {page.frames.map((frame) => (
+                  <label key={frame.id} className={styles.frameItem}>
+                    <input
+                      type="checkbox"
+                      checked={selected.has(frame.id)}
+                      onChange={() => toggleFrame(frame.id)}
+                    />
+                    {thumbs[frame.id] && (
+                      <img className={styles.thumb} src={thumbs[frame.id]} alt="" />
+                    )}
+                    <span>{frame.name}</span>
+                  </label>
+                ))}
+              </fieldset>
+            ))}
+            <p className={styles.hint}>
+              {selected.size
+                ? `${selected.size} frame${selected.size === 1 ? "" : "s"} selected`
+                : "Nothing ticked: every frame will be exported"}
+            </p>
+          </div>
+        )}
+        <label className={styles.option}>
+          <input
+            type="checkbox"
+            checked={preview}
+            onChange={(e) => setPreview(e.target.checked)}
+          />
+          Preview mode (scale the fixed-size frame to fit the window)
+        </label>
+        <label className={styles.option}>
+          <input
+            type="checkbox"
+            checked={useTokens}
+            onChange={(e) => setUseTokens(e.target.checked)}
+          />
+          Design tokens (CSS variables and tokens.json)
+        </label>
+        {useTokens && localVariables && (
+          <p className={styles.hint}>Variables JSON loaded as a fallback for the Variables API.</p>
+        )}
+        <label className={styles.option}>
+          Font files
+          <input
+            type="file"
+            multiple
+            accept=".woff2,.woff,.ttf,.otf"
+            onChange={(e) => {
+              handleFonts(e.target.files);
+              e.target.value = "";
+            }}
+          />
+        </label>
+        {fontFiles.length > 0 && (
+          <p className={styles.hint}>
+            {fontFiles.length} font file{fontFiles.length === 1 ? "" : "s"} loaded.
+          </p>
+        )}
+        <label className={styles.option}>
+          Vectors
+          <select
+            className={styles.select}
+            value={vectorFormat}
+            onChange={(e) => setVectorFormat(e.target.value)}
+          >
+            <option value="png">PNG images</option>
+            <option value="svg-inline">Inline SVG</option>
+            <option value="svg-file">SVG files</option>
+          </select>
+        </label>
+        <label className={styles.option}>
+          Output
+          <select
+            className={styles.select}
+            value={outputFormat}
+            onChange={(e) => setOutputFormat(e.target.value)}
+          >
+            <option value="html">HTML + CSS</option>
+            <option value="tailwind">HTML + Tailwind classes</option>
+            <option value="react">React components (JSX + CSS Modules)</option>
+          </select>
+        </label>
+        {outputFormat !== "react" && (
+          <label className={styles.option}>
+            Page language
+            <input
+              className={styles.select}
+              type="text"
+              value={lang}
+              placeholder="en"
+              onChange={(e) => setLang(e.target.value)}
+            />
+          </label>
+        )}
+        {outputFormat === "tailwind" && (
+          <label className={styles.option}>
+            <input
+              type="checkbox"
+              checked={withTailwindConfig}
+              onChange={(e) => setWithTailwindConfig(e.target.checked)}
+            />
+            tailwind.config.js with the file's colors, fonts and shadows
+          </label>
+        )}
+        {outputFormat !== "react" && (
+          <label className={styles.option}>
+            <input
+              type="checkbox"
+              checked={semanticHtml}
+              onChange={(e) => setSemanticHtml(e.target.checked)}
+            />
+            Semantic HTML (buttons, fields, headings and lists from layer names)
+          </label>
+        )}
+        {outputFormat !== "react" && semanticHtml && (
+          <label className={styles.option}>
+            Layer name rules (JSON)
+            <input
+              type="file"
+              accept=".json,application/json"
+              onChange={(e) => {
+                handleSemanticsConfig(e.target.files?.[0]);
+                e.target.value = "";
+              }}
+            />
+          </label>
+        )}
+        {outputFormat !== "react" && semanticHtml && semanticsConfig && (
+          <p className={styles.hint}>Layer name rules loaded.</p>
+        )}
+        {outputFormat === "html" && (
+          <>
+            <label className={styles.option}>
+              <input
+                type="checkbox"
+                checked={readableClasses}
+                onChange={(e) => setReadableClasses(e.target.checked)}
+              />
+              Class names from layer names, with shared rules
+            </label>
+            <label className={styles.option}>
+              <input type="checkbox" checked={minify} onChange={(e) => setMinify(e.target.checked)} />
+              Minify styles.css
+            </label>
+          </>
+        )}
+        <button className={styles.secondaryButton} onClick={handlePreview} disabled={busy}>
+          Preview
+        </button>
         <button className={styles.button} onClick={handleSubmit} disabled={busy}>
           {busy ? "Generating…" : "Download Files"}
         </button>
+        {progress && (
+          <Progress
+            rows={progress.rows}
+            running={progress.running}
+            cancelled={progress.cancelled}
+            onCancel={() => abortRef.current?.abort()}
+          />
+        )}
+        {warnings.length > 0 && (
+          <ul className={styles.warnings} aria-label="Warnings">
+            {warnings.map((w, i) => (
+              <li key={i}>{w}</li>
+            ))}
+          </ul>
+        )}
       </div>
+      {previewData && <Preview {...previewData} onClose={() => setPreviewData(null)} />}
     </div>
   );
 }
@@ -6,9 +6,11 @@ import * as Download from '../Output/DownloadFiles';
 // Mock file-saver so no real files are downloaded
 jest.mock('file-saver', () => ({ saveAs: jest.fn() }));
 
-// Mock the HTML and CSS generator functions
-jest.spyOn(Download, 'generateHtmlFromFrame').mockReturnValue('<html></html>');
-jest.spyOn(Download, 'generateCssFromFrame').mockReturnValue('/* css */');
+// Watch the tree builder and mock the HTML and CSS writers
+const { buildTree } = Download;
+jest.spyOn(Download, 'buildTree');
+jest.spyOn(Download, 'treeToHtml').mockReturnValue('<html></html>');
+jest.spyOn(Download, 'treeToCss').mockReturnValue('/* css */');
 
 // Fake data for Figma API responses
 const mockFilePayload = {
@@ -47,8 +49,15 @@ const mockNodesPayload = {
 
 // Mock fetch to return fake Figma data for each request
 beforeEach(() => {
+  // resetMocks clears the implementations above before each test, so they are set again here
+  Download.buildTree.mockImplementation(buildTree);
+  Download.treeToHtml.mockReturnValue('<html></html>');
+  Download.treeToCss.mockReturnValue('/* css */');
   global.fetch = jest.fn((url) => {
     const s = String(url);
+    if (s.includes('/v1/files/') && s.endsWith('/images')) {
+      return Promise.resolve(new Response(JSON.stringify({ meta: { images: {} } })));
+    }
     if (s.includes('/v1/files/') && !s.includes('/nodes')) {
       return Promise.resolve(new Response(JSON.stringify(mockFilePayload)));
     }
@@ -81,7 +90,7 @@ test('blocks invalid url', async () => {
   const input = screen.getByPlaceholderText(/Paste any Figma template link/i);
   fireEvent.change(input, { target: { value: 'https://example.com/not-figma' } });
   jest.spyOn(window, 'alert').mockImplementation(() => {});
-  fireEvent.click(screen.getByRole('button'));
+  fireEvent.click(screen.getByRole('button', { name: /Download Files/i }));
   expect(window.alert).toHaveBeenCalledWith('Enter a valid Figma URL.');
 });
 
@@ -95,11 +104,646 @@ test('calls generators and saves files for a valid figma url', async () => {
     target: { value: 'https://www.figma.com/design/1234567890ABCDEFGHIJKL' }
   });
 
-  fireEvent.click(screen.getByRole('button'));
+  fireEvent.click(screen.getByRole('button', { name: /Download Files/i }));
+
+  // Wait until the page is written; the screen's tree is built once for its page and stylesheet
+  await waitFor(() => expect(Download.treeToHtml).toHaveBeenCalledTimes(1));
+  expect(Download.treeToCss).toHaveBeenCalledTimes(1);
+  expect(Download.buildTree).toHaveBeenCalledTimes(1);
+});
+
+// Test: preview checkbox is passed through to both generators
+test('passes preview mode to the generators when checked', async () => {
+  render(<Input />);
+  fireEvent.change(screen.getByPlaceholderText(/Paste any Figma template link/i), {
+    target: { value: 'https://www.figma.com/design/1234567890ABCDEFGHIJKL' }
+  });
+  fireEvent.click(screen.getByRole('checkbox', { name: /Preview mode/i }));
+  fireEvent.click(screen.getByRole('button', { name: /Download Files/i }));
 
-  // Wait until the mock generator functions are called
   await waitFor(() => {
-    expect(Download.generateHtmlFromFrame).toHaveBeenCalledTimes(1);
-    expect(Download.generateCssFromFrame).toHaveBeenCalledTimes(1);
+    expect(Download.treeToHtml).toHaveBeenCalledWith(
+      expect.anything(), 'styles.css', { preview: true, fragment: false, fonts: null, lang: 'en' }
+    );
+  });
+  expect(Download.treeToCss).toHaveBeenCalledWith(expect.anything(), { preview: true });
+  expect(Download.buildTree).toHaveBeenCalledWith(
+    expect.anything(), {}, { preview: true, svgs: {}, tokens: null, semantics: expect.any(Map), components: {}, plugins: [] }
+  );
+});
+
+// Test: image fills resolved by /files/:key/images are passed to the generators and not rasterized
+test('uses image fill urls instead of rendering image-filled nodes', async () => {
+  const imageNode = {
+    id: 'PHOTO',
+    type: 'RECTANGLE',
+    visible: true,
+    absoluteBoundingBox: { x: 0, y: 0, width: 100, height: 100 },
+    fills: [{ type: 'IMAGE', imageRef: 'ref1' }]
+  };
+  const nodes = { nodes: { FRAME_A: { document: { ...mockNodesPayload.nodes.FRAME_A.document, children: [imageNode] } } } };
+  global.fetch = jest.fn((url) => {
+    const s = String(url);
+    if (s.endsWith('/images')) {
+      return Promise.resolve(new Response(JSON.stringify({ meta: { images: { ref1: 'https://cdn/ref1.png', unused: 'https://cdn/unused.png' } } })));
+    }
+    if (s === 'https://cdn/ref1.png') {
+      return Promise.resolve(new Response(new Uint8Array([1, 2, 3]), { headers: { 'content-type': 'image/png' } }));
+    }
+    if (s.includes('/nodes')) return Promise.resolve(new Response(JSON.stringify(nodes)));
+    if (s.includes('/v1/files/')) return Promise.resolve(new Response(JSON.stringify(mockFilePayload)));
+    return Promise.reject(new Error('unexpected url ' + url));
+  });
+
+  render(<Input />);
+  fireEvent.change(screen.getByPlaceholderText(/Paste any Figma template link/i), {
+    target: { value: 'https://www.figma.com/design/1234567890ABCDEFGHIJKL' }
+  });
+  fireEvent.click(screen.getByRole('button', { name: /Download Files/i }));
+
+  await waitFor(() => {
+    expect(Download.buildTree).toHaveBeenCalledWith(
+      expect.anything(), { ref1: expect.stringMatching(/^assets\/[0-9a-f]{8}\.png$/) }, expect.objectContaining({ preview: false, svgs: {} })
+    );
+  });
+  // nothing left to rasterize, so /v1/images is never called, and unused fills are not downloaded
+  const urls = global.fetch.mock.calls.map(([u]) => String(u));
+  expect(urls.some((u) => u.includes('/v1/images/'))).toBe(false);
+  expect(urls).not.toContain('https://cdn/unused.png');
+});
+
+// Frame with one icon vector and one plain circle, for the SVG export tests
+const withVectors = () => {
+  const icon = {
+    id: '1:2',
+    type: 'VECTOR',
+    visible: true,
+    absoluteBoundingBox: { x: 0, y: 0, width: 24, height: 24 },
+    fills: [{ type: 'SOLID', color: { r: 0, g: 0, b: 0, a: 1 } }]
+  };
+  const dot = { ...icon, id: '1:3', type: 'ELLIPSE' };
+  const nodes = { nodes: { FRAME_A: { document: { ...mockNodesPayload.nodes.FRAME_A.document, children: [icon, dot] } } } };
+  global.fetch = jest.fn((url) => {
+    const s = String(url);
+    if (s.endsWith('/images')) return Promise.resolve(new Response(JSON.stringify({ meta: { images: {} } })));
+    if (s.includes('/nodes')) return Promise.resolve(new Response(JSON.stringify(nodes)));
+    if (s.includes('/v1/files/')) return Promise.resolve(new Response(JSON.stringify(mockFilePayload)));
+    if (s.includes('/v1/images/')) {
+      return Promise.resolve(new Response(JSON.stringify({ images: { '1:2': 'https://cdn/icon.svg' } })));
+    }
+    if (s === 'https://cdn/icon.svg') return Promise.resolve(new Response('<svg><path fill="#000000"/></svg>'));
+    return Promise.reject(new Error('unexpected url ' + url));
+  });
+};
+
+const exportWithVectors = (format) => {
+  render(<Input />);
+  fireEvent.change(screen.getByPlaceholderText(/Paste any Figma template link/i), {
+    target: { value: 'https://www.figma.com/design/1234567890ABCDEFGHIJKL' }
+  });
+  fireEvent.change(screen.getByRole('combobox', { name: /Vectors/i }), { target: { value: format } });
+  fireEvent.click(screen.getByRole('button', { name: /Download Files/i }));
+};
+
+// Test: inline SVG mode fetches vectors as SVG markup and skips plain circles
+test('inlines vectors as svg markup', async () => {
+  withVectors();
+  exportWithVectors('svg-inline');
+
+  await waitFor(() => {
+    expect(Download.buildTree).toHaveBeenCalledWith(
+      expect.anything(), {}, expect.objectContaining({ svgs: { '1:2': '<svg><path fill="#000000"/></svg>' } })
+    );
+  });
+  const imageCall = global.fetch.mock.calls.map(([u]) => String(u)).find((u) => u.includes('/v1/images/'));
+  expect(imageCall).toContain('format=svg');
+  expect(imageCall).toContain(encodeURIComponent('1:2'));
+  expect(imageCall).not.toContain(encodeURIComponent('1:3'));
+});
+
+// Test: SVG file mode stores each vector in assets/ and references it from the page
+test('saves vectors as separate svg files', async () => {
+  withVectors();
+  exportWithVectors('svg-file');
+
+  await waitFor(() => {
+    expect(Download.buildTree).toHaveBeenCalledWith(
+      expect.anything(), { '1:2': expect.stringMatching(/^assets\/[0-9a-f]{8}\.svg$/) }, expect.objectContaining({ svgs: {} })
+    );
+  });
+});
+
+// Test: all screens go into a single ZIP download
+test('downloads one zip for the whole file', async () => {
+  const { saveAs } = require('file-saver');
+  const { document: { children: [page] } } = mockFilePayload;
+  const { children: [frame] } = page;
+  const twoScreens = {
+    name: 'My File',
+    document: {
+      ...mockFilePayload.document,
+      children: [{ ...page, children: [frame, { ...frame, id: 'FRAME_B', name: 'Screen A' }] }]
+    }
+  };
+  global.fetch = jest.fn((url) => {
+    const s = String(url);
+    if (s.endsWith('/images')) return Promise.resolve(new Response(JSON.stringify({ meta: { images: {} } })));
+    if (s.includes('/nodes')) {
+      const id = decodeURIComponent(s.match(/ids=([^&]+)/)[1]);
+      const doc = { ...mockNodesPayload.nodes.FRAME_A.document, id };
+      return Promise.resolve(new Response(JSON.stringify({ nodes: { [id]: { document: doc } } })));
+    }
+    if (s.includes('/v1/files/')) return Promise.resolve(new Response(JSON.stringify(twoScreens)));
+    return Promise.resolve(new Response(JSON.stringify({ images: {} })));
+  });
+
+  render(<Input />);
+  fireEvent.change(screen.getByPlaceholderText(/Paste any Figma template link/i), {
+    target: { value: 'https://www.figma.com/design/1234567890ABCDEFGHIJKL' }
+  });
+  fireEvent.click(screen.getByRole('button', { name: /Download Files/i }));
+
+  await waitFor(() => expect(saveAs).toHaveBeenCalledTimes(1));
+  expect(saveAs).toHaveBeenCalledWith(expect.any(Blob), 'My-File.zip');
+  expect(Download.treeToHtml).toHaveBeenCalledTimes(2);
+});
+
+// Test: a node-id in the link exports only that node, without fetching the whole file
+test('exports only the node from the node-id query parameter', async () => {
+  render(<Input />);
+  fireEvent.change(screen.getByPlaceholderText(/Paste any Figma template link/i), {
+    target: { value: 'https://www.figma.com/design/1234567890ABCDEFGHIJKL/Name?node-id=12-34&t=abc' }
+  });
+  // no picker is offered when the link already targets a node
+  expect(screen.queryByRole('button', { name: /Choose Frames/i })).not.toBeInTheDocument();
+  global.fetch = jest.fn((url) => {
+    const s = String(url);
+    if (s.endsWith('/images')) return Promise.resolve(new Response(JSON.stringify({ meta: { images: {} } })));
+    if (s.includes('/nodes')) {
+      const doc = { ...mockNodesPayload.nodes.FRAME_A.document, id: '12:34' };
+      return Promise.resolve(new Response(JSON.stringify({ name: 'File', nodes: { '12:34': { document: doc } } })));
+    }
+    if (s.includes('/v1/images/')) return Promise.resolve(new Response(JSON.stringify({ images: {} })));
+    return Promise.reject(new Error('unexpected url ' + url));
+  });
+  fireEvent.click(screen.getByRole('button', { name: /Download Files/i }));
+
+  await waitFor(() => expect(Download.treeToHtml).toHaveBeenCalledTimes(1));
+  const urls = global.fetch.mock.calls.map(([u]) => String(u));
+  expect(urls.some((u) => u.includes(`nodes?ids=${encodeURIComponent('12:34')}`))).toBe(true);
+  expect(urls.some((u) => /\/v1\/files\/[A-Za-z0-9]{22}$/.test(u))).toBe(false);
+});
+
+// Test: the picker lists pages and frames and only the ticked frames are exported
+test('lets the user pick which frames to export', async () => {
+  const file = {
+    name: 'Picker File',
+    document: {
+      id: '0:0',
+      type: 'DOCUMENT',
+      children: [
+        { id: 'P1', type: 'CANVAS', name: 'Page 1', children: [
+          { id: 'FRAME_A', type: 'FRAME', name: 'Screen A', absoluteBoundingBox: { x: 0, y: 0, width: 10, height: 10 } },
+          { id: 'FRAME_B', type: 'FRAME', name: 'Screen B', absoluteBoundingBox: { x: 0, y: 0, width: 10, height: 10 } },
+        ] },
+      ]
+    }
+  };
+  global.fetch = jest.fn((url) => {
+    const s = String(url);
+    if (s.endsWith('/images')) return Promise.resolve(new Response(JSON.stringify({ meta: { images: {} } })));
+    if (s.includes('/nodes')) return Promise.resolve(new Response(JSON.stringify(mockNodesPayload)));
+    if (s.includes('/v1/files/')) return Promise.resolve(new Response(JSON.stringify(file)));
+    if (s.includes('/v1/images/')) {
+      return Promise.resolve(new Response(JSON.stringify({ images: { FRAME_A: 'https://cdn/a.png' } })));
+    }
+    return Promise.reject(new Error('unexpected url ' + url));
+  });
+
+  render(<Input />);
+  fireEvent.change(screen.getByPlaceholderText(/Paste any Figma template link/i), {
+    target: { value: 'https://www.figma.com/design/1234567890ABCDEFGHIJKL' }
+  });
+  fireEvent.click(screen.getByRole('button', { name: /Choose Frames/i }));
+
+  const frameA = await screen.findByRole('checkbox', { name: /Screen A/i });
+  expect(screen.getByRole('checkbox', { name: /Screen B/i })).toBeInTheDocument();
+  expect(screen.getByText('Page 1')).toBeInTheDocument();
+  // the thumbnail is decorative (alt=""), so it has the presentation role
+  expect(await screen.findByRole('presentation')).toHaveAttribute('src', 'https://cdn/a.png');
+
+  fireEvent.click(frameA);
+  expect(screen.getByText('1 frame selected')).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: /Download Files/i }));
+
+  await waitFor(() => expect(Download.treeToHtml).toHaveBeenCalledTimes(1));
+  const nodeCalls = global.fetch.mock.calls.map(([u]) => String(u)).filter((u) => u.includes('/nodes'));
+  expect(nodeCalls).toHaveLength(1);
+  expect(nodeCalls[0]).toContain('ids=FRAME_A');
+});
+
+// Test: preview renders the first screen in the page instead of downloading
+test('previews the generated page next to the figma render', async () => {
+  const { saveAs } = require('file-saver');
+  Download.treeToHtml.mockReturnValue('<html><head></head><body></body></html>');
+  global.fetch = jest.fn((url) => {
+    const s = String(url);
+    if (s.endsWith('/images')) return Promise.resolve(new Response(JSON.stringify({ meta: { images: {} } })));
+    if (s.includes('/nodes')) return Promise.resolve(new Response(JSON.stringify(mockNodesPayload)));
+    if (s.includes('/v1/files/')) return Promise.resolve(new Response(JSON.stringify(mockFilePayload)));
+    if (s.includes('/v1/images/')) {
+      return Promise.resolve(new Response(JSON.stringify({ images: { FRAME_A: 'https://cdn/frame.png' } })));
+    }
+    return Promise.reject(new Error('unexpected url ' + url));
+  });
+
+  render(<Input />);
+  fireEvent.change(screen.getByPlaceholderText(/Paste any Figma template link/i), {
+    target: { value: 'https://www.figma.com/design/1234567890ABCDEFGHIJKL' }
+  });
+  fireEvent.click(screen.getByRole('button', { name: 'Preview' }));
+
+  expect(await screen.findByTitle('Generated page')).toBeInTheDocument();
+  expect(screen.getByAltText('Figma render')).toHaveAttribute('src', 'https://cdn/frame.png');
+  const urls = global.fetch.mock.calls.map(([u]) => String(u));
+  expect(urls.some((u) => u.includes('ids=FRAME_A&format=png&scale=1'))).toBe(true);
+  expect(saveAs).not.toHaveBeenCalled();
+
+  fireEvent.click(screen.getByRole('button', { name: /Close preview/i }));
+  expect(screen.queryByTitle('Generated page')).not.toBeInTheDocument();
+});
+
+// Test: an uploaded JSON plus images converts with no network and no token
+test('converts an uploaded figma json offline', async () => {
+  const { saveAs } = require('file-saver');
+  delete process.env.REACT_APP_FIGMA_TOKEN;
+  global.fetch = jest.fn(() => Promise.reject(new Error('offline')));
+  const photo = {
+    id: '1:5',
+    type: 'RECTANGLE',
+    absoluteBoundingBox: { x: 0, y: 0, width: 10, height: 10 },
+    fills: [{ type: 'IMAGE', imageRef: 'ref1' }]
+  };
+  const saved = { name: 'Saved', nodes: { FRAME_A: { document: { ...mockNodesPayload.nodes.FRAME_A.document, children: [photo] } } } };
+
+  render(<Input />);
+  fireEvent.change(screen.getByLabelText(/saved Figma JSON/i), {
+    target: {
+      files: [
+        new File([JSON.stringify(saved)], 'saved.json', { type: 'application/json' }),
+        new File([new Uint8Array([1, 2, 3])], 'ref1.png', { type: 'image/png' }),
+      ]
+    }
+  });
+  expect(await screen.findByText('Saved')).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: /Download Files/i }));
+
+  await waitFor(() => expect(saveAs).toHaveBeenCalledWith(expect.any(Blob), 'Saved.zip'));
+  expect(Download.buildTree).toHaveBeenCalledWith(
+    expect.objectContaining({ id: 'FRAME_A' }),
+    { ref1: expect.stringMatching(/^assets\/[0-9a-f]{8}\.png$/) },
+    expect.objectContaining({ preview: false, svgs: {} })
+  );
+  expect(global.fetch).not.toHaveBeenCalled();
+});
+
+// Test: API failures reach the user as a readable message instead of "No exportable frame found."
+test('reports a refused token', async () => {
+  global.fetch = jest.fn(() =>
+    Promise.resolve(new Response(JSON.stringify({ status: 403, err: 'Invalid token' }), { status: 403 }))
+  );
+  jest.spyOn(window, 'alert').mockImplementation(() => {});
+  render(<Input />);
+  fireEvent.change(screen.getByPlaceholderText(/Paste any Figma template link/i), {
+    target: { value: 'https://www.figma.com/design/1234567890ABCDEFGHIJKL' }
+  });
+  fireEvent.click(screen.getByRole('button', { name: /Download Files/i }));
+
+  await waitFor(() => expect(window.alert).toHaveBeenCalledWith(expect.stringMatching(/refused the token/)));
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+});
+
+// Test: nodes Figma could not render are listed after the export
+test('lists images figma could not render', async () => {
+  const icon = { id: '1:2', type: 'VECTOR', absoluteBoundingBox: { x: 0, y: 0, width: 24, height: 24 } };
+  const nodes = { nodes: { FRAME_A: { document: { ...mockNodesPayload.nodes.FRAME_A.document, children: [icon] } } } };
+  global.fetch = jest.fn((url) => {
+    const s = String(url);
+    if (s.endsWith('/images')) return Promise.resolve(new Response(JSON.stringify({ meta: { images: {} } })));
+    if (s.includes('/nodes')) return Promise.resolve(new Response(JSON.stringify(nodes)));
+    if (s.includes('/v1/files/')) return Promise.resolve(new Response(JSON.stringify(mockFilePayload)));
+    if (s.includes('/v1/images/')) return Promise.resolve(new Response(JSON.stringify({ images: { '1:2': null } })));
+    return Promise.reject(new Error('unexpected url ' + url));
+  });
+  const { saveAs } = require('file-saver');
+  render(<Input />);
+  fireEvent.change(screen.getByPlaceholderText(/Paste any Figma template link/i), {
+    target: { value: 'https://www.figma.com/design/1234567890ABCDEFGHIJKL' }
+  });
+  fireEvent.click(screen.getByRole('button', { name: /Download Files/i }));
+
+  await waitFor(() => expect(saveAs).toHaveBeenCalled());
+  expect(await screen.findByRole('list', { name: 'Warnings' })).toHaveTextContent('Figma could not render 1:2 as PNG.');
+});
+
+// File with two screens, for the progress tests
+const twoScreens = {
+  name: 'Two',
+  document: {
+    id: 'ROOT',
+    type: 'DOCUMENT',
+    children: [{
+      id: 'PAGE',
+      type: 'CANVAS',
+      children: ['FRAME_A', 'FRAME_B'].map((id, i) => ({
+        id,
+        type: 'FRAME',
+        name: `Screen ${'AB'[i]}`,
+        absoluteBoundingBox: { x: 0, y: 0, width: 400, height: 300 },
+        children: []
+      }))
+    }]
+  }
+};
+
+// Test: one failing screen is reported and the others are still exported
+test('keeps exporting when one screen fails and summarizes the failure', async () => {
+  const { saveAs } = require('file-saver');
+  jest.spyOn(window, 'alert').mockImplementation(() => {});
+  global.fetch = jest.fn((url) => {
+    const s = String(url);
+    if (s.endsWith('/images')) return Promise.resolve(new Response(JSON.stringify({ meta: { images: {} } })));
+    if (s.includes('ids=FRAME_B')) {
+      return Promise.resolve(new Response(JSON.stringify({ status: 404, err: 'Not found' }), { status: 404 }));
+    }
+    if (s.includes('/nodes')) return Promise.resolve(new Response(JSON.stringify(mockNodesPayload)));
+    if (s.includes('/v1/files/')) return Promise.resolve(new Response(JSON.stringify(twoScreens)));
+    return Promise.reject(new Error('unexpected url ' + url));
+  });
+
+  render(<Input />);
+  fireEvent.change(screen.getByPlaceholderText(/Paste any Figma template link/i), {
+    target: { value: 'https://www.figma.com/design/1234567890ABCDEFGHIJKL' }
+  });
+  fireEvent.click(screen.getByRole('button', { name: /Download Files/i }));
+
+  const summary = await screen.findByRole('status');
+  expect(summary).toHaveTextContent('Exported 1 of 2 screens.');
+  expect(summary).toHaveTextContent('Screen B: Figma file not found (Not found). Check the link.');
+  expect(saveAs).toHaveBeenCalledTimes(1);
+  expect(window.alert).not.toHaveBeenCalled();
+});
+
+// Test: Cancel aborts the requests in flight and nothing is downloaded
+test('cancels a running export', async () => {
+  const { saveAs } = require('file-saver');
+  jest.spyOn(window, 'alert').mockImplementation(() => {});
+  global.fetch = jest.fn((url, init) => {
+    const s = String(url);
+    if (s.endsWith('/images')) return Promise.resolve(new Response(JSON.stringify({ meta: { images: {} } })));
+    if (s.includes('/nodes')) {
+      // hangs until aborted
+      return new Promise((resolve, reject) => {
+        init.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+      });
+    }
+    if (s.includes('/v1/files/')) return Promise.resolve(new Response(JSON.stringify(twoScreens)));
+    return Promise.reject(new Error('unexpected url ' + url));
+  });
+
+  render(<Input />);
+  fireEvent.change(screen.getByPlaceholderText(/Paste any Figma template link/i), {
+    target: { value: 'https://www.figma.com/design/1234567890ABCDEFGHIJKL' }
+  });
+  fireEvent.click(screen.getByRole('button', { name: /Download Files/i }));
+
+  expect(await screen.findByText('Fetching nodes')).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+
+  expect(await screen.findByRole('status')).toHaveTextContent('Export cancelled after 0 of 2 screens.');
+  expect(screen.getAllByText('Cancelled')).toHaveLength(2);
+  expect(saveAs).not.toHaveBeenCalled();
+  expect(window.alert).not.toHaveBeenCalled();
+});
+
+// Test: design tokens add a token sheet to styles.css and a tokens.json to the ZIP
+test('exports design tokens from local variables', async () => {
+  const JSZip = require('jszip');
+  const { saveAs } = require('file-saver');
+  const meta = {
+    variableCollections: { C: { id: 'C', defaultModeId: 'm1', modes: [{ modeId: 'm1', name: 'Light' }, { modeId: 'm2', name: 'Dark' }] } },
+    variables: {
+      'V:1': { id: 'V:1', name: 'Brand', resolvedType: 'COLOR', variableCollectionId: 'C', valuesByMode: { m1: { r: 1, g: 0, b: 0, a: 1 }, m2: { r: 0, g: 0, b: 0, a: 1 } } }
+    }
+  };
+  global.fetch = jest.fn((url) => {
+    const s = String(url);
+    if (s.endsWith('/variables/local')) return Promise.resolve(new Response(JSON.stringify({ meta })));
+    if (s.endsWith('/images')) return Promise.resolve(new Response(JSON.stringify({ meta: { images: {} } })));
+    if (s.includes('/nodes')) return Promise.resolve(new Response(JSON.stringify(mockNodesPayload)));
+    if (s.includes('/v1/files/')) return Promise.resolve(new Response(JSON.stringify(mockFilePayload)));
+    return Promise.reject(new Error('unexpected url ' + url));
+  });
+
+  render(<Input />);
+  fireEvent.change(screen.getByPlaceholderText(/Paste any Figma template link/i), {
+    target: { value: 'https://www.figma.com/design/1234567890ABCDEFGHIJKL' }
   });
+  fireEvent.click(screen.getByRole('checkbox', { name: /Design tokens/i }));
+  fireEvent.click(screen.getByRole('button', { name: /Download Files/i }));
+
+  await waitFor(() => expect(saveAs).toHaveBeenCalled());
+  expect(Download.buildTree).toHaveBeenCalledWith(
+    expect.anything(), {}, expect.objectContaining({ tokens: expect.objectContaining({ variable: expect.any(Function) }) })
+  );
+  const zip = await JSZip.loadAsync(await new Response(saveAs.mock.calls[0][0]).arrayBuffer());
+  const css = await zip.file('styles.css').async('string');
+  expect(css).toMatch(/^\/\* Design tokens \*\/\n:root \{\n {2}--color-brand: rgba\(255, 0, 0, 1\);/);
+  expect(css).toContain('[data-theme="dark"]');
+  expect(css).toContain('/* css */');
+  expect(JSON.parse(await zip.file('tokens.json').async('string')).color.brand.$value).toBe('#ff0000');
+});
+
+// Test: without Variables API access the export still runs and says why variables are missing
+test('skips variables when the api refuses them', async () => {
+  const { saveAs } = require('file-saver');
+  global.fetch = jest.fn((url) => {
+    const s = String(url);
+    if (s.endsWith('/variables/local')) {
+      return Promise.resolve(new Response(JSON.stringify({ status: 403, err: 'Limited by Figma plan' }), { status: 403 }));
+    }
+    if (s.endsWith('/images')) return Promise.resolve(new Response(JSON.stringify({ meta: { images: {} } })));
+    if (s.includes('/nodes')) return Promise.resolve(new Response(JSON.stringify(mockNodesPayload)));
+    if (s.includes('/v1/files/')) return Promise.resolve(new Response(JSON.stringify(mockFilePayload)));
+    return Promise.reject(new Error('unexpected url ' + url));
+  });
+
+  render(<Input />);
+  fireEvent.change(screen.getByPlaceholderText(/Paste any Figma template link/i), {
+    target: { value: 'https://www.figma.com/design/1234567890ABCDEFGHIJKL' }
+  });
+  fireEvent.click(screen.getByRole('checkbox', { name: /Design tokens/i }));
+  fireEvent.click(screen.getByRole('button', { name: /Download Files/i }));
+
+  await waitFor(() => expect(saveAs).toHaveBeenCalled());
+  expect(await screen.findByRole('list', { name: 'Warnings' })).toHaveTextContent('Variables were skipped: Figma refused the token (Limited by Figma plan).');
+});
+
+// Test: React mode zips a component and CSS Module per screen instead of HTML pages
+test('exports react components', async () => {
+  const JSZip = require('jszip');
+  const { saveAs } = require('file-saver');
+
+  render(<Input />);
+  fireEvent.change(screen.getByPlaceholderText(/Paste any Figma template link/i), {
+    target: { value: 'https://www.figma.com/design/1234567890ABCDEFGHIJKL' }
+  });
+  fireEvent.change(screen.getByRole('combobox', { name: /Output/i }), { target: { value: 'react' } });
+  fireEvent.click(screen.getByRole('button', { name: /Download Files/i }));
+
+  await waitFor(() => expect(saveAs).toHaveBeenCalled());
+  expect(Download.treeToHtml).not.toHaveBeenCalled();
+  const zip = await JSZip.loadAsync(await new Response(saveAs.mock.calls[0][0]).arrayBuffer());
+  expect(Object.keys(zip.files).sort()).toEqual(['ScreenA.jsx', 'ScreenA.module.css', 'a11y-report.json', 'index.js']);
+  expect(await zip.file('index.js').async('string')).toBe('export { default as ScreenA } from "./ScreenA";\n');
+});
+
+// Test: Tailwind mode puts utility classes on the page and a tailwind.config.js in the ZIP
+test('exports tailwind pages with a config', async () => {
+  const JSZip = require('jszip');
+  const { saveAs } = require('file-saver');
+  Download.treeToHtml.mockReturnValue(
+    '<html><head><link rel="stylesheet" href="./styles.css"/></head><body><div class="n_FRAME_A"></div></body></html>'
+  );
+  Download.treeToCss.mockReturnValue('.n_FRAME_A {\n  position: relative;\n  width: 100%;\n}\n');
+
+  render(<Input />);
+  fireEvent.change(screen.getByPlaceholderText(/Paste any Figma template link/i), {
+    target: { value: 'https://www.figma.com/design/1234567890ABCDEFGHIJKL' }
+  });
+  fireEvent.change(screen.getByRole('combobox', { name: /Output/i }), { target: { value: 'tailwind' } });
+  expect(screen.getByRole('checkbox', { name: /tailwind.config.js/i })).toBeChecked();
+  fireEvent.click(screen.getByRole('button', { name: /Download Files/i }));
+
+  await waitFor(() => expect(saveAs).toHaveBeenCalled());
+  const zip = await JSZip.loadAsync(await new Response(saveAs.mock.calls[0][0]).arrayBuffer());
+  const page = await zip.file('Screen-A.html').async('string');
+  expect(page).toContain('<div class="relative w-full"></div>');
+  expect(page).not.toContain('<script');
+  expect(await zip.file('tailwind.config.js').async('string')).toContain('module.exports = config');
+  const css = await zip.file('styles.css').async('string');
+  expect(css).toContain('.relative {\n  position: relative;\n}\n.w-full {\n  width: 100%;\n}\n');
+  expect(css).not.toContain('@tailwind');
+});
+
+// Test: readable class names rename the page and stylesheet together, and minify shrinks styles.css
+test('exports readable, minified class names', async () => {
+  const JSZip = require('jszip');
+  const { saveAs } = require('file-saver');
+  Download.treeToHtml.mockReturnValue('<html><body><div class="n_FRAME_A"></div></body></html>');
+  Download.treeToCss.mockReturnValue('.n_FRAME_A {\n  position: relative;\n  color: red;\n}\n');
+
+  render(<Input />);
+  fireEvent.change(screen.getByPlaceholderText(/Paste any Figma template link/i), {
+    target: { value: 'https://www.figma.com/design/1234567890ABCDEFGHIJKL' }
+  });
+  fireEvent.click(screen.getByRole('checkbox', { name: /Class names from layer names/i }));
+  fireEvent.click(screen.getByRole('checkbox', { name: /Minify/i }));
+  fireEvent.click(screen.getByRole('button', { name: /Download Files/i }));
+
+  await waitFor(() => expect(saveAs).toHaveBeenCalled());
+  const zip = await JSZip.loadAsync(await new Response(saveAs.mock.calls[0][0]).arrayBuffer());
+  expect(await zip.file('Screen-A.html').async('string')).toContain('<div class="screen-a"></div>');
+  expect(await zip.file('styles.css').async('string')).toBe('.screen-a{position:relative}.screen-a{color:red}');
+});
+
+// Test: an uploaded config names the team's own layers; a bad one is reported right away
+test('uses uploaded layer name rules for semantic html', async () => {
+  window.alert = jest.fn();
+  render(<Input />);
+  fireEvent.change(screen.getByPlaceholderText(/Paste any Figma template link/i), {
+    target: { value: 'https://www.figma.com/design/1234567890ABCDEFGHIJKL' }
+  });
+  const picker = screen.getByLabelText(/Layer name rules/i);
+  fireEvent.change(picker, { target: { files: [new File(['{"tags": {"Screen": "script"}}'], 'rules.json')] } });
+  await waitFor(() => expect(window.alert).toHaveBeenCalledWith(expect.stringMatching(/^rules.json: "Screen" maps to "script"/)));
+
+  fireEvent.change(picker, { target: { files: [new File(['{"tags": {"Screen A": "main"}}'], 'rules.json')] } });
+  await screen.findByText(/Layer name rules loaded/i);
+  fireEvent.click(screen.getByRole('button', { name: /Download Files/i }));
+
+  await waitFor(() => expect(Download.buildTree).toHaveBeenCalled());
+  const { semantics } = Download.buildTree.mock.calls[0][2];
+  expect(semantics.get('FRAME_A')).toEqual({ tag: 'main' });
+});
+
+// Test: clicks in the prototype link the pages, overlays open as dialogs and the index lists the flows
+test('exports a clickable prototype', async () => {
+  const JSZip = require('jszip');
+  const { saveAs } = require('file-saver');
+  const screenNode = (id, name, children = [], extra = {}) => ({
+    id,
+    type: 'FRAME',
+    name,
+    absoluteBoundingBox: { x: 0, y: 0, width: 400, height: 300 },
+    children,
+    ...extra
+  });
+  const click = (action) => [{ trigger: { type: 'ON_CLICK' }, actions: [action] }];
+  const nodes = {
+    A: screenNode('A', 'Home', [
+      screenNode('A1', 'Next', [], { reactions: click({ type: 'NODE', destinationId: 'B', navigation: 'NAVIGATE' }) }),
+      screenNode('A2', 'Open', [], { reactions: click({ type: 'NODE', destinationId: 'M', navigation: 'OVERLAY' }) })
+    ]),
+    B: screenNode('B', 'Details'),
+    M: screenNode('M', 'Menu', [], { overlayPositionType: 'CENTER' })
+  };
+  const file = {
+    name: 'Proto',
+    document: {
+      id: 'ROOT',
+      type: 'DOCUMENT',
+      children: [{
+        id: 'PAGE',
+        type: 'CANVAS',
+        flowStartingPoints: [{ nodeId: 'A', name: 'Main flow' }],
+        children: [nodes.A, nodes.B]
+      }]
+    }
+  };
+  global.fetch = jest.fn((url) => {
+    const s = String(url);
+    if (s.endsWith('/images')) return Promise.resolve(new Response(JSON.stringify({ meta: { images: {} } })));
+    if (s.includes('/nodes')) {
+      const id = decodeURIComponent(s.match(/ids=([^&]+)/)[1]);
+      return Promise.resolve(new Response(JSON.stringify({ nodes: { [id]: { document: nodes[id] } } })));
+    }
+    if (s.includes('/v1/files/')) return Promise.resolve(new Response(JSON.stringify(file)));
+    return Promise.resolve(new Response(JSON.stringify({ images: {} })));
+  });
+  // writes the frame's child elements with their tags and attributes, so the links can be followed in the ZIP
+  Download.treeToHtml.mockImplementation(({ children: elements }, cssFileName, { fragment }) => {
+    const body = elements
+      .map(({ tag, attrs, node: { id } }) => {
+        const list = Object.entries(attrs || {}).map(([k, v]) => (v === '' ? ` ${k}` : ` ${k}="${v}"`)).join('');
+        return `<${tag} data-id="${id}"${list}></${tag}>`;
+      })
+      .join('');
+    return fragment ? `<div>${body}</div>` : `<html>\n<body>\n  <div id="frame">${body}</div>\n</body>\n</html>`;
+  });
+
+  render(<Input />);
+  fireEvent.change(screen.getByPlaceholderText(/Paste any Figma template link/i), {
+    target: { value: 'https://www.figma.com/design/1234567890ABCDEFGHIJKL' }
+  });
+  fireEvent.click(screen.getByRole('button', { name: /Download Files/i }));
+
+  await waitFor(() => expect(saveAs).toHaveBeenCalled());
+  const zip = await JSZip.loadAsync(await new Response(saveAs.mock.calls[0][0]).arrayBuffer());
+  const home = await zip.file('Home.html').async('string');
+  expect(home).toContain('<a data-id="A1" href="./Details.html"></a>');
+  expect(home).toContain('<button data-id="A2" type="button" data-overlay="overlay-M"></button>');
+  expect(home).toContain('<dialog id="overlay-M"><div></div></dialog>');
+  expect(await zip.file('styles.css').async('string')).toContain('#overlay-M {\n  width: 400px;');
+  expect(await zip.file('index.html').async('string')).toContain('<li><a href="./Home.html">Main flow</a></li>');
 });
@@ -0,0 +1,150 @@
+// Reads a File through its Blob methods, where there is no FileReader (Node)
+const readBlob = async (file, as) => {
+  if (as === "text") return file.text();
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return `data:${file.type || "application/octet-stream"};base64,${btoa(bin)}`;
+};
+
+// Reads a File as text or as a data URL
+export const readFile = (file, as) => {
+  if (typeof FileReader === "undefined") return readBlob(file, as);
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    if (as === "text") reader.readAsText(file);
+    else reader.readAsDataURL(file);
+  });
+};
+
+// Font files by extension, with the type their data URLs carry
+const FONT_TYPES = { woff2: "font/woff2", woff: "font/woff", ttf: "font/ttf", otf: "font/otf" };
+
+/**
+ * Reads the font files the user picked as [{ name, url }], where url is a data URL of the font type
+ * (browsers report most fonts with no type at all). Throws for a file that is not a font.
+ */
+export async function readFonts(files) {
+  const out = [];
+  for (const f of Array.from(files || [])) {
+    const type = FONT_TYPES[f.name.split(".").pop().toLowerCase()];
+    if (!type) throw new Error(`${f.name} is not a font file (.woff2, .woff, .ttf or .otf).`);
+    const url = await readFile(f, "dataUrl");
+    out.push({ name: f.name, url: url.replace(/^data:[^;,]*/, `data:${type}`) });
+  }
+  return out;
+}
+
+const isPage = (n) => n?.type === "CANVAS" || n?.type === "PAGE";
+
+/**
+ * Turns a saved /v1/files or /v1/files/:key/nodes response into
+ * { name, document, styles, components, componentSets },
+ * where document is a DOCUMENT tree the online pipeline already understands.
+ * Loose nodes from a /nodes response are put on one page named after the file.
+ */
+export function normalizeDocument(json) {
+  if (json?.document?.type === "DOCUMENT") {
+    return {
+      name: json.name,
+      document: json.document,
+      styles: json.styles || {},
+      components: json.components || {},
+      componentSets: json.componentSets || {},
+    };
+  }
+  if (!json?.nodes || typeof json.nodes !== "object") {
+    throw new Error("This JSON is not a saved Figma /v1/files or /nodes response.");
+  }
+
+  const merged = (field) => Object.assign({}, ...Object.values(json.nodes).map((n) => n?.[field] || {}));
+  const styles = merged("styles");
+  const docs = Object.values(json.nodes)
+    .map((n) => n?.document)
+    .filter(Boolean)
+    .flatMap((d) => (d.type === "DOCUMENT" ? d.children || [] : [d]));
+  const pages = docs.filter(isPage);
+  const loose = docs.filter((d) => !isPage(d));
+  if (loose.length) {
+    pages.unshift({ id: "offline-page", type: "CANVAS", name: json.name || "Nodes", children: loose });
+  }
+  return {
+    name: json.name,
+    document: { id: "0:0", type: "DOCUMENT", children: pages },
+    styles,
+    components: merged("components"),
+    componentSets: merged("componentSets"),
+  };
+}
+
+// The { variables, variableCollections } of a saved /variables/local response (or of its meta), else null
+export const variablesOf = (json) =>
+  json?.meta?.variables ? json.meta : json?.variables && json?.variableCollections ? json : null;
+
+// Depth-first search for a node by id
+export function findNode(root, id) {
+  if (!root) return null;
+  if (root.id === id) return root;
+  for (const c of root.children || []) {
+    const hit = findNode(c, id);
+    if (hit) return hit;
+  }
+  return null;
+}
+
+// Image files are named after a node id ("12-34.png", "12_34.png") or a fill's imageRef ("<ref>.jpg")
+const imageKeys = (fileName) => {
+  const stem = fileName.replace(/\.[^.]+$/, "");
+  return [...new Set([stem, stem.replace(/[-_]/g, ":")])];
+};
+
+/**
+ * Reads the files the user dropped or picked: one saved Figma JSON, optionally a saved
+ * /variables/local JSON, and images.
+ * Returns { name, document, styles, components, componentSets, variables, images } where images maps a node id or imageRef to
+ * { raster, svg } data URLs of the uploaded files, so nothing is fetched from the network.
+ * A variables JSON on its own gives { document: null, variables }.
+ */
+export async function readUploads(files) {
+  const list = Array.from(files || []);
+  const jsonFiles = list.filter((f) => /\.json$/i.test(f.name) || f.type === "application/json");
+
+  const docs = [];
+  const variableFiles = [];
+  for (const f of jsonFiles) {
+    let json;
+    try {
+      json = JSON.parse(await readFile(f, "text"));
+    } catch {
+      throw new Error(`${f.name} is not valid JSON.`);
+    }
+    if (variablesOf(json)) variableFiles.push({ file: f, variables: variablesOf(json) });
+    else docs.push({ file: f, json });
+  }
+  if (docs.length > 1 || variableFiles.length > 1 || (!docs.length && !variableFiles.length)) {
+    throw new Error("Add exactly one saved Figma JSON file (plus an optional variables JSON).");
+  }
+  const variables = variableFiles[0]?.variables || null;
+  if (!docs.length) {
+    return { name: variableFiles[0].file.name, document: null, styles: {}, variables, images: {} };
+  }
+
+  const { name, document, ...meta } = normalizeDocument(docs[0].json);
+
+  const images = {};
+  for (const f of list) {
+    if (jsonFiles.includes(f)) continue;
+    const svg = /\.svg$/i.test(f.name) || f.type === "image/svg+xml";
+    if (!svg && !/^image\//.test(f.type) && !/\.(png|jpe?g|gif|webp)$/i.test(f.name)) continue;
+    // SVG stays readable text, so it can be inlined like the API's SVG exports
+    const url = svg
+      ? `data:image/svg+xml,${encodeURIComponent(await readFile(f, "text"))}`
+      : await readFile(f, "dataUrl");
+    imageKeys(f.name).forEach((k) => {
+      images[k] = { ...images[k], [svg ? "svg" : "raster"]: url };
+    });
+  }
+  return { name: name || docs[0].file.name.replace(/\.json$/i, ""), document, ...meta, variables, images };
+}
@@ -0,0 +1,68 @@
+import { findNode, normalizeDocument, readFile, readUploads } from './OfflineDocument';
+
+const frame = { id: '1:2', type: 'FRAME', name: 'Home', children: [{ id: '1:3', type: 'TEXT' }] };
+const filesResponse = {
+  name: 'Saved File',
+  document: { id: '0:0', type: 'DOCUMENT', children: [{ id: '0:1', type: 'CANVAS', name: 'Page', children: [frame] }] }
+};
+
+// Test: both saved response shapes become one DOCUMENT tree
+test('normalizes /files and /nodes responses', () => {
+  expect(normalizeDocument(filesResponse)).toEqual({
+    name: 'Saved File',
+    document: filesResponse.document,
+    styles: {},
+    components: {},
+    componentSets: {}
+  });
+
+  const fromNodes = normalizeDocument({
+    name: 'Saved File',
+    nodes: { '1:2': { document: frame, components: { 'C:1': { name: 'Button' } } } }
+  });
+  expect(fromNodes.components).toEqual({ 'C:1': { name: 'Button' } });
+  expect(fromNodes.document.type).toBe('DOCUMENT');
+  expect(fromNodes.document.children[0]).toMatchObject({ type: 'CANVAS', name: 'Saved File', children: [frame] });
+
+  expect(() => normalizeDocument({ foo: 1 })).toThrow(/not a saved Figma/);
+});
+
+// Test: nodes are found anywhere in the tree
+test('finds nodes by id', () => {
+  expect(findNode(filesResponse.document, '1:3')).toEqual({ id: '1:3', type: 'TEXT' });
+  expect(findNode(filesResponse.document, '9:9')).toBeNull();
+});
+
+// Test: uploads are read into data urls keyed by node id or imageRef
+test('reads the json and image files', async () => {
+  const files = [
+    new File([JSON.stringify(filesResponse)], 'saved.json', { type: 'application/json' }),
+    new File([new Uint8Array([1, 2, 3])], '1-3.png', { type: 'image/png' }),
+    new File(['<svg/>'], 'abc123.svg', { type: 'image/svg+xml' }),
+    new File(['notes'], 'readme.txt', { type: 'text/plain' }),
+  ];
+  const out = await readUploads(files);
+  expect(out.name).toBe('Saved File');
+  expect(out.images['1:3'].raster).toBe('data:image/png;base64,AQID');
+  expect(out.images.abc123.svg).toBe('data:image/svg+xml,%3Csvg%2F%3E');
+  expect(Object.keys(out.images).sort()).toEqual(['1-3', '1:3', 'abc123']);
+});
+
+// Test: one JSON file is required
+test('rejects uploads without exactly one json', async () => {
+  await expect(readUploads([new File(['x'], 'a.png', { type: 'image/png' })])).rejects.toThrow(/exactly one/);
+  await expect(readUploads([new File(['{'], 'a.json', { type: 'application/json' })])).rejects.toThrow(/not valid JSON/);
+});
+
+// Test: Node has no FileReader, so files are read through their Blob methods
+test('reads files without a FileReader', async () => {
+  const { FileReader } = window;
+  delete window.FileReader;
+  try {
+    const file = { type: 'image/png', text: async () => 'text', arrayBuffer: async () => new Uint8Array([1, 2, 3]).buffer };
+    expect(await readFile(file, 'text')).toBe('text');
+    expect(await readFile(file, 'dataUrl')).toBe('data:image/png;base64,AQID');
+  } finally {
+    window.FileReader = FileReader;
+  }
+});
@@ -0,0 +1,241 @@
+import { hexColorToken } from "./DesignTokens";
+import { fontFace } from "./Fonts";
+
+// Accessibility: alt text from layer names, the visual reading order of a layer's children, WCAG
+// contrast ratios, and the audit behind a11y-report.json (contrast failures, missing labels and
+// heading-level jumps).
+
+// Layer names Figma gives by default, or that only say what kind of thing the layer is.
+// They describe nothing, so those images are treated as decorative (alt="")
+const GENERIC_NAME =
+  /^(rectangle|ellipse|vector|line|polygon|star|arrow|frame|group|component|instance|union|subtract|intersect|exclude|boolean|shape|layer|image|img|picture|pic|photo|icon|ic|graphic|illustration|bg|background|mask|slice)( ?\d+)?$/i;
+
+/**
+ * The alt text of a layer drawn as an image: its component's description, else its layer name in
+ * words ("Icon/Arrow Right" → "Arrow right", "hero_photo" → "Hero photo"), or "" when the name is a
+ * default one like "Rectangle 12".
+ * components: the `components` map of a /files or /nodes response, which holds the descriptions.
+ */
+export function altText(node, components = {}) {
+  const description = (components[node.componentId] || components[node.id])?.description?.trim();
+  if (description) return description.split("\n")[0];
+  const name = String(node.name || "").split("/").pop().trim();
+  if (!name || GENERIC_NAME.test(name)) return "";
+  const words = name
+    .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+    .replace(/[_-]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+// Whether one box covers another, with half a pixel of slack for rounding
+const contains = (outer, inner) =>
+  outer.x <= inner.x + 0.5 &&
+  outer.y <= inner.y + 0.5 &&
+  outer.x + outer.width >= inner.x + inner.width - 0.5 &&
+  outer.y + outer.height >= inner.y + inner.height - 0.5;
+
+// Two layers sit in one row when they share at least half the height of the shorter one, unless
+// one is drawn over the other (a card over its background is read after it, not beside it)
+const sameRow = (a, b) => {
+  const overlap = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  return overlap >= Math.min(a.height, b.height) / 2 && !contains(a, b) && !contains(b, a);
+};
+
+/**
+ * A layer's children in the order they are read: rows from top to bottom, each row left to right.
+ * Auto-layout frames keep their order, which is the order they are laid out in, and layers without
+ * a box stay at the end.
+ * The stacking order does not change: every layer has its own z-index (see generateCssFromFrame).
+ */
+export function readingOrder(node) {
+  const children = node?.children || [];
+  if (node.layoutMode === "HORIZONTAL" || node.layoutMode === "VERTICAL") return children;
+  const boxOf = (c) => c.absoluteBoundingBox;
+  const placed = children.filter((c) => c && boxOf(c));
+  const rest = children.filter((c) => !c || !boxOf(c));
+  const rows = [];
+  [...placed]
+    .sort((a, b) => boxOf(a).y - boxOf(b).y)
+    .forEach((c) => {
+      const row = rows[rows.length - 1];
+      if (row && row.some((m) => sameRow(boxOf(m), boxOf(c)))) row.push(c);
+      else rows.push([c]);
+    });
+  return [...rows.flatMap((row) => row.sort((a, b) => boxOf(a).x - boxOf(b).x)), ...rest];
+}
+
+// WCAG relative luminance of a color with 0–1 channels
+const luminance = (c) => {
+  const channel = (v) => (v <= 0.03928 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4);
+  return 0.2126 * channel(c.r) + 0.7152 * channel(c.g) + 0.0722 * channel(c.b);
+};
+
+/**
+ * The WCAG contrast ratio of two opaque colors ({ r, g, b } with 0–1 channels), from 1 to 21.
+ */
+export function contrastRatio(a, b) {
+  const [hi, lo] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (hi + 0.05) / (lo + 0.05);
+}
+
+// Paints `color` with `alpha` over an opaque color
+const over = (color, alpha, base) => ({
+  r: color.r * alpha + base.r * (1 - alpha),
+  g: color.g * alpha + base.g * (1 - alpha),
+  b: color.b * alpha + base.b * (1 - alpha),
+});
+
+const WHITE = { r: 1, g: 1, b: 1 };
+const shown = (p) => p && p.visible !== false;
+const alphaOf = (paint, node) => (paint.color?.a ?? 1) * (paint.opacity ?? 1) * (node.opacity ?? 1);
+
+// Text of 24px, or 18.66px (14pt) when bold, is large and needs 3:1 instead of 4.5:1
+const isLargeText = (node) => {
+  const size = node.style?.fontSize || 0;
+  return size >= 24 || (size >= 18.66 && fontFace(node.style).weight >= 700);
+};
+
+const hasText = (node) =>
+  node.visible !== false &&
+  ((node.type === "TEXT" && Boolean((node.characters || "").trim())) || (node.children || []).some(hasText));
+
+/**
+ * Audits one frame as it is exported. element(node) tells how a layer is written out (nodeElement
+ * with the page's images and semantics); components is as for altText.
+ * Returns { contrast, labels, headings }, each a list of { id, name, … } problems:
+ * - contrast: text whose fill is below 4.5:1 (3:1 for large text) against the solid layers behind it;
+ *   text over images or gradients is not checked;
+ * - labels: images without alt text, and buttons, links and fields that have no text to name them;
+ * - headings: a page that starts below h1, more than one h1, or a level that skips one (h2 → h4),
+ *   in reading order.
+ */
+export function auditFrame(frameNode, { element, components = {} }) {
+  const contrast = [];
+  const labels = [];
+  const headings = [];
+
+  // Contrast follows the stacking order (the tree), so each text is checked against the solid
+  // layers painted before it: solid fills mix in, images and gradients make the background unknown
+  const painted = [];
+  const paintLayer = (node, rendered) => {
+    const box = node.absoluteBoundingBox;
+    const fills = rendered ? [{ type: "IMAGE" }] : (node.fills || node.background || []).filter(shown);
+    if (!box || !fills.length) return;
+    const paint = (base) =>
+      fills.reduce((acc, p) => {
+        if (p.type !== "SOLID") return null;
+        const alpha = alphaOf(p, node);
+        return alpha >= 1 ? { r: p.color.r, g: p.color.g, b: p.color.b } : acc && over(p.color, alpha, acc);
+      }, base);
+    painted.push({ box, paint });
+  };
+  const checkContrast = (node) => {
+    const box = node.absoluteBoundingBox;
+    const fills = (node.fills || []).filter(shown);
+    const top = fills[fills.length - 1];
+    if (!box || top?.type !== "SOLID" || !(node.characters || "").trim()) return;
+    let background = WHITE;
+    painted.forEach((layer) => {
+      if (contains(layer.box, box)) background = layer.paint(background);
+    });
+    if (!background) return;
+    const color = over(top.color, alphaOf(top, node), background);
+    const ratio = contrastRatio(color, background);
+    const required = isLargeText(node) ? 3 : 4.5;
+    if (ratio >= required) return;
+    contrast.push({
+      id: node.id,
+      name: node.name || "",
+      text: node.characters.trim().slice(0, 60),
+      ratio: Math.floor(ratio * 100) / 100,
+      required,
+      color: hexColorToken(color),
+      background: hexColorToken(background),
+    });
+  };
+  const stack = (node) => {
+    if (!node || node.visible === false || node.isMask) return;
+    if (element(node).kind !== "element") return paintLayer(node, true);
+    if (node.type === "TEXT") return checkContrast(node);
+    paintLayer(node, false);
+    (node.children || []).forEach(stack);
+  };
+  stack(frameNode);
+
+  // Labels and headings follow the reading order, like the page's markup
+  const label = (node, tag, problem) => labels.push({ id: node.id, name: node.name || "", element: tag, problem });
+  let lastLevel = 0;
+  let h1s = 0;
+  const heading = (node, n) => {
+    const problem =
+      !lastLevel && n > 1
+        ? `The page starts at h${n} instead of h1.`
+        : n === 1 && h1s > 0
+          ? "The page has more than one h1."
+          : lastLevel && n > lastLevel + 1
+            ? `h${lastLevel} is followed by h${n}, skipping a level.`
+            : null;
+    if (problem) headings.push({ id: node.id, name: node.name || "", level: n, problem });
+    if (n === 1) h1s++;
+    lastLevel = n;
+  };
+  const read = (node, context) => {
+    if (!node || node.visible === false || node.isMask) return;
+    const el = element(node);
+    if (el.kind !== "element") {
+      // Inside a named button or link an image without alt text is just decoration
+      if (!context.named && !altText(node, components)) {
+        label(node, "img", "No alt text: the layer name does not describe the image, so it is marked decorative.");
+      }
+      return;
+    }
+    const { tag } = el;
+    let next = context;
+    if (tag === "a" || tag === "button") {
+      if (!hasText(node) && !hasDescribedImage(node, element, components)) {
+        label(node, tag, `The ${tag === "a" ? "link" : "button"} has no text or described image to name it.`);
+      }
+      next = { ...context, named: true };
+    } else if (tag === "label") {
+      next = { ...context, label: node };
+      if (el.control && !hasText(node)) label(node, el.control.attrs?.type || el.control.tag, "The control has no text to label it.");
+    } else if (tag === "input" || tag === "textarea") {
+      const around = context.label;
+      if (!around || !(around.children || []).some((c) => c !== node && hasText(c))) {
+        label(node, tag, "Only the placeholder names the field, and it disappears once the field is typed in.");
+      }
+    }
+    const level = /^h([1-6])$/.exec(tag);
+    if (level) heading(node, Number(level[1]));
+    readingOrder(node).forEach((c) => read(c, next));
+  };
+  read(frameNode, { named: false, label: null });
+
+  return { contrast, labels, headings };
+}
+
+// Whether a layer holds an image that has alt text
+const hasDescribedImage = (node, element, components) =>
+  (node.children || []).some(
+    (c) =>
+      c &&
+      c.visible !== false &&
+      (element(c).kind !== "element" ? Boolean(altText(c, components)) : hasDescribedImage(c, element, components))
+  );
+
+/**
+ * a11y-report.json for an export: screens is [{ id, name, file, contrast, labels, headings }]
+ * (auditFrame results with the screen they belong to). Screens without problems are listed too.
+ */
+export function a11yReportJson(screens, { lang = "en" } = {}) {
+  const count = (key) => screens.reduce((n, s) => n + s[key].length, 0);
+  const report = {
+    lang,
+    summary: { contrast: count("contrast"), labels: count("labels"), headings: count("headings") },
+    screens,
+  };
+  return `${JSON.stringify(report, null, 2)}\n`;
+}
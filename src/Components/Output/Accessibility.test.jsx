@@ -0,0 +1,99 @@
+import { a11yReportJson, altText, auditFrame, contrastRatio, readingOrder } from './Accessibility';
+import { nodeElement } from './DownloadFiles';
+import { inferSemantics } from './Semantics';
+import { box, solid } from '../../testNodes';
+
+const text = (id, name, characters, bounds, fontSize = 16, fills = solid(0, 0, 0)) => ({
+  id,
+  type: 'TEXT',
+  name,
+  characters,
+  absoluteBoundingBox: bounds,
+  style: { fontSize, fontFamily: 'Inter', fontWeight: 400 },
+  fills
+});
+
+test('derives alt text from component descriptions and layer names', () => {
+  expect(altText({ name: 'Icon/Arrow Right' })).toBe('Arrow right');
+  expect(altText({ name: 'hero_photo' })).toBe('Hero photo');
+  expect(altText({ name: 'teamPortrait' })).toBe('Team portrait');
+  expect(altText({ name: 'Rectangle 12' })).toBe('');
+  expect(altText({ name: 'Vector' })).toBe('');
+  const components = { '5:1': { name: 'Logo', description: 'Acme logo\nUse on light backgrounds' } };
+  expect(altText({ name: 'Logo', componentId: '5:1' }, components)).toBe('Acme logo');
+});
+
+test('orders children in rows from top to bottom, left to right', () => {
+  const frame = {
+    children: [
+      { id: 'bg', absoluteBoundingBox: box(0, 0, 400, 300) },
+      { id: 'right', absoluteBoundingBox: box(200, 20, 100, 20) },
+      { id: 'footer', absoluteBoundingBox: box(0, 260, 400, 40) },
+      { id: 'left', absoluteBoundingBox: box(20, 22, 100, 24) },
+      { id: 'loose' }
+    ]
+  };
+  expect(readingOrder(frame).map((c) => c.id)).toEqual(['bg', 'left', 'right', 'footer', 'loose']);
+  expect(readingOrder({ ...frame, layoutMode: 'VERTICAL' })).toBe(frame.children);
+});
+
+test('computes WCAG contrast ratios', () => {
+  expect(contrastRatio({ r: 0, g: 0, b: 0 }, { r: 1, g: 1, b: 1 })).toBeCloseTo(21);
+  expect(contrastRatio({ r: 1, g: 1, b: 1 }, { r: 1, g: 1, b: 1 })).toBe(1);
+  expect(contrastRatio({ r: 0.46, g: 0.46, b: 0.46 }, { r: 1, g: 1, b: 1 })).toBeCloseTo(4.6, 1);
+});
+
+test('reports contrast failures, missing labels and heading jumps', () => {
+  const frame = {
+    id: '1:1',
+    type: 'FRAME',
+    name: 'Home',
+    absoluteBoundingBox: box(0, 0, 400, 400),
+    fills: solid(1, 1, 1),
+    children: [
+      text('1:2', 'Title', 'Welcome', box(20, 20, 300, 40), 40),
+      { id: '1:3', type: 'RECTANGLE', name: 'Card', absoluteBoundingBox: box(0, 100, 400, 100), fills: solid(0.2, 0.2, 0.2) },
+      text('1:4', 'Card text', 'Dark on dark', box(20, 120, 200, 20), 16, solid(0.3, 0.3, 0.3)),
+      text('1:5', 'Pale', 'Pale text', box(20, 220, 200, 20), 16, solid(0, 0, 0, 0.3)),
+      text('1:6', 'Sub', 'Details', box(20, 60, 200, 20), 20),
+      { id: '1:7', type: 'VECTOR', name: 'Vector 3', absoluteBoundingBox: box(300, 300, 20, 20) },
+      {
+        id: '1:8',
+        type: 'FRAME',
+        name: 'Close Button',
+        absoluteBoundingBox: box(340, 300, 40, 40),
+        children: [{ id: '1:9', type: 'VECTOR', name: 'Vector', absoluteBoundingBox: box(350, 310, 20, 20) }]
+      },
+      {
+        id: '1:10',
+        type: 'FRAME',
+        name: 'Email Input',
+        absoluteBoundingBox: box(20, 340, 200, 40),
+        children: [text('1:11', 'Placeholder', 'you@example.com', box(30, 350, 180, 20))]
+      }
+    ]
+  };
+  const imagesMap = { '1:7': 'assets/a.png', '1:9': 'assets/b.png' };
+  // 40px → h1, 20px → h3 without an h2 in between
+  const semantics = inferSemantics(frame);
+  semantics.set('1:6', { tag: 'h3' });
+  const audit = auditFrame(frame, { element: (n) => nodeElement(n, imagesMap, {}, semantics) });
+
+  expect(audit.contrast).toEqual([
+    expect.objectContaining({ id: '1:4', text: 'Dark on dark', required: 4.5, color: '#4d4d4d', background: '#333333' }),
+    expect.objectContaining({ id: '1:5', ratio: 2.1, color: '#b3b3b3', background: '#ffffff' })
+  ]);
+  expect(audit.labels.map((l) => [l.id, l.element])).toEqual([
+    ['1:7', 'img'],
+    ['1:8', 'button'],
+    ['1:11', 'input']
+  ]);
+  expect(audit.headings).toEqual([
+    { id: '1:6', name: 'Sub', level: 3, problem: 'h1 is followed by h3, skipping a level.' }
+  ]);
+
+  const report = JSON.parse(a11yReportJson([{ id: '1:1', name: 'Home', file: 'Home.html', ...audit }], { lang: 'de' }));
+  expect(report.lang).toBe('de');
+  expect(report.summary).toEqual({ contrast: 2, labels: 3, headings: 1 });
+  expect(report.screens[0].file).toBe('Home.html');
+});
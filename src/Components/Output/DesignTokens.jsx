@@ -0,0 +1,253 @@
+// Design tokens from a file's shared styles (FILL, TEXT, EFFECT) and local variables.
+// The generator asks the registry for a var(--…) whenever a node uses a style or a bound variable;
+// the registry remembers each token's value so the :root sheet and tokens.json can be written afterwards.
+
+// Converts a Figma color object {r,g,b,a} (0–1 values) to CSS rgba(), like the CSS generator does
+const rgba = (c) => {
+  const ch = (v) => Math.round(Math.max(0, Math.min(1, v || 0)) * 255);
+  const a = c.a == null ? 1 : Number(Math.max(0, Math.min(1, c.a)).toFixed(3));
+  return `rgba(${ch(c.r)}, ${ch(c.g)}, ${ch(c.b)}, ${a})`;
+};
+
+/**
+ * A color as #rrggbb or #rrggbbaa, as the W3C format expects; `opacity` multiplies the alpha.
+ */
+export function hexColorToken(c, opacity = 1) {
+  const ch = (v) => Math.round(Math.max(0, Math.min(1, v || 0)) * 255).toString(16).padStart(2, "0");
+  const a = (c.a == null ? 1 : c.a) * opacity;
+  return `#${ch(c.r)}${ch(c.g)}${ch(c.b)}${a < 1 ? ch(a) : ""}`;
+}
+
+// "Brand/Primary 500" → ["brand", "primary-500"]
+const pathOf = (name) =>
+  String(name || "")
+    .split("/")
+    .map((p) =>
+      p
+        .trim()
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "")
+    )
+    .filter(Boolean);
+
+// Prefixes a path with its group unless the name already starts with it
+const withGroup = (group, path) => (path[0] === group ? path : [group, ...path]);
+
+// Figma variable scopes that hold plain numbers rather than lengths
+const UNITLESS_SCOPES = new Set(["OPACITY", "FONT_WEIGHT"]);
+
+/**
+ * Creates a token registry.
+ * styles: the `styles` map of a /files or /nodes response ({ [styleId]: { name, styleType } }).
+ * variables: the `meta` of /v1/files/:key/variables/local ({ variables, variableCollections }), or null.
+ */
+export function createTokens({ styles = {}, variables = null } = {}) {
+  // css name → { name, path, type, css, json, modes: { [mode]: { css, json } } }
+  const tokens = new Map();
+  // style id or variable id → css name
+  const byId = new Map();
+  // Non-default variable modes: { [modeSlug]: label }
+  const modes = {};
+
+  // Reserves a unique css name for a path
+  const claim = (path) => {
+    const base = path.join("-") || "token";
+    let name = base;
+    for (let n = 2; tokens.has(name); n++) name = `${base}-${n}`;
+    return name;
+  };
+
+  // --- Variables: every value is known up front, per mode ---
+  const vars = variables?.variables || {};
+  const collections = variables?.variableCollections || {};
+  Object.values(vars).forEach((v) => {
+    if (!v?.id || v.resolvedType === "BOOLEAN") return;
+    const path = v.resolvedType === "COLOR" ? withGroup("color", pathOf(v.name)) : pathOf(v.name);
+    const name = claim(path);
+    const fontFamily = v.resolvedType === "STRING" && (v.scopes || []).includes("FONT_FAMILY");
+    const type = fontFamily ? "FONT_FAMILY" : v.resolvedType;
+    tokens.set(name, { name, path, type, modes: {} });
+    byId.set(v.id, name);
+  });
+
+  // CSS and JSON forms of one variable value (aliases point at the other token)
+  const variableValue = (v, value) => {
+    if (value?.type === "VARIABLE_ALIAS") {
+      const target = byId.get(value.id);
+      if (!target) return null;
+      return { css: `var(--${target})`, json: `{${tokens.get(target).path.join(".")}}` };
+    }
+    if (v.resolvedType === "COLOR" && value && typeof value === "object") {
+      return { css: rgba(value), json: hexColorToken(value) };
+    }
+    if (v.resolvedType === "FLOAT" && typeof value === "number") {
+      const unitless = (v.scopes || []).length && v.scopes.every((s) => UNITLESS_SCOPES.has(s));
+      const n = Number(value.toFixed(3));
+      return unitless ? { css: String(n), json: n } : { css: `${n}px`, json: `${n}px` };
+    }
+    if (v.resolvedType === "STRING" && typeof value === "string") {
+      return { css: JSON.stringify(value), json: value };
+    }
+    return null;
+  };
+
+  Object.values(vars).forEach((v) => {
+    const name = byId.get(v?.id);
+    if (!name) return;
+    const token = tokens.get(name);
+    const collection = collections[v.variableCollectionId];
+    const defaultMode = collection?.defaultModeId || Object.keys(v.valuesByMode || {})[0];
+    Object.entries(v.valuesByMode || {}).forEach(([modeId, value]) => {
+      const out = variableValue(v, value);
+      if (!out) return;
+      if (modeId === defaultMode) {
+        token.css = out.css;
+        token.json = out.json;
+        return;
+      }
+      const label = collection?.modes?.find((m) => m.modeId === modeId)?.name || modeId;
+      const slug = pathOf(label).join("-") || "mode";
+      modes[slug] = label;
+      token.modes[slug] = out;
+    });
+    if (token.css == null) tokens.delete(name);
+  });
+
+  // --- Styles: values are taken from the first node that uses the style ---
+  const GROUPS = { FILL: "color", TEXT: "text", EFFECT: "shadow" };
+  const styleToken = (styleId, type) => {
+    if (byId.has(styleId)) {
+      const known = tokens.get(byId.get(styleId));
+      return known?.type === type ? known : null;
+    }
+    const style = styles[styleId];
+    if (!style || style.styleType !== type) return null;
+    const path = withGroup(GROUPS[type], pathOf(style.name));
+    const name = claim(path);
+    const token = { name, path, type, css: null, json: null, modes: {} };
+    tokens.set(name, token);
+    byId.set(styleId, name);
+    return token;
+  };
+
+  return {
+    /**
+     * A FILL or EFFECT style as var(--…), or null when the style is unknown.
+     * `css` is the value the node would have used; a node whose value differs from the
+     * style's (e.g. a detached override) keeps its own value.
+     */
+    style(styleId, type, css, json = css) {
+      const token = styleId ? styleToken(styleId, type) : null;
+      if (!token || css == null) return null;
+      if (token.css == null) {
+        token.css = css;
+        token.json = json;
+      }
+      return token.css === css ? `var(--${token.name})` : null;
+    },
+
+    /**
+     * A TEXT style: given the node's font rules ({ "font-size": "16px", … }), returns the same
+     * keys as var(--text-…-font-size) etc. for the properties that match the style.
+     */
+    text(styleId, rules, json) {
+      const token = styleId ? styleToken(styleId, "TEXT") : null;
+      if (!token) return {};
+      const keys = ["font-family", "font-size", "font-weight", "line-height", "letter-spacing"];
+      if (token.css == null) {
+        token.css = {};
+        keys.forEach((k) => {
+          if (rules[k] != null) token.css[k] = rules[k];
+        });
+        token.json = json;
+      }
+      const out = {};
+      Object.entries(token.css).forEach(([k, v]) => {
+        if (rules[k] === v) out[k] = `var(--${token.name}-${k})`;
+      });
+      return out;
+    },
+
+    // A bound variable as var(--…), or null when it is not a known local variable
+    variable(id) {
+      const name = id && byId.get(id);
+      return name && tokens.has(name) ? `var(--${name})` : null;
+    },
+
+    // Every token with a value, in the order they were created
+    list() {
+      return [...tokens.values()].filter((t) => t.css != null);
+    },
+
+    // Non-default variable modes as { slug: label }
+    modes() {
+      return { ...modes };
+    },
+  };
+}
+
+// CSS declarations for one token (text styles expand into one property per font rule)
+const declarations = (token, css, indent) =>
+  typeof css === "object"
+    ? Object.entries(css).map(([k, v]) => `${indent}--${token.name}-${k}: ${v};`)
+    : [`${indent}--${token.name}: ${css};`];
+
+/**
+ * The token sheet: defaults on :root, then one [data-theme="<mode>"] block per extra variable mode.
+ * A mode named like "dark" also applies through prefers-color-scheme unless a data-theme is set.
+ */
+export function tokensCss(tokens) {
+  const list = tokens.list();
+  if (!list.length) return "";
+  let css = `:root {\n${list.flatMap((t) => declarations(t, t.css, "  ")).join("\n")}\n}\n`;
+
+  Object.keys(tokens.modes()).forEach((mode) => {
+    const lines = (indent) =>
+      list.filter((t) => t.modes[mode]).flatMap((t) => declarations(t, t.modes[mode].css, indent));
+    css += `[data-theme="${mode}"] {\n${lines("  ").join("\n")}\n}\n`;
+    if (/dark/.test(mode)) {
+      css += `@media (prefers-color-scheme: dark) {\n  :root:not([data-theme]) {\n${lines("    ").join(
+        "\n"
+      )}\n  }\n}\n`;
+    }
+  });
+  return `/* Design tokens */\n${css}`;
+}
+
+// W3C design-token types for each kind of token
+const W3C_TYPES = {
+  COLOR: "color",
+  FILL: "color",
+  TEXT: "typography",
+  EFFECT: "shadow",
+  FONT_FAMILY: "fontFamily",
+  FLOAT: "dimension",
+};
+
+/**
+ * The tokens in the W3C design-tokens format: nested groups of { $type, $value },
+ * aliases as "{group.name}", and extra variable modes under $extensions["com.figma"].modes.
+ */
+export function tokensJson(tokens) {
+  const root = {};
+  tokens.list().forEach((t) => {
+    let group = root;
+    t.path.slice(0, -1).forEach((p) => {
+      group[p] = group[p] && typeof group[p] === "object" ? group[p] : {};
+      group = group[p];
+    });
+    const leaf = t.path[t.path.length - 1] || t.name;
+    // Unitless numbers are "number"; plain strings have no W3C type
+    const type = typeof t.json === "number" ? "number" : W3C_TYPES[t.type];
+    const entry = type ? { $type: type, $value: t.json } : { $value: t.json };
+    const modes = Object.entries(t.modes);
+    if (modes.length) {
+      entry.$extensions = {
+        "com.figma": { modes: Object.fromEntries(modes.map(([m, v]) => [m, v.json])) },
+      };
+    }
+    group[leaf] = { ...(group[leaf] || {}), ...entry };
+  });
+  return JSON.stringify(root, null, 2);
+}
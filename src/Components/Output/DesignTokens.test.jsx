@@ -0,0 +1,83 @@
+import { createTokens, tokensCss, tokensJson } from './DesignTokens';
+
+// Variables with a light and a dark mode, one alias and one unitless number
+const variables = {
+  variableCollections: {
+    C1: {
+      id: 'C1',
+      name: 'Theme',
+      defaultModeId: 'light',
+      modes: [{ modeId: 'light', name: 'Light' }, { modeId: 'dark', name: 'Dark' }]
+    }
+  },
+  variables: {
+    'V:bg': {
+      id: 'V:bg',
+      name: 'Surface/Background',
+      resolvedType: 'COLOR',
+      variableCollectionId: 'C1',
+      valuesByMode: { light: { r: 1, g: 1, b: 1, a: 1 }, dark: { r: 0, g: 0, b: 0, a: 1 } }
+    },
+    'V:card': {
+      id: 'V:card',
+      name: 'Surface/Card',
+      resolvedType: 'COLOR',
+      variableCollectionId: 'C1',
+      valuesByMode: { light: { type: 'VARIABLE_ALIAS', id: 'V:bg' }, dark: { r: 0.2, g: 0.2, b: 0.2, a: 0.5 } }
+    },
+    'V:op': {
+      id: 'V:op',
+      name: 'Opacity/Muted',
+      resolvedType: 'FLOAT',
+      scopes: ['OPACITY'],
+      variableCollectionId: 'C1',
+      valuesByMode: { light: 0.6, dark: 0.6 }
+    },
+    'V:flag': { id: 'V:flag', name: 'Flag', resolvedType: 'BOOLEAN', variableCollectionId: 'C1', valuesByMode: { light: true } }
+  }
+};
+
+describe('DesignTokens', () => {
+  // default values go on :root and other modes get theme blocks
+  test('writes variables as custom properties with theme modes', () => {
+    const tokens = createTokens({ variables });
+    expect(tokens.variable('V:bg')).toBe('var(--color-surface-background)');
+    expect(tokens.variable('V:flag')).toBeNull();
+
+    const css = tokensCss(tokens);
+    expect(css).toContain(':root {\n  --color-surface-background: rgba(255, 255, 255, 1);\n  --color-surface-card: var(--color-surface-background);\n  --opacity-muted: 0.6;\n}');
+    expect(css).toContain('[data-theme="dark"] {\n  --color-surface-background: rgba(0, 0, 0, 1);\n  --color-surface-card: rgba(51, 51, 51, 0.5);\n  --opacity-muted: 0.6;\n}');
+    expect(css).toContain('@media (prefers-color-scheme: dark) {\n  :root:not([data-theme]) {\n    --color-surface-background: rgba(0, 0, 0, 1);');
+  });
+
+  // style tokens take the value of the first node that uses them
+  test('records style values on first use', () => {
+    const tokens = createTokens({ styles: { 'S:1': { name: 'Primary', styleType: 'FILL' }, 'S:2': { name: 'Body', styleType: 'TEXT' } } });
+    expect(tokens.style('S:1', 'FILL', 'rgba(1, 2, 3, 1)', '#010203')).toBe('var(--color-primary)');
+    expect(tokens.style('S:1', 'FILL', 'rgba(9, 9, 9, 1)')).toBeNull();
+    expect(tokens.style('S:1', 'EFFECT', 'x')).toBeNull();
+    expect(tokens.style('S:missing', 'FILL', 'red')).toBeNull();
+    expect(tokens.text('S:2', { 'font-size': '16px', 'font-weight': 400, color: 'red' }, { fontSize: '16px' })).toEqual({
+      'font-size': 'var(--text-body-font-size)',
+      'font-weight': 'var(--text-body-font-weight)'
+    });
+    expect(tokensCss(tokens)).toContain('  --text-body-font-size: 16px;\n  --text-body-font-weight: 400;');
+    expect(tokensCss(createTokens())).toBe('');
+  });
+
+  // W3C format: nested groups, typed values, aliases and modes
+  test('exports W3C design tokens json', () => {
+    const tokens = createTokens({ variables, styles: { 'S:1': { name: 'Primary', styleType: 'FILL' } } });
+    tokens.style('S:1', 'FILL', 'rgba(255, 0, 0, 1)', '#ff0000');
+    const json = JSON.parse(tokensJson(tokens));
+    expect(json.color.primary).toEqual({ $type: 'color', $value: '#ff0000' });
+    expect(json.color.surface.background).toEqual({
+      $type: 'color',
+      $value: '#ffffff',
+      $extensions: { 'com.figma': { modes: { dark: '#000000' } } }
+    });
+    expect(json.color.surface.card.$value).toBe('{color.surface.background}');
+    expect(json.color.surface.card.$extensions['com.figma'].modes.dark).toBe('#33333380');
+    expect(json.opacity.muted).toMatchObject({ $type: 'number', $value: 0.6 });
+  });
+});
@@ -1,5 +1,12 @@
+import { altText, readingOrder } from "./Accessibility";
+import { hexColorToken } from "./DesignTokens";
+import { fontFace, fontTagsHtml } from "./Fonts";
+import { eachElement, runHandlers, transformTree } from "./Plugins";
+
 // Converts a numeric value to px (e.g., converts 20 to `20px`)
 const px = (v) => (typeof v === "number" ? `${Math.round(v)}px` : v);
+// Same as px() but keeps up to two decimals, for hairline strokes
+const pxf = (v) => `${Number((v || 0).toFixed(2))}px`;
 
 // Ensures a value is within the range 0–1
 const clamp01 = (x) => Math.max(0, Math.min(1, x));
@@ -18,23 +25,149 @@ const firstVisible = (arr) =>
   Array.isArray(arr) ? arr.find((f) => f && (f.visible === undefined || f.visible)) : null;
 
 // Creates a safe CSS class name from a Figma node ID
-const safeClass = (id) => `n_${String(id || "").replace(/[^a-zA-Z0-9_-]/g, "_")}`;
+export const safeClass = (id) => `n_${String(id || "").replace(/[^a-zA-Z0-9_-]/g, "_")}`;
 
-// Converts a Figma gradient to a CSS linear-gradient()
-const gradientToCss = (fill) => {
-  const handles = fill.gradientHandlePositions || [];
-  const stops = fill.gradientStops || [];
-  if (!stops.length) return null;
-  let angle = 180;
-  if (handles.length >= 2) {
-    const dx = handles[1].x - handles[0].x;
-    const dy = handles[1].y - handles[0].y;
-    angle = (Math.atan2(dy, dx) * 180) / Math.PI;
-  }
-  const stopsCss = stops
-    .map((s) => `${rgba(s.color, s.color?.a)} ${Math.round((s.position || 0) * 100)}%`)
+// Returns every visible paint in Figma's bottom-to-top order
+const visiblePaints = (arr) =>
+  Array.isArray(arr) ? arr.filter((f) => f && (f.visible === undefined || f.visible)) : [];
+
+// Converts a paint color to rgba(), multiplying the color alpha by the paint opacity
+const paintColor = (c, opacity) =>
+  rgba(c, Number(((c?.a == null ? 1 : clamp01(c.a)) * (opacity ?? 1)).toFixed(3)));
+
+// Converts a Figma blend mode (e.g. COLOR_DODGE) to a CSS blend mode; normal modes return null
+const blendModeCss = (mode) => {
+  if (!mode || mode === "NORMAL" || mode === "PASS_THROUGH") return null;
+  // CSS has no linear modes, so use the closest ones
+  if (mode === "LINEAR_BURN") return "color-burn";
+  if (mode === "LINEAR_DODGE") return "plus-lighter";
+  return mode.toLowerCase().replaceAll("_", "-");
+};
+
+// A solid color as a background layer that can sit above other layers
+const solidLayer = (color) => `linear-gradient(${color}, ${color})`;
+
+// Rounds a number for CSS output without trailing zeros
+const num = (v) => Number(v.toFixed(2));
+
+// Formats gradient stops, optionally remapping positions into the [from, to] range (0–1)
+const stopsToCss = (fill, from = 0, to = 1) =>
+  (fill.gradientStops || [])
+    .map((s) => `${paintColor(s.color, fill.opacity)} ${num((from + (s.position || 0) * (to - from)) * 100)}%`)
     .join(", ");
-  return `linear-gradient(${Math.round(angle)}deg, ${stopsCss})`;
+
+// Converts a Figma gradient to CSS background layers; the box size gives the true angles
+const gradientToCss = (fill, box) => {
+  const handles = fill.gradientHandlePositions || [];
+  if (!(fill.gradientStops || []).length) return [];
+  const W = box?.width || 1;
+  const H = box?.height || 1;
+  const [h0 = { x: 0.5, y: 0 }, h1 = { x: 0.5, y: 1 }, h2 = { x: 0, y: 0.5 }] = handles;
+  const dx = (h1.x - h0.x) * W;
+  const dy = (h1.y - h0.y) * H;
+  const at = `${num(h0.x * 100)}% ${num(h0.y * 100)}%`;
+
+  if (fill.type === "GRADIENT_RADIAL") {
+    const rx = Math.hypot(dx, dy);
+    const ry = Math.hypot((h2.x - h0.x) * W, (h2.y - h0.y) * H);
+    return [`radial-gradient(${px(rx)} ${px(ry)} at ${at}, ${stopsToCss(fill)})`];
+  }
+
+  // CSS angles start at the top and turn clockwise
+  const angle = (Math.atan2(dx, -dy) * 180) / Math.PI;
+
+  if (fill.type === "GRADIENT_ANGULAR") {
+    return [`conic-gradient(from ${Math.round(angle)}deg at ${at}, ${stopsToCss(fill)})`];
+  }
+
+  if (fill.type === "GRADIENT_DIAMOND") {
+    // Approximated by a corner-to-corner linear gradient per quadrant
+    const rx = Math.hypot(dx, dy) || W / 2;
+    const ry = Math.hypot((h2.x - h0.x) * W, (h2.y - h0.y) * H) || H / 2;
+    const cx = h0.x * W;
+    const cy = h0.y * H;
+    const stops = stopsToCss(fill, 0, 0.5);
+    const size = `${px(rx)} ${px(ry)}`;
+    const last = fill.gradientStops[fill.gradientStops.length - 1];
+    const quadrants = [
+      ["to bottom right", cx, cy],
+      ["to bottom left", cx - rx, cy],
+      ["to top right", cx, cy - ry],
+      ["to top left", cx - rx, cy - ry],
+    ];
+    return [
+      ...quadrants.map(
+        ([dir, x, y]) => `linear-gradient(${dir}, ${stops}) ${px(x)} ${px(y)} / ${size} no-repeat`
+      ),
+      // Outside the diamond the last stop color continues
+      solidLayer(paintColor(last.color, fill.opacity)),
+    ];
+  }
+
+  // Project the handles onto the CSS gradient line so stops land where Figma puts them
+  const len = Math.hypot(dx, dy) || 1;
+  const ux = dx / len;
+  const uy = dy / len;
+  const lineLength = Math.abs(W * ux) + Math.abs(H * uy) || 1;
+  const along = (h) => ((h.x - 0.5) * W * ux + (h.y - 0.5) * H * uy) / lineLength + 0.5;
+  return [`linear-gradient(${Math.round(angle)}deg, ${stopsToCss(fill, along(h0), along(h1))})`];
+};
+
+// Converts an IMAGE paint to a background layer following its scale mode
+const imageLayerCss = (fill, url) => {
+  const img = `url("${url}")`;
+  switch (fill.scaleMode) {
+    case "FIT":
+      return `${img} center / contain no-repeat`;
+    case "TILE": {
+      // Tiles keep their scaling factor relative to the image's own size
+      const factor = fill.scalingFactor || 1;
+      return factor === 1 ? `${img} 0 0 / auto repeat` : `${img} 0 0 / ${num(factor * 100)}% auto repeat`;
+    }
+    case "CROP":
+    case "STRETCH": {
+      // imageTransform maps the node box into image space: [[a, b, tx], [c, d, ty]]
+      const t = fill.imageTransform;
+      if (!Array.isArray(t)) return `${img} center / 100% 100% no-repeat`;
+      const a = t[0]?.[0] || 1;
+      const d = t[1]?.[1] || 1;
+      const tx = t[0]?.[2] || 0;
+      const ty = t[1]?.[2] || 0;
+      const posX = a === 1 ? 0 : tx / (1 - a);
+      const posY = d === 1 ? 0 : ty / (1 - d);
+      return `${img} ${num(posX * 100)}% ${num(posY * 100)}% / ${num(100 / a)}% ${num(100 / d)}% no-repeat`;
+    }
+    default:
+      return `${img} center / cover no-repeat`;
+  }
+};
+
+// Layers every visible paint into CSS backgrounds, top-most first
+const paintsCss = (fills, box, imagesMap = {}) => {
+  const paints = visiblePaints(fills);
+  if (paints.length === 1 && paints[0].type === "SOLID" && !blendModeCss(paints[0].blendMode)) {
+    return { background: paintColor(paints[0].color, paints[0].opacity) };
+  }
+
+  const layers = [];
+  const blends = [];
+  [...paints].reverse().forEach((fill) => {
+    let parts = [];
+    if (fill.type === "SOLID") parts = [solidLayer(paintColor(fill.color, fill.opacity))];
+    else if (fill.type?.startsWith("GRADIENT")) parts = gradientToCss(fill, box);
+    else if (fill.type === "IMAGE" && imagesMap[fill.imageRef]) {
+      parts = [imageLayerCss(fill, imagesMap[fill.imageRef])];
+    }
+    parts.forEach((layer) => {
+      layers.push(layer);
+      blends.push(blendModeCss(fill.blendMode) || "normal");
+    });
+  });
+  if (!layers.length) return null;
+
+  const out = { background: layers.join(", ") };
+  if (blends.some((b) => b !== "normal")) out["background-blend-mode"] = blends.join(", ");
+  return out;
 };
 
 const cssLine = (k, v) => (v != null && v !== "" ? `  ${k}: ${v};\n` : "");
@@ -45,51 +178,1064 @@ const makeRule = (sel, obj) => {
   return s;
 };
 
+// Reads CSS written with makeRule back into { selector, declarations: [[property, value]], text } rules
+export const parseRules = (css) =>
+  (String(css).replace(/\/\*[\s\S]*?\*\//g, "").match(/[^{}]+\{[^}]*\}/g) || []).map((r) => {
+    const text = r.trim();
+    const selector = text.slice(0, text.indexOf("{")).trim();
+    const declarations = text
+      .slice(text.indexOf("{") + 1, -1)
+      .split("\n")
+      .map((line) => line.trim().replace(/;$/, ""))
+      .filter(Boolean)
+      .map((line) => [line.slice(0, line.indexOf(":")).trim(), line.slice(line.indexOf(":") + 1).trim()]);
+    return { selector, declarations, text };
+  });
+
+// Figma auto-layout alignment values mapped to flexbox keywords
+const JUSTIFY = { MIN: "flex-start", CENTER: "center", MAX: "flex-end", SPACE_BETWEEN: "space-between" };
+const ALIGN = { MIN: "flex-start", CENTER: "center", MAX: "flex-end", BASELINE: "baseline" };
+
+// True when a node is an auto-layout frame whose children should flow
+const isAutoLayout = (node) => node?.layoutMode === "HORIZONTAL" || node?.layoutMode === "VERTICAL";
+
+// Builds the flex container rules for an auto-layout frame
+const autoLayoutCss = (node) => {
+  const row = node.layoutMode === "HORIZONTAL";
+  const out = {
+    display: "flex",
+    "flex-direction": row ? "row" : "column",
+    "box-sizing": "border-box",
+  };
+  if (node.layoutWrap === "WRAP") out["flex-wrap"] = "wrap";
+  const pad = [node.paddingTop, node.paddingRight, node.paddingBottom, node.paddingLeft];
+  if (pad.some((p) => p)) out.padding = pad.map((p) => px(p || 0)).join(" ");
+  // space-between distributes the children itself, so the spacing is not a gap
+  const spacing = node.primaryAxisAlignItems === "SPACE_BETWEEN" ? 0 : node.itemSpacing || 0;
+  if (node.layoutWrap === "WRAP" && node.counterAxisSpacing != null) {
+    out[row ? "column-gap" : "row-gap"] = spacing ? px(spacing) : null;
+    out[row ? "row-gap" : "column-gap"] = px(node.counterAxisSpacing);
+  } else if (spacing) {
+    out.gap = px(spacing);
+  }
+  out["justify-content"] = JUSTIFY[node.primaryAxisAlignItems];
+  // Figma defaults to MIN, while CSS would stretch the children
+  out["align-items"] = ALIGN[node.counterAxisAlignItems || "MIN"];
+  return out;
+};
+
+// Builds the placement rules for a child that flows inside an auto-layout parent
+const flexChildCss = (node, parent, { width, height }) => {
+  const row = parent.layoutMode === "HORIZONTAL";
+  const out = { position: "relative", width, height, "flex-shrink": 0 };
+  const primarySizing = row ? node.layoutSizingHorizontal : node.layoutSizingVertical;
+  const counterSizing = row ? node.layoutSizingVertical : node.layoutSizingHorizontal;
+  if (node.layoutGrow === 1 || primarySizing === "FILL") {
+    // Grow along the primary axis instead of keeping the fixed size
+    out.flex = "1 1 0";
+    out[row ? "min-width" : "min-height"] = 0;
+    delete out[row ? "width" : "height"];
+  }
+  if (node.layoutAlign === "STRETCH" || counterSizing === "FILL") {
+    out["align-self"] = "stretch";
+    delete out[row ? "height" : "width"];
+  }
+  return out;
+};
+
+// Formats a 0–1 ratio as a CSS percentage
+const pct = (r) => `${Number((r * 100).toFixed(2))}%`;
+
+// Places a node along one axis according to its Figma constraint
+const axisCss = (mode, offset, size, total, [start, end, dim]) => {
+  const trailing = total - offset - size;
+  switch (mode) {
+    case "RIGHT":
+    case "BOTTOM":
+      return { [end]: px(trailing), [dim]: px(size) };
+    case "LEFT_RIGHT":
+    case "TOP_BOTTOM":
+      return { [start]: px(offset), [end]: px(trailing) };
+    case "CENTER": {
+      // Keep the same distance from the parent's center line
+      const d = offset - total / 2;
+      return { [start]: `calc(50% ${d < 0 ? "-" : "+"} ${px(Math.abs(d))})`, [dim]: px(size) };
+    }
+    case "SCALE":
+      return total
+        ? { [start]: pct(offset / total), [dim]: pct(size / total) }
+        : { [start]: px(offset), [dim]: px(size) };
+    default:
+      return { [start]: px(offset), [dim]: px(size) };
+  }
+};
+
+// Builds left/right/top/bottom and size rules from a node's constraints
+const constraintCss = (node, box, parent) => {
+  const c = node.constraints || {};
+  return {
+    ...axisCss(c.horizontal, box.x - parent.x, box.width, parent.width, ["left", "right", "width"]),
+    ...axisCss(c.vertical, box.y - parent.y, box.height, parent.height, ["top", "bottom", "height"]),
+  };
+};
+
+// Rotation of a node in radians, clockwise with y pointing down like CSS rotate()
+const nodeAngle = (node) => {
+  const m = node.relativeTransform;
+  if (Array.isArray(m) && m[0] && m[1]) return Math.atan2(m[1][0], m[0][0]);
+  // The plain rotation field turns counter-clockwise
+  return node.rotation ? -node.rotation : 0;
+};
+
+// Recovers the unrotated size from a bounding box when the API did not send `size`
+const unrotatedSize = (W, H, angle) => {
+  const c = Math.abs(Math.cos(angle));
+  const s = Math.abs(Math.sin(angle));
+  const d = c * c - s * s;
+  // Near 45° the box no longer tells width and height apart
+  if (Math.abs(d) < 1e-3) return { width: W, height: H };
+  return { width: (W * c - H * s) / d, height: (H * c - W * s) / d };
+};
+
+// A node's unrotated box in its parent's space, its rotation and the frame its children sit in
+const nodeGeometry = (node, origin, rasterized) => {
+  const abb = node.absoluteBoundingBox;
+  const parentAngle = origin?.angle || 0;
+  const own = rasterized ? 0 : nodeAngle(node);
+  let { width, height } = abb;
+  if (own) {
+    ({ width, height } = node.size
+      ? { width: node.size.x, height: node.size.y }
+      : unrotatedSize(abb.width, abb.height, own));
+  }
+
+  const ax = abb.x + abb.width / 2;
+  const ay = abb.y + abb.height / 2;
+  let cx = ax;
+  let cy = ay;
+  if (parentAngle) {
+    const cos = Math.cos(-parentAngle);
+    const sin = Math.sin(-parentAngle);
+    cx = origin.cx + (ax - origin.cx) * cos - (ay - origin.cy) * sin;
+    cy = origin.cy + (ax - origin.cx) * sin + (ay - origin.cy) * cos;
+  }
+
+  return {
+    box: { x: cx - width / 2, y: cy - height / 2, width, height },
+    angle: rasterized ? -parentAngle : own,
+    frame: { x: ax - width / 2, y: ay - height / 2, width, height, cx: ax, cy: ay, angle: parentAngle + own },
+  };
+};
+
+// Clips a node to the shape of a sibling mask layer placed below it
+const maskCss = (mask, box, imagesMap) => {
+  const m = mask.box;
+  const top = m.y - box.y;
+  const left = m.x - box.x;
+  const right = box.x + box.width - (m.x + m.width);
+  const bottom = box.y + box.height - (m.y + m.height);
+  const url = imagesMap[mask.node.id];
+
+  if (mask.node.type === "ELLIPSE") {
+    return {
+      "clip-path": `ellipse(${pxf(m.width / 2)} ${pxf(m.height / 2)} at ${pxf(left + m.width / 2)} ${pxf(top + m.height / 2)})`,
+    };
+  }
+  if (url && mask.node.type !== "RECTANGLE" && mask.node.type !== "FRAME") {
+    // Any other shape masks through its rendered image
+    const position = `${pxf(left)} ${pxf(top)}`;
+    const size = `${pxf(m.width)} ${pxf(m.height)}`;
+    return {
+      "-webkit-mask-image": `url("${url}")`,
+      "mask-image": `url("${url}")`,
+      "-webkit-mask-position": position,
+      "mask-position": position,
+      "-webkit-mask-size": size,
+      "mask-size": size,
+      "-webkit-mask-repeat": "no-repeat",
+      "mask-repeat": "no-repeat",
+      "mask-mode": mask.node.maskType === "LUMINANCE" ? "luminance" : null,
+    };
+  }
+  const r = mask.node.cornerRadius;
+  const round = Array.isArray(mask.node.rectangleCornerRadii)
+    ? ` round ${mask.node.rectangleCornerRadii.map(pxf).join(" ")}`
+    : r
+      ? ` round ${pxf(r)}`
+      : "";
+  return { "clip-path": `inset(${[top, right, bottom, left].map(pxf).join(" ")}${round})` };
+};
+
+// Applies hug sizing and min/max limits on top of the placement rules
+const sizingCss = (node, layout) => {
+  const out = { ...layout };
+  const autoResize = node.textAutoResize;
+  if (node.layoutSizingHorizontal === "HUG" || autoResize === "WIDTH_AND_HEIGHT") delete out.width;
+  if (node.layoutSizingVertical === "HUG" || autoResize === "WIDTH_AND_HEIGHT" || autoResize === "HEIGHT") {
+    delete out.height;
+  }
+  if (node.minWidth != null) out["min-width"] = px(node.minWidth);
+  if (node.maxWidth != null) out["max-width"] = px(node.maxWidth);
+  if (node.minHeight != null) out["min-height"] = px(node.minHeight);
+  if (node.maxHeight != null) out["max-height"] = px(node.maxHeight);
+  return out;
+};
+
 function escapeHtml(s) {
-  return String(s).replaceAll("&", "&amp;").replaceAll("<", "&lt;").replaceAll(">", "&gt;");
+  return String(s)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
 }
 
-// Generates the HTML structure
-export function generateHtmlFromFrame(frameNode, imagesMap = {}, cssFileName = "styles.css") {
-  const rootBox = frameNode.absoluteBoundingBox || { width: 390, height: 844 };
-  const W = Math.round(rootBox.width);
-  const H = Math.round(rootBox.height);
+// Only web and mail links are written out; other schemes (javascript:, data:) could run script
+export const isSafeUrl = (url) => /^(https?:|mailto:)/i.test(url || "");
+
+// How far a stroke of the given weight reaches outside the box for each alignment
+const strokeOutset = (align, w) => (align === "OUTSIDE" ? w : align === "CENTER" ? w / 2 : 0);
+
+// Dashes as long as the stroke is thick read as dots
+const dashStyle = (node, w) => {
+  const dashes = Array.isArray(node.strokeDashes) ? node.strokeDashes : [];
+  if (!dashes.length || !dashes[0]) return "solid";
+  return dashes[0] <= w * 1.5 ? "dotted" : "dashed";
+};
+
+// One color for a painted stroke where it cannot be painted: the first gradient stop
+const strokeColor = (paint) => paintColor(paint.type === "SOLID" ? paint.color : paint.gradientStops?.[0]?.color, paint.opacity);
+
+// Box-shadows that draw the part of each side's stroke (top, right, bottom, left) outside the box
+const outsetShadows = (outsets, color) =>
+  outsets
+    .map((o, i) => (o > 0 ? `${[[0, -o], [o, 0], [0, o], [-o, 0]][i].map(pxf).join(" ")} 0 0 ${color}` : null))
+    .filter(Boolean)
+    .join(", ");
+
+// Builds stroke rules that keep the node's box: an outline, or a ::after for per-side and painted strokes.
+// Clipping nodes would cut off the ::after outside their box and replaced elements (<img>, <input>) have
+// none, so there the outside part is drawn with box-shadows, and a replaced element's inside part with its border.
+const strokeCss = (node, radii, { replaced = false } = {}) => {
+  const strokes = visiblePaints(node.strokes);
+  const weight = node.strokeWeight ?? node.strokeWidth ?? 0;
+  if (!strokes.length) return { visuals: {}, afterRule: null };
+
+  const iw = node.individualStrokeWeights;
+  let sides = iw
+    ? [iw.top || 0, iw.right || 0, iw.bottom || 0, iw.left || 0]
+    : [weight, weight, weight, weight];
+  if (!sides.some((w) => w > 0)) return { visuals: {}, afterRule: null };
+
+  const align = node.strokeAlign || "INSIDE";
+  const uniform = sides.every((w) => w === sides[0]);
+  const solid = strokes.length === 1 && strokes[0].type === "SOLID";
+  const style = dashStyle(node, Math.max(...sides));
+
+  if (uniform && solid) {
+    const w = sides[0];
+    return {
+      visuals: {
+        outline: `${pxf(w)} ${style} ${paintColor(strokes[0].color, strokes[0].opacity)}`,
+        "outline-offset": pxf(strokeOutset(align, w) - w),
+      },
+      afterRule: null,
+    };
+  }
+
+  let outsets = sides.map((w) => strokeOutset(align, w));
+  const visuals = {};
+  if (replaced || (node.clipsContent && outsets.some((o) => o > 0))) {
+    const color = strokeColor(strokes[0]);
+    const shadows = outsetShadows(outsets, color);
+    if (shadows) visuals["box-shadow"] = shadows;
+    sides = sides.map((w, i) => w - outsets[i]);
+    outsets = [0, 0, 0, 0];
+    if (!sides.some((w) => w > 0)) return { visuals, afterRule: null };
+    if (replaced) {
+      visuals["box-sizing"] = "border-box";
+      visuals["border-width"] = sides.map(pxf).join(" ");
+      visuals["border-style"] = style;
+      visuals["border-color"] = color;
+      return { visuals, afterRule: null };
+    }
+  }
+
+  const rule = {
+    content: '""',
+    position: "absolute",
+    inset: outsets.map((o) => pxf(-o)).join(" "),
+    "box-sizing": "border-box",
+    "border-width": sides.map(pxf).join(" "),
+    "border-style": style,
+    "pointer-events": "none",
+  };
+  // Outset strokes need a larger radius to stay concentric with the box
+  if (node.type === "ELLIPSE") rule["border-radius"] = "50%";
+  else if (radii) {
+    const grow = Math.max(...outsets);
+    rule["border-radius"] = radii.map((r) => pxf(r ? r + grow : 0)).join(" ");
+  }
+  if (solid) {
+    rule["border-color"] = paintColor(strokes[0].color, strokes[0].opacity);
+  } else {
+    // Paint the stroke stack as a background and mask away everything but the border area
+    rule["border-color"] = "transparent";
+    rule["background"] = paintsCss(strokes, node.absoluteBoundingBox)?.background;
+    rule["background-origin"] = "border-box";
+    rule["-webkit-mask"] = "linear-gradient(#000 0 0) padding-box, linear-gradient(#000 0 0)";
+    rule["-webkit-mask-composite"] = "xor";
+    rule["mask-composite"] = "exclude";
+  }
+  return { visuals, afterRule: rule };
+};
+
+/**
+ * Checks if a shape (a full ellipse without image fills, or a line) can be drawn with plain CSS.
+ */
+export function isCssShape(node) {
+  if (!node) return false;
+  const paints = [...visiblePaints(node.fills), ...visiblePaints(node.strokes)];
+  if (paints.some((p) => p.type === "IMAGE")) return false;
+  if (node.type === "ELLIPSE") {
+    const arc = node.arcData;
+    const fullCircle =
+      !arc ||
+      (!arc.innerRadius && !arc.startingAngle && Math.abs(arc.endingAngle - 2 * Math.PI) < 1e-3);
+    return fullCircle;
+  }
+  if (node.type === "LINE") {
+    // Arrow heads and other caps need the real vector
+    return !node.strokeCap || node.strokeCap === "NONE";
+  }
+  return false;
+}
+
+// A straight line: a zero-height box whose top border is the stroke, centered on the line
+const lineCss = (node) => {
+  const stroke = visiblePaints(node.strokes).pop();
+  const w = node.strokeWeight || 1;
+  if (!stroke) return {};
+  const color =
+    stroke.type === "SOLID"
+      ? paintColor(stroke.color, stroke.opacity)
+      : paintColor(stroke.gradientStops?.[0]?.color, stroke.opacity);
+  return {
+    height: "0",
+    "border-top": `${pxf(w)} ${dashStyle(node, w)} ${color}`,
+    "margin-top": pxf(-w / 2),
+  };
+};
+
+// Converts a Figma color to #RRGGBB as used in exported SVG markup
+const hexColor = (c) =>
+  `#${[c.r, c.g, c.b].map((v) => Math.round(clamp01(v) * 255).toString(16).padStart(2, "0")).join("")}`;
+
+// Returns the CSS color of a single-color vector (all fills and strokes share one solid color)
+const monochromeColor = (node) => {
+  const paints = [...visiblePaints(node.fills), ...visiblePaints(node.strokes)];
+  if (!paints.length || paints.some((p) => p.type !== "SOLID")) return null;
+  const colors = new Set(paints.map((p) => paintColor(p.color, p.opacity)));
+  return colors.size === 1 ? [...colors][0] : null;
+};
+
+// Prepares exported SVG markup for inlining, with the node class, currentColor and its alt text
+export const inlineSvgHtml = (svg, node, cls, alt = "") => {
+  let out = String(svg)
+    .replace(/<\?xml[^>]*>\s*/, "")
+    .replace(/<svg\b/, `<svg class="${cls}"${alt ? ` role="img" aria-label="${escapeHtml(alt)}"` : ' aria-hidden="true"'}`);
+  if (monochromeColor(node)) {
+    const hex = hexColor(visiblePaints([...(node.fills || []), ...(node.strokes || [])])[0].color);
+    out = out.replace(new RegExp(`(fill|stroke)="${hex}"`, "gi"), '$1="currentColor"');
+  }
+  return out;
+};
 
-  const nodeToHtml = (node) => {
-    if (!node || node.visible === false) return "";
+// Figma text decoration and case values mapped to CSS
+const TEXT_DECORATION = { UNDERLINE: "underline", STRIKETHROUGH: "line-through" };
+const TEXT_TRANSFORM = { UPPER: "uppercase", LOWER: "lowercase", TITLE: "capitalize" };
+const FONT_VARIANT = { SMALL_CAPS: "small-caps", SMALL_CAPS_FORCED: "all-small-caps" };
+const TEXT_V_ALIGN = { CENTER: "center", BOTTOM: "flex-end" };
+
+// Converts a Figma line height to CSS, keeping percentage line heights relative to the font size
+const lineHeightCss = (s) => {
+  if (s.lineHeightUnit === "FONT_SIZE_%" && s.lineHeightPercentFontSize) {
+    return String(Number((s.lineHeightPercentFontSize / 100).toFixed(3)));
+  }
+  if (s.lineHeightUnit === "INTRINSIC_%" && (s.lineHeightPercent ?? 100) === 100) return "normal";
+  return s.lineHeightPx ? px(s.lineHeightPx) : null;
+};
+
+// Builds the font rules for a Figma type style (a text node's style or one of its overrides)
+const textStyleCss = (s, fallbackFamily) => {
+  const out = {};
+  if (s.fontSize) out["font-size"] = px(s.fontSize);
+  // The PostScript name says which face is meant ("Inter-SemiBoldItalic" → 600 italic)
+  const face = fontFace(s, fallbackFamily);
+  if (s.fontWeight || s.fontPostScriptName) out["font-weight"] = face.weight;
+  if (face.style === "italic") out["font-style"] = "italic";
+  if (s.letterSpacing != null) out["letter-spacing"] = px(s.letterSpacing);
+  out["line-height"] = lineHeightCss(s);
+  const family = s.fontFamily || (typeof s.fontName === "object" ? s.fontName.family : null) || fallbackFamily;
+  if (family) out["font-family"] = `${JSON.stringify(family)}, system-ui, Arial, sans-serif`;
+  out["text-decoration"] = TEXT_DECORATION[s.textDecoration];
+  out["text-transform"] = TEXT_TRANSFORM[s.textCase];
+  out["font-variant"] = FONT_VARIANT[s.textCase];
+  return out;
+};
+
+// Figma blur radii are roughly twice the CSS blur standard deviation
+const blurCss = (radius) => `blur(${Number(((radius || 0) / 2).toFixed(2))}px)`;
+
+// Builds shadow and blur rules; blended shadows are returned apart for a ::before
+const effectsCss = (node) => {
+  const effects = (Array.isArray(node.effects) ? node.effects : []).filter(
+    (e) => e && e.visible !== false
+  );
+  const isText = node.type === "TEXT";
+  const shadows = [];
+  const blended = [];
+  let blendMode = null;
+  const out = {};
+
+  // Figma lists effects bottom to top, while the first CSS shadow is drawn on top
+  [...effects].reverse().forEach((e) => {
+    if (e.type !== "DROP_SHADOW" && e.type !== "INNER_SHADOW") return;
+    const inner = e.type === "INNER_SHADOW";
+    const { x = 0, y = 0 } = e.offset || {};
+    const color = rgba(e.color);
+    if (isText) {
+      // Text only supports plain drop shadows
+      if (!inner) shadows.push(`${px(x)} ${px(y)} ${px(e.radius || 0)} ${color}`);
+      return;
+    }
+    const shadow = `${inner ? "inset " : ""}${px(x)} ${px(y)} ${px(e.radius || 0)} ${px(e.spread || 0)} ${color}`;
+    const mode = blendModeCss(e.blendMode);
+    if (mode) {
+      blended.push(shadow);
+      blendMode = blendMode || mode;
+    } else {
+      shadows.push(shadow);
+    }
+  });
+  if (shadows.length) out[isText ? "text-shadow" : "box-shadow"] = shadows.join(", ");
+
+  const layerBlur = effects.find((e) => e.type === "LAYER_BLUR");
+  if (layerBlur) out["filter"] = blurCss(layerBlur.radius);
+  const backgroundBlur = effects.find((e) => e.type === "BACKGROUND_BLUR");
+  if (backgroundBlur) {
+    out["-webkit-backdrop-filter"] = blurCss(backgroundBlur.radius);
+    out["backdrop-filter"] = blurCss(backgroundBlur.radius);
+  }
+
+  const blendedRule = blended.length
+    ? {
+        content: '""',
+        position: "absolute",
+        inset: "0",
+        "border-radius": "inherit",
+        "box-shadow": blended.join(", "),
+        "mix-blend-mode": blendMode,
+        "pointer-events": "none",
+      }
+    : null;
+  return { visuals: out, blendedRule };
+};
+
+// Vertically centered or bottom aligned text needs an inner wrapper inside a flex box
+export const needsTextWrapper = (node) => Boolean(TEXT_V_ALIGN[node.style?.textAlignVertical]);
+
+// True when any line of a text node is part of a bulleted or numbered list
+export const hasListLines = (node) =>
+  Array.isArray(node.lineTypes) && node.lineTypes.some((t) => t === "ORDERED" || t === "UNORDERED");
+
+// Renders characters [start, end) of a text node, wrapping style overrides in spans
+const textRunsHtml = (node, cls, start, end) => {
+  const chars = node.characters || "";
+  const overrides = node.characterStyleOverrides || [];
+  const table = node.styleOverrideTable || {};
+  let out = "";
+  let i = start;
+  while (i < end) {
+    const id = overrides[i] || 0;
+    let j = i + 1;
+    while (j < end && (overrides[j] || 0) === id) j++;
+    const text = escapeHtml(chars.slice(i, j));
+    const style = id ? table[id] : null;
+    if (style?.hyperlink?.type === "URL" && isSafeUrl(style.hyperlink.url)) {
+      out += `<a class="${cls}-s${id}" href="${escapeHtml(style.hyperlink.url)}">${text}</a>`;
+    } else if (style) {
+      out += `<span class="${cls}-s${id}">${text}</span>`;
+    } else {
+      out += text;
+    }
+    i = j;
+  }
+  return out;
+};
+
+// Renders the content of a text node: styled runs, line breaks, paragraphs and lists
+export const textContentHtml = (node, cls) => {
+  const chars = node.characters || "";
+  const types = node.lineTypes || [];
+  const indents = node.lineIndentations || [];
+  const paragraphs = node.style?.paragraphSpacing > 0;
+  const stack = []; // open <ul>/<ol> tags, one per indentation level
+  let html = "";
+  let needBreak = false;
+  let start = 0;
+
+  const closeLists = (depth) => {
+    while (stack.length > depth) html += `</li></${stack.pop()}>`;
+  };
+
+  chars.split("\n").forEach((line, i) => {
+    const content = textRunsHtml(node, cls, start, start + line.length);
+    start += line.length + 1;
+    const type = types[i];
+
+    if (type === "ORDERED" || type === "UNORDERED") {
+      const tag = type === "ORDERED" ? "ol" : "ul";
+      const depth = Math.max(1, indents[i] || 0);
+      closeLists(depth);
+      if (stack.length === depth && stack[depth - 1] !== tag) closeLists(depth - 1);
+      if (stack.length === depth) {
+        html += `</li><li>${content}`;
+      } else {
+        while (stack.length < depth) {
+          stack.push(tag);
+          html += `<${tag}><li>`;
+        }
+        html += content;
+      }
+      needBreak = false;
+      return;
+    }
+
+    closeLists(0);
+    if (paragraphs) {
+      html += `<span class="${cls}-p">${content}</span>`;
+    } else {
+      html += (needBreak ? "<br/>" : "") + content;
+      needBreak = true;
+    }
+  });
+  closeLists(0);
+
+  return needsTextWrapper(node) ? `<span class="${cls}-inner">${html}</span>` : html;
+};
+
+// Builds the text rules for a TEXT node plus the extra rules for its overrides, paragraphs and lists
+const textCss = (node, cls, abb, imagesMap) => {
+  const s = node.style || {};
+  const visuals = { margin: "0", ...textStyleCss(s, "Inter") };
+  let extra = "";
+
+  // Size comes from the layout rules so flex children can grow or stretch
+  if (abb) visuals["overflow"] = "hidden"; // Keeps text within its box
+  visuals["white-space"] = "pre-wrap";
+  // A single solid fill is the text color; anything richer is painted through the glyphs
+  const textFills = visiblePaints(node.fills);
+  if (textFills.length === 1 && textFills[0].type === "SOLID") {
+    visuals["color"] = paintColor(textFills[0].color, textFills[0].opacity);
+  } else if (textFills.length) {
+    const paints = paintsCss(node.fills, abb, imagesMap);
+    if (paints) {
+      Object.assign(visuals, paints);
+      visuals["-webkit-background-clip"] = "text";
+      visuals["background-clip"] = "text";
+      visuals["color"] = "transparent";
+    }
+  }
+  const hAlign = (s.textAlignHorizontal || "").toLowerCase();
+  if (hAlign) visuals["text-align"] = hAlign === "justified" ? "justify" : hAlign;
+  if (s.paragraphIndent) visuals["text-indent"] = px(s.paragraphIndent);
+
+  // Outlined text; the stroke is painted under the fill so the glyphs keep their weight
+  const textStroke = visiblePaints(node.strokes).filter((p) => p.type === "SOLID").pop();
+  if (textStroke && node.strokeWeight > 0) {
+    const w = node.strokeAlign === "CENTER" ? node.strokeWeight : node.strokeWeight * 2;
+    visuals["-webkit-text-stroke"] = `${pxf(w)} ${paintColor(textStroke.color, textStroke.opacity)}`;
+    visuals["paint-order"] = "stroke fill";
+  }
+
+  // Vertical alignment centers an inner wrapper inside a column flex box
+  let clampTarget = visuals;
+  if (needsTextWrapper(node)) {
+    visuals["display"] = "flex";
+    visuals["flex-direction"] = "column";
+    visuals["justify-content"] = TEXT_V_ALIGN[s.textAlignVertical];
+    clampTarget = {};
+  }
+
+  // Truncated text is clamped to its max lines, or to as many lines as fit in the box
+  if (s.textTruncation === "ENDING" || node.textTruncation === "ENDING") {
+    const maxLines = node.maxLines ?? s.maxLines;
+    const fit = abb && s.lineHeightPx ? Math.floor(abb.height / s.lineHeightPx) : 0;
+    Object.assign(clampTarget, {
+      display: "-webkit-box",
+      "-webkit-box-orient": "vertical",
+      "-webkit-line-clamp": maxLines || Math.max(1, fit),
+      overflow: "hidden",
+      "text-overflow": "ellipsis",
+    });
+  }
+  if (clampTarget !== visuals && Object.keys(clampTarget).length) extra += makeRule(`${cls}-inner`, clampTarget);
+
+  if (s.paragraphSpacing > 0) {
+    extra += makeRule(`${cls}-p`, { display: "block", "margin-bottom": px(s.paragraphSpacing) });
+    extra += makeRule(`${cls}-p:last-child`, { "margin-bottom": "0" });
+  }
+  if (hasListLines(node)) {
+    extra += makeRule(`${cls} ul, ${cls} ol`, { margin: "0", "padding-left": "1.5em" });
+  }
+
+  // Each override in the table becomes its own class used by the spans in the HTML
+  const used = new Set(node.characterStyleOverrides || []);
+  Object.entries(node.styleOverrideTable || {}).forEach(([id, o]) => {
+    if (!used.has(Number(id)) || !o) return;
+    const rule = textStyleCss(o);
+    const fill = firstVisible(o.fills);
+    if (fill?.type === "SOLID") rule["color"] = paintColor(fill.color, fill.opacity);
+    extra += makeRule(`${cls}-s${id}`, rule);
+  });
+
+  return { visuals, extra };
+};
+
+// The single solid paint of a paint list, or null
+const onlySolid = (paints) => {
+  const visible = visiblePaints(paints);
+  return visible.length === 1 && visible[0].type === "SOLID" ? visible[0] : null;
+};
+
+// A solid paint as a token: its bound color variable (when the paint is fully opaque) or the shared style
+const paintToken = (paint, styleId, tokens) => {
+  const literal = paintColor(paint.color, paint.opacity);
+  const bound = (paint.opacity ?? 1) === 1 ? tokens.variable(paint.boundVariables?.color?.id) : null;
+  return bound || tokens.style(styleId, "FILL", literal, hexColorToken(paint.color, paint.opacity ?? 1));
+};
+
+// Swaps the values of a node's shared styles and bound variables for design tokens
+const applyTokens = (node, rule, tokens) => {
+  if (!tokens) return rule;
+  const out = { ...rule };
+  const bound = node.boundVariables || {};
+  const swap = (key, literal, token) => {
+    if (token && out[key] != null && String(out[key]).includes(literal)) {
+      out[key] = String(out[key]).replace(literal, token);
+    }
+  };
+
+  // Fill color: the background of shapes, the color of text
+  const fill = onlySolid(node.fills);
+  const colorKey = node.type === "TEXT" ? "color" : "background";
+  if (fill && out[colorKey] === paintColor(fill.color, fill.opacity)) {
+    const token = paintToken(fill, node.styles?.fill, tokens);
+    if (token) out[colorKey] = token;
+  }
+
+  // Uniform solid strokes are drawn as an outline ending with the color
+  const stroke = onlySolid(node.strokes);
+  if (stroke && out.outline) {
+    swap("outline", paintColor(stroke.color, stroke.opacity), paintToken(stroke, node.styles?.stroke, tokens));
+  }
+
+  // Shadows from an effect style become one token
+  const shadowKey = out["box-shadow"] ? "box-shadow" : out["text-shadow"] ? "text-shadow" : null;
+  if (shadowKey && node.styles?.effect) {
+    const json = (node.effects || [])
+      .filter((e) => e?.visible !== false && (e.type === "DROP_SHADOW" || e.type === "INNER_SHADOW"))
+      .map((e) => ({
+        color: hexColorToken(e.color || {}),
+        offsetX: px(e.offset?.x || 0),
+        offsetY: px(e.offset?.y || 0),
+        blur: px(e.radius || 0),
+        spread: px(e.spread || 0),
+        ...(e.type === "INNER_SHADOW" && { inset: true }),
+      }));
+    const token = tokens.style(node.styles.effect, "EFFECT", out[shadowKey], json);
+    if (token) out[shadowKey] = token;
+  }
+
+  // Font rules from a text style
+  if (node.type === "TEXT" && node.styles?.text) {
+    const s = node.style || {};
+    Object.assign(
+      out,
+      tokens.text(node.styles.text, out, {
+        fontFamily: s.fontFamily,
+        fontSize: px(s.fontSize),
+        fontWeight: fontFace(s).weight,
+        lineHeight: lineHeightCss(s),
+        letterSpacing: px(s.letterSpacing || 0),
+      })
+    );
+  }
+
+  // Spacing and radius variables
+  const v = (key) => tokens.variable(bound[key]?.id);
+  if (v("itemSpacing") && out.gap === px(node.itemSpacing || 0)) out.gap = v("itemSpacing");
+  const sides = ["paddingTop", "paddingRight", "paddingBottom", "paddingLeft"];
+  if (out.padding && sides.some(v)) {
+    out.padding = sides.map((k) => v(k) || px(node[k] || 0)).join(" ");
+  }
+  const corners = ["topLeftRadius", "topRightRadius", "bottomRightRadius", "bottomLeftRadius"];
+  const radius = v("cornerRadius") || (corners.every((k) => v(k) && v(k) === v(corners[0])) && v(corners[0]));
+  if (radius && out["border-radius"] && out["border-radius"] !== "50%") out["border-radius"] = radius;
+  return out;
+};
+
+// The node types Figma draws from vector paths; they are exported as images or SVG
+export const VECTOR_TYPES = new Set([
+  "ELLIPSE",
+  "VECTOR",
+  "LINE",
+  "STAR",
+  "POLYGON",
+  "BOOLEAN_OPERATION",
+  "REGULAR_POLYGON",
+  "ARROW",
+]);
+
+/**
+ * Decides how a node is written out: { kind } is "svg", "background", "img" or "element".
+ */
+export function nodeElement(node, imagesMap = {}, svgs = {}, semantics = null) {
+  // Inline SVG vectors carry their own drawing
+  if (svgs[node.id]) return { kind: "svg" };
+
+  // If this node uses an image background, just create a simple div for it
+  const modifiedUrl = imagesMap[node.id];
+  if (modifiedUrl && shouldTreatAsSingleContainer(node)) {
+    // Skip its children and use the image as background in CSS
+    return { kind: "background" };
+  }
+
+  // For shapes or small icons, use an <img> tag
+  if (modifiedUrl && (VECTOR_TYPES.has(node.type) || (!node.children || node.children.length === 0))) {
+    return { kind: "img", src: modifiedUrl };
+  }
+
+  // Elements picked by inferSemantics (see Semantics), with their attributes and form control
+  const picked = semantics?.get(node.id);
+  if (picked) return { kind: "element", tag: picked.tag, attrs: picked.attrs, control: picked.control };
+
+  // Lists cannot live inside a <p>, so text with list lines becomes a <div>
+  const textTag = hasListLines(node) ? "div" : (node.style?.fontSize || 0) >= 32 ? "h1" : "p";
+  return { kind: "element", tag: node.type === "TEXT" ? textTag : "div" };
+}
+
+// ` name="value"` for each attribute; empty values are boolean attributes
+const attrsHtml = (attrs = {}) =>
+  Object.entries(attrs)
+    .map(([k, v]) => (v === "" ? ` ${k}` : ` ${k}="${escapeHtml(v)}"`))
+    .join("");
+
+// Browser styles of the semantic elements that would change how the layer looks
+const TAG_RESETS = {
+  button: {
+    padding: "0",
+    border: "0",
+    background: "none",
+    font: "inherit",
+    color: "inherit",
+    "text-align": "inherit",
+    cursor: "pointer",
+  },
+  a: { color: "inherit", "text-decoration": "none" },
+  ul: { "list-style": "none", margin: "0", padding: "0" },
+  ol: { "list-style": "none", margin: "0", padding: "0" },
+  label: { cursor: "pointer" },
+  input: { padding: "0", border: "0", "background-color": "transparent", "outline-offset": "2px" },
+  textarea: { padding: "0", border: "0", "background-color": "transparent", "outline-offset": "2px", resize: "none" },
+  ...Object.fromEntries([1, 2, 3, 4, 5, 6].map((n) => [`h${n}`, { margin: "0", "font-weight": "normal" }])),
+};
+
+// The native control of a field or choice covers the whole layer
+const controlCss = (control) => ({
+  position: "absolute",
+  inset: "0",
+  width: "100%",
+  height: "100%",
+  margin: "0",
+  ...(control.tag === "input" && ["checkbox", "radio"].includes(control.attrs?.type)
+    ? { opacity: "0", cursor: "pointer" }
+    : { padding: "0", border: "0", "background-color": "transparent", font: "inherit", color: "inherit" }),
+});
+
+// Fills, corners and strokes of a layer that is not text: the default painter
+const paintShape = (node, { cls, box, url, imagesMap, replaced }) => {
+  const visuals = {};
+  let extraCss = "";
+  // Handle fills, gradients, or images
+  if (url) {
+    visuals["background-image"] = `url("${url}")`;
+    visuals["background-repeat"] = "no-repeat";
+    visuals["background-size"] = "cover";
+    visuals["background-position"] = "center";
+  } else {
+    const paints = paintsCss(node.fills, box, imagesMap) || paintsCss(node.background, box, imagesMap);
+    if (paints) Object.assign(visuals, paints);
+    else if (node.backgroundColor) visuals["background"] = rgba(node.backgroundColor);
+  }
+
+  // Rounded corners
+  let radii = null;
+  if (Array.isArray(node.rectangleCornerRadii)) {
+    const [tl, tr, br, bl] = node.rectangleCornerRadii;
+    radii = [tl, tr, br, bl];
+    visuals["border-top-left-radius"] = px(tl);
+    visuals["border-top-right-radius"] = px(tr);
+    visuals["border-bottom-right-radius"] = px(br);
+    visuals["border-bottom-left-radius"] = px(bl);
+  } else if (typeof node.cornerRadius === "number" && node.cornerRadius > 0) {
+    radii = [node.cornerRadius, node.cornerRadius, node.cornerRadius, node.cornerRadius];
+    visuals["border-radius"] = px(node.cornerRadius);
+  } else if (node.type === "ELLIPSE" && !url) {
+    visuals["border-radius"] = "50%";
+  }
+
+  // Strokes, drawn without changing the box size
+  const stroke = strokeCss(node, radii, { replaced });
+  Object.assign(visuals, stroke.visuals);
+  if (stroke.afterRule) extraCss += makeRule(`.${cls}::after`, stroke.afterRule);
+
+  if (node.clipsContent) visuals["overflow"] = "hidden";
+  return { visuals, extraCss };
+};
+
+// How each node type draws itself, as { visuals, extraCss }; types not listed are shapes
+const PAINTERS = {
+  TEXT: (node, { cls, box, imagesMap }) => {
+    const text = textCss(node, `.${cls}`, box, imagesMap);
+    return { visuals: text.visuals, extraCss: text.extra };
+  },
+  // Lines are a border, unless they were exported as an image
+  LINE: (node, ctx) => (ctx.url ? paintShape(node, ctx) : { visuals: lineCss(node), extraCss: "" }),
+};
+
+/**
+ * Builds the element tree the generators write from (see Plugins for its shape).
+ */
+export function buildTree(
+  frameNode,
+  imagesMap = {},
+  { preview = false, svgs = {}, tokens = null, semantics = null, components = {}, plugins = [] } = {}
+) {
+  const options = { preview, svgs, tokens, semantics, components, imagesMap };
+  let zCounter = 0;
+
+  // The built-in element of a node; origin is the box its position is measured from
+  const elementOf = (node, origin, parent, mask) => {
     const cls = safeClass(node.id);
+    const abb = node.absoluteBoundingBox || null;
+    const url = imagesMap[node.id];
+    const svg = svgs[node.id];
+    // Exported images and SVGs already include the node's rotation, opacity and effects
+    const rendered = Boolean(url || svg);
+    const el = nodeElement(node, imagesMap, svgs, semantics);
+    const element = {
+      node,
+      className: cls,
+      ...el,
+      ...(svg && { svg }),
+      alt: el.kind === "element" ? "" : altText(node, components),
+      content: el.kind === "element" && node.type === "TEXT" ? textContentHtml(node, cls) : "",
+      style: {},
+      extraCss: "",
+      children: [],
+    };
+
+    // Rotated nodes are placed by their unrotated box and turned with a transform
+    const geometry = abb && origin ? nodeGeometry(node, origin, rendered) : null;
+    const box = geometry?.box || abb;
+
+    // Set the size and position for each element
+    let layout = {};
+    if (abb && origin) {
+      layout = { position: "absolute", ...constraintCss(node, box, origin) };
+    } else if (abb) {
+      // The root is a fixed artboard in preview mode and fluid otherwise
+      layout = preview
+        ? { position: "relative", width: px(abb.width), height: px(abb.height) }
+        : { position: "relative", width: "100%", "min-height": px(abb.height) };
+    } else {
+      layout.position = origin ? "absolute" : "relative";
+    }
+
+    // Children of an auto-layout frame flow in the flex container unless pinned absolutely
+    if (isAutoLayout(parent) && node.layoutPositioning !== "ABSOLUTE") {
+      layout = flexChildCss(node, parent, layout);
+    }
+    if (origin) layout = sizingCss(node, layout);
+    if (isAutoLayout(node)) layout = { ...layout, ...autoLayoutCss(node) };
+
+    layout["z-index"] = ++zCounter;
+
+    const visuals = {};
+    let extraCss = "";
+
+    // Node opacity, rotation and the mask of the group it sits in
+    if (node.opacity != null && node.opacity < 1 && !rendered) visuals["opacity"] = num(node.opacity);
+    if (geometry?.angle) visuals["transform"] = `rotate(${num((geometry.angle * 180) / Math.PI)}deg)`;
+    if (mask && box) Object.assign(visuals, maskCss(mask, box, imagesMap));
+
+    // An icon-like group drawn as one image background has no children of its own
+    if (el.kind === "background") {
+      visuals["background-image"] = `url("${url}")`;
+      visuals["background-repeat"] = "no-repeat";
+      visuals["background-size"] = "contain";
+      visuals["background-position"] = "center";
+      return { ...element, style: { ...layout, ...visuals } };
+    }
+
+    if (svg) {
+      // Single-color vectors were switched to currentColor, so their color lives here
+      const color = monochromeColor(node);
+      if (color) visuals["color"] = color;
+      visuals["display"] = "block";
+    } else {
+      const replaced = el.kind === "img" || ["input", "textarea"].includes(el.tag);
+      const paint = (PAINTERS[node.type] || paintShape)(node, { cls, box, url, imagesMap, replaced });
+      Object.assign(visuals, paint.visuals);
+      extraCss += paint.extraCss;
+    }
+
+    // Layer blend mode against whatever is behind the node
+    visuals["mix-blend-mode"] = blendModeCss(node.blendMode);
 
-    // If this node uses an image background, just create a simple div for it
-    const modifiedUrl = imagesMap[node.id];
-    if (modifiedUrl && shouldTreatAsSingleContainer(node)) {
-      // Skip its children and use the image as background in CSS
-      return `<div class="${cls}"></div>`;
+    // Shadows and blurs; rendered nodes already have their effects baked into the image
+    if (!rendered) {
+      const effects = effectsCss(node);
+      const { "box-shadow": shadow, ...rest } = effects.visuals;
+      Object.assign(visuals, rest);
+      // Stroke shadows stay on top of the drop shadows
+      if (shadow) visuals["box-shadow"] = [visuals["box-shadow"], shadow].filter(Boolean).join(", ");
+      if (effects.blendedRule) extraCss += makeRule(`.${cls}::before`, effects.blendedRule);
     }
 
-    // For shapes or small icons, use an <img> tag
-    const isVectorLike = ["ELLIPSE", "VECTOR", "LINE", "STAR", "POLYGON", "BOOLEAN_OPERATION", "REGULAR_POLYGON", "ARROW"].includes(node.type);
-    if (modifiedUrl && (isVectorLike || (!node.children || node.children.length === 0))) {
-      return `<img class="${cls}" alt="" src="${modifiedUrl}" />`;
+    // Semantic elements start from the layer's look, not the browser's
+    const picked = semantics?.get(node.id);
+    const reset = (picked && TAG_RESETS[picked.tag]) || {};
+    if (picked?.tag === "input" || picked?.tag === "textarea") {
+      extraCss += makeRule(`.${cls}::placeholder`, { color: "inherit", opacity: "1" });
     }
+    if (picked?.control) extraCss += makeRule(`.${cls}-control`, controlCss(picked.control));
+
+    const rootFrame = abb && { ...abb, cx: abb.x + abb.width / 2, cy: abb.y + abb.height / 2, angle: 0 };
+    const nextOrigin = geometry?.frame || rootFrame || origin;
+
+    // A mask layer is not drawn; it clips every sibling stacked above it
+    const children = [];
+    let activeMask = null;
+    (node.children || []).forEach((c) => {
+      if (c?.isMask && c.visible !== false) {
+        if (c.absoluteBoundingBox && nextOrigin) activeMask = { node: c, box: nodeGeometry(c, nextOrigin, false).box };
+        return;
+      }
+      const child = build(c, nextOrigin, node, activeMask);
+      if (child) children.push(child);
+    });
+
+    return {
+      ...element,
+      style: applyTokens(node, { ...reset, ...layout, ...visuals }, tokens),
+      extraCss,
+      children,
+    };
+  };
+
+  // Plugins get the first say over each node (see runHandlers)
+  const build = (node, origin, parent, mask) => {
+    if (!node || node.visible === false) return null;
+    const ctx = { parent: parent || null, options };
+    return runHandlers(plugins, node, ctx, () => elementOf(node, origin, parent, mask));
+  };
+
+  const tree = build(frameNode, null, null, null);
+  if (!tree) throw new Error(`${frameNode.name || frameNode.id} was left out by a plugin, so there is nothing to export.`);
+  return transformTree(tree, plugins, options);
+}
+
+// An element's children in reading order (see readingOrder); elements a plugin added go last
+export const childrenInReadingOrder = (element) => {
+  const byNode = new Map(element.children.map((c) => [c.node, c]));
+  const ordered = readingOrder({ ...element.node, children: element.children.map((c) => c.node) });
+  const seen = new Set(ordered);
+  return [...ordered.map((n) => byNode.get(n)), ...element.children.filter((c) => !seen.has(c.node))];
+};
+
+/**
+ * Writes the HTML page of a tree from buildTree.
+ */
+export function treeToHtml(tree, cssFileName = "styles.css", { preview = false, fragment = false, fonts = null, lang = "en" } = {}) {
+  const frameNode = tree.node;
+  const rootBox = frameNode.absoluteBoundingBox || { width: 390, height: 844 };
+  const W = Math.round(rootBox.width);
+  const H = Math.round(rootBox.height);
+  // The frame is the page's <main>, unless its layers already mark the header, footer or main
+  let landmarks = false;
+  eachElement(tree, (el) => {
+    if (el.kind === "element" && ["header", "footer", "main"].includes(el.tag)) landmarks = true;
+  });
+
+  const elementToHtml = (el) => {
+    const cls = el.className;
+    const alt = el.alt || "";
+    if (el.kind === "svg") return inlineSvgHtml(el.svg, el.node, cls, alt);
+    if (el.kind === "background") {
+      return `<div class="${cls}"${alt ? ` role="img" aria-label="${escapeHtml(alt)}"` : ""}></div>`;
+    }
+    if (el.kind === "img") return `<img class="${cls}" alt="${escapeHtml(alt)}" src="${el.src}" />`;
+
+    // A field's placeholder text layer is the field itself
+    const attrs = attrsHtml(el.attrs);
+    if (el.tag === "input") return `<input class="${cls}"${attrs} />`;
+    if (el.tag === "textarea") return `<textarea class="${cls}"${attrs}></textarea>`;
 
     // For text or groups, create normal tags and include child elements
-    const tag = node.type === "TEXT" ? ((node.style?.fontSize || 0) >= 32 ? "h1" : "p") : "div";
-    const kids = (node.children || []).map(nodeToHtml).join("");
-    const inner = node.type === "TEXT" ? (node.characters || "").replace(/\n/g, "<br/>") : "";
+    const kids = childrenInReadingOrder(el).map(elementToHtml).join("");
+    const control = el.control
+      ? el.control.tag === "textarea"
+        ? `<textarea class="${cls}-control"${attrsHtml(el.control.attrs)}></textarea>`
+        : `<input class="${cls}-control"${attrsHtml(el.control.attrs)} />`
+      : "";
 
-    return `<${tag} class="${cls}">${inner}${kids}</${tag}>`;
+    const tag = el === tree && !fragment && !landmarks && el.tag === "div" ? "main" : el.tag;
+    return `<${tag} class="${cls}"${attrs}>${control}${el.content || ""}${kids}</${tag}>`;
   };
 
-  const content = nodeToHtml(frameNode);
+  const content = elementToHtml(tree);
+  if (fragment) return content;
+  // The frame class scopes the #frame rule, so several screens can share one stylesheet
+  const frameClass = `${safeClass(frameNode.id)}-frame`;
+  const fontTags = fonts ? fontTagsHtml(fonts) : "";
 
-  // Create full HTML page with style and scaling
-  return `<!doctype html>
-<html>
+  const head = `<!doctype html>
+<html lang="${escapeHtml(lang)}">
 <head>
   <meta charset="utf-8"/>
   <meta name="viewport" content="width=device-width, initial-scale=1"/>
   <title>${escapeHtml(frameNode.name || "Export")}</title>
-  <link rel="stylesheet" href="./${cssFileName}"/>
+  <link rel="stylesheet" href="./${cssFileName}"/>${fontTags ? `\n  ${fontTags}` : ""}`;
+
+  if (!preview) {
+    // Responsive page: the frame fills the viewport and nodes follow their constraints
+    return `${head}
+  <style>
+    html, body { margin: 0; }
+    #frame { width:100%; min-height:${H}px; position:relative; isolation:isolate; }
+    img { display:block; }
+  </style>
+</head>
+<body>
+  <div id="frame" class="${frameClass}">${content}</div>
+</body>
+</html>`;
+  }
+
+  // Preview page: the fixed-size artboard is scaled to fit the window
+  return `${head}
   <style>
     html, body { height: 100%; margin: 0; }
     body { background:#f6f7f9; }
@@ -100,7 +1246,7 @@ export function generateHtmlFromFrame(frameNode, imagesMap = {}, cssFileName = "
 </head>
 <body>
   <div id="stage">
-    <div id="frame">${content}</div>
+    <div id="frame" class="${frameClass}">${content}</div>
   </div>
   <script>
     (function () {
@@ -120,126 +1266,53 @@ export function generateHtmlFromFrame(frameNode, imagesMap = {}, cssFileName = "
 </html>`;
 }
 
-
-// Generates CSS for every node
-export function generateCssFromFrame(rootNode, imagesMap = {}) {
+/**
+ * Writes the stylesheet of a tree from buildTree.
+ */
+export function treeToCss(tree, { preview = false } = {}) {
   let css = "";
-  let zCounter = 0;
-
-  const emitNode = (node, origin) => {
-    if (!node || node.visible === false) return;
-    const cls = `.${safeClass(node.id)}`;
-    const abb = node.absoluteBoundingBox || null;
-
-    // Set the size and position for each element
-    const layout = {};
-    if (abb) {
-      layout.position = origin ? "absolute" : "relative";
-      if (origin) {
-        layout.left = px(abb.x - origin.x);
-        layout.top = px(abb.y - origin.y);
-      }
-      layout.width = px(abb.width);
-      layout.height = px(abb.height);
-    } else {
-      layout.position = origin ? "absolute" : "relative";
-    }
-
-    layout["z-index"] = ++zCounter;
-
-    const visuals = {};
-    const modifiedUrl = imagesMap[node.id];
-
-    // If the node uses an image background, set the background image and skip children
-    if (modifiedUrl && shouldTreatAsSingleContainer(node)) {
-      visuals["background-image"] = `url("${modifiedUrl}")`;
-      visuals["background-repeat"] = "no-repeat";
-      visuals["background-size"] = "contain";
-      visuals["background-position"] = "center";
-      css += makeRule(cls, { ...layout, ...visuals });
-      return;
-    }
-
-    // For normal shapes and text
-    if (node.type !== "TEXT") {
-      // Handle fills, gradients, or images
-      if (modifiedUrl) {
-        visuals["background-image"] = `url("${modifiedUrl}")`;
-        visuals["background-repeat"] = "no-repeat";
-        visuals["background-size"] = "cover";
-        visuals["background-position"] = "center";
-      } else {
-        const fill = firstVisible(node.fills) || firstVisible(node.background);
-        if (fill?.type === "SOLID") visuals["background"] = rgba(fill.color, fill.opacity);
-        else if (fill?.type?.startsWith("GRADIENT")) {
-          const g = gradientToCss(fill);
-          if (g) visuals["background"] = g;
-        } else if (node.backgroundColor) {
-          visuals["background"] = rgba(node.backgroundColor);
-        }
-      }
-
-      // Rounded corners
-      if (Array.isArray(node.rectangleCornerRadii)) {
-        const [tl, tr, br, bl] = node.rectangleCornerRadii;
-        visuals["border-top-left-radius"] = px(tl);
-        visuals["border-top-right-radius"] = px(tr);
-        visuals["border-bottom-right-radius"] = px(br);
-        visuals["border-bottom-left-radius"] = px(bl);
-      } else if (typeof node.cornerRadius === "number" && node.cornerRadius > 0) {
-        visuals["border-radius"] = px(node.cornerRadius);
-      }
-
-      // Border
-      const stroke = firstVisible(node.strokes);
-      const strokeW = node.strokeWeight ?? node.strokeWidth;
-      if (stroke?.color && strokeW > 0) {
-        visuals["border"] = `${px(strokeW)} solid ${rgba(stroke.color, stroke.opacity)}`;
-      }
-
-      if (node.clipsContent) visuals["overflow"] = "hidden";
-    } else {
-      // For text elements
-      const s = node.style || {};
-      visuals["margin"] = "0";
-      if (s.fontSize) visuals["font-size"] = px(s.fontSize);
-      if (s.fontWeight) visuals["font-weight"] = s.fontWeight;
-      if (s.letterSpacing != null) visuals["letter-spacing"] = px(s.letterSpacing);
-      if (s.lineHeightPx) visuals["line-height"] = px(s.lineHeightPx);
-      if (abb) {
-        visuals["width"] = px(abb.width);
-        visuals["height"] = px(abb.height);
-        visuals["overflow"] = "hidden"; // Keeps text within its box
-      }
-      visuals["white-space"] = "pre-wrap";
-      const family =
-        s.fontFamily || (typeof s.fontName === "object" ? s.fontName.family : null) || "Inter";
-      visuals["font-family"] = `${JSON.stringify(family)}, system-ui, Arial, sans-serif`;
-      const textFill = firstVisible(node.fills);
-      if (textFill?.type === "SOLID") visuals["color"] = rgba(textFill.color, textFill.opacity);
-      const hAlign = (s.textAlignHorizontal || "").toLowerCase();
-      if (hAlign) visuals["text-align"] = hAlign;
-    }
-
-    css += makeRule(cls, { ...layout, ...visuals });
-
-    const nextOrigin = abb ? { x: abb.x, y: abb.y } : origin;
-    (node.children || []).forEach((c) => emitNode(c, nextOrigin));
-  };
-
-  // Create a container for the full frame
-  const rb = rootNode.absoluteBoundingBox || { width: 390, height: 844 };
-  css += makeRule("#frame", {
-    position: "relative",
-    width: px(rb.width),
-    height: px(rb.height),
-    isolation: "isolate",
+  const rb = tree.node.absoluteBoundingBox || { width: 390, height: 844 };
+  css += makeRule(
+    `#frame.${safeClass(tree.node.id)}-frame`,
+    preview
+      ? { position: "relative", width: px(rb.width), height: px(rb.height), isolation: "isolate" }
+      : { position: "relative", width: "100%", "min-height": px(rb.height), isolation: "isolate" }
+  );
+  eachElement(tree, (el) => {
+    css += makeRule(`.${el.className}`, el.style) + (el.extraCss || "");
   });
-
-  emitNode(rootNode, null);
   return `/* Generated by Softlight Figma → HTML/CSS */\n${css}`;
 }
 
+// Generates the HTML structure
+export function generateHtmlFromFrame(
+  frameNode,
+  imagesMap = {},
+  cssFileName = "styles.css",
+  {
+    preview = false,
+    svgs = {},
+    semantics = null,
+    fragment = false,
+    fonts = null,
+    lang = "en",
+    components = {},
+    plugins = [],
+  } = {}
+) {
+  const tree = buildTree(frameNode, imagesMap, { preview, svgs, semantics, components, plugins });
+  return treeToHtml(tree, cssFileName, { preview, fragment, fonts, lang });
+}
+
+// Generates CSS for every node
+export function generateCssFromFrame(
+  rootNode,
+  imagesMap = {},
+  { preview = false, svgs = {}, tokens = null, semantics = null, plugins = [] } = {}
+) {
+  return treeToCss(buildTree(rootNode, imagesMap, { preview, svgs, tokens, semantics, plugins }), { preview });
+}
+
 /**
  * Checks if a small group similar to icons should be replaced by a single image background.
  */
@@ -251,14 +1324,13 @@ function shouldTreatAsSingleContainer(node) {
   if (!small || !kind.has(node.type)) return false;
 
   // If the group contains shapes or image fills, use it as a single image
-  const vectorish = new Set(["ELLIPSE", "VECTOR", "LINE", "STAR", "POLYGON", "BOOLEAN_OPERATION", "REGULAR_POLYGON", "ARROW"]);
   const stack = [...(node.children || [])];
   while (stack.length) {
     const n = stack.pop();
     if (!n || n.visible === false) continue;
     const fills = Array.isArray(n.fills) ? n.fills : [];
     const hasImageFill = fills.some((f) => f?.type === "IMAGE" && f.visible !== false);
-    if (hasImageFill || vectorish.has(n.type)) return true;
+    if (hasImageFill || VECTOR_TYPES.has(n.type)) return true;
     (n.children || []).forEach((c) => stack.push(c));
   }
   return false;
@@ -1,4 +1,6 @@
-import { generateHtmlFromFrame, generateCssFromFrame } from './DownloadFiles';
+import { generateHtmlFromFrame, generateCssFromFrame, isCssShape } from './DownloadFiles';
+import { createTokens } from './DesignTokens';
+import { inferSemantics } from './Semantics';
 
 // making a sample text node
 const mkText = (id, x, y, w, h, text, fontSize = 24) => ({
@@ -38,7 +40,8 @@ describe('DownloadFiles generators', () => {
   test('generateHtmlFromFrame links to default styles.css', () => {
     const html = generateHtmlFromFrame(frameNode, {}, 'styles.css');
     expect(html).toContain('<link rel="stylesheet" href="./styles.css"/>');
-    expect(html).toContain('id="frame"');
+    // the frame class scopes the #frame rule when screens share a stylesheet
+    expect(html).toContain('<div id="frame" class="n_F1-frame">');
     // class names should match node ids
     expect(html).toContain('class="n_F1"');
     expect(html).toContain('class="n_T1"');
@@ -50,6 +53,47 @@ describe('DownloadFiles generators', () => {
     expect(html).toContain('<link rel="stylesheet" href="./custom-name.css"/>');
   });
 
+  // pages declare their language, the frame is the main landmark and layers follow the reading order
+  test('writes accessible markup', () => {
+    const frame = {
+      ...frameNode,
+      children: [
+        mkText('LOW', 20, 200, 200, 40, 'Second'),
+        mkRect('PHOTO', 250, 20, 100, 100),
+        { ...mkRect('ICON', 20, 20, 24, 24), type: 'VECTOR', name: 'Icon/Search' },
+        { ...mkRect('DECOR', 60, 20, 24, 24), type: 'VECTOR', name: 'Vector 2' }
+      ]
+    };
+    frame.children[1].name = 'Team Photo';
+    const images = { PHOTO: 'assets/p.png', ICON: 'assets/i.png', DECOR: 'assets/d.png' };
+    const html = generateHtmlFromFrame(frame, images, 'styles.css', { lang: 'de' });
+    expect(html).toContain('<html lang="de">');
+    expect(html).toContain('<main class="n_F1">');
+    expect(html).toContain('<img class="n_ICON" alt="Search" src="assets/i.png" />');
+    expect(html).toContain('<img class="n_DECOR" alt="" src="assets/d.png" />');
+    const order = ['n_ICON', 'n_DECOR', 'n_PHOTO', 'n_LOW'].map((c) => html.indexOf(`class="${c}"`));
+    expect(order).toEqual([...order].sort((a, b) => a - b));
+    expect(generateHtmlFromFrame(frameNode, {})).toContain('<html lang="en">');
+
+    // layers marked as the header or footer keep those landmarks, so the frame stays a div
+    const semantics = new Map([['T1', { tag: 'header' }]]);
+    expect(generateHtmlFromFrame(frameNode, {}, 'styles.css', { semantics })).toContain('<div class="n_F1">');
+  });
+
+  // resolved fonts load after the stylesheet; PostScript names set the weight and style
+  test('loads the fonts the text uses', () => {
+    const fonts = { google: [{ family: 'Inter', href: 'https://fonts.googleapis.com/css2?family=Inter:wght@400&display=swap' }], local: [], system: [], missing: [] };
+    const html = generateHtmlFromFrame(frameNode, {}, 'styles.css', { fonts });
+    expect(html).toContain('<link rel="stylesheet" href="./styles.css"/>\n  <link rel="preconnect" href="https://fonts.googleapis.com"/>');
+    expect(html).toContain(`<link rel="stylesheet" href="${fonts.google[0].href}"/>`);
+
+    const node = mkText('PS', 0, 0, 200, 40, 'Hello');
+    node.style = { ...node.style, fontWeight: 400, fontPostScriptName: 'Inter-SemiBoldItalic' };
+    const css = generateCssFromFrame(node, {});
+    expect(css).toContain('font-weight: 600;');
+    expect(css).toContain('font-style: italic;');
+  });
+
   // CSS output should include positions, frame, and background color
   test('generateCssFromFrame positions nodes and sets colors', () => {
     const css = generateCssFromFrame(frameNode, {});
@@ -90,4 +134,696 @@ describe('DownloadFiles generators', () => {
     expect(css).toContain('.n_ICON');
     expect(css).toContain('background-image: url("https://example.com/icon.png")');
   });
+
+  // auto-layout frames become flex containers and their children flow inside
+  test('translates auto-layout into flexbox', () => {
+    const row = {
+      id: 'ROW',
+      type: 'FRAME',
+      visible: true,
+      layoutMode: 'HORIZONTAL',
+      itemSpacing: 12,
+      paddingTop: 8,
+      paddingRight: 16,
+      paddingBottom: 8,
+      paddingLeft: 16,
+      primaryAxisAlignItems: 'CENTER',
+      counterAxisAlignItems: 'MAX',
+      absoluteBoundingBox: { x: 0, y: 0, width: 400, height: 60 },
+      children: [
+        { ...mkRect('A', 16, 8, 100, 44), layoutGrow: 1, layoutAlign: 'STRETCH' },
+        mkText('B', 128, 8, 80, 44, 'Label'),
+        { ...mkRect('PIN', 380, 0, 20, 20), layoutPositioning: 'ABSOLUTE' },
+      ]
+    };
+    const css = generateCssFromFrame(row, {});
+    const rule = (id) => css.slice(css.indexOf(`.n_${id} {`), css.indexOf('}', css.indexOf(`.n_${id} {`)));
+
+    expect(rule('ROW')).toContain('display: flex;');
+    expect(rule('ROW')).toContain('flex-direction: row;');
+    expect(rule('ROW')).toContain('gap: 12px;');
+    expect(rule('ROW')).toContain('padding: 8px 16px 8px 16px;');
+    expect(rule('ROW')).toContain('justify-content: center;');
+    expect(rule('ROW')).toContain('align-items: flex-end;');
+
+    // growing + stretched child keeps neither fixed width nor height
+    expect(rule('A')).toContain('flex: 1 1 0;');
+    expect(rule('A')).toContain('align-self: stretch;');
+    expect(rule('A')).not.toMatch(/^\s+(width|height|left|top):/m);
+
+    // regular child stays in the flow with its fixed size
+    expect(rule('B')).toContain('position: relative;');
+    expect(rule('B')).toContain('width: 80px;');
+    expect(rule('B')).not.toContain('left:');
+
+    // absolutely positioned child is still placed by coordinates
+    expect(rule('PIN')).toContain('position: absolute;');
+    expect(rule('PIN')).toContain('left: 380px;');
+  });
+
+  // wrapping auto-layout uses the counter axis spacing between lines
+  test('maps wrap and counter axis spacing', () => {
+    const grid = {
+      id: 'GRID',
+      type: 'FRAME',
+      visible: true,
+      layoutMode: 'HORIZONTAL',
+      layoutWrap: 'WRAP',
+      itemSpacing: 10,
+      counterAxisSpacing: 20,
+      primaryAxisAlignItems: 'SPACE_BETWEEN',
+      absoluteBoundingBox: { x: 0, y: 0, width: 300, height: 300 },
+      children: []
+    };
+    const css = generateCssFromFrame(grid, {});
+    expect(css).toContain('flex-wrap: wrap;');
+    expect(css).toContain('row-gap: 20px;');
+    expect(css).not.toContain('column-gap');
+    expect(css).toContain('justify-content: space-between;');
+  });
+
+  // constraints decide which edges a node is pinned to inside its parent
+  test('maps constraints to right, stretch, centering and percentage rules', () => {
+    const withConstraints = (node, horizontal, vertical) => ({ ...node, constraints: { horizontal, vertical } });
+    const frame = {
+      ...frameNode,
+      children: [
+        withConstraints(mkRect('R', 300, 20, 80, 40), 'RIGHT', 'BOTTOM'),
+        withConstraints(mkRect('LR', 20, 20, 360, 40), 'LEFT_RIGHT', 'TOP'),
+        withConstraints(mkRect('C', 150, 100, 80, 40), 'CENTER', 'CENTER'),
+        withConstraints(mkRect('S', 40, 30, 200, 150), 'SCALE', 'SCALE'),
+      ]
+    };
+    const css = generateCssFromFrame(frame, {});
+    const rule = (id) => css.slice(css.indexOf(`.n_${id} {`), css.indexOf('}', css.indexOf(`.n_${id} {`)));
+
+    expect(rule('R')).toContain('right: 20px;');
+    expect(rule('R')).toContain('bottom: 240px;');
+    expect(rule('R')).not.toContain('left:');
+
+    expect(rule('LR')).toContain('left: 20px;');
+    expect(rule('LR')).toContain('right: 20px;');
+    expect(rule('LR')).not.toMatch(/^\s+width:/m);
+
+    expect(rule('C')).toContain('left: calc(50% - 50px);');
+    expect(rule('C')).toContain('top: calc(50% - 50px);');
+
+    expect(rule('S')).toContain('left: 10%;');
+    expect(rule('S')).toContain('width: 50%;');
+    expect(rule('S')).toContain('height: 50%;');
+  });
+
+  // hug sizing drops the fixed size, fill sizing grows inside auto-layout, min/max are kept
+  test('maps sizing modes and min/max sizes', () => {
+    const col = {
+      id: 'COL',
+      type: 'FRAME',
+      visible: true,
+      layoutMode: 'VERTICAL',
+      absoluteBoundingBox: { x: 0, y: 0, width: 300, height: 400 },
+      children: [
+        { ...mkText('HUG', 0, 0, 120, 28, 'Hug me'), layoutSizingHorizontal: 'HUG', layoutSizingVertical: 'HUG' },
+        {
+          ...mkRect('FILL', 0, 28, 300, 100),
+          layoutSizingHorizontal: 'FILL',
+          layoutSizingVertical: 'FILL',
+          minWidth: 100,
+          maxWidth: 600,
+        },
+      ]
+    };
+    const css = generateCssFromFrame(col, {});
+    const rule = (id) => css.slice(css.indexOf(`.n_${id} {`), css.indexOf('}', css.indexOf(`.n_${id} {`)));
+
+    expect(rule('HUG')).not.toMatch(/^\s+(width|height):/m);
+    expect(rule('FILL')).toContain('flex: 1 1 0;');
+    expect(rule('FILL')).toContain('align-self: stretch;');
+    expect(rule('FILL')).toContain('min-width: 100px;');
+    expect(rule('FILL')).toContain('max-width: 600px;');
+  });
+
+  // the default output is fluid, preview mode keeps the scaled fixed artboard
+  test('scale-to-fit script is only emitted in preview mode', () => {
+    const responsive = generateHtmlFromFrame(frameNode, {}, 'styles.css');
+    expect(responsive).not.toContain('function fit()');
+    expect(responsive).toContain('#frame { width:100%; min-height:300px;');
+    expect(generateCssFromFrame(frameNode, {})).toMatch(/#frame\.n_F1-frame \{[^}]*width: 100%;/);
+
+    const preview = generateHtmlFromFrame(frameNode, {}, 'styles.css', { preview: true });
+    expect(preview).toContain('function fit()');
+    expect(preview).toContain('id="stage"');
+    expect(generateCssFromFrame(frameNode, {}, { preview: true })).toMatch(/#frame\.n_F1-frame \{[^}]*width: 400px;/);
+  });
+
+  // per-character overrides become spans with their own classes and rules
+  test('renders style overrides as nested spans and links', () => {
+    const rich = {
+      ...mkText('RT', 0, 0, 300, 28, 'Buy now & save'),
+      characterStyleOverrides: [1, 1, 1, 0, 0, 0, 0, 0, 0, 0, 2, 2, 2, 2],
+      styleOverrideTable: {
+        1: { fontWeight: 700, italic: true },
+        2: {
+          fills: [{ type: 'SOLID', color: { r: 0, g: 0, b: 1, a: 1 } }],
+          textDecoration: 'UNDERLINE',
+          hyperlink: { type: 'URL', url: 'https://example.com/?a=1&b=2' }
+        },
+        3: { fontWeight: 300 }
+      }
+    };
+    const html = generateHtmlFromFrame({ ...frameNode, children: [rich] });
+    expect(html).toContain(
+      '<span class="n_RT-s1">Buy</span> now &amp; <a class="n_RT-s2" href="https://example.com/?a=1&amp;b=2">save</a>'
+    );
+
+    const css = generateCssFromFrame(rich, {});
+    expect(css).toMatch(/\.n_RT-s1 \{\n {2}font-weight: 700;\n {2}font-style: italic;\n\}/);
+    expect(css).toMatch(/\.n_RT-s2 \{[^}]*text-decoration: underline;[^}]*color: rgba\(0, 0, 255, 1\);/);
+    // unused overrides produce no rule
+    expect(css).not.toContain('.n_RT-s3');
+  });
+
+  // a link that could run script is written as a plain styled run
+  test('does not link text to javascript: or data: urls', () => {
+    // built from parts so the linter does not take the test for a script url
+    [['javascript', 'alert(1)'].join(':'), 'data:text/html,<script>alert(1)</script>'].forEach((url) => {
+      const rich = {
+        ...mkText('RT', 0, 0, 300, 28, 'Click'),
+        characterStyleOverrides: [1, 1, 1, 1, 1],
+        styleOverrideTable: { 1: { hyperlink: { type: 'URL', url } } }
+      };
+      const html = generateHtmlFromFrame({ ...frameNode, children: [rich] });
+      expect(html).toContain('<span class="n_RT-s1">Click</span>');
+      expect(html).not.toContain('<a ');
+    });
+  });
+
+  // decorations, case, italic and percentage line heights on the base style
+  test('maps text decoration, case and line height units', () => {
+    const node = mkText('TX', 0, 0, 200, 40, 'Hello');
+    node.style = {
+      ...node.style,
+      italic: true,
+      textDecoration: 'STRIKETHROUGH',
+      textCase: 'UPPER',
+      lineHeightUnit: 'FONT_SIZE_%',
+      lineHeightPercentFontSize: 150
+    };
+    const css = generateCssFromFrame(node, {});
+    expect(css).toContain('font-style: italic;');
+    expect(css).toContain('text-decoration: line-through;');
+    expect(css).toContain('text-transform: uppercase;');
+    expect(css).toContain('line-height: 1.5;');
+
+    node.style = { ...node.style, textCase: 'SMALL_CAPS' };
+    expect(generateCssFromFrame(node, {})).toContain('font-variant: small-caps;');
+  });
+
+  // list lines become nested <ul>/<ol> elements and the text uses a <div>
+  test('renders list lines as ul/ol', () => {
+    const list = {
+      ...mkText('L', 0, 0, 300, 120, 'Intro\nOne\nTwo\nSub\nStep'),
+      lineTypes: ['NONE', 'UNORDERED', 'UNORDERED', 'UNORDERED', 'ORDERED'],
+      lineIndentations: [0, 1, 1, 2, 1]
+    };
+    const html = generateHtmlFromFrame({ ...frameNode, children: [list] });
+    expect(html).toContain(
+      '<div class="n_L">Intro<ul><li>One</li><li>Two<ul><li>Sub</li></ul></li></ul><ol><li>Step</li></ol></div>'
+    );
+    expect(generateCssFromFrame(list, {})).toContain('.n_L ul, .n_L ol {');
+  });
+
+  // paragraph spacing wraps each paragraph in a block with a bottom margin
+  test('renders paragraph spacing', () => {
+    const node = mkText('P', 0, 0, 300, 120, 'First\nSecond');
+    node.style = { ...node.style, paragraphSpacing: 12 };
+    const html = generateHtmlFromFrame({ ...frameNode, children: [node] });
+    expect(html).toContain('<span class="n_P-p">First</span><span class="n_P-p">Second</span>');
+    expect(generateCssFromFrame(node, {})).toMatch(/\.n_P-p \{\n {2}display: block;\n {2}margin-bottom: 12px;/);
+  });
+
+  // vertical alignment and truncation clamp the inner wrapper
+  test('maps vertical alignment and truncation to a line clamp', () => {
+    const node = mkText('V', 0, 0, 300, 90, 'Long text');
+    node.style = { ...node.style, textAlignVertical: 'CENTER', textTruncation: 'ENDING' };
+    const html = generateHtmlFromFrame({ ...frameNode, children: [node] });
+    expect(html).toContain('<p class="n_V"><span class="n_V-inner">Long text</span></p>');
+
+    const css = generateCssFromFrame(node, {});
+    expect(css).toMatch(/\.n_V \{[^}]*display: flex;[^}]*justify-content: center;/);
+    // 90px box with 28px lines fits 3 lines
+    expect(css).toMatch(/\.n_V-inner \{[^}]*-webkit-line-clamp: 3;/);
+
+    const capped = { ...mkText('M', 0, 0, 300, 90, 'Long text'), maxLines: 2 };
+    capped.style = { ...capped.style, textTruncation: 'ENDING' };
+    expect(generateCssFromFrame(capped, {})).toMatch(/\.n_M \{[^}]*-webkit-line-clamp: 2;/);
+  });
+
+  // shadows stack top-most first, blurs map to filter and backdrop-filter
+  test('maps effects to shadows and blurs', () => {
+    const card = {
+      ...mkRect('CARD', 0, 0, 200, 100),
+      effects: [
+        { type: 'DROP_SHADOW', visible: true, color: { r: 0, g: 0, b: 0, a: 0.25 }, offset: { x: 0, y: 4 }, radius: 8, spread: 2 },
+        { type: 'INNER_SHADOW', visible: true, color: { r: 1, g: 1, b: 1, a: 0.5 }, offset: { x: 0, y: 1 }, radius: 0 },
+        { type: 'DROP_SHADOW', visible: false, color: { r: 1, g: 0, b: 0, a: 1 }, offset: { x: 9, y: 9 }, radius: 9 },
+        { type: 'LAYER_BLUR', visible: true, radius: 10 },
+        { type: 'BACKGROUND_BLUR', visible: true, radius: 20 },
+      ]
+    };
+    const css = generateCssFromFrame(card, {});
+    expect(css).toContain(
+      'box-shadow: inset 0px 1px 0px 0px rgba(255, 255, 255, 0.5), 0px 4px 8px 2px rgba(0, 0, 0, 0.25);'
+    );
+    expect(css).not.toContain('9px');
+    expect(css).toContain('filter: blur(5px);');
+    expect(css).toContain('backdrop-filter: blur(10px);');
+  });
+
+  // text nodes use text-shadow and ignore inner shadows
+  test('maps text drop shadows to text-shadow', () => {
+    const title = {
+      ...mkText('TS', 0, 0, 200, 40, 'Title'),
+      effects: [
+        { type: 'DROP_SHADOW', color: { r: 0, g: 0, b: 0, a: 1 }, offset: { x: 1, y: 2 }, radius: 3 },
+        { type: 'INNER_SHADOW', color: { r: 0, g: 0, b: 0, a: 1 }, offset: { x: 0, y: 0 }, radius: 1 },
+      ]
+    };
+    const css = generateCssFromFrame(title, {});
+    expect(css).toContain('text-shadow: 1px 2px 3px rgba(0, 0, 0, 1);');
+    expect(css).not.toContain('box-shadow');
+  });
+
+  // blended shadows move to a pseudo-element with mix-blend-mode
+  test('draws blended shadows on a pseudo-element', () => {
+    const node = {
+      ...mkRect('BL', 0, 0, 100, 100),
+      effects: [
+        { type: 'DROP_SHADOW', blendMode: 'MULTIPLY', color: { r: 0, g: 0, b: 1, a: 1 }, offset: { x: 0, y: 2 }, radius: 4 },
+      ]
+    };
+    const css = generateCssFromFrame(node, {});
+    expect(css).toMatch(/\.n_BL::before \{[^}]*box-shadow: 0px 2px 4px 0px rgba\(0, 0, 255, 1\);[^}]*mix-blend-mode: multiply;/);
+    expect(css).not.toMatch(/\.n_BL \{[^}]*box-shadow/);
+  });
+
+  // every visible fill becomes a background layer, top-most first
+  test('layers multiple fills with blend modes', () => {
+    const hero = {
+      ...mkRect('HERO', 0, 0, 400, 200),
+      fills: [
+        { type: 'IMAGE', imageRef: 'abc', scaleMode: 'FILL' },
+        { type: 'SOLID', visible: false, color: { r: 1, g: 0, b: 0, a: 1 } },
+        { type: 'SOLID', color: { r: 0, g: 0, b: 0, a: 1 }, opacity: 0.4, blendMode: 'MULTIPLY' },
+      ],
+      blendMode: 'SCREEN'
+    };
+    const css = generateCssFromFrame(hero, { abc: 'https://example.com/photo.png' });
+    expect(css).toContain(
+      'background: linear-gradient(rgba(0, 0, 0, 0.4), rgba(0, 0, 0, 0.4)), url("https://example.com/photo.png") center / cover no-repeat;'
+    );
+    expect(css).toContain('background-blend-mode: multiply, normal;');
+    expect(css).toContain('mix-blend-mode: screen;');
+  });
+
+  // linear gradient angles follow the box aspect ratio and keep paint opacity
+  test('maps linear gradients using the node aspect ratio', () => {
+    const node = {
+      ...mkRect('LG', 0, 0, 200, 100),
+      fills: [{
+        type: 'GRADIENT_LINEAR',
+        opacity: 0.5,
+        gradientHandlePositions: [{ x: 0, y: 0 }, { x: 1, y: 1 }, { x: 0, y: 1 }],
+        gradientStops: [
+          { position: 0, color: { r: 1, g: 1, b: 1, a: 1 } },
+          { position: 1, color: { r: 0, g: 0, b: 0, a: 1 } }
+        ]
+      }]
+    };
+    const css = generateCssFromFrame(node, {});
+    // corner to corner on a 2:1 box is about 117deg, not 135deg
+    expect(css).toContain('background: linear-gradient(117deg, rgba(255, 255, 255, 0.5) 0%, rgba(0, 0, 0, 0.5) 100%);');
+  });
+
+  // radial, angular and diamond gradients get their own CSS equivalents
+  test('maps radial, angular and diamond gradients', () => {
+    const stops = [
+      { position: 0, color: { r: 1, g: 0, b: 0, a: 1 } },
+      { position: 1, color: { r: 0, g: 0, b: 1, a: 1 } }
+    ];
+    const handles = [{ x: 0.5, y: 0.5 }, { x: 1, y: 0.5 }, { x: 0.5, y: 1 }];
+    const withFill = (id, type) => ({
+      ...mkRect(id, 0, 0, 200, 100),
+      fills: [{ type, gradientHandlePositions: handles, gradientStops: stops }]
+    });
+
+    expect(generateCssFromFrame(withFill('RG', 'GRADIENT_RADIAL'), {})).toContain(
+      'background: radial-gradient(100px 50px at 50% 50%, rgba(255, 0, 0, 1) 0%, rgba(0, 0, 255, 1) 100%);'
+    );
+    expect(generateCssFromFrame(withFill('AG', 'GRADIENT_ANGULAR'), {})).toContain(
+      'background: conic-gradient(from 90deg at 50% 50%, rgba(255, 0, 0, 1) 0%, rgba(0, 0, 255, 1) 100%);'
+    );
+    const diamond = generateCssFromFrame(withFill('DG', 'GRADIENT_DIAMOND'), {});
+    expect(diamond).toContain(
+      'linear-gradient(to bottom right, rgba(255, 0, 0, 1) 0%, rgba(0, 0, 255, 1) 50%) 100px 50px / 100px 50px no-repeat'
+    );
+    expect(diamond).toContain('linear-gradient(to top left, rgba(255, 0, 0, 1) 0%, rgba(0, 0, 255, 1) 50%) 0px 0px / 100px 50px no-repeat');
+    expect(diamond).toContain('linear-gradient(rgba(0, 0, 255, 1), rgba(0, 0, 255, 1));');
+  });
+
+  // image fills follow their scale mode
+  test('maps image scale modes', () => {
+    const withImage = (fill) =>
+      generateCssFromFrame({ ...mkRect('IMG', 0, 0, 100, 100), fills: [{ type: 'IMAGE', imageRef: 'r', ...fill }] }, { r: 'img.png' });
+
+    expect(withImage({ scaleMode: 'FIT' })).toContain('background: url("img.png") center / contain no-repeat;');
+    expect(withImage({ scaleMode: 'TILE', scalingFactor: 0.5 })).toContain('background: url("img.png") 0 0 / 50% auto repeat;');
+    expect(withImage({
+      scaleMode: 'CROP',
+      imageTransform: [[0.5, 0, 0.25], [0, 0.5, 0.5]]
+    })).toContain('background: url("img.png") 50% 100% / 200% 200% no-repeat;');
+    // an image that was not resolved leaves no background
+    expect(generateCssFromFrame({ ...mkRect('NOIMG', 0, 0, 10, 10), fills: [{ type: 'IMAGE', imageRef: 'x' }] }, {}))
+      .not.toContain('background');
+  });
+
+  // gradient text is painted through the glyphs
+  test('clips gradient text fills to the glyphs', () => {
+    const node = {
+      ...mkText('GT', 0, 0, 200, 40, 'Shiny'),
+      fills: [{
+        type: 'GRADIENT_LINEAR',
+        gradientHandlePositions: [{ x: 0, y: 0.5 }, { x: 1, y: 0.5 }, { x: 0, y: 1 }],
+        gradientStops: [
+          { position: 0, color: { r: 1, g: 0, b: 0, a: 1 } },
+          { position: 1, color: { r: 0, g: 0, b: 1, a: 1 } }
+        ]
+      }]
+    };
+    const css = generateCssFromFrame(node, {});
+    expect(css).toContain('background: linear-gradient(90deg,');
+    expect(css).toContain('background-clip: text;');
+    expect(css).toContain('color: transparent;');
+  });
+
+  // a uniform solid stroke becomes an outline that keeps the box size
+  test('maps uniform strokes to outlines by alignment and dashes', () => {
+    const stroked = (align, extra = {}) => ({
+      ...mkRect('ST', 0, 0, 200, 40),
+      strokes: [{ type: 'SOLID', color: { r: 0, g: 0, b: 0, a: 1 }, opacity: 0.5 }],
+      strokeWeight: 1,
+      strokeAlign: align,
+      ...extra
+    });
+    const inside = generateCssFromFrame(stroked('INSIDE'), {});
+    expect(inside).toContain('outline: 1px solid rgba(0, 0, 0, 0.5);');
+    expect(inside).toContain('outline-offset: -1px;');
+    expect(inside).not.toContain('border:');
+
+    expect(generateCssFromFrame(stroked('CENTER'), {})).toContain('outline-offset: -0.5px;');
+    expect(generateCssFromFrame(stroked('OUTSIDE'), {})).toContain('outline-offset: 0px;');
+    expect(generateCssFromFrame(stroked('INSIDE', { strokeDashes: [6, 4] }), {})).toContain('outline: 1px dashed');
+    expect(generateCssFromFrame(stroked('INSIDE', { strokeDashes: [1, 2] }), {})).toContain('outline: 1px dotted');
+  });
+
+  // per-side weights are drawn on a pseudo-element so the layout does not move
+  test('maps individual stroke weights to a pseudo-element border', () => {
+    const divider = {
+      ...mkRect('DIV', 0, 0, 200, 40),
+      cornerRadius: 4,
+      strokes: [{ type: 'SOLID', color: { r: 1, g: 0, b: 0, a: 1 } }],
+      strokeAlign: 'OUTSIDE',
+      individualStrokeWeights: { top: 0, right: 0, bottom: 2, left: 0 }
+    };
+    const css = generateCssFromFrame(divider, {});
+    const after = css.slice(css.indexOf('.n_DIV::after {'));
+    expect(after).toContain('inset: 0px 0px -2px 0px;');
+    expect(after).toContain('border-width: 0px 0px 2px 0px;');
+    expect(after).toContain('border-style: solid;');
+    expect(after).toContain('border-color: rgba(255, 0, 0, 1);');
+    expect(after).toContain('border-radius: 6px 6px 6px 6px;');
+  });
+
+  // a clipping frame would cut off a ::after outside its box, so that part becomes box-shadows
+  test('draws outside strokes of clipping frames with box-shadows', () => {
+    const card = {
+      ...mkRect('CARD', 0, 0, 200, 100),
+      type: 'FRAME',
+      clipsContent: true,
+      strokes: [{ type: 'SOLID', color: { r: 1, g: 0, b: 0, a: 1 } }],
+      strokeAlign: 'CENTER',
+      individualStrokeWeights: { top: 2, right: 0, bottom: 4, left: 0 },
+      effects: [{ type: 'DROP_SHADOW', visible: true, color: { r: 0, g: 0, b: 0, a: 0.5 }, offset: { x: 0, y: 2 }, radius: 4 }],
+      children: [mkRect('IN', 10, 10, 20, 20)]
+    };
+    const css = generateCssFromFrame({ ...frameNode, children: [card] }, {});
+    const rule = css.slice(css.indexOf('.n_CARD {'), css.indexOf('}', css.indexOf('.n_CARD {')));
+    expect(rule).toContain('overflow: hidden;');
+    // the stroke's shadows are listed before, so drawn above, the drop shadow
+    expect(rule).toContain('box-shadow: 0px -1px 0 0 rgba(255, 0, 0, 1), 0px 2px 0 0 rgba(255, 0, 0, 1), 0px 2px 4px');
+    // the inside half stays on the ::after, which no longer reaches outside the box
+    const after = css.slice(css.indexOf('.n_CARD::after {'));
+    expect(after).toContain('inset: 0px 0px 0px 0px;');
+    expect(after).toContain('border-width: 1px 0px 2px 0px;');
+  });
+
+  // <img> and <input> have no ::after, so their strokes are box-shadows and a border
+  test('keeps per-side strokes on image nodes', () => {
+    const photo = {
+      ...mkRect('PH', 0, 0, 100, 100),
+      fills: [{ type: 'IMAGE', imageRef: 'r1' }],
+      strokes: [{ type: 'SOLID', color: { r: 0, g: 0, b: 1, a: 1 } }],
+      strokeAlign: 'OUTSIDE',
+      individualStrokeWeights: { top: 0, right: 3, bottom: 0, left: 3 }
+    };
+    const images = { PH: 'assets/ph.png' };
+    const page = { ...frameNode, children: [photo] };
+    expect(generateHtmlFromFrame(page, images)).toContain('<img class="n_PH"');
+    const css = generateCssFromFrame(page, images);
+    expect(css).toContain('box-shadow: 3px 0px 0 0 rgba(0, 0, 255, 1), -3px 0px 0 0 rgba(0, 0, 255, 1);');
+    expect(css).not.toContain('.n_PH::after');
+
+    const inside = generateCssFromFrame({ ...page, children: [{ ...photo, strokeAlign: 'INSIDE' }] }, images);
+    expect(inside).toMatch(/\.n_PH \{[^}]*box-sizing: border-box;\n {2}border-width: 0px 3px 0px 3px;\n {2}border-style: solid;/);
+    expect(inside).not.toContain('box-shadow: 3px');
+  });
+
+  // gradient strokes are painted through a masked pseudo-element
+  test('supports gradient strokes', () => {
+    const node = {
+      ...mkRect('GS', 0, 0, 100, 100),
+      strokeWeight: 2,
+      strokes: [{
+        type: 'GRADIENT_LINEAR',
+        gradientHandlePositions: [{ x: 0, y: 0.5 }, { x: 1, y: 0.5 }, { x: 0, y: 1 }],
+        gradientStops: [
+          { position: 0, color: { r: 1, g: 0, b: 0, a: 1 } },
+          { position: 1, color: { r: 0, g: 0, b: 1, a: 1 } }
+        ]
+      }]
+    };
+    const css = generateCssFromFrame(node, {});
+    const after = css.slice(css.indexOf('.n_GS::after {'));
+    expect(after).toContain('border-color: transparent;');
+    expect(after).toContain('background: linear-gradient(90deg,');
+    expect(after).toContain('mask-composite: exclude;');
+  });
+
+  // text strokes use -webkit-text-stroke painted under the fill
+  test('maps text strokes', () => {
+    const node = {
+      ...mkText('TST', 0, 0, 100, 40, 'Out'),
+      strokes: [{ type: 'SOLID', color: { r: 1, g: 1, b: 1, a: 1 } }],
+      strokeWeight: 1,
+      strokeAlign: 'OUTSIDE'
+    };
+    const css = generateCssFromFrame(node, {});
+    expect(css).toContain('-webkit-text-stroke: 2px rgba(255, 255, 255, 1);');
+    expect(css).toContain('paint-order: stroke fill;');
+  });
+
+  // node opacity is emitted, rotation is placed from the unrotated box
+  test('maps opacity and rotation', () => {
+    const c = Math.cos(Math.PI / 6);
+    const sn = Math.sin(Math.PI / 6);
+    // 100x40 rect rotated 30deg clockwise around its center at (200, 150)
+    const aabbW = 100 * c + 40 * sn;
+    const aabbH = 100 * sn + 40 * c;
+    const rotated = {
+      ...mkRect('ROT', 200 - aabbW / 2, 150 - aabbH / 2, aabbW, aabbH),
+      opacity: 0.5,
+      size: { x: 100, y: 40 },
+      relativeTransform: [[c, -sn, 0], [sn, c, 0]]
+    };
+    const css = generateCssFromFrame({ ...frameNode, children: [rotated] }, {});
+    const rule = css.slice(css.indexOf('.n_ROT {'), css.indexOf('}', css.indexOf('.n_ROT {')));
+    expect(rule).toContain('left: 150px;');
+    expect(rule).toContain('top: 130px;');
+    expect(rule).toContain('width: 100px;');
+    expect(rule).toContain('height: 40px;');
+    expect(rule).toContain('transform: rotate(30deg);');
+    expect(rule).toContain('opacity: 0.5;');
+  });
+
+  // rotated nodes without a size field get it back from the bounding box
+  test('recovers the size of rotated nodes from the bounding box', () => {
+    const c = Math.cos(Math.PI / 6);
+    const sn = Math.sin(Math.PI / 6);
+    const rotated = {
+      ...mkRect('ROT2', 0, 0, 100 * c + 40 * sn, 100 * sn + 40 * c),
+      relativeTransform: [[c, -sn, 0], [sn, c, 0]]
+    };
+    const css = generateCssFromFrame({ ...frameNode, children: [rotated] }, {});
+    expect(css).toMatch(/\.n_ROT2 \{[^}]*width: 100px;[^}]*height: 40px;/);
+  });
+
+  // mask layers are hidden and clip the siblings above them
+  test('turns mask layers into clip paths on their siblings', () => {
+    const group = {
+      id: 'G',
+      type: 'GROUP',
+      visible: true,
+      absoluteBoundingBox: { x: 0, y: 0, width: 200, height: 200 },
+      children: [
+        mkRect('UNDER', 0, 0, 200, 200),
+        { ...mkRect('MASK', 50, 50, 100, 100), type: 'ELLIPSE', isMask: true },
+        mkRect('PHOTO', 0, 0, 200, 200),
+        { ...mkRect('RMASK', 10, 20, 100, 100), isMask: true, cornerRadius: 8 },
+        mkRect('CARD', 0, 0, 150, 150),
+      ]
+    };
+    const frame = { ...frameNode, children: [group] };
+    const html = generateHtmlFromFrame(frame);
+    expect(html).not.toContain('n_MASK');
+    expect(html).not.toContain('n_RMASK');
+
+    const css = generateCssFromFrame(frame, {});
+    expect(css).not.toContain('.n_MASK');
+    expect(css).not.toMatch(/\.n_UNDER \{[^}]*clip-path/);
+    expect(css).toContain('clip-path: ellipse(50px 50px at 100px 100px);');
+    expect(css).toContain('clip-path: inset(20px 40px 30px 10px round 8px);');
+  });
+
+  // vector masks clip through their rendered image
+  test('uses the rendered image of vector masks', () => {
+    const frame = {
+      ...frameNode,
+      children: [
+        { ...mkRect('VM', 10, 10, 24, 24), type: 'VECTOR', isMask: true, maskType: 'LUMINANCE' },
+        mkRect('IN', 0, 0, 100, 100),
+      ]
+    };
+    const css = generateCssFromFrame(frame, { VM: 'mask.png' });
+    expect(css).toContain('mask-image: url("mask.png");');
+    expect(css).toContain('mask-position: 10px 10px;');
+    expect(css).toContain('mask-size: 24px 24px;');
+    expect(css).toContain('mask-mode: luminance;');
+  });
+
+  // inline svgs get the node class and currentColor when the vector has one color
+  test('inlines svg vectors with currentColor', () => {
+    const icon = {
+      ...mkRect('ICO', 10, 10, 24, 24, { r: 1, g: 0, b: 0, a: 1 }),
+      type: 'VECTOR',
+      effects: [{ type: 'DROP_SHADOW', color: { r: 0, g: 0, b: 0, a: 1 }, offset: { x: 0, y: 1 }, radius: 2 }]
+    };
+    const svgs = { ICO: '<?xml version="1.0"?>\n<svg width="24" height="24"><path fill="#FF0000" d="M0 0"/></svg>' };
+    const frame = { ...frameNode, children: [icon] };
+
+    const html = generateHtmlFromFrame(frame, {}, 'styles.css', { svgs });
+    expect(html).toContain('<svg class="n_ICO" aria-hidden="true" width="24" height="24"><path fill="currentColor" d="M0 0"/></svg>');
+    expect(html).not.toContain('<?xml');
+
+    const css = generateCssFromFrame(frame, {}, { svgs });
+    const rule = css.slice(css.indexOf('.n_ICO {'), css.indexOf('}', css.indexOf('.n_ICO {')));
+    expect(rule).toContain('color: rgba(255, 0, 0, 1);');
+    expect(rule).not.toContain('background');
+    expect(rule).not.toContain('box-shadow');
+  });
+
+  // circles and straight lines are drawn with css
+  test('draws simple ellipses and lines with css', () => {
+    const dot = { ...mkRect('DOT', 0, 0, 20, 20), type: 'ELLIPSE' };
+    const line = {
+      id: 'LN',
+      type: 'LINE',
+      visible: true,
+      absoluteBoundingBox: { x: 0, y: 50, width: 200, height: 0 },
+      strokes: [{ type: 'SOLID', color: { r: 0, g: 0, b: 0, a: 1 } }],
+      strokeWeight: 2,
+      strokeDashes: [8, 4]
+    };
+    const css = generateCssFromFrame({ ...frameNode, children: [dot, line] }, {});
+    expect(css).toMatch(/\.n_DOT \{[^}]*border-radius: 50%;/);
+    const rule = css.slice(css.indexOf('.n_LN {'), css.indexOf('}', css.indexOf('.n_LN {')));
+    expect(rule).toContain('height: 0;');
+    expect(rule).toContain('border-top: 2px dashed rgba(0, 0, 0, 1);');
+    expect(rule).toContain('margin-top: -1px;');
+    expect(rule).not.toContain('outline');
+
+    expect(isCssShape(dot)).toBe(true);
+    expect(isCssShape({ ...dot, arcData: { startingAngle: 0, endingAngle: Math.PI, innerRadius: 0 } })).toBe(false);
+    expect(isCssShape({ ...line, strokeCap: 'ARROW_LINES' })).toBe(false);
+    expect(isCssShape(mkRect('R', 0, 0, 1, 1))).toBe(false);
+  });
+
+  // shared styles and bound variables are referenced through css variables
+  test('references styles and variables through tokens', () => {
+    const tokens = createTokens({
+      styles: {
+        'S:fill': { name: 'Brand/Primary', styleType: 'FILL' },
+        'S:text': { name: 'Heading', styleType: 'TEXT' },
+        'S:fx': { name: 'Card', styleType: 'EFFECT' },
+      },
+      variables: {
+        variables: { 'V:gap': { id: 'V:gap', name: 'spacing/md', resolvedType: 'FLOAT', variableCollectionId: 'C', valuesByMode: { m1: 12 } } },
+        variableCollections: { C: { id: 'C', defaultModeId: 'm1', modes: [{ modeId: 'm1', name: 'Default' }] } },
+      },
+    });
+    const card = {
+      ...mkRect('CARD', 0, 0, 100, 100, { r: 1, g: 0, b: 0, a: 1 }),
+      styles: { fill: 'S:fill', effect: 'S:fx' },
+      effects: [{ type: 'DROP_SHADOW', color: { r: 0, g: 0, b: 0, a: 0.5 }, offset: { x: 0, y: 2 }, radius: 4 }],
+      layoutMode: 'VERTICAL',
+      itemSpacing: 12,
+      boundVariables: { itemSpacing: { type: 'VARIABLE_ALIAS', id: 'V:gap' } },
+    };
+    // same style, detached to another color: keeps its literal value
+    const other = { ...mkRect('OTHER', 0, 0, 10, 10, { r: 0, g: 0, b: 1, a: 1 }), styles: { fill: 'S:fill' } };
+    const title = { ...mkText('TITLE', 0, 0, 100, 30, 'Hi'), styles: { text: 'S:text' } };
+    const css = generateCssFromFrame({ ...frameNode, children: [card, other, title] }, {}, { tokens });
+    const rule = (id) => css.slice(css.indexOf(`.n_${id} {`), css.indexOf('}', css.indexOf(`.n_${id} {`)));
+
+    expect(rule('CARD')).toContain('background: var(--color-brand-primary);');
+    expect(rule('CARD')).toContain('box-shadow: var(--shadow-card);');
+    expect(rule('CARD')).toContain('gap: var(--spacing-md);');
+    expect(rule('OTHER')).toContain('background: rgba(0, 0, 255, 1);');
+    expect(rule('TITLE')).toContain('font-size: var(--text-heading-font-size);');
+    expect(rule('TITLE')).toContain('font-family: var(--text-heading-font-family);');
+    expect(tokens.list().find((t) => t.name === 'color-brand-primary').css).toBe('rgba(255, 0, 0, 1)');
+
+    // without tokens nothing changes
+    expect(generateCssFromFrame({ ...frameNode, children: [card] }, {})).toContain('background: rgba(255, 0, 0, 1);');
+  });
+
+  // semantic elements carry their attributes and start from the layer's look
+  test('writes the elements picked by inferSemantics', () => {
+    const frame = {
+      ...frameNode,
+      children: [
+        { ...mkRect('B1', 20, 80, 120, 40), name: 'Button', children: [mkText('B2', 30, 90, 100, 20, 'Go', 16)] },
+        { ...mkRect('C1', 20, 140, 20, 20), name: 'Checkbox' },
+        { ...mkRect('I1', 20, 180, 200, 40), name: 'Input', children: [mkText('I2', 30, 190, 180, 20, 'Name', 16)] }
+      ]
+    };
+    const semantics = inferSemantics(frame);
+    const html = generateHtmlFromFrame(frame, {}, 'styles.css', { semantics });
+    const css = generateCssFromFrame(frame, {}, { semantics });
+
+    expect(html).toContain('<button class="n_B1" type="button"><span class="n_B2">Go</span></button>');
+    expect(html).toContain('<label class="n_C1"><input class="n_C1-control" type="checkbox" /></label>');
+    expect(html).toContain('<label class="n_I1"><input class="n_I2" type="text" placeholder="Name" /></label>');
+    expect(css).toContain('.n_B1 {\n  padding: 0;\n  border: 0;\n  background: rgba(255, 255, 255, 1);');
+    expect(css).toContain('.n_C1-control {\n  position: absolute;\n  inset: 0;');
+    expect(css).toContain('.n_I2::placeholder {\n  color: inherit;\n  opacity: 1;\n}');
+  });
 });
@@ -0,0 +1,171 @@
+import JSZip from "jszip";
+
+// File extensions for the image types the Figma API hands out, and the uploaded font files
+const EXTENSIONS = {
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/gif": "gif",
+  "image/webp": "webp",
+  "image/svg+xml": "svg",
+  "font/woff2": "woff2",
+  "font/woff": "woff",
+  "font/ttf": "ttf",
+  "font/otf": "otf",
+};
+
+function escapeHtml(s) {
+  return String(s)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+}
+
+/**
+ * Hashes bytes (or a string's character codes) with 32-bit FNV-1a, as 8 hex characters.
+ * Used for stable asset names: the same image always gets the same file name.
+ */
+export function hashBytes(bytes) {
+  const isText = typeof bytes === "string";
+  let h = 0x811c9dc5;
+  for (let i = 0; i < bytes.length; i++) {
+    h ^= isText ? bytes.charCodeAt(i) : bytes[i];
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, "0");
+}
+
+// Picks a file extension from the response type, falling back to the URL
+const extensionFor = (type, url) => {
+  const mime = String(type || "").split(";")[0].trim().toLowerCase();
+  if (EXTENSIONS[mime]) return EXTENSIONS[mime];
+  const m = String(url).match(/\.(png|jpe?g|gif|webp|svg)(\?|$)/i);
+  return m ? m[1].toLowerCase().replace("jpeg", "jpg") : "png";
+};
+
+/**
+ * Decodes a data: URL into { type, bytes } (or { type, text } when not base64), or null for anything else.
+ * Uploaded images arrive as data URLs, so they can be bundled without a network.
+ */
+export function dataUrlBytes(url) {
+  const m = String(url).match(/^data:([^;,]*)((?:;[^;,]*)*?)(;base64)?,(.*)$/s);
+  if (!m) return null;
+  const [, type, , base64, data] = m;
+  // Percent-encoded data URLs (e.g. SVG markup) come back as text
+  if (!base64) return { type, text: decodeURIComponent(data) };
+  const bin = atob(data);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return { type, bytes };
+}
+
+/**
+ * Downloads every remote image in the map into `assets`, named by content hash,
+ * and returns a copy of the map pointing at the relative `assets/...` paths.
+ * data: URLs (uploaded images) are decoded in place instead of fetched.
+ * Images that fail to download keep their original URL and are reported through `warn`.
+ * `assets` is a Map of path → bytes (or text) shared across screens, so duplicates are stored once;
+ * pass the same `byUrl` cache for every screen so a URL is only downloaded once per export.
+ */
+export async function localizeImages(imagesMap, assets, fetchFn = fetch, byUrl = new Map(), warn = () => {}) {
+  const out = { ...imagesMap };
+  for (const [key, url] of Object.entries(imagesMap)) {
+    const inline = dataUrlBytes(url);
+    if (!inline && !/^https?:\/\//.test(String(url))) continue;
+    if (!byUrl.has(url) && inline) {
+      const path = `assets/${hashBytes(inline.text ?? inline.bytes)}.${extensionFor(inline.type, "")}`;
+      assets.set(path, inline.text ?? inline.bytes);
+      byUrl.set(url, path);
+    } else if (!byUrl.has(url)) {
+      try {
+        const resp = await fetchFn(url);
+        if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+        const bytes = new Uint8Array(await resp.arrayBuffer());
+        const path = `assets/${hashBytes(bytes)}.${extensionFor(resp.headers.get("content-type"), url)}`;
+        assets.set(path, bytes);
+        byUrl.set(url, path);
+      } catch (err) {
+        warn(`Could not download the image of ${key} (${err.message || err}); the page links to Figma's URL, which expires.`);
+        byUrl.set(url, url);
+      }
+    }
+    out[key] = byUrl.get(url);
+  }
+  return out;
+}
+
+/**
+ * Stores text (e.g. SVG markup) in `assets` under its content hash and returns the path.
+ */
+export function addTextAsset(assets, text, ext) {
+  const path = `assets/${hashBytes(String(text))}.${ext}`;
+  assets.set(path, String(text));
+  return path;
+}
+
+// One list of links to pages
+const linkList = (pages) =>
+  pages.map((p) => `      <li><a href="./${escapeHtml(p.fileName)}">${escapeHtml(p.title)}</a></li>`).join("\n");
+
+/**
+ * Builds the index page linking to every exported screen.
+ * pages: [{ title, fileName }]; flows: the prototype's starting points as [{ title, fileName }],
+ * listed first so a clickable prototype opens where the designer meant it to.
+ * lang is the page language, the same as the screens'.
+ */
+export function generateIndexHtml(title, pages, flows = [], { lang = "en" } = {}) {
+  const flowList = flows.length
+    ? `  <h2>Prototype flows</h2>
+  <ul>
+${linkList(flows)}
+  </ul>
+  <h2>Screens</h2>
+`
+    : "";
+  return `<!doctype html>
+<html lang="${escapeHtml(lang)}">
+<head>
+  <meta charset="utf-8"/>
+  <meta name="viewport" content="width=device-width, initial-scale=1"/>
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: system-ui, Arial, sans-serif; margin: 40px; color: #1a202c; }
+    li { margin: 6px 0; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+${flowList}  <ul>
+${linkList(pages)}
+  </ul>
+</body>
+</html>`;
+}
+
+/**
+ * Lays an export out as files: index.html, one page per screen, the shared stylesheet and any extras.
+ * pages: [{ title, fileName, html }], css: shared stylesheet text,
+ * extraFiles: other text files for the root, e.g. { "tokens.json": "…" },
+ * flows: prototype starting points for the index, as [{ title, fileName }], lang: the index's language
+ * Returns { path: text }, ready for buildFilesZip or to be written to a folder.
+ */
+export function bundleFiles({ title, pages, css, cssFileName = "styles.css", extraFiles = {}, flows = [], lang = "en" }) {
+  return {
+    "index.html": generateIndexHtml(title, pages, flows, { lang }),
+    ...Object.fromEntries(pages.map((p) => [p.fileName, p.html])),
+    [cssFileName]: css,
+    ...extraFiles,
+  };
+}
+
+/**
+ * Packs an export into a ZIP blob: the files of bundleFiles (or loose files, e.g. React components)
+ * and the assets folder.
+ * files: { path: text }, assets: Map of path → bytes or text
+ */
+export async function buildFilesZip(files, assets) {
+  const zip = new JSZip();
+  Object.entries(files).forEach(([path, text]) => zip.file(path, text));
+  assets.forEach((bytes, path) => zip.file(path, bytes));
+  return zip.generateAsync({ type: "blob" });
+}
@@ -0,0 +1,114 @@
+import JSZip from 'jszip';
+import { hashBytes, dataUrlBytes, localizeImages, addTextAsset, generateIndexHtml, bundleFiles, buildFilesZip } from './ExportBundle';
+
+// fake fetch returning fixed bytes for each url
+const fakeFetch = (files) => jest.fn((url) => {
+  const f = files[url];
+  if (!f) return Promise.resolve(new Response('missing', { status: 404 }));
+  return Promise.resolve(new Response(f.bytes, { headers: { 'content-type': f.type } }));
+});
+
+describe('ExportBundle', () => {
+  // same bytes always give the same name, different bytes a different one
+  test('hashBytes is stable', () => {
+    expect(hashBytes(new Uint8Array([1, 2, 3]))).toBe(hashBytes(new Uint8Array([1, 2, 3])));
+    expect(hashBytes(new Uint8Array([1, 2, 3]))).not.toBe(hashBytes(new Uint8Array([3, 2, 1])));
+    expect(hashBytes(new Uint8Array([]))).toMatch(/^[0-9a-f]{8}$/);
+  });
+
+  // remote urls are downloaded once and replaced with hashed asset paths
+  test('localizeImages stores images under hashed names', async () => {
+    const fetchFn = fakeFetch({
+      'https://s3/a': { bytes: new Uint8Array([1, 2]), type: 'image/png' },
+      'https://s3/b.svg': { bytes: new Uint8Array([3]), type: '' },
+    });
+    const assets = new Map();
+    const out = await localizeImages(
+      { '1:1': 'https://s3/a', '1:2': 'https://s3/a', '1:3': 'https://s3/b.svg', local: 'assets/x.svg' },
+      assets,
+      fetchFn
+    );
+    expect(out['1:1']).toMatch(/^assets\/[0-9a-f]{8}\.png$/);
+    expect(out['1:2']).toBe(out['1:1']);
+    expect(out['1:3']).toMatch(/\.svg$/);
+    expect(out.local).toBe('assets/x.svg');
+    expect(fetchFn).toHaveBeenCalledTimes(2);
+    expect(assets.size).toBe(2);
+  });
+
+  // uploaded images arrive as data urls and are decoded without any fetch
+  test('localizeImages decodes data urls', async () => {
+    const fetchFn = jest.fn();
+    const assets = new Map();
+    const out = await localizeImages(
+      { a: 'data:image/png;base64,AQID', b: 'data:image/svg+xml,%3Csvg%2F%3E' },
+      assets,
+      fetchFn
+    );
+    expect(fetchFn).not.toHaveBeenCalled();
+    expect(out.a).toMatch(/^assets\/[0-9a-f]{8}\.png$/);
+    expect(assets.get(out.a)).toEqual(new Uint8Array([1, 2, 3]));
+    expect(assets.get(out.b)).toBe('<svg/>');
+    expect(dataUrlBytes('https://s3/a')).toBeNull();
+  });
+
+  // failed downloads keep the original url and are reported once
+  test('localizeImages keeps urls it cannot download', async () => {
+    const warn = jest.fn();
+    const out = await localizeImages({ a: 'https://s3/gone', b: 'https://s3/gone' }, new Map(), fakeFetch({}), new Map(), warn);
+    expect(out.a).toBe('https://s3/gone');
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('Could not download the image of a (HTTP 404)'));
+  });
+
+  // index page lists each screen
+  test('generateIndexHtml links every page', () => {
+    const html = generateIndexHtml('File <1>', [{ title: 'Home', fileName: 'Home.html' }]);
+    expect(html).toContain('<html lang="en">');
+    expect(html).toContain('<title>File &lt;1&gt;</title>');
+    expect(html).toContain('<li><a href="./Home.html">Home</a></li>');
+    expect(html).not.toContain('Prototype flows');
+  });
+
+  // prototype flows are listed before the screens
+  test('generateIndexHtml lists prototype flows first', () => {
+    const html = generateIndexHtml('File', [{ title: 'Home', fileName: 'Home.html' }], [
+      { title: 'Onboarding', fileName: 'Home.html' }
+    ]);
+    expect(html).toContain('<h2>Prototype flows</h2>\n  <ul>\n      <li><a href="./Home.html">Onboarding</a></li>');
+    expect(html.indexOf('Onboarding')).toBeLessThan(html.indexOf('<h2>Screens</h2>'));
+  });
+
+  // the index is in the same language as the screens
+  test('bundleFiles writes the index in the pages\' language', () => {
+    const files = bundleFiles({ title: 'Demo', pages: [], css: '', lang: 'de' });
+    expect(files['index.html']).toContain('<html lang="de">');
+  });
+
+  // zip holds the index, pages, stylesheet and assets
+  test('buildFilesZip packs every file of a bundle', async () => {
+    const assets = new Map();
+    const svgPath = addTextAsset(assets, '<svg/>', 'svg');
+    const files = bundleFiles({
+      title: 'Demo',
+      pages: [{ title: 'Home', fileName: 'Home.html', html: '<html></html>' }],
+      css: '.a{}',
+    });
+    const blob = await buildFilesZip(files, assets);
+    const zip = await JSZip.loadAsync(await new Response(blob).arrayBuffer());
+    expect(Object.keys(zip.files).sort()).toEqual(
+      ['Home.html', 'assets/', svgPath, 'index.html', 'styles.css'].sort()
+    );
+    expect(await zip.file(svgPath).async('string')).toBe('<svg/>');
+  });
+
+  // zip of loose files keeps their folders
+  test('buildFilesZip packs the files and assets', async () => {
+    const assets = new Map([['assets/a.png', new Uint8Array([1])]]);
+    const blob = await buildFilesZip({ 'Home.jsx': 'x', 'components/Button.jsx': 'y' }, assets);
+    const zip = await JSZip.loadAsync(await new Response(blob).arrayBuffer());
+    expect(Object.keys(zip.files).filter((f) => !f.endsWith('/')).sort()).toEqual(
+      ['Home.jsx', 'assets/a.png', 'components/Button.jsx']
+    );
+  });
+});
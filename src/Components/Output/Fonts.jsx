@@ -0,0 +1,209 @@
+import { GOOGLE_FONTS } from "./GoogleFonts";
+
+// Web fonts: the families, weights and styles a frame's text uses, and how each one is loaded.
+// Font files the user uploads win, then Google Fonts, then the fonts every system has; whatever is
+// left is reported, since the page would fall back to another face with different metrics.
+
+// Weight names in PostScript names and file names, longest first so "SemiBold" is not read as "Bold"
+const WEIGHTS = [
+  ["extralight", 200],
+  ["ultralight", 200],
+  ["extrabold", 800],
+  ["ultrabold", 800],
+  ["semibold", 600],
+  ["demibold", 600],
+  ["hairline", 100],
+  ["regular", 400],
+  ["medium", 500],
+  ["normal", 400],
+  ["light", 300],
+  ["black", 900],
+  ["heavy", 900],
+  ["thin", 100],
+  ["bold", 700],
+  ["book", 400],
+  ["roman", 400],
+];
+
+// Families the browser already has (or maps to a close system face), so nothing is loaded for them
+const SYSTEM_FONTS = new Set([
+  "arial", "courier", "courier new", "georgia", "helvetica", "helvetica neue", "impact", "menlo", "monaco",
+  "consolas", "segoe ui", "sf pro", "sf pro display", "sf pro text", "sf pro rounded", "sf mono",
+  "system-ui", "tahoma", "times", "times new roman", "trebuchet ms", "verdana",
+]);
+
+// @font-face formats by file extension
+const FORMATS = { woff2: "woff2", woff: "woff", ttf: "truetype", otf: "opentype" };
+
+// "Open Sans" and "OpenSans" compare equal
+const compact = (s) => String(s || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+/**
+ * Reads the weight and style from the style part of a PostScript or file name
+ * ("SemiBoldItalic", "BoldIt", "Light"): { weight, italic }, with weight null when it names none.
+ */
+export function readStyleName(name) {
+  const words = compact(name);
+  const italic = /(italic|oblique|it)$/.test(words) || /italic|oblique/.test(words);
+  const weight = WEIGHTS.find(([key]) => words.includes(key))?.[1] ?? null;
+  return { weight, italic };
+}
+
+/**
+ * The face a Figma type style asks for: { family, weight, style, postScriptName }.
+ * The style part of fontPostScriptName ("Inter-SemiBoldItalic") wins over fontWeight and italic,
+ * which Figma leaves at 400 / false for some fonts.
+ */
+export function fontFace(s = {}, fallbackFamily = null) {
+  const family = s.fontFamily || (typeof s.fontName === "object" ? s.fontName.family : null) || fallbackFamily;
+  const postScriptName = s.fontPostScriptName || null;
+  const named = postScriptName?.includes("-") ? readStyleName(postScriptName.split("-").pop()) : {};
+  return {
+    family,
+    weight: named.weight || s.fontWeight || 400,
+    style: named.italic || s.italic ? "italic" : "normal",
+    postScriptName,
+  };
+}
+
+const faceKey = (f) => `${f.family}|${f.weight}|${f.style}`;
+
+/**
+ * Collects every face the visible text of a frame uses, including its styled ranges.
+ * Returns [{ family, weight, style, postScriptName }], one per family, weight and style.
+ */
+export function collectFonts(frameNode) {
+  const faces = new Map();
+  const add = (face) => face.family && !faces.has(faceKey(face)) && faces.set(faceKey(face), face);
+  const walk = (node) => {
+    if (!node || node.visible === false) return;
+    if (node.type === "TEXT") {
+      const base = node.style || {};
+      add(fontFace(base));
+      const used = new Set(node.characterStyleOverrides || []);
+      Object.entries(node.styleOverrideTable || {}).forEach(([id, override]) => {
+        if (used.has(Number(id)) || used.has(id)) add(fontFace({ ...base, ...override }, base.fontFamily));
+      });
+    }
+    (node.children || []).forEach(walk);
+  };
+  walk(frameNode);
+  return [...faces.values()];
+}
+
+// A font file's family and face from its name: "OpenSans-BoldItalic.woff2", "Inter-Variable.ttf"
+const readFileName = (name) => {
+  const stem = String(name).replace(/\.[^.]+$/, "");
+  const [family, ...rest] = stem.split("-");
+  const styleName = rest.join("-");
+  // Variable fonts hold every weight
+  const variable = /variable|\[/i.test(stem);
+  const { weight, italic } = readStyleName(styleName);
+  return {
+    family: compact(family),
+    weight: variable ? "100 900" : weight || 400,
+    style: italic ? "italic" : "normal",
+    format: FORMATS[String(name).split(".").pop().toLowerCase()] || null,
+  };
+};
+
+/**
+ * Works out how each face is loaded.
+ * files: { fileName: url } of uploaded font files (data URLs, or asset paths once bundled);
+ * a family with files of its own loads all of them, one @font-face per file.
+ * Returns { local: [{ family, weight, style, url, format }], google: [{ family, href }],
+ * system: [family], missing: [face] }.
+ */
+export function resolveFonts(faces, { files = {} } = {}) {
+  const uploads = Object.entries(files).map(([name, url]) => ({ ...readFileName(name), url }));
+  const local = [];
+  const google = new Map();
+  const system = new Set();
+  const missing = [];
+  faces.forEach((face) => {
+    const own = uploads.filter((u) => u.family === compact(face.family));
+    if (own.length) {
+      own.forEach((u) => {
+        if (!local.some((l) => l.url === u.url)) local.push({ ...u, family: face.family });
+      });
+    } else if (GOOGLE_FONTS.has(face.family)) {
+      const entry = google.get(face.family) || [];
+      google.set(face.family, [...entry, face]);
+    } else if (SYSTEM_FONTS.has(face.family.toLowerCase())) {
+      system.add(face.family);
+    } else {
+      missing.push(face);
+    }
+  });
+  return {
+    local,
+    // One stylesheet per family: Google rejects the whole request when one face does not exist
+    google: [...google.entries()].map(([family, list]) => ({ family, href: googleFontsHref(family, list) })),
+    system: [...system],
+    missing,
+  };
+}
+
+/**
+ * The Google Fonts CSS2 URL for the faces of one family.
+ */
+export function googleFontsHref(family, faces) {
+  const tuples = [...new Set(faces.map((f) => `${f.style === "italic" ? 1 : 0},${f.weight}`))].sort((a, b) => {
+    const [ia, wa] = a.split(",").map(Number);
+    const [ib, wb] = b.split(",").map(Number);
+    return ia - ib || wa - wb;
+  });
+  const name = encodeURIComponent(family).replace(/%20/g, "+");
+  const axes = faces.some((f) => f.style === "italic")
+    ? `ital,wght@${tuples.join(";")}`
+    : `wght@${tuples.map((t) => t.split(",")[1]).join(";")}`;
+  return `https://fonts.googleapis.com/css2?family=${name}:${axes}&display=swap`;
+}
+
+// One @font-face rule per uploaded file
+const fontFaceRules = (local) =>
+  local
+    .map(
+      (f) =>
+        `@font-face {\n  font-family: ${JSON.stringify(f.family)};\n  src: url("${f.url}")${
+          f.format ? ` format("${f.format}")` : ""
+        };\n  font-weight: ${f.weight};\n  font-style: ${f.style};\n  font-display: swap;\n}\n`
+    )
+    .join("");
+
+/**
+ * The <head> tags that load resolved fonts: Google Fonts stylesheets and the @font-face rules of
+ * uploaded files. Pass { preconnect: false } when the page already connects to Google Fonts.
+ */
+export function fontTagsHtml(resolved, { preconnect = true } = {}) {
+  const tags = [];
+  if (resolved.google.length && preconnect) {
+    tags.push('<link rel="preconnect" href="https://fonts.googleapis.com"/>');
+    tags.push('<link rel="preconnect" href="https://fonts.gstatic.com" crossorigin/>');
+  }
+  resolved.google.forEach((g) => tags.push(`<link rel="stylesheet" href="${g.href}"/>`));
+  if (resolved.local.length) tags.push(`<style>\n${fontFaceRules(resolved.local)}  </style>`);
+  return tags.join("\n  ");
+}
+
+/**
+ * The same fonts as a stylesheet (for React exports, which have no <head> of their own).
+ */
+export function fontFacesCss(resolved) {
+  const imports = resolved.google.map((g) => `@import url("${g.href}");\n`).join("");
+  return `${imports}${fontFaceRules(resolved.local)}`;
+}
+
+/**
+ * Adds to a finished page the fonts of the overlays it shows (see linkPage) that its own <head> does
+ * not load yet. faces: the page's own (collectFonts); added: the overlays'; files as for resolveFonts.
+ */
+export function addFontTags(html, faces, added, { files = {} } = {}) {
+  const loaded = new Set(faces.map(faceKey));
+  const extra = resolveFonts(added.filter((f) => !loaded.has(faceKey(f))), { files });
+  const tags = fontTagsHtml(extra, { preconnect: !html.includes("https://fonts.googleapis.com") });
+  return tags ? html.replace(/\n<\/head>/, `\n  ${tags}\n</head>`) : html;
+}
+
+// "Brand Sans" 700 italic
+export const describeFace = (f) => `"${f.family}" ${f.weight}${f.style === "italic" ? " italic" : ""}`;
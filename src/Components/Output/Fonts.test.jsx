@@ -0,0 +1,94 @@
+import {
+  addFontTags,
+  collectFonts,
+  fontFace,
+  fontFacesCss,
+  fontTagsHtml,
+  googleFontsHref,
+  readStyleName,
+  resolveFonts
+} from './Fonts';
+
+const text = (id, style, extra = {}) => ({ id, type: 'TEXT', characters: 'Hi', style, ...extra });
+
+const frame = {
+  id: '1:1',
+  type: 'FRAME',
+  children: [
+    text('1:2', { fontFamily: 'Inter', fontPostScriptName: 'Inter-SemiBoldItalic', fontWeight: 400 }),
+    text('1:3', { fontFamily: 'Inter', fontWeight: 400 }, {
+      characterStyleOverrides: [0, 1, 1],
+      styleOverrideTable: { 1: { fontWeight: 700 }, 2: { fontFamily: 'Unused Sans' } }
+    }),
+    text('1:4', { fontFamily: 'Brand Sans', fontWeight: 500 }),
+    text('1:5', { fontFamily: 'Arial', fontWeight: 400 }),
+    text('1:6', { fontFamily: 'Hidden Font' }, { visible: false })
+  ]
+};
+
+test('maps PostScript names to weights and styles', () => {
+  expect(readStyleName('SemiBoldItalic')).toEqual({ weight: 600, italic: true });
+  expect(readStyleName('BoldIt')).toEqual({ weight: 700, italic: true });
+  expect(readStyleName('ExtraLight')).toEqual({ weight: 200, italic: false });
+  expect(readStyleName('Italic')).toEqual({ weight: null, italic: true });
+  expect(fontFace({ fontFamily: 'Inter', fontPostScriptName: 'Inter-Black', fontWeight: 400 })).toEqual({
+    family: 'Inter',
+    weight: 900,
+    style: 'normal',
+    postScriptName: 'Inter-Black'
+  });
+  expect(fontFace({ fontFamily: 'Inter', fontWeight: 300, italic: true })).toEqual(
+    expect.objectContaining({ weight: 300, style: 'italic' })
+  );
+});
+
+test('collects the faces of visible text and its used style ranges', () => {
+  const faces = collectFonts(frame).map((f) => `${f.family} ${f.weight} ${f.style}`);
+  expect(faces).toEqual(['Inter 600 italic', 'Inter 400 normal', 'Inter 700 normal', 'Brand Sans 500 normal', 'Arial 400 normal']);
+});
+
+test('loads uploaded files, then Google Fonts, and reports the rest', () => {
+  const files = { 'BrandSans-Medium.woff2': 'assets/a.woff2', 'BrandSans-BoldItalic.ttf': 'assets/b.ttf', 'Other.otf': 'x' };
+  const fonts = resolveFonts(collectFonts(frame), { files });
+
+  expect(fonts.local).toEqual([
+    { family: 'Brand Sans', weight: 500, style: 'normal', format: 'woff2', url: 'assets/a.woff2' },
+    { family: 'Brand Sans', weight: 700, style: 'italic', format: 'truetype', url: 'assets/b.ttf' }
+  ]);
+  expect(fonts.google).toEqual([
+    { family: 'Inter', href: 'https://fonts.googleapis.com/css2?family=Inter:ital,wght@0,400;0,700;1,600&display=swap' }
+  ]);
+  expect(fonts.system).toEqual(['Arial']);
+  expect(resolveFonts(collectFonts(frame)).missing.map((f) => f.family)).toEqual(['Brand Sans']);
+
+  const html = fontTagsHtml(fonts);
+  expect(html).toContain('<link rel="preconnect" href="https://fonts.gstatic.com" crossorigin/>');
+  expect(html).toContain(`<link rel="stylesheet" href="${fonts.google[0].href}"/>`);
+  expect(html).toContain('src: url("assets/a.woff2") format("woff2");\n  font-weight: 500;');
+  expect(fontFacesCss(fonts)).toMatch(/^@import url\("https:\/\/fonts\.googleapis\.com\/css2\?family=Inter:[^"]+"\);\n@font-face \{/);
+  expect(resolveFonts([], {}).google).toEqual([]);
+});
+
+// the full Google Fonts list, not only the best-known families
+test('loads any family Google Fonts has', () => {
+  const faces = ['Open Sans', 'Noto Sans Tamil', 'Zen Kaku Gothic New'].map((family) => ({ family, weight: 400, style: 'normal' }));
+  const fonts = resolveFonts(faces);
+  expect(fonts.google.map((g) => g.family)).toEqual(['Open Sans', 'Noto Sans Tamil', 'Zen Kaku Gothic New']);
+  expect(fonts.google[0].href).toBe('https://fonts.googleapis.com/css2?family=Open+Sans:wght@400&display=swap');
+  expect(fonts.missing).toEqual([]);
+});
+
+test('adds the fonts of overlays a page shows', () => {
+  expect(googleFontsHref('Open Sans', [{ weight: 700, style: 'normal' }, { weight: 400, style: 'normal' }])).toBe(
+    'https://fonts.googleapis.com/css2?family=Open+Sans:wght@400;700&display=swap'
+  );
+  const page = '<html>\n<head>\n  <link rel="preconnect" href="https://fonts.googleapis.com"/>\n</head>\n<body></body>';
+  const inter = { family: 'Inter', weight: 400, style: 'normal' };
+  const lato = { family: 'Lato', weight: 700, style: 'normal' };
+
+  const out = addFontTags(page, [inter], [inter, lato]);
+  expect(out).toContain('  <link rel="stylesheet" href="https://fonts.googleapis.com/css2?family=Lato:wght@700&display=swap"/>\n</head>');
+  expect(out).not.toContain('family=Inter');
+  expect(out.match(/preconnect/g)).toHaveLength(1);
+  expect(addFontTags(page, [inter], [inter])).toBe(page);
+});
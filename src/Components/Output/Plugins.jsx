@@ -0,0 +1,58 @@
+// Generator plugins: team-specific conversions without forking the generators.
+// buildTree (see DownloadFiles) turns a frame into a tree of elements, one per rendered layer:
+//   { node, className, kind, tag, attrs, control, src, svg, alt, content, style, extraCss, children }
+// where kind, tag, attrs, control and src are as for nodeElement, content is the markup inside the
+// element (text runs), style the declarations of its rule and extraCss any further rules as text.
+// The HTML, CSS, Tailwind and React back-ends write their output from that tree, built once per screen.
+//
+// A plugin is { name, handlers, transform }, both parts optional:
+// - handlers: { [Figma node type]: (node, ctx) => element | null } builds the element of each node
+//   of that type. ctx.next() returns the element the next plugin, or the built-in handler, would
+//   build (children included), to change or replace; null leaves the layer out.
+//   ctx also holds parent (the parent's Figma node) and the generator options.
+// - transform(tree, options) post-processes the finished tree, changing it in place or returning
+//   a new one.
+// Plugins run in the order given: the first one's handler sees the node first.
+
+/**
+ * Checks that every plugin has the shape described above and throws an Error naming the first
+ * that does not. Returns the plugins.
+ */
+export function checkPlugins(plugins = []) {
+  if (!Array.isArray(plugins)) throw new Error("Plugins must be a list.");
+  plugins.forEach((p, i) => {
+    const label = p?.name ? `Plugin "${p.name}"` : `Plugin ${i + 1}`;
+    if (!p || typeof p !== "object") throw new Error(`${label} is not an object.`);
+    if (p.transform != null && typeof p.transform !== "function") {
+      throw new Error(`${label}: transform must be a function.`);
+    }
+    if (p.handlers != null && (typeof p.handlers !== "object" || Array.isArray(p.handlers))) {
+      throw new Error(`${label}: handlers must map node types to functions.`);
+    }
+    Object.entries(p.handlers || {}).forEach(([type, fn]) => {
+      if (typeof fn !== "function") throw new Error(`${label}: the ${type} handler is not a function.`);
+    });
+  });
+  return plugins;
+}
+
+/**
+ * Builds a node's element through the plugins' handlers for its type, ending at builtIn().
+ * ctx is what the handlers get besides next().
+ */
+export function runHandlers(plugins, node, ctx, builtIn) {
+  const chain = plugins.map((p) => p.handlers?.[node.type]).filter(Boolean);
+  const at = (i) => (i < chain.length ? chain[i](node, { ...ctx, next: () => at(i + 1) }) : builtIn());
+  return at(0);
+}
+
+// Runs the plugins' transforms over a finished tree, in order
+export const transformTree = (tree, plugins, options) =>
+  plugins.reduce((t, p) => (p.transform ? p.transform(t, options) || t : t), tree);
+
+// Calls visit(element, parent) for every element of a tree, parents first
+export const eachElement = (element, visit, parent = null) => {
+  if (!element) return;
+  visit(element, parent);
+  (element.children || []).forEach((c) => eachElement(c, visit, element));
+};
@@ -0,0 +1,106 @@
+import { checkPlugins, eachElement } from './Plugins';
+import { buildTree, generateCssFromFrame, generateHtmlFromFrame, treeToCss, treeToHtml } from './DownloadFiles';
+import { generateReactFromFrame } from './ReactComponent';
+import { generateTailwindFromFrame } from './Tailwind';
+import { box, solid } from '../../testNodes';
+
+const frame = {
+  id: '1:1',
+  type: 'FRAME',
+  name: 'Home',
+  absoluteBoundingBox: box(0, 0, 300, 200),
+  fills: solid(1, 1, 1),
+  children: [
+    { id: '1:2', type: 'TEXT', name: 'Title', characters: 'Hello', absoluteBoundingBox: box(20, 20, 200, 30), style: { fontSize: 20 }, fills: solid(0, 0, 0) },
+    { id: '1:3', type: 'RECTANGLE', name: 'Badge', absoluteBoundingBox: box(20, 80, 40, 40), fills: solid(1, 0, 0) },
+    { id: '1:4', type: 'RECTANGLE', name: 'Draft note', absoluteBoundingBox: box(100, 80, 40, 40), fills: solid(0, 1, 0) }
+  ]
+};
+
+// Turns "Badge" rectangles into <span>s with a data attribute, drops "Draft" layers, and
+// rounds every element's corners afterwards
+const teamPlugin = {
+  name: 'team',
+  handlers: {
+    RECTANGLE: (node, ctx) => {
+      if (node.name.startsWith('Draft')) return null;
+      const el = ctx.next();
+      return node.name === 'Badge' ? { ...el, tag: 'span', attrs: { 'data-badge': '' } } : el;
+    }
+  },
+  transform: (tree) => {
+    eachElement(tree, (el, parent) => {
+      if (parent) el.style = { ...el.style, 'border-radius': '4px' };
+    });
+  }
+};
+
+test('builds one tree that the HTML and CSS are written from', () => {
+  const tree = buildTree(frame, {}, { semantics: null });
+  expect(tree.node).toBe(frame);
+  expect(tree.children.map((c) => [c.className, c.kind, c.tag])).toEqual([
+    ['n_1_2', 'element', 'p'],
+    ['n_1_3', 'element', 'div'],
+    ['n_1_4', 'element', 'div']
+  ]);
+  expect(tree.children[0].content).toBe('Hello');
+  expect(tree.children[1].style).toEqual(expect.objectContaining({ position: 'absolute', 'z-index': 3, background: 'rgba(255, 0, 0, 1)' }));
+  expect(treeToHtml(tree)).toBe(generateHtmlFromFrame(frame));
+  expect(treeToCss(tree)).toBe(generateCssFromFrame(frame));
+});
+
+test('lets plugins override node types and post-process the tree', () => {
+  const html = generateHtmlFromFrame(frame, {}, 'styles.css', { plugins: [teamPlugin] });
+  expect(html).toContain('<span class="n_1_3" data-badge></span>');
+  expect(html).not.toContain('n_1_4');
+  const css = generateCssFromFrame(frame, {}, { plugins: [teamPlugin] });
+  expect(css).toContain('.n_1_3 {\n  position: absolute;');
+  expect(css).toMatch(/\.n_1_2 \{[^}]*border-radius: 4px;/);
+  expect(css).not.toMatch(/\.n_1_1 \{[^}]*border-radius/);
+  expect(css).not.toContain('.n_1_4');
+
+  // A later plugin's handler runs inside the first one's ctx.next()
+  const seen = [];
+  const outer = {
+    name: 'outer',
+    handlers: {
+      TEXT: (node, ctx) => {
+        seen.push('outer');
+        return ctx.next();
+      }
+    }
+  };
+  const inner = {
+    name: 'inner',
+    handlers: {
+      TEXT: (node, ctx) => {
+        seen.push('inner');
+        return { ...ctx.next(), tag: 'h2' };
+      }
+    }
+  };
+  expect(generateHtmlFromFrame(frame, {}, 'styles.css', { plugins: [outer, inner] })).toContain('<h2 class="n_1_2">Hello</h2>');
+  expect(seen).toEqual(['outer', 'inner']);
+
+  // A Tailwind page is written from one tree, so the handlers run once
+  seen.length = 0;
+  expect(generateTailwindFromFrame(frame, {}, { plugins: [outer, inner] })).toContain('<h2 class="absolute');
+  expect(seen).toEqual(['outer', 'inner']);
+
+  // The React back-end writes from the same tree
+  const { files } = generateReactFromFrame(frame, {}, { plugins: [teamPlugin] });
+  expect(files['Home.jsx']).toContain('<span className={styles.n_1_3} />');
+  expect(files['Home.jsx']).not.toContain('n_1_4');
+});
+
+test('rejects plugins that do not have the expected shape', () => {
+  expect(checkPlugins([teamPlugin])).toEqual([teamPlugin]);
+  expect(() => checkPlugins({})).toThrow('Plugins must be a list.');
+  expect(() => checkPlugins([null])).toThrow('Plugin 1 is not an object.');
+  expect(() => checkPlugins([{ name: 'x', handlers: { TEXT: 'h2' } }])).toThrow('Plugin "x": the TEXT handler is not a function.');
+  expect(() => checkPlugins([{ transform: true }])).toThrow('Plugin 1: transform must be a function.');
+  const dropAll = { handlers: { FRAME: () => null } };
+  expect(() => generateHtmlFromFrame(frame, {}, 'styles.css', { plugins: [dropAll] })).toThrow(
+    'Home was left out by a plugin, so there is nothing to export.'
+  );
+});
@@ -0,0 +1,189 @@
+import { isSafeUrl } from "./DownloadFiles";
+
+// Prototypes: the click interactions of a Figma file, turned into links between the exported pages.
+// readPrototype picks the elements for the layers that react to clicks (passed to inferSemantics as
+// its `links`); once every page is known, linkPage points them at the page files and adds the overlays.
+
+// Figma easing → CSS timing function
+const EASINGS = {
+  LINEAR: "linear",
+  EASE_IN: "ease-in",
+  EASE_OUT: "ease-out",
+  EASE_IN_AND_OUT: "ease-in-out",
+  EASE_IN_BACK: "cubic-bezier(0.3, -0.05, 0.7, -0.5)",
+  EASE_OUT_BACK: "cubic-bezier(0.45, 1.45, 0.8, 1)",
+  EASE_IN_AND_OUT_BACK: "cubic-bezier(0.7, -0.4, 0.4, 1.4)",
+};
+
+// Transitions that blend one screen into the next; the others (move, push, slide) cut straight over
+const FADES = new Set(["DISSOLVE", "SMART_ANIMATE"]);
+
+// Where an overlay sits in the window, as the margins its <dialog> drops
+const OVERLAY_MARGINS = {
+  TOP_LEFT: ["top", "left"],
+  TOP_CENTER: ["top"],
+  TOP_RIGHT: ["top", "right"],
+  BOTTOM_LEFT: ["bottom", "left"],
+  BOTTOM_CENTER: ["bottom"],
+  BOTTOM_RIGHT: ["bottom", "right"],
+};
+
+// Links to other screens point here until the page files are known (see linkPage)
+const screenHref = (id) => `#screen:${id}`;
+
+// The id of the <dialog> that shows an overlay frame
+export const overlayId = (nodeId) => `overlay-${String(nodeId).replace(/[^A-Za-z0-9]/g, "-")}`;
+
+const num = (n) => String(Math.round(n * 1000) / 1000);
+
+// The first action a click runs: reactions carry `actions` (or the older single `action`);
+// old files only have transitionNodeID
+const clickAction = (node) => {
+  const reaction = (node.reactions || []).find((r) => r?.trigger?.type === "ON_CLICK");
+  if (reaction) return reaction.actions?.[0] || reaction.action || null;
+  if (node.transitionNodeID) return { type: "NODE", destinationId: node.transitionNodeID, navigation: "NAVIGATE" };
+  return null;
+};
+
+// The element a clickable layer becomes, or null for actions a static page cannot play
+const linkFor = (action) => {
+  if (action.type === "BACK") return { tag: "button", attrs: { "data-back": "" } };
+  if (action.type === "CLOSE") return { tag: "button", attrs: { "data-close": "" } };
+  if (action.type === "URL") {
+    if (!isSafeUrl(action.url)) return null;
+    const tab = action.openInNewTab ? { target: "_blank", rel: "noopener" } : {};
+    return { tag: "a", attrs: { href: action.url, ...tab } };
+  }
+  if (action.type !== "NODE" || !action.destinationId) return null;
+  if (action.navigation === "OVERLAY" || action.navigation === "SWAP") {
+    return { tag: "button", attrs: { "data-overlay": overlayId(action.destinationId) } };
+  }
+  if (!action.navigation || action.navigation === "NAVIGATE") {
+    return { tag: "a", attrs: { href: screenHref(action.destinationId) } };
+  }
+  return null;
+};
+
+// A Figma transition as { name, duration (ms), easing }, or null when it does not fade
+const transitionCss = (transition) => {
+  if (!transition || !FADES.has(transition.type)) return null;
+  const bezier = transition.easing?.easingFunctionCubicBezier;
+  const easing = bezier
+    ? `cubic-bezier(${[bezier.x1, bezier.y1, bezier.x2, bezier.y2].map(num).join(", ")})`
+    : EASINGS[transition.easing?.type] || "ease-out";
+  return { name: transition.type, duration: Math.round((transition.duration || 0.3) * 1000), easing };
+};
+
+/**
+ * Reads the click interactions of a frame.
+ * Returns { links, overlays, transitions }:
+ * - links: Map of node id → { tag, attrs } for inferSemantics — navigations become <a>s to the
+ *   destination screen, overlays, Back and Close become <button>s, "Open link" an <a> to the URL;
+ * - overlays: ids of the frames opened as overlays, with their transition;
+ * - transitions: the fading transitions of its navigations.
+ */
+export function readPrototype(frameNode) {
+  const links = new Map();
+  const overlays = new Map();
+  const transitions = [];
+  const walk = (node) => {
+    if (!node || node.visible === false) return;
+    const action = clickAction(node);
+    const link = action && linkFor(action);
+    if (link) {
+      links.set(node.id, link);
+      const fade = transitionCss(action.transition);
+      if (link.attrs["data-overlay"] && !overlays.has(action.destinationId)) overlays.set(action.destinationId, fade);
+      else if (link.attrs.href && fade) transitions.push(fade);
+    }
+    (node.children || []).forEach(walk);
+  };
+  walk(frameNode);
+  return { links, overlays, transitions };
+}
+
+// Opens and closes overlays and plays Back; a click on the backdrop closes dialogs that allow it
+const PROTOTYPE_SCRIPT = `<script>
+    document.addEventListener("click", function (e) {
+      var open = e.target.closest("[data-overlay]");
+      var dialog = open && document.getElementById(open.getAttribute("data-overlay"));
+      if (dialog) return dialog.showModal();
+      if (e.target.closest("[data-close]")) return e.target.closest("dialog") && e.target.closest("dialog").close();
+      if (e.target.closest("[data-back]")) return history.back();
+      if (e.target.tagName === "DIALOG" && e.target.hasAttribute("data-dismiss")) e.target.close();
+    });
+  </script>`;
+
+/**
+ * Finishes a page once every screen is exported.
+ * files: Map of screen id → page file name; overlays: Map of frame id → { node, html } where html is
+ * the overlay's markup (generateHtmlFromFrame with { fragment: true }).
+ * Links to exported screens point at their file, links to the rest lose their href, and each overlay
+ * the page opens (or one of its overlays opens) is added as a <dialog> with the script that opens it.
+ */
+export function linkPage(html, { files = new Map(), overlays = new Map() } = {}) {
+  const resolve = (text) =>
+    text.replace(/ href="#screen:([^"]*)"/g, (_, id) => {
+      const file = files.get(id.replace(/&amp;/g, "&"));
+      return file ? ` href="./${file}"` : "";
+    });
+
+  // Overlays can open further overlays, so follow them until none are new
+  const opened = [];
+  const queue = [html];
+  while (queue.length) {
+    const text = queue.shift();
+    [...text.matchAll(/ data-overlay="([^"]*)"/g)].forEach(([, id]) => {
+      if (opened.includes(id)) return;
+      const entry = [...overlays.entries()].find(([nodeId]) => overlayId(nodeId) === id);
+      if (!entry) return;
+      opened.push(id);
+      queue.push(entry[1].html);
+    });
+  }
+
+  const dialogs = opened.map((id) => {
+    const [nodeId, { node, html: markup }] = [...overlays.entries()].find(([k]) => overlayId(k) === id);
+    const dismiss = node.overlayBackgroundInteraction === "CLOSE_ON_CLICK_OUTSIDE" ? " data-dismiss" : "";
+    return `<dialog id="${overlayId(nodeId)}"${dismiss}>${markup}</dialog>`;
+  });
+  const interactive = dialogs.length || / data-(back|close)\b/.test(html);
+  const extra = [...dialogs, ...(interactive ? [PROTOTYPE_SCRIPT] : [])];
+  return resolve(extra.length ? html.replace(/\n<\/body>/, `\n  ${extra.join("\n  ")}\n</body>`) : html);
+}
+
+/**
+ * Stylesheet rules for a prototype: each overlay's <dialog> sized and placed like the frame, with its
+ * backdrop and fade, and a cross-fade between pages (a view transition) when the file's navigations
+ * dissolve or smart-animate.
+ * overlays: Map of frame id → { node, transition }; transitions: from readPrototype.
+ */
+export function prototypeCss(overlays = new Map(), transitions = []) {
+  let css = "";
+  overlays.forEach(({ node, transition }, nodeId) => {
+    const sel = `#${overlayId(nodeId)}`;
+    const width = Math.round(node.absoluteBoundingBox?.width || 0);
+    const margins = (OVERLAY_MARGINS[node.overlayPositionType] || []).map((side) => `  margin-${side}: 0;\n`);
+    css += `${sel} {\n  width: ${width}px;\n  max-width: 100vw;\n  padding: 0;\n  border: 0;\n`;
+    css += `  background: transparent;\n  overflow: visible;\n${margins.join("")}}\n`;
+    const c = node.overlayBackground?.type === "SOLID_COLOR" ? node.overlayBackground.color : null;
+    const backdrop = c
+      ? `rgba(${Math.round(c.r * 255)}, ${Math.round(c.g * 255)}, ${Math.round(c.b * 255)}, ${num(c.a ?? 1)})`
+      : "transparent";
+    css += `${sel}::backdrop {\n  background: ${backdrop};\n}\n`;
+    if (transition) {
+      css += `${sel}[open] {\n  animation: figma-fade ${transition.duration}ms ${transition.easing};\n}\n`;
+    }
+  });
+  if ([...overlays.values()].some((o) => o.transition)) {
+    css += "@keyframes figma-fade {\n  from {\n    opacity: 0;\n  }\n}\n";
+  }
+  if (transitions.length) {
+    // Pages differ in their transitions; the first one sets the pace for all
+    const { duration, easing } = transitions[0];
+    css += "@view-transition {\n  navigation: auto;\n}\n";
+    css += `::view-transition-old(root),\n::view-transition-new(root) {\n  animation-duration: ${duration}ms;\n`;
+    css += `  animation-timing-function: ${easing};\n}\n`;
+  }
+  return css ? `/* Prototype */\n${css}` : "";
+}
@@ -0,0 +1,103 @@
+import { generateHtmlFromFrame } from './DownloadFiles';
+import { inferSemantics } from './Semantics';
+import { linkPage, overlayId, prototypeCss, readPrototype } from './Prototype';
+import { box } from '../../testNodes';
+
+const click = (action) => [{ trigger: { type: 'ON_CLICK' }, actions: [action] }];
+
+const layer = (id, name, reactions, extra = {}) => ({
+  id,
+  type: 'FRAME',
+  name,
+  absoluteBoundingBox: box(0, 0, 100, 40),
+  reactions,
+  children: [],
+  ...extra
+});
+
+const home = {
+  id: '1:1',
+  type: 'FRAME',
+  name: 'Home',
+  absoluteBoundingBox: box(0, 0, 400, 300),
+  children: [
+    layer('1:2', 'Next', click({
+      type: 'NODE',
+      destinationId: '2:1',
+      navigation: 'NAVIGATE',
+      transition: { type: 'DISSOLVE', duration: 0.4, easing: { type: 'EASE_IN_AND_OUT' } }
+    })),
+    layer('1:3', 'Menu', click({ type: 'NODE', destinationId: '3:1', navigation: 'OVERLAY', transition: null })),
+    layer('1:4', 'Docs', click({ type: 'URL', url: 'https://example.com', openInNewTab: true })),
+    layer('1:5', 'Bad', click({ type: 'URL', url: 'data:text/html,<script>alert(1)</script>' })),
+    layer('1:6', 'Back', [], { transitionNodeID: '9:9' })
+  ]
+};
+
+const page = (frame) => {
+  const { links } = readPrototype(frame);
+  return generateHtmlFromFrame(frame, {}, 'styles.css', { semantics: inferSemantics(frame, null, { links }) });
+};
+
+describe('Prototype', () => {
+  test('reads click actions as links and buttons', () => {
+    const { links, overlays, transitions } = readPrototype(home);
+
+    expect(links.get('1:2')).toEqual({ tag: 'a', attrs: { href: '#screen:2:1' } });
+    expect(links.get('1:3')).toEqual({ tag: 'button', attrs: { 'data-overlay': 'overlay-3-1' } });
+    expect(links.get('1:4')).toEqual({
+      tag: 'a',
+      attrs: { href: 'https://example.com', target: '_blank', rel: 'noopener' }
+    });
+    expect(links.has('1:5')).toBe(false);
+    expect(links.get('1:6')).toEqual({ tag: 'a', attrs: { href: '#screen:9:9' } });
+    expect([...overlays.keys()]).toEqual(['3:1']);
+    expect(transitions).toEqual([{ name: 'DISSOLVE', duration: 400, easing: 'ease-in-out' }]);
+  });
+
+  test('points links at the page files and adds the overlays a page opens', () => {
+    const menu = {
+      id: '3:1',
+      type: 'FRAME',
+      name: 'Menu',
+      absoluteBoundingBox: box(0, 0, 240, 300),
+      overlayBackgroundInteraction: 'CLOSE_ON_CLICK_OUTSIDE',
+      children: [layer('3:2', 'Close', click({ type: 'CLOSE' }))]
+    };
+    const overlays = new Map([['3:1', { node: menu, html: '<div class="n_3_1"><button class="n_3_2" type="button" data-close></button></div>' }]]);
+    const html = linkPage(page(home), { files: new Map([['2:1', 'Details.html']]), overlays });
+
+    expect(html).toContain('<a class="n_1_2" href="./Details.html"></a>');
+    expect(html).toContain('<button class="n_1_3" type="button" data-overlay="overlay-3-1"></button>');
+    // screens that were not exported lose the link
+    expect(html).toContain('<a class="n_1_6"></a>');
+    expect(html).toContain(`<dialog id="${overlayId('3:1')}" data-dismiss><div class="n_3_1">`);
+    expect(html).toContain('dialog.showModal()');
+    expect(html.indexOf('<dialog')).toBeGreaterThan(html.indexOf('<div id="frame"'));
+    expect(html).toMatch(/<\/script>\n<\/body>/);
+
+    // a page without interactions is left alone
+    const plain = generateHtmlFromFrame({ ...home, children: [] }, {}, 'styles.css');
+    expect(linkPage(plain, { overlays })).toBe(plain);
+  });
+
+  test('sizes overlays and fades between pages', () => {
+    const node = {
+      absoluteBoundingBox: box(0, 0, 240, 300),
+      overlayPositionType: 'BOTTOM_CENTER',
+      overlayBackground: { type: 'SOLID_COLOR', color: { r: 0, g: 0, b: 0, a: 0.4 } }
+    };
+    const css = prototypeCss(
+      new Map([['3:1', { node, transition: { duration: 300, easing: 'ease-out' } }]]),
+      [{ name: 'SMART_ANIMATE', duration: 400, easing: 'linear' }]
+    );
+
+    expect(css).toContain('#overlay-3-1 {\n  width: 240px;');
+    expect(css).toContain('  margin-bottom: 0;\n}');
+    expect(css).toContain('#overlay-3-1::backdrop {\n  background: rgba(0, 0, 0, 0.4);\n}');
+    expect(css).toContain('#overlay-3-1[open] {\n  animation: figma-fade 300ms ease-out;\n}');
+    expect(css).toContain('@view-transition {\n  navigation: auto;\n}');
+    expect(css).toContain('animation-duration: 400ms;');
+    expect(prototypeCss()).toBe('');
+  });
+});
@@ -0,0 +1,393 @@
+import {
+  buildTree,
+  childrenInReadingOrder,
+  hasListLines,
+  inlineSvgHtml,
+  needsTextWrapper,
+  parseRules,
+  safeClass,
+  treeToCss,
+} from "./DownloadFiles";
+
+// React output: each screen becomes a component that styles itself through a CSS Module and takes
+// its plain text as props; the Figma components it uses become shared components in components/,
+// with props for their TEXT, BOOLEAN and VARIANT component properties.
+
+// Words that cannot be used as prop names, plus names the generated files already use
+const RESERVED = new Set([
+  "await", "break", "case", "catch", "class", "const", "continue", "debugger", "default", "delete",
+  "do", "else", "enum", "export", "extends", "false", "finally", "for", "function", "if", "import",
+  "in", "instanceof", "let", "new", "null", "return", "static", "super", "switch", "this", "throw",
+  "true", "try", "typeof", "var", "void", "while", "with", "yield",
+  "children", "className", "key", "ref", "styles", "React",
+]);
+
+/**
+ * "Primary button / large" → "PrimaryButtonLarge".
+ * Empty names and names starting with a digit get `fallback` in front.
+ */
+export function pascalCase(name, fallback = "Component") {
+  const words = String(name || "")
+    .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean);
+  const out = words.map((w) => w[0].toUpperCase() + w.slice(1)).join("");
+  return !out || /^[0-9]/.test(out) ? `${fallback}${out}` : out;
+}
+
+// A prop name from a layer name or a component property key ("Show icon#3:1" → "showIcon")
+const camelCase = (name, fallback) => {
+  const words = String(name || "").replace(/#\d+:\d+$/, "").trim().split(/\s+/).slice(0, 4);
+  const p = pascalCase(words.join(" "), fallback);
+  const out = p[0].toLowerCase() + p.slice(1);
+  return RESERVED.has(out) ? `${out}Prop` : out;
+};
+
+// Adds 2, 3… to `base` until it is not in `taken`, then reserves it
+const claim = (taken, base) => {
+  let name = base;
+  for (let n = 2; taken.has(name); n++) name = `${base}${n}`;
+  taken.add(name);
+  return name;
+};
+
+// styles.n_1_2, or styles["n_1_2-frame"] for class names that are not identifiers
+const classRef = (cls) => (/^[A-Za-z_$][\w$]*$/.test(cls) ? `styles.${cls}` : `styles[${JSON.stringify(cls)}]`);
+
+// A JSX attribute value: a plain string literal when it can be one, else an expression
+const jsxString = (v) => (/^[^"{}<>&\\\n]*$/.test(String(v)) ? `"${v}"` : `{${JSON.stringify(String(v))}}`);
+
+// Turns textContentHtml markup into JSX: class → className from the module (renamed with
+// `rename`), braces in text escaped
+const markupToJsx = (html, rename = (cls) => cls) =>
+  html
+    .split(/(<[^>]*>)/)
+    .map((part, i) =>
+      i % 2
+        ? part.replace(/ class="([^"]*)"/g, (_, cls) => ` className={${classRef(rename(cls))}}`)
+        : part.replace(/[{}]/g, (c) => `{"${c}"}`)
+    )
+    .join("");
+
+// Text that is a single plain run can be passed in as a string prop
+const isPlainText = (node) =>
+  !hasListLines(node) &&
+  !(node.style?.paragraphSpacing > 0) &&
+  !(node.characterStyleOverrides || []).some(Boolean);
+
+// Id of a node inside an instance, relative to the instance: "I1:2;3:4" → "3:4" for instance "1:2"
+const localId = (id, root) => {
+  const prefix = `${String(root.id).startsWith("I") ? root.id : `I${root.id}`};`;
+  return String(id).startsWith(prefix) ? id.slice(prefix.length) : id;
+};
+
+// A copy of an instance with every layer that `isToggled` shown, since the instance a component is
+// rendered from may have its boolean properties off and hidden layers are left out of the tree
+const showToggled = (node, isToggled) => ({
+  ...node,
+  ...(node.visible === false && isToggled(node) && { visible: true }),
+  ...(node.children && { children: node.children.map((c) => showToggled(c, isToggled)) }),
+});
+
+/**
+ * Keeps the rules of generated CSS whose first class is in `keep`, renames classes with `rename`
+ * and points url("assets/…") at `assetPrefix`, since module CSS resolves urls from its own folder.
+ */
+const pickRules = (css, keep, rename, assetPrefix) =>
+  parseRules(css)
+    .filter((r) => keep.has((r.selector.match(/^\.(n_[A-Za-z0-9_]+)/) || [])[1]))
+    .map((r) =>
+      r.text
+        .replace(/\.(n_[A-Za-z0-9_]+)/g, (_, c) => `.${rename(c)}`)
+        .replace(/url\("assets\//g, `url("${assetPrefix}assets/`)
+    )
+    .join("\n");
+
+// The import lines of a generated file: React, side-effect imports, the CSS Module, then the rest
+const importLines = (cssModule, imports, sideEffects = []) => [
+  'import React from "react";',
+  ...sideEffects.map((path) => `import "${path}";`),
+  `import styles from "./${cssModule}";`,
+  ...[...imports].map(([ident, path]) => `import ${ident} from "${path}";`),
+];
+
+// `export default function Name({ a = "…", b }) {` on one line, or one param per line when long
+const signature = (name, params) => {
+  const head = `export default function ${name}(`;
+  if (!params.length) return `${head}) {`;
+  const one = `${head}{ ${params.join(", ")} }) {`;
+  return one.length <= 100 ? one : [`${head}{`, ...params.map((p) => `  ${p},`), "}) {"].join("\n");
+};
+
+/**
+ * Writes the JSX lines for a tree from buildTree, stopping at nested instances,
+ * which become elements of the library's shared components.
+ * scope: { root, rootClass, classOf, textProp, visibleProp, imports, keep, assetPrefix,
+ *          componentDir, library, options }
+ */
+const writeTree = (scope) => {
+  const { root } = scope;
+
+  // Image paths in assets/ are imported so the bundler picks them up
+  const image = (src) => {
+    if (!String(src).startsWith("assets/")) return JSON.stringify(src);
+    const ident = `image${pascalCase(src.replace(/^assets\/|\.[^.]+$/g, ""), "")}`;
+    scope.imports.set(ident, `${scope.assetPrefix}${src}`);
+    return ident;
+  };
+
+  const walk = (el) => {
+    const { node, alt } = el;
+    const cls = scope.classOf(node);
+    const ref = el === root && scope.rootClass ? scope.rootClass : classRef(cls);
+    scope.keep.add(el.className);
+
+    let lines;
+    if (el.kind === "svg") {
+      const svg = inlineSvgHtml(el.svg, node, cls, alt).replace(/ class="[^"]*"/, "");
+      lines = [`<span className={${ref}} dangerouslySetInnerHTML={{ __html: ${JSON.stringify(svg)} }} />`];
+    } else if (el.kind === "background") {
+      const label = alt ? ` role="img" aria-label=${jsxString(alt)}` : "";
+      lines = [`<div className={${ref}}${label} />`];
+    } else if (el.kind === "img") {
+      lines = [`<img className={${ref}} alt=${jsxString(alt)} src={${image(el.src)}} />`];
+    } else if (node.type === "INSTANCE" && el !== root) {
+      const { name, attrs } = scope.library.use(node, scope.options);
+      scope.imports.set(name, `${scope.componentDir}${name}`);
+      lines = [`<${[name, `className={${ref}}`, ...attrs].join(" ")} />`];
+    } else if (node.type === "TEXT") {
+      const prop = scope.textProp(node);
+      // The text runs' classes follow the layer's own, which may be renamed
+      const rename = (c) => (c.startsWith(el.className) ? cls + c.slice(el.className.length) : c);
+      let body = prop ? `{${prop}}` : markupToJsx(el.content, rename);
+      if (prop && needsTextWrapper(node)) body = `<span className={${classRef(`${cls}-inner`)}}>${body}</span>`;
+      lines = [`<${el.tag} className={${ref}}>${body}</${el.tag}>`];
+    } else {
+      const kids = childrenInReadingOrder(el).flatMap(walk).map((l) => `  ${l}`);
+      lines = kids.length
+        ? [`<${el.tag} className={${ref}}>`, ...kids, `</${el.tag}>`]
+        : [`<${el.tag} className={${ref}} />`];
+    }
+
+    // Layers bound to a boolean property only render while it is on
+    const toggle = el !== root && scope.visibleProp(node);
+    return toggle ? [`{${toggle} && (`, ...lines.map((l) => `  ${l}`), ")}"] : lines;
+  };
+
+  return walk(root);
+};
+
+/**
+ * Collects the Figma components used across an export as shared React components.
+ * components / componentSets: the maps of the same name from /files or /nodes responses; they may be
+ * filled in as screens are fetched. Without them a component is named after the instance's layer.
+ * Each variant is rendered from the first instance of it that is met, with the layers of its boolean
+ * properties shown whatever their value there.
+ */
+export function createComponentLibrary({ components = {}, componentSets = {} } = {}) {
+  // Component and screen names, which share one namespace
+  const names = new Set();
+  // component set id, component id or layer name → { name, props, propNames, variants, imports, css }
+  const entries = new Map();
+
+  const entryFor = (node) => {
+    const setId = components[node.componentId]?.componentSetId;
+    const key = setId || node.componentId || `layer:${node.name}`;
+    if (!entries.has(key)) {
+      const label = componentSets[setId]?.name || components[node.componentId]?.name || node.name;
+      entries.set(key, {
+        name: claim(names, pascalCase(label)),
+        props: new Map(), // property key → { name, type, value }
+        propNames: new Set(),
+        variants: new Map(), // component id → { when, lines }
+        imports: new Map(),
+        css: [],
+      });
+    }
+    return entries.get(key);
+  };
+
+  // Renders one variant of a component from an instance of it
+  const renderVariant = (entry, node, options) => {
+    const renames = new Map();
+    const keep = new Set();
+    const bound = (node, kind) => entry.props.get(node.componentPropertyReferences?.[kind])?.name || null;
+    const shown = showToggled(node, (n) => n !== node && bound(n, "visible"));
+    const tree = buildTree(shown, options.imagesMap, { ...options, components });
+    const lines = writeTree({
+      root: tree,
+      rootClass: "className",
+      classOf: (n) => {
+        const cls = safeClass(localId(n.id, node));
+        renames.set(safeClass(n.id), cls);
+        return cls;
+      },
+      textProp: (n) => bound(n, "characters"),
+      visibleProp: (n) => bound(n, "visible"),
+      imports: entry.imports,
+      keep,
+      assetPrefix: "../",
+      componentDir: "./",
+      library,
+      options,
+    });
+
+    // The root's own look and place come from the class the parent passes in
+    keep.delete(safeClass(node.id));
+    const css = treeToCss(tree, options);
+    const rules = pickRules(css, keep, (c) => renames.get(c) || c, "../");
+    if (rules) entry.css.push(rules);
+
+    const when = Object.entries(node.componentProperties || {})
+      .filter(([, p]) => p?.type === "VARIANT")
+      .map(([key, p]) => `${entry.props.get(key).name} === ${JSON.stringify(String(p.value))}`)
+      .join(" && ");
+    return { when, lines };
+  };
+
+  // The file of one shared component: the first variant met is the default
+  const componentFile = (entry) => {
+    const params = [
+      "className",
+      ...[...entry.props.values()].map(
+        (p) => `${p.name} = ${p.type === "BOOLEAN" ? Boolean(p.value) : JSON.stringify(String(p.value))}`
+      ),
+    ];
+    const [first, ...others] = [...entry.variants.values()];
+    const returns = (lines, indent) => [
+      `${indent}return (`,
+      ...lines.map((l) => `${indent}  ${l}`),
+      `${indent});`,
+    ];
+    const body = [
+      ...others
+        .filter((v) => v.when)
+        .flatMap((v) => [`  if (${v.when}) {`, ...returns(v.lines, "    "), "  }"]),
+      ...returns(first.lines, "  "),
+    ];
+    return [
+      ...importLines(`${entry.name}.module.css`, entry.imports),
+      "",
+      signature(entry.name, params),
+      ...body,
+      "}",
+      "",
+    ].join("\n");
+  };
+
+  const library = {
+    // The Figma components, whose descriptions become alt text (see altText)
+    components,
+
+    // Reserves a unique component name (screens use it too)
+    claim: (base) => claim(names, base),
+
+    /**
+     * Registers an instance and returns { name, attrs }: the component to render and the
+     * props whose values differ from the component's defaults.
+     * options: { imagesMap, svgs, preview, tokens, plugins } of the screen the instance is on.
+     */
+    use(node, options) {
+      const entry = entryFor(node);
+      Object.entries(node.componentProperties || {}).forEach(([key, p]) => {
+        if (!["TEXT", "BOOLEAN", "VARIANT"].includes(p?.type) || entry.props.has(key)) return;
+        entry.props.set(key, { name: claim(entry.propNames, camelCase(key, "prop")), type: p.type, value: p.value });
+      });
+      const variant = node.componentId || "default";
+      if (!entry.variants.has(variant)) entry.variants.set(variant, renderVariant(entry, node, options));
+
+      const attrs = [];
+      Object.entries(node.componentProperties || {}).forEach(([key, p]) => {
+        const prop = entry.props.get(key);
+        if (!prop || p.value === prop.value) return;
+        attrs.push(p.type === "BOOLEAN" ? `${prop.name}={${Boolean(p.value)}}` : `${prop.name}=${jsxString(p.value)}`);
+      });
+      return { name: entry.name, attrs };
+    },
+
+    // { path: text } of every shared component and its CSS Module, under components/
+    files() {
+      const out = {};
+      entries.forEach((entry) => {
+        out[`components/${entry.name}.jsx`] = componentFile(entry);
+        out[`components/${entry.name}.module.css`] = `/* Generated by Softlight Figma → React */\n${entry.css.join("\n")}\n`;
+      });
+      return out;
+    },
+  };
+  return library;
+}
+
+/**
+ * Generates a React component for one frame.
+ * Returns { name, files } where files holds `<Name>.jsx` and `<Name>.module.css`.
+ * library (see createComponentLibrary) is shared by every screen of an export; instances become its
+ * components. Plain text layers become props whose defaults are the Figma text.
+ * Pass { tokens } to reference shared styles and variables; the file then imports ./tokens.css,
+ * and { plugins } (see Plugins) to change the tree the component is written from.
+ */
+export function generateReactFromFrame(
+  frameNode,
+  imagesMap = {},
+  { library = createComponentLibrary(), preview = false, svgs = {}, tokens = null, plugins = [] } = {}
+) {
+  const name = library.claim(pascalCase(frameNode.name, "Screen"));
+  const options = { imagesMap, svgs, preview, tokens, plugins };
+  const tree = buildTree(frameNode, imagesMap, { ...options, components: library.components });
+  const props = [];
+  const propNames = new Set();
+  const imports = new Map();
+  const keep = new Set();
+
+  const lines = writeTree({
+    root: tree,
+    rootClass: null,
+    classOf: (n) => safeClass(n.id),
+    textProp: (n) => {
+      if (!isPlainText(n)) return null;
+      const prop = claim(propNames, camelCase(n.name, "text"));
+      props.push(`${prop} = ${JSON.stringify(n.characters || "")}`);
+      return prop;
+    },
+    visibleProp: () => null,
+    imports,
+    keep,
+    assetPrefix: "./",
+    componentDir: "./components/",
+    library,
+    options,
+  });
+
+  // The page's own wrapper replaces the #frame element of the HTML export
+  const frameClass = `${safeClass(frameNode.id)}-frame`;
+  const css = treeToCss(tree, options);
+  const frameRule = (css.match(/#frame\.[^{]+\{[^}]*\}/) || [""])[0].replace("#frame.", ".");
+  const cssModule = [
+    "/* Generated by Softlight Figma → React */",
+    frameRule,
+    `.${frameClass} img {\n  display: block;\n}`,
+    pickRules(css, keep, (c) => c, "./"),
+    "",
+  ].join("\n");
+
+  const jsx = [
+    ...importLines(`${name}.module.css`, imports, tokens ? ["./tokens.css"] : []),
+    "",
+    signature(name, props),
+    "  return (",
+    `    <div className={${classRef(frameClass)}}>`,
+    ...lines.map((l) => `      ${l}`),
+    "    </div>",
+    "  );",
+    "}",
+    "",
+  ].join("\n");
+
+  return { name, files: { [`${name}.jsx`]: jsx, [`${name}.module.css`]: cssModule } };
+}
+
+// index.js re-exporting every generated screen, after importing the global `styles` (e.g. "./fonts.css")
+export const generateReactIndex = (names, { styles = [] } = {}) => {
+  const imports = styles.map((s) => `import "${s}";`);
+  return [...imports, ...names.map((n) => `export { default as ${n} } from "./${n}";`)].join("\n") + "\n";
+};
@@ -0,0 +1,179 @@
+import {
+  createComponentLibrary,
+  generateReactFromFrame,
+  generateReactIndex,
+  pascalCase
+} from './ReactComponent';
+import { createTokens } from './DesignTokens';
+import { box } from '../../testNodes';
+
+// An instance of the "Button" set: a label bound to a TEXT property and an icon bound to a BOOLEAN one
+const button = (id, { label, variant = 'Primary', icon = true, componentId = 'C:primary' }) => ({
+  id,
+  type: 'INSTANCE',
+  name: 'Button',
+  componentId,
+  absoluteBoundingBox: box(20, 20, 120, 40),
+  componentProperties: {
+    'Label#1:0': { type: 'TEXT', value: label },
+    'Show icon#1:1': { type: 'BOOLEAN', value: icon },
+    Variant: { type: 'VARIANT', value: variant }
+  },
+  children: [
+    {
+      id: `I${id};10:1`,
+      type: 'TEXT',
+      name: 'Label',
+      characters: label,
+      style: { fontSize: 14 },
+      componentPropertyReferences: { characters: 'Label#1:0' },
+      absoluteBoundingBox: box(30, 30, 60, 20)
+    },
+    {
+      id: `I${id};10:2`,
+      type: 'FRAME',
+      name: 'Icon',
+      visible: icon,
+      componentPropertyReferences: { visible: 'Show icon#1:1' },
+      absoluteBoundingBox: box(100, 30, 20, 20)
+    }
+  ]
+});
+
+const frame = {
+  id: '1:1',
+  type: 'FRAME',
+  name: 'home page',
+  absoluteBoundingBox: box(0, 0, 400, 300),
+  children: [
+    {
+      id: '1:2',
+      type: 'TEXT',
+      name: 'Hero title',
+      characters: 'Hello {world}',
+      style: { fontSize: 40 },
+      absoluteBoundingBox: box(20, 100, 200, 48)
+    },
+    button('1:3', { label: 'Buy' }),
+    button('1:4', { label: 'Cancel', icon: false }),
+    button('1:5', { label: 'Later', variant: 'Ghost', componentId: 'C:ghost' })
+  ]
+};
+
+const metadata = {
+  components: {
+    'C:primary': { name: 'Variant=Primary', componentSetId: 'S:1' },
+    'C:ghost': { name: 'Variant=Ghost', componentSetId: 'S:1' }
+  },
+  componentSets: { 'S:1': { name: 'Button' } }
+};
+
+describe('ReactComponent', () => {
+  test('pascalCase makes component names', () => {
+    expect(pascalCase('home page')).toBe('HomePage');
+    expect(pascalCase('primaryButton / large')).toBe('PrimaryButtonLarge');
+    expect(pascalCase('404', 'Screen')).toBe('Screen404');
+    expect(pascalCase('', 'Screen')).toBe('Screen');
+  });
+
+  test('a screen becomes a component with its text as props and a CSS Module', () => {
+    const library = createComponentLibrary(metadata);
+    const { name, files } = generateReactFromFrame(frame, {}, { library });
+
+    expect(name).toBe('HomePage');
+    const jsx = files['HomePage.jsx'];
+    expect(jsx).toContain('import styles from "./HomePage.module.css";');
+    expect(jsx).toContain('import Button from "./components/Button";');
+    expect(jsx).toContain('export default function HomePage({ heroTitle = "Hello {world}" }) {');
+    expect(jsx).toContain('<h1 className={styles.n_1_2}>{heroTitle}</h1>');
+    expect(jsx).toContain('<div className={styles["n_1_1-frame"]}>');
+
+    // Only props that differ from the first instance are passed
+    expect(jsx).toContain('<Button className={styles.n_1_3} />');
+    expect(jsx).toContain('<Button className={styles.n_1_4} label="Cancel" showIcon={false} />');
+    expect(jsx).toContain('<Button className={styles.n_1_5} label="Later" variant="Ghost" />');
+
+    // The module holds the page's rules but not the insides of the instances
+    const css = files['HomePage.module.css'];
+    expect(css).toContain('.n_1_1-frame {');
+    expect(css).toContain('.n_1_3 {');
+    expect(css).not.toContain('#frame');
+    expect(css).not.toContain('n_I1_3');
+  });
+
+  test('instances become one shared component with props and variants', () => {
+    const library = createComponentLibrary(metadata);
+    generateReactFromFrame(frame, {}, { library });
+    const files = library.files();
+
+    const jsx = files['components/Button.jsx'];
+    expect(jsx).toContain(
+      'export default function Button({ className, label = "Buy", showIcon = true, variant = "Primary" }) {'
+    );
+    expect(jsx).toContain('<p className={styles.n_10_1}>{label}</p>');
+    expect(jsx).toContain('{showIcon && (');
+    expect(jsx).toContain('if (variant === "Ghost") {');
+    expect(jsx).toContain('<div className={className}>');
+
+    // Classes are named after the main component's layers, so every instance shares them
+    const css = files['components/Button.module.css'];
+    expect(css).toContain('.n_10_1 {');
+    expect(css).not.toContain('.n_1_3 {');
+    expect(Object.keys(files)).toEqual(['components/Button.jsx', 'components/Button.module.css']);
+  });
+
+  test('layers of a boolean property are kept when the first instance has it off', () => {
+    const library = createComponentLibrary(metadata);
+    const screen = {
+      ...frame,
+      children: [button('1:4', { label: 'Cancel', icon: false }), button('1:3', { label: 'Buy' })]
+    };
+    const { files } = generateReactFromFrame(screen, {}, { library });
+    expect(files['HomePage.jsx']).toContain('<Button className={styles.n_1_3} label="Buy" showIcon={true} />');
+
+    const jsx = library.files()['components/Button.jsx'];
+    expect(jsx).toContain('showIcon = false');
+    expect(jsx).toMatch(/\{showIcon && \(\n\s+<div className=\{styles\.n_10_2\} \/>\n\s+\)\}/);
+    expect(library.files()['components/Button.module.css']).toContain('.n_10_2 {');
+  });
+
+  test('images are imported from assets and plain text is escaped for JSX', () => {
+    const node = {
+      id: '2:1',
+      type: 'FRAME',
+      name: 'Gallery',
+      absoluteBoundingBox: box(0, 0, 100, 100),
+      children: [
+        { id: '2:2', type: 'RECTANGLE', name: 'Photo', absoluteBoundingBox: box(0, 0, 50, 50) },
+        {
+          id: '2:3',
+          type: 'TEXT',
+          name: 'Caption',
+          characters: 'a {b}',
+          characterStyleOverrides: [0, 0, 1],
+          styleOverrideTable: { 1: { fontWeight: 700 } },
+          style: { fontSize: 12 },
+          absoluteBoundingBox: box(0, 60, 50, 20)
+        }
+      ]
+    };
+    const { files } = generateReactFromFrame(node, { '2:2': 'assets/abc123.png' }, { tokens: createTokens() });
+    const jsx = files['Gallery.jsx'];
+    expect(jsx).toContain('import "./tokens.css";');
+    expect(jsx).toContain('import imageAbc123 from "./assets/abc123.png";');
+    expect(jsx).toContain('<img className={styles.n_2_2} alt="" src={imageAbc123} />');
+    // Styled runs stay markup; braces are escaped
+    expect(jsx).toContain('<p className={styles.n_2_3}>a <span className={styles["n_2_3-s1"]}>{"{"}</span>b{"}"}</p>');
+    expect(jsx).toContain('export default function Gallery() {');
+  });
+
+  test('screen and component names never clash', () => {
+    const library = createComponentLibrary(metadata);
+    const { name } = generateReactFromFrame({ ...frame, name: 'Button' }, {}, { library });
+    expect(name).toBe('Button');
+    expect(Object.keys(library.files())).toContain('components/Button2.jsx');
+    expect(generateReactIndex(['Home', 'About'])).toBe(
+      'export { default as Home } from "./Home";\nexport { default as About } from "./About";\n'
+    );
+  });
+});
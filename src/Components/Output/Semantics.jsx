@@ -0,0 +1,264 @@
+import { hasListLines } from "./DownloadFiles";
+
+// Semantic HTML: picks real elements for layers from their names and structure.
+// inferSemantics returns a Map of node id → { tag, attrs, control } that buildTree and the generators
+// take as their `semantics` option.
+
+// Built-in layer names → element. A name matches when one of its "/" parts ends with the words
+// ("Primary Button", "Button/Hover" and "Input/Email" match; "Button Group" does not)
+const BUILTIN_TAGS = {
+  button: "button",
+  btn: "button",
+  cta: "button",
+  link: "a",
+  input: "input",
+  "text field": "input",
+  textfield: "input",
+  "search bar": "input",
+  "text area": "textarea",
+  textarea: "textarea",
+  checkbox: "checkbox",
+  "check box": "checkbox",
+  radio: "radio",
+  "radio button": "radio",
+  switch: "switch",
+  toggle: "switch",
+  nav: "nav",
+  navbar: "nav",
+  "nav bar": "nav",
+  navigation: "nav",
+  header: "header",
+  footer: "footer",
+  main: "main",
+  sidebar: "aside",
+  aside: "aside",
+  section: "section",
+  article: "article",
+};
+
+// Form controls drawn by the layer itself; the native input stays invisible on top of it
+const CHOICES = { checkbox: "checkbox", radio: "radio", switch: "checkbox" };
+
+// Elements that may only hold phrasing content, so their descendants become <span>s
+const PHRASING = new Set(["a", "button", "label"]);
+
+// Tags a config may not produce: they would load or run something, or break the page structure
+const BLOCKED = new Set([
+  "base", "body", "embed", "frame", "head", "html", "iframe", "img", "link", "meta", "object", "script",
+  "style", "svg", "template",
+]);
+
+// Input types named in a field's layer name ("Email Input" → type="email")
+const INPUT_TYPES = {
+  email: "email",
+  password: "password",
+  search: "search",
+  phone: "tel",
+  tel: "tel",
+  number: "number",
+  date: "date",
+  url: "url",
+};
+
+// Words in a layer name or variant value that mean a checkbox or switch is on
+const ON = new Set(["checked", "on", "selected", "active"]);
+
+// "Primary Button/Hover" → [["primary", "button"], ["hover"]]
+const nameParts = (name) =>
+  String(name || "")
+    .split("/")
+    .map((part) =>
+      part
+        .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean)
+    )
+    .filter((words) => words.length);
+
+const endsWith = (words, key) =>
+  key.length <= words.length && key.every((w, i) => words[words.length - key.length + i] === w);
+
+// Checks one { key: tag | { tag, ...attrs } } entry and turns it into a rule
+const toRule = ([key, value]) => {
+  const { tag, ...attrs } = typeof value === "string" ? { tag: value } : value || {};
+  if (typeof tag !== "string" || !/^[a-z][a-z0-9-]*$/.test(tag) || BLOCKED.has(tag)) {
+    throw new Error(`"${key}" maps to ${JSON.stringify(tag)}, which is not an element this tool writes.`);
+  }
+  Object.entries(attrs).forEach(([k, v]) => {
+    if (!/^[a-z][a-z0-9-]*$/.test(k) || /^on/.test(k) || typeof v !== "string") {
+      throw new Error(`"${key}" has an attribute ${k} that is not allowed.`);
+    }
+  });
+  return { words: nameParts(key)[0] || [], tag, attrs };
+};
+
+/**
+ * Reads a semantics config: { tags: { "<layer name>": "<tag>" | { tag, ...attrs } }, headings, lists, defaults }.
+ * `tags` come before the built-in names, `defaults: false` drops those, and `headings` / `lists`
+ * (on by default) switch the size-based headings and the lists of repeated siblings.
+ * Takes the JSON text or the parsed object; throws an Error that names the bad entry.
+ */
+export function parseSemanticsConfig(config) {
+  let json = config;
+  if (typeof config === "string") {
+    try {
+      json = JSON.parse(config);
+    } catch {
+      throw new Error("The semantics config is not valid JSON.");
+    }
+  }
+  if (!json || typeof json !== "object" || Array.isArray(json)) {
+    throw new Error("The semantics config must be a JSON object.");
+  }
+  if (json.tags != null && (typeof json.tags !== "object" || Array.isArray(json.tags))) {
+    throw new Error('"tags" must map layer names to tags.');
+  }
+  const user = Object.entries(json.tags || {}).map(toRule);
+  const builtin = json.defaults === false ? [] : Object.entries(BUILTIN_TAGS).map(toRule);
+  return {
+    // Longer names first, so "Radio Button" wins over "Button"; the user's own win over the built-ins
+    rules: [...user, ...builtin].sort((a, b) => b.words.length - a.words.length),
+    headings: json.headings !== false,
+    lists: json.lists !== false,
+  };
+}
+
+// The rule for a layer's name, or null
+const ruleFor = (node, rules) => {
+  const parts = nameParts(node.name);
+  return rules.find((r) => r.words.length && parts.some((words) => endsWith(words, r.words))) || null;
+};
+
+// Layer words plus the values of its variant properties, to read states such as "Checked"
+const stateWords = (node) => [
+  ...nameParts(node.name).flat(),
+  ...Object.values(node.componentProperties || {})
+    .filter((p) => p.type === "VARIANT")
+    .flatMap((p) => nameParts(String(p.value)).flat()),
+];
+
+const visibleChildren = (node) => (node.children || []).filter((c) => c && c.visible !== false && !c.isMask);
+
+const firstText = (node) => {
+  for (const c of visibleChildren(node)) {
+    if (c.type === "TEXT") return c;
+    const found = firstText(c);
+    if (found) return found;
+  }
+  return null;
+};
+
+// What a repeated sibling looks like: its type, text style and the shape of its subtree
+const signature = (node, depth = 0) => {
+  if (node.type === "TEXT") return `T${node.style?.fontSize || 0}/${node.style?.fontWeight || 400}`;
+  const kids = depth < 2 ? visibleChildren(node).map((c) => signature(c, depth + 1)) : [];
+  return `${node.type}(${kids.join(",")})`;
+};
+
+// Three or more siblings of the same shape that each hold something are list items
+const isList = (children) =>
+  children.length >= 3 &&
+  children.every((c) => signature(c) === signature(children[0])) &&
+  (children[0].type === "TEXT" || visibleChildren(children[0]).length > 0);
+
+/**
+ * Picks elements for the layers of a frame.
+ * config: parseSemanticsConfig() output, a raw config, or nothing for the built-in rules.
+ * - layer names map to elements (buttons, links, nav, header, footer…); fields turn their placeholder
+ *   text into an <input> or <textarea>, checkboxes, radios and switches get a native input over them;
+ * - text noticeably larger than the body text becomes h1–h6, largest first;
+ * - a container of three or more look-alike children becomes a <ul> of <li>s.
+ * links: Map of node id → { tag, attrs } for layers that must be links or buttons (see readPrototype);
+ * they win over the names.
+ */
+export function inferSemantics(frameNode, config = null, { links = new Map() } = {}) {
+  const { rules, headings, lists } = config?.rules ? config : parseSemanticsConfig(config || {});
+  const out = new Map();
+  const set = (node, entry) => out.set(node.id, { ...out.get(node.id), ...entry });
+
+  // Heading levels from the text sizes: body text is the size that holds the most characters
+  const texts = [];
+  const collect = (node) => {
+    if (!node || node.visible === false) return;
+    if (node.type === "TEXT") texts.push(node);
+    (node.children || []).forEach(collect);
+  };
+  collect(frameNode);
+  const chars = new Map();
+  texts.forEach((t) => {
+    const size = t.style?.fontSize || 0;
+    chars.set(size, (chars.get(size) || 0) + (t.characters || "").length);
+  });
+  const body = [...chars.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || 0;
+  const isHeading = (t) => {
+    const text = t.characters || "";
+    return (t.style?.fontSize || 0) >= body * 1.25 && Boolean(text.trim()) && text.length <= 200 && !hasListLines(t);
+  };
+  const levels = [...new Set(texts.filter(isHeading).map((t) => t.style.fontSize))].sort((a, b) => b - a);
+
+  const walk = (node, phrasing) => {
+    if (!node || node.visible === false) return;
+    const rule = links.get(node.id) || ruleFor(node, rules);
+    let tag = rule?.tag;
+    let inside = phrasing;
+
+    // Inside a button, link or label only phrasing content is allowed; the outer element keeps the meaning
+    if (phrasing) tag = null;
+
+    if (tag === "input" || tag === "textarea") {
+      const words = nameParts(node.name).flat();
+      const type = tag === "input" ? words.map((w) => INPUT_TYPES[w]).find(Boolean) || "text" : null;
+      const text = node.type === "TEXT" ? node : firstText(node);
+      const attrs = { ...(type && { type }), ...rule.attrs };
+      if (text) {
+        // The placeholder text layer becomes the field, so it keeps its place and typography
+        set(text, { tag, attrs: { ...attrs, placeholder: text.characters || "" } });
+        if (text !== node) set(node, { tag: "label" });
+      } else {
+        set(node, { tag: "label", control: { tag, attrs } });
+      }
+      inside = true;
+    } else if (CHOICES[tag]) {
+      const words = stateWords(node);
+      const attrs = {
+        type: CHOICES[tag],
+        ...(tag === "switch" && { role: "switch" }),
+        ...(words.some((w) => ON.has(w)) && { checked: "" }),
+        ...rule.attrs,
+      };
+      set(node, { tag: "label", control: { tag: "input", attrs } });
+      inside = true;
+    } else if (tag) {
+      const attrs = { ...(tag === "button" && { type: "button" }), ...(tag === "a" && { href: "#" }), ...rule.attrs };
+      set(node, { tag, ...(Object.keys(attrs).length && { attrs }) });
+      if (PHRASING.has(tag)) inside = true;
+    } else if (out.has(node.id)) {
+      // Already picked by its container: a field's placeholder or a list item
+    } else if (phrasing) {
+      set(node, { tag: "span" });
+    } else if (node.type === "TEXT" && headings && isHeading(node)) {
+      set(node, { tag: `h${Math.min(6, levels.indexOf(node.style.fontSize) + 1)}` });
+    } else if (node.type === "TEXT") {
+      set(node, { tag: hasListLines(node) ? "div" : "p" });
+    }
+
+    const kids = visibleChildren(node);
+    const current = out.get(node.id)?.tag;
+    // Lists: from look-alike children of a plain container, or of a layer mapped to ul / ol
+    const listed =
+      node !== frameNode &&
+      node.type !== "TEXT" &&
+      !inside &&
+      (current === "ul" ||
+        current === "ol" ||
+        (!current && lists && isList(kids) && !kids.some((c) => links.has(c.id) || ruleFor(c, rules))));
+    if (listed) {
+      if (!current) set(node, { tag: "ul" });
+      kids.forEach((c) => set(c, { tag: "li" }));
+    }
+    (node.children || []).forEach((c) => walk(c, inside));
+  };
+  walk(frameNode, false);
+  return out;
+}
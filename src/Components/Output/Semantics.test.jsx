@@ -0,0 +1,92 @@
+import { inferSemantics, parseSemanticsConfig } from './Semantics';
+import { box } from '../../testNodes';
+
+const text = (id, name, characters, fontSize = 16, extra = {}) => ({
+  id,
+  type: 'TEXT',
+  name,
+  characters,
+  style: { fontSize, fontWeight: 400 },
+  absoluteBoundingBox: box(0, 0, 100, 20),
+  ...extra
+});
+
+const frame = (id, name, children, extra = {}) => ({
+  id,
+  type: 'FRAME',
+  name,
+  absoluteBoundingBox: box(0, 0, 100, 40),
+  children,
+  ...extra
+});
+
+describe('Semantics', () => {
+  test('maps layer names to elements and keeps their content phrasing', () => {
+    const page = frame('1:1', 'Home', [
+      frame('1:2', 'Header', [frame('1:3', 'Button/Primary', [text('1:4', 'Label', 'Sign up')])]),
+      text('1:5', 'Footer Link', 'Privacy'),
+      frame('1:6', 'Button Group', [])
+    ]);
+    const semantics = inferSemantics(page);
+
+    expect(semantics.get('1:2')).toEqual({ tag: 'header' });
+    expect(semantics.get('1:3')).toEqual({ tag: 'button', attrs: { type: 'button' } });
+    expect(semantics.get('1:4')).toEqual({ tag: 'span' });
+    expect(semantics.get('1:5')).toEqual({ tag: 'a', attrs: { href: '#' } });
+    expect(semantics.has('1:6')).toBe(false);
+  });
+
+  test('turns fields into inputs and choices into labelled native controls', () => {
+    const page = frame('1:1', 'Form', [
+      frame('1:2', 'Email Input', [text('1:3', 'Placeholder', 'you@example.com')]),
+      frame('1:4', 'Checkbox', [], { componentProperties: { State: { type: 'VARIANT', value: 'Checked' } } }),
+      frame('1:5', 'Dark Mode Toggle', [])
+    ]);
+    const semantics = inferSemantics(page);
+
+    expect(semantics.get('1:2')).toEqual({ tag: 'label' });
+    expect(semantics.get('1:3')).toEqual({ tag: 'input', attrs: { type: 'email', placeholder: 'you@example.com' } });
+    expect(semantics.get('1:4')).toEqual({
+      tag: 'label',
+      control: { tag: 'input', attrs: { type: 'checkbox', checked: '' } }
+    });
+    expect(semantics.get('1:5').control.attrs).toEqual({ type: 'checkbox', role: 'switch' });
+  });
+
+  test('ranks headings by size against the body text', () => {
+    const page = frame('1:1', 'Article', [
+      text('1:2', 'Title', 'Welcome', 48),
+      text('1:3', 'Intro', 'A longer paragraph of body copy that sets the body size.', 16),
+      text('1:4', 'Subtitle', 'Getting started', 24),
+      text('1:5', 'Caption', 'Small print', 12)
+    ]);
+    const semantics = inferSemantics(page);
+
+    expect(semantics.get('1:2').tag).toBe('h1');
+    expect(semantics.get('1:3').tag).toBe('p');
+    expect(semantics.get('1:4').tag).toBe('h2');
+    expect(semantics.get('1:5').tag).toBe('p');
+  });
+
+  test('makes lists from look-alike siblings', () => {
+    const item = (id) => frame(id, 'Row', [text(`${id}a`, 'Name', 'Item'), text(`${id}b`, 'Price', '$1', 14)]);
+    const page = frame('1:1', 'Home', [frame('1:2', 'Features', [item('2:1'), item('2:2'), item('2:3')])]);
+    const semantics = inferSemantics(page);
+
+    expect(semantics.get('1:2')).toEqual({ tag: 'ul' });
+    expect(semantics.get('2:2')).toEqual({ tag: 'li' });
+    expect(inferSemantics(page, { lists: false }).has('1:2')).toBe(false);
+  });
+
+  test('reads a config of the team\'s own layer names', () => {
+    const config = parseSemanticsConfig('{"tags": {"Hero": "section", "Sign Up": {"tag": "a", "href": "/join"}}}');
+    const page = frame('1:1', 'Home', [frame('1:2', 'Hero', []), frame('1:3', 'Sign Up', [])]);
+    const semantics = inferSemantics(page, config);
+
+    expect(semantics.get('1:2')).toEqual({ tag: 'section' });
+    expect(semantics.get('1:3')).toEqual({ tag: 'a', attrs: { href: '/join' } });
+    expect(() => parseSemanticsConfig('{"tags": {"Hero": "script"}}')).toThrow(/"Hero" maps to "script"/);
+    expect(() => parseSemanticsConfig('{"tags": {"Hero": {"tag": "a", "onclick": "x()"}}}')).toThrow(/onclick/);
+    expect(() => parseSemanticsConfig('not json')).toThrow(/not valid JSON/);
+  });
+});
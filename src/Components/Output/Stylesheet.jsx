@@ -0,0 +1,180 @@
+import { parseRules, safeClass } from "./DownloadFiles";
+
+// Readable stylesheets: renames the generated n_<id> classes after the layers, splits each node's rule
+// into layout and visual declarations, and merges identical declaration sets into shared classes.
+// Works on the finished HTML and CSS of every screen at once, since they share one stylesheet.
+
+// Properties that place and size an element; everything else is how it looks
+const LAYOUT = new Set([
+  "position", "width", "height", "min-width", "min-height",
+  "max-width", "max-height", "flex", "flex-shrink", "flex-grow", "flex-basis", "align-self",
+  "display", "flex-direction", "flex-wrap", "gap", "row-gap", "column-gap", "padding",
+  "margin", "justify-content", "align-items", "box-sizing", "transform", "isolation",
+]);
+
+// Layout properties that differ for almost every node; they stay in its own class and are never shared
+const PLACEMENT = new Set(["left", "right", "top", "bottom", "z-index"]);
+
+// Layers that start a BEM block: their descendants are named block__element
+const BLOCKS = new Set(["COMPONENT", "COMPONENT_SET", "INSTANCE"]);
+
+// A generated class: the node's n_<id> plus an optional suffix (-frame, -inner, -p, -s<override>, -control)
+const GENERATED = /\b(n_[A-Za-z0-9_]+)(?:-(frame|inner|p|s\d+|control))?\b/g;
+
+// "Hero Title / Large" → "hero-title-large"; names that cannot start a class get the layer type in front
+const kebab = (name, type) => {
+  const out = String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 40)
+    .replace(/-+$/, "");
+  const fallback = String(type || "layer").toLowerCase().replace(/_/g, "-");
+  if (!out) return fallback;
+  return /^[0-9]/.test(out) ? `${fallback}-${out}` : out;
+};
+
+// Adds -2, -3… to `base` until it is not in `taken`, then reserves it
+const claim = (taken, base) => {
+  let name = base;
+  for (let n = 2; taken.has(name); n++) name = `${base}-${n}`;
+  taken.add(name);
+  return name;
+};
+
+const ruleText = (selector, declarations) =>
+  `${selector} {\n${declarations.map(([k, v]) => `  ${k}: ${v};\n`).join("")}}\n`;
+
+/**
+ * Removes comments and whitespace the browser does not need.
+ */
+export function minifyCss(css) {
+  return String(css)
+    .replace(/\/\*[\s\S]*?\*\//g, "")
+    .replace(/\s+/g, " ")
+    .replace(/\s*([{}:;,])\s*/g, "$1")
+    .replace(/;}/g, "}")
+    .trim();
+}
+
+/**
+ * Rewrites the generated pages and stylesheet of an export with readable, shared classes.
+ * screens: [{ frameNode, html, css }] from generateHtmlFromFrame / generateCssFromFrame.
+ * Returns { pages: [html], css } with one stylesheet for every screen:
+ * - classes are the kebab-cased layer names, unique across the export; inside a component instance
+ *   they are BEM elements of it (button__label);
+ * - each node's declarations are split into a layout rule and a visual rule, and a set that several
+ *   nodes share becomes one class (named after its first user, with -layout / -style); where a node
+ *   sits (left, top, z-index…) stays in its own class;
+ * - pass { minify: true } to strip comments and whitespace.
+ */
+export function tidyStylesheet(screens, { minify = false } = {}) {
+  const taken = new Set();
+  // n_<id> → readable name
+  const names = new Map();
+
+  const nameTree = (node, block) => {
+    if (!node || node.visible === false) return;
+    const base = kebab(node.name, node.type);
+    const name = claim(taken, block && !BLOCKS.has(node.type) ? `${block}__${base}` : base);
+    names.set(safeClass(node.id), name);
+    (node.children || []).forEach((c) => nameTree(c, BLOCKS.has(node.type) ? name : block));
+  };
+  screens.forEach((s) => nameTree(s.frameNode, null));
+
+  const rename = (text) =>
+    text.replace(GENERATED, (match, cls, suffix) => {
+      const name = names.get(cls);
+      if (!name) return match;
+      return suffix ? `${name}__${suffix}` : name;
+    });
+
+  // Each node rule split in two; everything else (pseudo-elements, text runs, lists) kept whole
+  const parsed = screens.map((s) =>
+    parseRules(s.css).map((r) => {
+      const own = r.selector.match(/^\.(n_[A-Za-z0-9_]+)$/);
+      if (!own || !names.has(own[1])) {
+        return { extra: `${rename(r.text)}\n`, owner: r.selector.match(/n_[A-Za-z0-9_]+/)?.[0] };
+      }
+      return {
+        cls: own[1],
+        place: r.declarations.filter(([k]) => PLACEMENT.has(k)),
+        placed: r.declarations.filter(([k]) => LAYOUT.has(k) || PLACEMENT.has(k)),
+        layout: r.declarations.filter(([k]) => LAYOUT.has(k)),
+        visual: r.declarations.filter(([k]) => !LAYOUT.has(k) && !PLACEMENT.has(k)),
+      };
+    })
+  );
+
+  // How many nodes use each declaration set
+  const key = (kind, decls) => (decls.length ? `${kind}|${decls.map(([k, v]) => `${k}:${v}`).join(";")}` : null);
+  const uses = new Map();
+  parsed.flat().forEach((r) => {
+    if (!r.cls) return;
+    [key("layout", r.layout), key("visual", r.visual)].forEach((k) => k && uses.set(k, (uses.get(k) || 0) + 1));
+  });
+
+  // Shared set → class, named when first met
+  const shared = new Map();
+  const sharedClass = (k, cls, suffix) => {
+    if (!shared.has(k)) shared.set(k, { name: claim(taken, `${names.get(cls)}-${suffix}`), written: false });
+    return shared.get(k);
+  };
+
+  // Node → its class list in the HTML; the own class is kept when it has rules of its own
+  const classes = new Map();
+  const needsOwn = new Set(parsed.flat().map((r) => r.owner).filter(Boolean));
+  let layoutCss = "";
+  let visualCss = "";
+
+  parsed.flat().forEach((r) => {
+    if (r.extra) {
+      // The #frame container rule is layout; the rest are details of the node's look
+      if (r.extra.startsWith("#frame")) layoutCss += r.extra;
+      else visualCss += r.extra;
+      return;
+    }
+    const own = names.get(r.cls);
+    const list = [];
+    let place = r.place;
+    [
+      ["layout", r.layout],
+      ["visual", r.visual],
+    ].forEach(([kind, decls]) => {
+      const k = key(kind, decls);
+      if (!k) return;
+      if (uses.get(k) > 1) {
+        const s = sharedClass(k, r.cls, kind === "layout" ? "layout" : "style");
+        list.push(s.name);
+        if (s.written) return;
+        s.written = true;
+        if (kind === "layout") layoutCss += ruleText(`.${s.name}`, decls);
+        else visualCss += ruleText(`.${s.name}`, decls);
+        return;
+      }
+      if (!list.includes(own)) list.unshift(own);
+      if (kind === "layout") {
+        layoutCss += ruleText(`.${own}`, r.placed);
+        place = [];
+      } else {
+        visualCss += ruleText(`.${own}`, decls);
+      }
+    });
+    // A node with a shared layout keeps only its placement in its own class
+    if (place.length) {
+      if (!list.includes(own)) list.unshift(own);
+      layoutCss += ruleText(`.${own}`, place);
+    }
+    if (needsOwn.has(r.cls) && !list.includes(own)) list.unshift(own);
+    classes.set(r.cls, list.length ? list : [own]);
+  });
+
+  const pages = screens.map((s) =>
+    s.html.replace(/ class="([^"]*)"/g, (_, list) => {
+      const out = list.split(/\s+/).flatMap((c) => classes.get(c) || [rename(c)]);
+      return ` class="${out.join(" ")}"`;
+    })
+  );
+  const css = `/* Generated by Softlight Figma → HTML/CSS */\n/* Layout */\n${layoutCss}\n/* Visual */\n${visualCss}`;
+  return { pages, css: minify ? minifyCss(css) : css };
+}
@@ -0,0 +1,102 @@
+import { generateCssFromFrame, generateHtmlFromFrame } from './DownloadFiles';
+import { minifyCss, tidyStylesheet } from './Stylesheet';
+import { box } from '../../testNodes';
+
+// a text layer with the same look wherever it is used
+const label = (id, name, x, y) => ({
+  id,
+  type: 'TEXT',
+  name,
+  characters: name,
+  style: { fontSize: 14, fontFamily: 'Inter', lineHeightPx: 20 },
+  absoluteBoundingBox: box(x, y, 120, 20),
+  fills: [{ type: 'SOLID', color: { r: 0, g: 0, b: 0, a: 1 } }]
+});
+
+const frameNode = {
+  id: '1:1',
+  type: 'FRAME',
+  name: 'Home',
+  absoluteBoundingBox: box(0, 0, 400, 300),
+  children: [
+    label('1:2', 'Title', 16, 16),
+    label('1:3', 'Title', 16, 48),
+    {
+      id: '1:4',
+      type: 'INSTANCE',
+      name: 'Primary Button',
+      absoluteBoundingBox: box(16, 100, 160, 40),
+      fills: [{ type: 'SOLID', color: { r: 0, g: 0, b: 1, a: 1 } }],
+      children: [label('I1:4;2:1', 'Label', 32, 110)]
+    }
+  ]
+};
+
+const render = (frame) => ({
+  frameNode: frame,
+  html: generateHtmlFromFrame(frame, {}, 'styles.css'),
+  css: generateCssFromFrame(frame, {})
+});
+
+describe('Stylesheet', () => {
+  test('names classes after layers, with BEM elements inside components', () => {
+    const { pages, css } = tidyStylesheet([render(frameNode)]);
+
+    expect(pages[0]).toContain('<div id="frame" class="home__frame">');
+    expect(pages[0]).toContain('class="primary-button"');
+    expect(pages[0]).not.toMatch(/n_1_/);
+    expect(css).toContain('#frame.home__frame {');
+    expect(css).toContain('.primary-button {');
+    expect(css).toContain('.title {');
+    expect(css).toContain('.title-2 {');
+    expect(css).toContain('.primary-button__label {');
+  });
+
+  test('splits layout from visual rules and shares identical sets', () => {
+    const { pages, css } = tidyStylesheet([render(frameNode)]);
+    const [layout, visual] = css.split('/* Visual */');
+
+    // all three labels look the same, so they share one visual class
+    expect(pages[0]).toContain('class="title title-layout title-style"');
+    expect(pages[0]).toContain('class="title-2 title-layout title-style"');
+    expect(pages[0]).toContain('class="primary-button__label title-layout title-style"');
+    expect(css.match(/\.title-style \{/g)).toHaveLength(1);
+    expect(layout).toContain('position: absolute;');
+    expect(layout).not.toContain('font-size');
+    expect(visual).toContain('font-size: 14px;');
+    expect(visual).not.toContain('position: absolute;');
+  });
+
+  test('shares the layout of same-sized siblings and keeps where each sits', () => {
+    const { pages, css } = tidyStylesheet([render(frameNode)]);
+    const [layout] = css.split('/* Visual */');
+
+    expect(pages[0]).toContain('class="title title-layout title-style"');
+    expect(pages[0]).toContain('class="title-2 title-layout title-style"');
+    expect(layout.match(/\.title-layout \{/g)).toHaveLength(1);
+    expect(layout).toMatch(/\.title-layout \{\n {2}position: absolute;\n {2}width: 120px;/);
+    expect(layout).not.toMatch(/\.title-layout \{[^}]*(left|top|z-index):/);
+    // the placement of each title stays in its own class
+    expect(layout).toMatch(/\.title \{\n {2}left: 16px;\n {2}top: 16px;\n {2}z-index: 2;\n\}/);
+    expect(layout).toMatch(/\.title-2 \{\n {2}left: 16px;\n {2}top: 48px;\n {2}z-index: 3;\n\}/);
+  });
+
+  test('keeps class names unique across screens sharing a stylesheet', () => {
+    const other = { ...frameNode, id: '5:1', children: [label('5:2', 'Title', 16, 16)] };
+    const { pages, css } = tidyStylesheet([render(frameNode), render(other)]);
+
+    expect(pages[1]).toContain('<div id="frame" class="home-2__frame">');
+    expect(pages[1]).toContain('class="title-3 title-layout title-style"');
+    expect(pages[0]).toContain('class="title title-layout title-style"');
+    expect(css.match(/\.title-style \{/g)).toHaveLength(1);
+  });
+
+  test('minifies the stylesheet', () => {
+    expect(minifyCss('/* x */\n.a {\n  color: red;\n  margin: 0 auto;\n}\n.b::after, .c {\n  content: "";\n}\n')).toBe(
+      '.a{color:red;margin:0 auto}.b::after,.c{content:""}'
+    );
+    const { css } = tidyStylesheet([render(frameNode)], { minify: true });
+    expect(css).not.toContain('\n');
+    expect(css).toContain('.title-style{');
+  });
+});
@@ -0,0 +1,395 @@
+import { buildTree, parseRules, treeToCss, treeToHtml } from "./DownloadFiles";
+
+// Tailwind output: the rules generateCssFromFrame writes, turned into utility classes on each element.
+// Values on Tailwind's default scale use its names (w-4, rounded-lg, text-sm); anything else becomes
+// an arbitrary value (w-[317px]), or an arbitrary property ([mix-blend-mode:plus-lighter]) when
+// Tailwind has no utility for it.
+
+// Default spacing scale: px → key
+const SPACING = {
+  0: "0", 1: "px", 2: "0.5", 4: "1", 6: "1.5", 8: "2", 10: "2.5", 12: "3", 14: "3.5", 16: "4",
+  20: "5", 24: "6", 28: "7", 32: "8", 36: "9", 40: "10", 44: "11", 48: "12", 56: "14", 64: "16",
+  80: "20", 96: "24", 112: "28", 128: "32", 144: "36", 160: "40", 176: "44", 192: "48", 208: "52",
+  224: "56", 240: "60", 256: "64", 288: "72", 320: "80", 384: "96",
+};
+const FRACTIONS = { "25%": "1/4", "50%": "1/2", "75%": "3/4", "100%": "full" };
+const RADIUS = { 0: "none", 2: "sm", 4: "", 6: "md", 8: "lg", 12: "xl", 16: "2xl", 24: "3xl" };
+const FONT_SIZE = {
+  12: "xs", 14: "sm", 16: "base", 18: "lg", 20: "xl", 24: "2xl", 30: "3xl", 36: "4xl",
+  48: "5xl", 60: "6xl", 72: "7xl", 96: "8xl", 128: "9xl",
+};
+const FONT_WEIGHT = {
+  100: "thin", 200: "extralight", 300: "light", 400: "normal", 500: "medium",
+  600: "semibold", 700: "bold", 800: "extrabold", 900: "black",
+};
+const LEADING = { 12: "3", 16: "4", 20: "5", 24: "6", 28: "7", 32: "8", 36: "9", 40: "10" };
+const Z_INDEX = new Set(["0", "10", "20", "30", "40", "50"]);
+const BLEND_MODES = new Set([
+  "multiply", "screen", "overlay", "darken", "lighten", "color-dodge", "color-burn", "hard-light",
+  "soft-light", "difference", "exclusion", "hue", "saturation", "color", "luminosity", "plus-lighter",
+]);
+
+// Keyword values with a utility of their own
+const KEYWORDS = {
+  position: { relative: "relative", absolute: "absolute", fixed: "fixed", sticky: "sticky" },
+  display: { block: "block", flex: "flex", "inline-block": "inline-block", "inline-flex": "inline-flex", grid: "grid", none: "hidden" },
+  "flex-direction": { row: "flex-row", column: "flex-col", "row-reverse": "flex-row-reverse", "column-reverse": "flex-col-reverse" },
+  "flex-wrap": { wrap: "flex-wrap", nowrap: "flex-nowrap" },
+  "flex-shrink": { 0: "shrink-0", 1: "shrink" },
+  flex: { "1 1 0": "flex-1", "1 1 0%": "flex-1", none: "flex-none" },
+  "justify-content": { "flex-start": "justify-start", center: "justify-center", "flex-end": "justify-end", "space-between": "justify-between" },
+  "align-items": { "flex-start": "items-start", center: "items-center", "flex-end": "items-end", baseline: "items-baseline", stretch: "items-stretch" },
+  "align-self": { "flex-start": "self-start", center: "self-center", "flex-end": "self-end", baseline: "self-baseline", stretch: "self-stretch" },
+  "box-sizing": { "border-box": "box-border", "content-box": "box-content" },
+  overflow: { hidden: "overflow-hidden", visible: "overflow-visible", auto: "overflow-auto" },
+  "white-space": { "pre-wrap": "whitespace-pre-wrap", nowrap: "whitespace-nowrap", normal: "whitespace-normal" },
+  "text-align": { left: "text-left", center: "text-center", right: "text-right", justify: "text-justify" },
+  "text-decoration": { underline: "underline", "line-through": "line-through", none: "no-underline" },
+  "text-transform": { uppercase: "uppercase", lowercase: "lowercase", capitalize: "capitalize", none: "normal-case" },
+  "text-overflow": { ellipsis: "text-ellipsis", clip: "text-clip" },
+  "font-style": { italic: "italic", normal: "not-italic" },
+  "background-size": { cover: "bg-cover", contain: "bg-contain", auto: "bg-auto" },
+  "background-repeat": { "no-repeat": "bg-no-repeat", repeat: "bg-repeat" },
+  "background-position": { center: "bg-center" },
+  "background-clip": { text: "bg-clip-text" },
+  isolation: { isolate: "isolate" },
+  "pointer-events": { none: "pointer-events-none" },
+  content: { '""': "content-['']" },
+};
+
+// An arbitrary value: spaces become underscores, and double quotes single ones so the class fits in an attribute
+const arb = (v) => String(v).trim().replace(/_/g, "\\_").replace(/"/g, "'").replace(/\s+/g, "_");
+const property = (prop, value) => `[${prop}:${arb(value)}]`;
+
+// Whole pixels of a "12px" value (or "0"), else null
+const pixels = (v) => {
+  const m = String(v).match(/^(-?\d+(?:\.\d+)?)px$/);
+  return m ? Number(m[1]) : String(v) === "0" ? 0 : null;
+};
+
+// A length on the spacing scale (or a fraction of the parent) as prefix-key, else prefix-[value]
+const spacing = (prefix, value) => {
+  if (FRACTIONS[value]) return `${prefix}-${FRACTIONS[value]}`;
+  if (value === "auto") return `${prefix}-auto`;
+  const n = pixels(value);
+  if (n != null && SPACING[Math.abs(n)] != null) return `${n < 0 ? "-" : ""}${prefix}-${SPACING[Math.abs(n)]}`;
+  return `${prefix}-[${arb(value)}]`;
+};
+
+// min-/max- sizes only have a handful of names
+const limit = (prefix, value) =>
+  pixels(value) === 0 ? `${prefix}-0` : value === "100%" ? `${prefix}-full` : `${prefix}-[${arb(value)}]`;
+
+// padding / margin shorthand → p-4, px-2 py-4 or pt- pr- pb- pl-, each with the declarations it stands for
+const sides = (prefix, prop, value) => {
+  const [t, r = t, b = t, l = r] = String(value).split(/\s+/);
+  if (t === r && r === b && b === l) return [[spacing(prefix, t), [[prop, t]]]];
+  if (t === b && r === l) {
+    return [
+      [spacing(`${prefix}y`, t), [[`${prop}-top`, t], [`${prop}-bottom`, t]]],
+      [spacing(`${prefix}x`, r), [[`${prop}-left`, r], [`${prop}-right`, r]]],
+    ];
+  }
+  return [
+    [spacing(`${prefix}t`, t), [[`${prop}-top`, t]]],
+    [spacing(`${prefix}r`, r), [[`${prop}-right`, r]]],
+    [spacing(`${prefix}b`, b), [[`${prop}-bottom`, b]]],
+    [spacing(`${prefix}l`, l), [[`${prop}-left`, l]]],
+  ];
+};
+
+const radius = (prefix, value) => {
+  const n = pixels(value);
+  if (n != null && RADIUS[n] != null) return RADIUS[n] ? `${prefix}-${RADIUS[n]}` : prefix;
+  return `${prefix}-[${arb(value)}]`;
+};
+
+const CORNERS = {
+  "border-top-left-radius": "rounded-tl",
+  "border-top-right-radius": "rounded-tr",
+  "border-bottom-right-radius": "rounded-br",
+  "border-bottom-left-radius": "rounded-bl",
+};
+
+// A plain color value (no gradients, images or layers)
+const isColor = (v) => /^(#[0-9a-f]{3,8}|rgba?\([^()]*\)|transparent|currentColor)$/i.test(v);
+
+/**
+ * Collects the theme a generated tailwind.config extends: colors and shadows from the file's shared
+ * styles and variables (referenced through their CSS variables), and every font family used.
+ * Share one theme across the screens of an export.
+ */
+export function createTailwindTheme() {
+  const extend = { colors: {}, fontFamily: {}, boxShadow: {} };
+
+  // The theme key for a token variable: var(--color-brand-primary) → "brand-primary"
+  const tokenKey = (value, group) => {
+    const m = String(value).match(/^var\(--([\w-]+)\)$/);
+    return m ? m[1].replace(new RegExp(`^${group}-`), "").replace(/-font-family$/, "") : null;
+  };
+
+  return {
+    // A color utility suffix from the theme, or null
+    color(value) {
+      const key = tokenKey(value, "color");
+      if (!key) return null;
+      extend.colors[key] = value;
+      return key;
+    },
+
+    // A shadow utility suffix from the theme, or null
+    shadow(value) {
+      const key = tokenKey(value, "shadow");
+      if (!key) return null;
+      extend.boxShadow[key] = value;
+      return key;
+    },
+
+    // A font utility suffix named after the first family: "Inter", system-ui → "inter"
+    font(value) {
+      const key =
+        tokenKey(value, "text") ||
+        String(value).split(",")[0].replace(/["']/g, "").trim().toLowerCase().replace(/[^a-z0-9]+/g, "-");
+      if (!key) return null;
+      extend.fontFamily[key] = /^var\(/.test(value)
+        ? [value]
+        : String(value).split(",").map((f) => f.trim().replace(/^["']|["']$/g, ""));
+      return key;
+    },
+
+    // { colors, fontFamily, boxShadow } with the empty groups left out
+    extend() {
+      return Object.fromEntries(Object.entries(extend).filter(([, v]) => Object.keys(v).length));
+    },
+  };
+}
+
+/**
+ * The tailwind.config.js text for a theme, for projects that build the pages' classes with Tailwind.
+ */
+export function tailwindConfig(theme) {
+  const extend = JSON.stringify(theme.extend(), null, 2).replace(/\n/g, "\n    ");
+  return `// Tailwind theme extension generated from the Figma file
+const config = {
+  content: ["./*.html"],
+  theme: {
+    extend: ${extend},
+  },
+};
+
+module.exports = config;
+`;
+}
+
+/**
+ * The utility class names for one declaration.
+ * rule: all declarations of the same rule, for properties that depend on each other.
+ */
+const utilityNames = (prop, value, rule, theme) => {
+  const v = String(value);
+  if (KEYWORDS[prop]?.[v]) {
+    // A background shorthand in the same rule would reset the clip, so it has to win
+    return [prop === "background-clip" && rule.background ? `!${KEYWORDS[prop][v]}` : KEYWORDS[prop][v]];
+  }
+  switch (prop) {
+    case "left":
+    case "right":
+    case "top":
+    case "bottom":
+      return [spacing(prop, v)];
+    case "width":
+      return [spacing("w", v)];
+    case "height":
+      return [spacing("h", v)];
+    case "min-width":
+      return [limit("min-w", v)];
+    case "min-height":
+      return [limit("min-h", v)];
+    case "max-width":
+      return [limit("max-w", v)];
+    case "max-height":
+      return [limit("max-h", v)];
+    case "margin-bottom":
+      return [spacing("mb", v)];
+    case "gap":
+      return [spacing("gap", v)];
+    case "row-gap":
+      return [spacing("gap-y", v)];
+    case "column-gap":
+      return [spacing("gap-x", v)];
+    case "z-index":
+      return [Z_INDEX.has(v) ? `z-${v}` : `z-[${v}]`];
+    case "opacity": {
+      const pct = Math.round(Number(v) * 100);
+      return [pct % 5 === 0 && Math.abs(Number(v) * 100 - pct) < 1e-6 ? `opacity-${pct}` : `opacity-[${v}]`];
+    }
+    case "border-radius":
+      return [radius("rounded", v)];
+    case "border-top-left-radius":
+    case "border-top-right-radius":
+    case "border-bottom-right-radius":
+    case "border-bottom-left-radius":
+      return [radius(CORNERS[prop], v)];
+    case "font-size": {
+      // Scale sizes bring their own line height, so they are only used when the rule sets one
+      const n = pixels(v);
+      return [n != null && FONT_SIZE[n] && rule["line-height"] ? `text-${FONT_SIZE[n]}` : `text-[${arb(v)}]`];
+    }
+    case "font-weight":
+      return [FONT_WEIGHT[v] ? `font-${FONT_WEIGHT[v]}` : `font-[${v}]`];
+    case "font-family": {
+      const key = theme?.font(v);
+      return [key ? `font-${key}` : `font-[${arb(v)}]`];
+    }
+    case "line-height": {
+      const n = pixels(v);
+      if (n != null && LEADING[n]) return [`leading-${LEADING[n]}`];
+      return [v === "normal" ? "leading-normal" : `leading-[${arb(v)}]`];
+    }
+    case "letter-spacing":
+      return [pixels(v) === 0 ? "tracking-normal" : `tracking-[${arb(v)}]`];
+    case "mix-blend-mode":
+      return [BLEND_MODES.has(v) ? `mix-blend-${v}` : property(prop, v)];
+    case "color":
+    case "background": {
+      const prefix = prop === "color" ? "text" : "bg";
+      const key = theme?.color(v);
+      if (key) return [`${prefix}-${key}`];
+      if (v === "transparent") return [`${prefix}-transparent`];
+      return [isColor(v) ? `${prefix}-[${arb(v)}]` : property(prop, v)];
+    }
+    case "box-shadow": {
+      const key = theme?.shadow(v);
+      return [key ? `shadow-${key}` : /var\(/.test(v) ? property(prop, v) : `shadow-[${arb(v)}]`];
+    }
+    case "-webkit-background-clip":
+      return [rule.background ? `!${property(prop, v)}` : property(prop, v)];
+    default:
+      return [property(prop, v)];
+  }
+};
+
+// The utilities for one declaration, each as [class, declarations it stands for]
+const utilities = (prop, value, rule, theme) => {
+  if (prop === "padding" || prop === "margin") return sides(prop[0], prop, value);
+  return utilityNames(prop, value, rule, theme).map((cls) => [cls, [[prop, String(value)]]]);
+};
+
+// The class a rule styles and the variant prefix its utilities need, per selector in the rule
+const targets = (selector) =>
+  selector
+    .split(",")
+    .map((s) => s.trim())
+    .map((s) => {
+      let m;
+      if ((m = s.match(/^(?:#frame)?\.([\w-]+)$/))) return [m[1], ""];
+      if ((m = s.match(/^\.([\w-]+)::(after|before|placeholder)$/))) return [m[1], `${m[2]}:`];
+      if ((m = s.match(/^\.([\w-]+):last-child$/))) return [m[1], "last:"];
+      if ((m = s.match(/^\.([\w-]+) ([a-z]+)$/))) return [m[1], `[&_${m[2]}]:`];
+      return null;
+    })
+    .filter(Boolean);
+
+// Properties that set several others, whose utilities go first so the longhand ones win
+const SHORTHANDS = new Set(["padding", "margin", "background", "border", "border-radius", "flex", "font", "inset", "gap"]);
+
+// What each variant prefix selects
+const VARIANTS = { "after:": "::after", "before:": "::before", "placeholder:": "::placeholder", "last:": ":last-child" };
+
+// A class name as a CSS selector: w-[317px] → .w-\[317px\]
+const classSelector = (cls) => `.${cls.replace(/[^\w-]/g, (c) => `\\${c}`)}`;
+
+/**
+ * Collects the CSS of every utility class the pages use, so they render without a Tailwind build.
+ * Share one sheet across the screens of an export and write css() into its stylesheet.
+ */
+export function createUtilitySheet() {
+  // class → { text, order }, kept in the order first met
+  const rules = new Map();
+  return {
+    add(cls, variant, declarations) {
+      const name = variant + cls;
+      if (rules.has(name)) return;
+      const child = variant.match(/^\[&_([a-z]+)\]:$/);
+      const selector = classSelector(name) + (child ? ` ${child[1]}` : VARIANTS[variant] || "");
+      const important = cls.startsWith("!") ? " !important" : "";
+      const body = declarations.map(([k, v]) => `  ${k}: ${v}${important};\n`).join("");
+      const order = variant ? 2 : SHORTHANDS.has(declarations[0][0]) ? 0 : 1;
+      rules.set(name, { text: `${selector} {\n${body}}\n`, order });
+    },
+
+    // Shorthand utilities, then the rest, then the variants, as Tailwind orders them
+    css() {
+      return [...rules.values()]
+        .sort((a, b) => a.order - b.order)
+        .map((r) => r.text)
+        .join("");
+    },
+  };
+}
+
+/**
+ * Maps each generated class name to the utility classes of its rules.
+ * css: stylesheet text from generateCssFromFrame; theme: optional createTailwindTheme();
+ * sheet: optional createUtilitySheet() that is given the CSS of every utility.
+ */
+export function cssToUtilities(css, theme = null, sheet = null) {
+  const out = new Map();
+  parseRules(css).forEach(({ selector, declarations }) => {
+    const rule = Object.fromEntries(declarations);
+    const classes = declarations.flatMap(([prop, value]) => utilities(prop, value, rule, theme));
+    targets(selector).forEach(([cls, variant]) => {
+      const list = out.get(cls) || [];
+      classes.forEach(([c, decls]) => {
+        sheet?.add(c, variant, decls);
+        if (!list.includes(variant + c)) list.push(variant + c);
+      });
+      out.set(cls, list);
+    });
+  });
+  return out;
+}
+
+/**
+ * Writes the page of a tree from buildTree with Tailwind utilities instead of the per-node stylesheet.
+ * Options are those of treeToHtml and treeToCss, plus an optional `theme` (createTailwindTheme) and
+ * `sheet` (createUtilitySheet) that collect the config and the CSS of the utilities used.
+ */
+export function treeToTailwind(
+  tree,
+  cssFileName = "styles.css",
+  { preview = false, fragment = false, fonts = null, lang = "en", theme = null, sheet = null } = {}
+) {
+  const classes = cssToUtilities(treeToCss(tree, { preview }), theme, sheet);
+  const html = treeToHtml(tree, cssFileName, { preview, fragment, fonts, lang });
+  return html.replace(/ class="([^"]*)"/g, (_, list) => {
+    const out = list.split(/\s+/).flatMap((c) => classes.get(c) || [c]);
+    return ` class="${out.join(" ")}"`;
+  });
+}
+
+/**
+ * Generates a page styled with Tailwind utilities instead of the per-node stylesheet.
+ * Takes the same options as generateHtmlFromFrame / generateCssFromFrame, plus those of treeToTailwind.
+ */
+export function generateTailwindFromFrame(
+  frameNode,
+  imagesMap = {},
+  {
+    cssFileName = "styles.css",
+    preview = false,
+    svgs = {},
+    tokens = null,
+    semantics = null,
+    fragment = false,
+    fonts = null,
+    lang = "en",
+    components = {},
+    plugins = [],
+    theme = null,
+    sheet = null,
+  } = {}
+) {
+  const tree = buildTree(frameNode, imagesMap, { preview, svgs, tokens, semantics, components, plugins });
+  return treeToTailwind(tree, cssFileName, { preview, fragment, fonts, lang, theme, sheet });
+}
@@ -0,0 +1,151 @@
+import { createTailwindTheme, createUtilitySheet, cssToUtilities, generateTailwindFromFrame, tailwindConfig } from './Tailwind';
+import { createTokens } from './DesignTokens';
+import { box } from '../../testNodes';
+
+describe('Tailwind', () => {
+  test('maps values on the default scale to named utilities', () => {
+    const css = `.n_1 {
+  position: absolute;
+  left: 16px;
+  top: -8px;
+  width: 50%;
+  height: 40px;
+  padding: 8px 16px 8px 16px;
+  gap: 12px;
+  border-radius: 8px;
+  font-size: 14px;
+  line-height: 20px;
+  font-weight: 600;
+  opacity: 0.5;
+  z-index: 10;
+  display: flex;
+  justify-content: space-between;
+}
+`;
+    expect(cssToUtilities(css).get('n_1')).toEqual([
+      'absolute', 'left-4', '-top-2', 'w-1/2', 'h-10', 'py-2', 'px-4', 'gap-3', 'rounded-lg',
+      'text-sm', 'leading-5', 'font-semibold', 'opacity-50', 'z-10', 'flex', 'justify-between'
+    ]);
+  });
+
+  test('uses arbitrary values and properties off the scale', () => {
+    const css = `.n_2 {
+  width: 317px;
+  left: calc(50% - 20px);
+  font-size: 15px;
+  font-family: "Inter", system-ui, Arial, sans-serif;
+  color: rgba(0, 0, 0, 0.8);
+  background: linear-gradient(rgba(1, 2, 3, 1), rgba(1, 2, 3, 1));
+  -webkit-background-clip: text;
+  background-clip: text;
+  box-shadow: 0px 4px 8px 0px rgba(0, 0, 0, 0.25);
+  z-index: 3;
+  -webkit-line-clamp: 2;
+}
+.n_2::after {
+  content: "";
+  position: absolute;
+}
+.n_2 ul, .n_2 ol {
+  margin: 0;
+}
+`;
+    expect(cssToUtilities(css).get('n_2')).toEqual([
+      'w-[317px]',
+      'left-[calc(50%_-_20px)]',
+      'text-[15px]',
+      "font-['Inter',_system-ui,_Arial,_sans-serif]",
+      'text-[rgba(0,_0,_0,_0.8)]',
+      '[background:linear-gradient(rgba(1,_2,_3,_1),_rgba(1,_2,_3,_1))]',
+      '![-webkit-background-clip:text]',
+      '!bg-clip-text',
+      'shadow-[0px_4px_8px_0px_rgba(0,_0,_0,_0.25)]',
+      'z-[3]',
+      '[-webkit-line-clamp:2]',
+      "after:content-['']",
+      'after:absolute',
+      '[&_ul]:m-0',
+      '[&_ol]:m-0'
+    ]);
+  });
+
+  test('names token colors, shadows and fonts in the theme', () => {
+    const theme = createTailwindTheme();
+    const css = `.n_3 {
+  color: var(--color-brand-primary);
+  box-shadow: var(--shadow-card);
+  font-family: "Inter", system-ui, Arial, sans-serif;
+}
+`;
+    expect(cssToUtilities(css, theme).get('n_3')).toEqual(['text-brand-primary', 'shadow-card', 'font-inter']);
+    expect(theme.extend()).toEqual({
+      colors: { 'brand-primary': 'var(--color-brand-primary)' },
+      fontFamily: { inter: ['Inter', 'system-ui', 'Arial', 'sans-serif'] },
+      boxShadow: { card: 'var(--shadow-card)' }
+    });
+    const config = tailwindConfig(theme);
+    expect(config).toContain('"brand-primary": "var(--color-brand-primary)"');
+    expect(config).toContain('module.exports = config;');
+    expect(config).not.toContain('tailwind.config =');
+  });
+
+  test('writes a page with utility classes in place of the node classes', () => {
+    const frame = {
+      id: '1:1',
+      type: 'FRAME',
+      name: 'Home',
+      absoluteBoundingBox: box(0, 0, 400, 300),
+      children: [
+        {
+          id: '1:2',
+          type: 'RECTANGLE',
+          fills: [{ type: 'SOLID', color: { r: 1, g: 0, b: 0, a: 1 } }],
+          styles: { fill: 'S:red' },
+          absoluteBoundingBox: box(16, 16, 64, 64)
+        }
+      ]
+    };
+    const tokens = createTokens({ styles: { 'S:red': { name: 'Red', styleType: 'FILL' } } });
+    const sheet = createUtilitySheet();
+    const html = generateTailwindFromFrame(frame, {}, { tokens, theme: createTailwindTheme(), sheet });
+
+    expect(html).not.toContain('<script');
+    expect(html).toContain('class="absolute left-4 w-16 top-4 h-16 z-[2] bg-red"');
+    expect(html).not.toContain('n_1_2');
+    expect(html).toContain('id="frame" class="relative w-full min-h-[300px] isolate"');
+    // the page's utilities are compiled into the sheet, so it needs no Tailwind build
+    const css = sheet.css();
+    expect(css).toContain('.left-4 {\n  left: 16px;\n}');
+    expect(css).toContain('.z-\\[2\\] {\n  z-index: 2;\n}');
+    expect(css).toContain('.min-h-\\[300px\\] {\n  min-height: 300px;\n}');
+    expect(css).toContain('.bg-red {\n  background: var(--color-red);\n}');
+    expect(css.match(/\.relative \{/g)).toHaveLength(1);
+  });
+
+  // shorthands come before the longhands they would reset, variants last
+  test('compiles shorthands, variants and important utilities', () => {
+    const sheet = createUtilitySheet();
+    cssToUtilities(`.n_4 {
+  margin-bottom: 4px;
+  padding: 8px 16px;
+  background: rgba(0, 0, 0, 1);
+  background-clip: text;
+}
+.n_4::after {
+  content: "";
+}
+.n_4 ul {
+  margin: 0;
+}
+`, null, sheet);
+    expect(sheet.css()).toBe(
+      '.bg-\\[rgba\\(0\\,_0\\,_0\\,_1\\)\\] {\n  background: rgba(0, 0, 0, 1);\n}\n' +
+      '.mb-1 {\n  margin-bottom: 4px;\n}\n' +
+      '.py-2 {\n  padding-top: 8px;\n  padding-bottom: 8px;\n}\n' +
+      '.px-4 {\n  padding-left: 16px;\n  padding-right: 16px;\n}\n' +
+      '.\\!bg-clip-text {\n  background-clip: text !important;\n}\n' +
+      ".after\\:content-\\[\\'\\'\\]::after {\n  content: \"\";\n}\n" +
+      '.\\[\\&_ul\\]\\:m-0 ul {\n  margin: 0;\n}\n'
+    );
+  });
+});
@@ -0,0 +1,160 @@
+import React, { useState } from "react";
+import styles from "./Preview.module.css";
+
+// How the generated page is laid against Figma's render
+const MODES = [
+  { id: "side", label: "Side by side" },
+  { id: "overlay", label: "Overlay" },
+  { id: "diff", label: "Diff" },
+];
+
+/**
+ * Swaps the stylesheet link for an inline <style>, so the page renders inside
+ * a sandboxed iframe without any file on disk.
+ */
+export function inlineStylesheet(html, css, cssFileName = "styles.css") {
+  const link = `<link rel="stylesheet" href="./${cssFileName}"/>`;
+  const style = `<style>\n${css}\n</style>`;
+  return html.includes(link) ? html.replace(link, () => style) : html.replace("</head>", () => `${style}\n</head>`);
+}
+
+/**
+ * Live preview of one generated frame.
+ * "Compare" shows the page in an iframe next to (or over) the frame's PNG from /v1/images:
+ * overlay mode fades the PNG in with a slider, diff mode blends it with `difference`
+ * so matching pixels turn black and misplaced nodes stand out.
+ * "Source" shows the generated HTML and CSS.
+ */
+export default function Preview({ title, html, css, cssFileName = "styles.css", imageUrl, width, height, onClose }) {
+  const [tab, setTab] = useState("compare");
+  const [mode, setMode] = useState("side");
+  // Opacity of the Figma render in overlay mode, 0–100
+  const [opacity, setOpacity] = useState(50);
+  // Large frames are shrunk to fit the pane
+  const [zoom, setZoom] = useState(() => (width > 600 ? Math.floor((600 / width) * 100) : 100));
+
+  const srcDoc = inlineStylesheet(html, css, cssFileName);
+  const scale = zoom / 100;
+  const frameSize = { width: `${width}px`, height: `${height}px` };
+  // The stage keeps the scaled size in the layout, the inner box is drawn at 1:1 and scaled down
+  const stageSize = { width: `${width * scale}px`, height: `${height * scale}px` };
+  const scaled = { ...frameSize, transform: `scale(${scale})` };
+
+  const iframe = (
+    <iframe
+      className={styles.iframe}
+      title="Generated page"
+      sandbox=""
+      srcDoc={srcDoc}
+      style={frameSize}
+    />
+  );
+  const reference = (style) =>
+    imageUrl ? (
+      <img className={styles.reference} src={imageUrl} alt="Figma render" style={{ ...frameSize, ...style }} />
+    ) : (
+      <p className={styles.missing}>Figma did not return a render for this frame.</p>
+    );
+
+  return (
+    <section className={styles.pane} aria-label="Preview">
+      <header className={styles.header}>
+        <h2 className={styles.title}>{title}</h2>
+        <div role="tablist" className={styles.tabs}>
+          <button role="tab" aria-selected={tab === "compare"} onClick={() => setTab("compare")}>
+            Compare
+          </button>
+          <button role="tab" aria-selected={tab === "source"} onClick={() => setTab("source")}>
+            Source
+          </button>
+        </div>
+        {onClose && (
+          <button className={styles.close} onClick={onClose} aria-label="Close preview">
+            ×
+          </button>
+        )}
+      </header>
+
+      {tab === "compare" ? (
+        <>
+          <div className={styles.controls}>
+            {MODES.map((m) => (
+              <label key={m.id} className={styles.control}>
+                <input
+                  type="radio"
+                  name="preview-mode"
+                  checked={mode === m.id}
+                  onChange={() => setMode(m.id)}
+                />
+                {m.label}
+              </label>
+            ))}
+            {mode === "overlay" && (
+              <label className={styles.control}>
+                Figma
+                <input
+                  type="range"
+                  min="0"
+                  max="100"
+                  value={opacity}
+                  onChange={(e) => setOpacity(Number(e.target.value))}
+                />
+              </label>
+            )}
+            <label className={styles.control}>
+              Zoom
+              <select value={zoom} onChange={(e) => setZoom(Number(e.target.value))}>
+                {[...new Set([zoom, 25, 50, 75, 100])]
+                  .sort((a, b) => a - b)
+                  .map((z) => (
+                    <option key={z} value={z}>
+                      {z}%
+                    </option>
+                  ))}
+              </select>
+            </label>
+          </div>
+
+          {mode === "side" ? (
+            <div className={styles.sideBySide}>
+              <figure className={styles.figure}>
+                <figcaption>Generated</figcaption>
+                <div className={styles.stage} style={stageSize}>
+                  <div className={styles.scaled} style={scaled}>
+                    {iframe}
+                  </div>
+                </div>
+              </figure>
+              <figure className={styles.figure}>
+                <figcaption>Figma</figcaption>
+                <div className={styles.stage} style={stageSize}>
+                  <div className={styles.scaled} style={scaled}>
+                    {reference()}
+                  </div>
+                </div>
+              </figure>
+            </div>
+          ) : (
+            <div className={styles.stage} style={stageSize}>
+              <div className={styles.scaled} style={scaled}>
+                {iframe}
+                {reference(
+                  mode === "diff"
+                    ? { mixBlendMode: "difference", opacity: 1 }
+                    : { opacity: opacity / 100 }
+                )}
+              </div>
+            </div>
+          )}
+        </>
+      ) : (
+        <div className={styles.source}>
+          <h3>HTML</h3>
+          <pre className={styles.code}>{html}</pre>
+          <h3>{cssFileName}</h3>
+          <pre className={styles.code}>{css}</pre>
+        </div>
+      )}
+    </section>
+  );
+}
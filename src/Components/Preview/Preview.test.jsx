@@ -0,0 +1,63 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import Preview, { inlineStylesheet } from './Preview';
+
+const html = `<!doctype html>
+<html>
+<head>
+  <link rel="stylesheet" href="./styles.css"/>
+</head>
+<body><div id="frame"></div></body>
+</html>`;
+
+const props = {
+  title: 'Screen A',
+  html,
+  css: '#frame { color: red; }',
+  imageUrl: 'https://cdn/frame.png',
+  width: 400,
+  height: 300,
+};
+
+// Test: the stylesheet link is replaced by the CSS itself
+test('inlines the stylesheet into the page', () => {
+  const out = inlineStylesheet(html, '.a { color: $&; }');
+  expect(out).not.toContain('<link rel="stylesheet"');
+  expect(out).toContain('<style>\n.a { color: $&; }\n</style>');
+});
+
+// Test: the generated page renders in a sandboxed iframe next to the Figma render
+test('renders the page in a sandboxed iframe beside the figma image', () => {
+  render(<Preview {...props} />);
+  const iframe = screen.getByTitle('Generated page');
+  expect(iframe).toHaveAttribute('sandbox', '');
+  expect(iframe.getAttribute('srcdoc')).toContain('#frame { color: red; }');
+  expect(screen.getByAltText('Figma render')).toHaveAttribute('src', 'https://cdn/frame.png');
+});
+
+// Test: overlay mode fades the Figma render with the slider, diff mode blends it
+test('overlays the figma render with a slider and a diff mode', () => {
+  render(<Preview {...props} />);
+  fireEvent.click(screen.getByRole('radio', { name: 'Overlay' }));
+  fireEvent.change(screen.getByRole('slider'), { target: { value: '30' } });
+  expect(screen.getByAltText('Figma render').style.opacity).toBe('0.3');
+
+  fireEvent.click(screen.getByRole('radio', { name: 'Diff' }));
+  expect(screen.getByAltText('Figma render').style.mixBlendMode).toBe('difference');
+  expect(screen.queryByRole('slider')).not.toBeInTheDocument();
+});
+
+// Test: the source tab shows the generated HTML and CSS
+test('shows the generated source', () => {
+  render(<Preview {...props} />);
+  fireEvent.click(screen.getByRole('tab', { name: 'Source' }));
+  expect(screen.getByText(/#frame \{ color: red; \}/)).toBeInTheDocument();
+  expect(screen.getByText(/<div id="frame"><\/div>/)).toBeInTheDocument();
+  expect(screen.queryByTitle('Generated page')).not.toBeInTheDocument();
+});
+
+// Test: wide frames start zoomed out to fit the pane
+test('zooms wide frames out to fit', () => {
+  render(<Preview {...props} width={1440} height={900} />);
+  expect(screen.getByRole('combobox')).toHaveValue('41');
+});
@@ -0,0 +1,68 @@
+import React from "react";
+import styles from "./Progress.module.css";
+
+// What each stage is called in the list
+const STAGE_LABELS = {
+  queued: "Waiting",
+  nodes: "Fetching nodes",
+  images: "Rasterizing images",
+  generating: "Generating",
+  done: "Done",
+  failed: "Failed",
+  cancelled: "Cancelled",
+};
+
+const FINISHED = new Set(["done", "failed", "cancelled"]);
+
+/**
+ * Progress of a multi-screen export: one row per screen with its stage,
+ * a Cancel button while running, and a summary of what failed and why once it ends.
+ * rows: [{ id, name, stage, error }]
+ */
+export default function Progress({ rows, running, cancelled, onCancel }) {
+  const finished = rows.filter((r) => FINISHED.has(r.stage)).length;
+  const done = rows.filter((r) => r.stage === "done").length;
+  const failed = rows.filter((r) => r.stage === "failed");
+
+  let summary = null;
+  if (!running) {
+    if (cancelled) summary = `Export cancelled after ${done} of ${rows.length} screens.`;
+    else if (!done) summary = "No screen could be exported.";
+    else summary = `Exported ${done} of ${rows.length} screens.`;
+  }
+
+  return (
+    <section className={styles.progress} aria-label="Export progress">
+      <div className={styles.header}>
+        <progress className={styles.bar} value={finished} max={rows.length || 1} />
+        {running && (
+          <button className={styles.cancel} onClick={onCancel}>
+            Cancel
+          </button>
+        )}
+      </div>
+      <ul className={styles.rows}>
+        {rows.map((r) => (
+          <li key={r.id} className={`${styles.row} ${styles[r.stage] || ""}`}>
+            <span className={styles.name}>{r.name}</span>
+            <span className={styles.stage}>{STAGE_LABELS[r.stage] || r.stage}</span>
+          </li>
+        ))}
+      </ul>
+      {summary && (
+        <div className={styles.summary} role="status">
+          <p>{summary}</p>
+          {failed.length > 0 && (
+            <ul>
+              {failed.map((r) => (
+                <li key={r.id}>
+                  <strong>{r.name}</strong>: {r.error}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,42 @@
+import React from 'react';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import Progress from './Progress';
+
+const rows = [
+  { id: '1', name: 'Home', stage: 'done', error: null },
+  { id: '2', name: 'About', stage: 'images', error: null },
+  { id: '3', name: 'Blog', stage: 'queued', error: null },
+];
+
+// the list row of a screen
+const rowOf = (name) => screen.getAllByRole('listitem').find((li) => within(li).queryByText(name));
+
+// Test: each screen shows its stage, and Cancel is offered while running
+test('lists each screen with its stage while running', () => {
+  const onCancel = jest.fn();
+  render(<Progress rows={rows} running onCancel={onCancel} />);
+  expect(within(rowOf('Home')).getByText('Done')).toBeInTheDocument();
+  expect(within(rowOf('About')).getByText('Rasterizing images')).toBeInTheDocument();
+  expect(within(rowOf('Blog')).getByText('Waiting')).toBeInTheDocument();
+  expect(screen.getByRole('progressbar')).toHaveAttribute('value', '1');
+  expect(screen.queryByRole('status')).not.toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+  expect(onCancel).toHaveBeenCalled();
+});
+
+// Test: the summary lists the failed screens and why
+test('summarizes failures when finished', () => {
+  const finished = [rows[0], { ...rows[1], stage: 'failed', error: 'Figma file not found.' }];
+  render(<Progress rows={finished} running={false} />);
+  expect(screen.queryByRole('button', { name: 'Cancel' })).not.toBeInTheDocument();
+  const summary = screen.getByRole('status');
+  expect(summary).toHaveTextContent('Exported 1 of 2 screens.');
+  expect(summary).toHaveTextContent('About: Figma file not found.');
+});
+
+// Test: a cancelled run says so
+test('reports a cancelled run', () => {
+  render(<Progress rows={[rows[0], { ...rows[1], stage: 'cancelled' }]} running={false} cancelled />);
+  expect(screen.getByRole('status')).toHaveTextContent('Export cancelled after 1 of 2 screens.');
+});
@@ -0,0 +1,7 @@
+// Builders for the Figma node fixtures the tests share.
+
+// an absoluteBoundingBox
+export const box = (x, y, width, height) => ({ x, y, width, height });
+
+// a fills list with one solid color (channels from 0 to 1)
+export const solid = (r, g, b, a = 1) => [{ type: 'SOLID', color: { r, g, b, a } }];
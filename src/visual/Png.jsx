@@ -0,0 +1,141 @@
+import { deflateSync, inflateSync } from "zlib";
+
+// A small PNG codec for the visual tests, so screenshots and references compare without an image
+// library. Images are { width, height, data } with data holding RGBA bytes, row by row.
+// Decodes the 8-bit, non-interlaced PNGs that browsers and Figma write; encodes RGBA.
+
+const SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+// Bytes per pixel by color type: gray, RGB, gray + alpha, RGBA (palettes are not used for screenshots)
+const CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 };
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let c = 0xffffffff;
+  for (const b of bytes) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+};
+
+// The predictor of the Paeth filter
+const paeth = (a, b, c) => {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+};
+
+/**
+ * Reads a PNG file into { width, height, data }. Throws for files that are not PNGs, or that use
+ * a bit depth, palette or interlacing this codec does not read.
+ */
+export function decodePng(bytes) {
+  const buf = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  if (!SIGNATURE.every((b, i) => buf[i] === b)) throw new Error("Not a PNG file.");
+  const view = new DataView(buf.buffer, buf.byteOffset, buf.byteLength);
+  let header = null;
+  const idat = [];
+  for (let at = 8; at < buf.length; ) {
+    const length = view.getUint32(at);
+    const type = String.fromCharCode(...buf.subarray(at + 4, at + 8));
+    const body = buf.subarray(at + 8, at + 8 + length);
+    if (type === "IHDR") {
+      header = {
+        width: view.getUint32(at + 8),
+        height: view.getUint32(at + 12),
+        depth: body[8],
+        colorType: body[9],
+        interlace: body[12],
+      };
+    } else if (type === "IDAT") {
+      idat.push(body);
+    } else if (type === "IEND") {
+      break;
+    }
+    at += length + 12;
+  }
+  if (!header) throw new Error("The PNG has no header.");
+  const { width, height, depth, colorType, interlace } = header;
+  const channels = CHANNELS[colorType];
+  if (depth !== 8 || !channels || interlace) {
+    throw new Error(`Only 8-bit, non-interlaced gray or RGB(A) PNGs are read (got depth ${depth}, color type ${colorType}).`);
+  }
+
+  const compressed = new Uint8Array(idat.reduce((n, part) => n + part.length, 0));
+  let offset = 0;
+  for (const part of idat) {
+    compressed.set(part, offset);
+    offset += part.length;
+  }
+  const raw = inflateSync(compressed);
+  const stride = width * channels;
+  const pixels = new Uint8Array(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const out = pixels.subarray(y * stride, (y + 1) * stride);
+    const prev = y ? pixels.subarray((y - 1) * stride, y * stride) : null;
+    for (let x = 0; x < stride; x++) {
+      const a = x >= channels ? out[x - channels] : 0;
+      const b = prev ? prev[x] : 0;
+      const c = prev && x >= channels ? prev[x - channels] : 0;
+      const predicted = [0, a, b, (a + b) >> 1, paeth(a, b, c)][filter];
+      if (predicted === undefined) throw new Error(`Unknown PNG filter ${filter}.`);
+      out[x] = (line[x] + predicted) & 0xff;
+    }
+  }
+
+  // Everything becomes RGBA
+  const data = new Uint8Array(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    const p = pixels.subarray(i * channels, (i + 1) * channels);
+    const [r, g, b] = channels >= 3 ? p : [p[0], p[0], p[0]];
+    const alpha = channels === 4 ? p[3] : channels === 2 ? p[1] : 255;
+    data.set([r, g, b, alpha], i * 4);
+  }
+  return { width, height, data };
+}
+
+// One PNG chunk: length, type, body and the CRC of type + body
+const chunk = (type, body) => {
+  const out = new Uint8Array(body.length + 12);
+  const view = new DataView(out.buffer);
+  view.setUint32(0, body.length);
+  out.set([...type].map((ch) => ch.charCodeAt(0)), 4);
+  out.set(body, 8);
+  view.setUint32(body.length + 8, crc32(out.subarray(4, body.length + 8)));
+  return out;
+};
+
+/**
+ * Writes { width, height, data } (RGBA) as a PNG file, returned as bytes.
+ */
+export function encodePng({ width, height, data }) {
+  const header = new Uint8Array(13);
+  const view = new DataView(header.buffer);
+  view.setUint32(0, width);
+  view.setUint32(4, height);
+  header.set([8, 6, 0, 0, 0], 8);
+  // Unfiltered rows, each led by its filter byte
+  const stride = width * 4;
+  const raw = new Uint8Array((stride + 1) * height);
+  for (let y = 0; y < height; y++) raw.set(data.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+  const parts = [
+    Uint8Array.from(SIGNATURE),
+    chunk("IHDR", header),
+    chunk("IDAT", new Uint8Array(deflateSync(raw))),
+    chunk("IEND", new Uint8Array(0)),
+  ];
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let offset = 0;
+  for (const p of parts) {
+    out.set(p, offset);
+    offset += p.length;
+  }
+  return out;
+}
@@ -0,0 +1,35 @@
+import { deflateSync } from 'zlib';
+import { decodePng, encodePng } from './Png';
+
+// A 2×2 image: red, green / blue, half-transparent white
+const image = {
+  width: 2,
+  height: 2,
+  data: new Uint8Array([255, 0, 0, 255, 0, 255, 0, 255, 0, 0, 255, 255, 255, 255, 255, 128])
+};
+
+test('round-trips RGBA images', () => {
+  const bytes = encodePng(image);
+  expect([...bytes.slice(0, 8)]).toEqual([137, 80, 78, 71, 13, 10, 26, 10]);
+  expect(decodePng(bytes)).toEqual(image);
+});
+
+test('reads filtered RGB rows and rejects what it cannot read', () => {
+  // Swap the encoder's RGBA IDAT for RGB rows using the Sub and Up filters
+  const rows = new Uint8Array([
+    1, 10, 20, 30, 5, 5, 5, // Sub: second pixel is (15, 25, 35)
+    2, 1, 1, 1, 1, 1, 1 // Up: one more than the row above
+  ]);
+  const png = encodePng({ width: 2, height: 2, data: new Uint8Array(16) });
+  const head = png.slice(0, 33);
+  head[8 + 8 + 9] = 2; // color type RGB (the header CRC is not checked)
+  const idat = deflateSync(rows);
+  const chunk = new Uint8Array(idat.length + 12);
+  new DataView(chunk.buffer).setUint32(0, idat.length);
+  chunk.set([73, 68, 65, 84], 4);
+  chunk.set(idat, 8);
+  const decoded = decodePng(new Uint8Array([...head, ...chunk, ...png.slice(png.length - 12)]));
+  expect([...decoded.data]).toEqual([10, 20, 30, 255, 15, 25, 35, 255, 11, 21, 31, 255, 16, 26, 36, 255]);
+
+  expect(() => decodePng(new Uint8Array([1, 2, 3]))).toThrow('Not a PNG file.');
+});
@@ -0,0 +1,290 @@
+import { decodePng, encodePng } from "./Png";
+import { getAllTopScreens } from "../Components/Convert/Convert";
+import { normalizeDocument } from "../Components/Input/OfflineDocument";
+import { buildTree, treeToCss, treeToHtml } from "../Components/Output/DownloadFiles";
+
+// Visual regression tests: each fixture is a saved Figma node JSON and the PNG Figma exports for
+// it. The generated page is screenshotted headlessly (bin/visual-test.mjs) and compared pixel by
+// pixel with the reference. Like Cli.jsx, the file system and the browser come in from outside.
+
+export const USAGE = `Usage: visual-test [options]
+
+Renders every fixture in the fixtures folder and compares it with its reference.png.
+A fixture is a folder with node.json (a saved /v1/files or /nodes response), reference.png
+(Figma's 1x export of the frame), optional images/ (renders named <node-id>.png or <imageRef>.png)
+and an optional fixture.json ({ "threshold": 0.2, "maxDiff": 0.01 }) that overrides the options.
+A fixture.json with "reference": "drawn" marks a fixture of flat shapes whose reference is drawn
+from node.json; --update redraws it instead of saving the screenshot.
+
+Pages are screenshotted with a local Chrome or Chromium (set CHROME_PATH when it is not on the
+PATH); without one the run stops. Nothing is fetched from the network.
+
+Options:
+  --fixtures <dir>        Folder of fixtures (default: visual/fixtures)
+  --out <dir>             Folder for screenshots and diff images (default: visual/output)
+  --threshold <0-1>       How far a pixel's color may be off before it counts (default: 0.1)
+  --max-diff <0-1>        Share of pixels that may differ before the fixture fails (default: 0.001)
+  --only <names>          Comma-separated fixtures to run
+  --update                Save the screenshots (or drawn references) as the new references
+  --help                  Show this help
+`;
+
+// Options that take a number from 0 to 1
+const RATIOS = ["threshold", "max-diff"];
+
+const camel = (flag) => flag.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+
+/**
+ * Reads the visual-test command line. Returns { fixtures, out, threshold, maxDiff, only, update,
+ * help }; throws an Error for a bad argument.
+ */
+export function parseVisualArgs(argv) {
+  const args = {
+    fixtures: "visual/fixtures",
+    out: "visual/output",
+    threshold: 0.1,
+    maxDiff: 0.001,
+    only: [],
+    update: false,
+    help: false,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].includes("=") ? argv[i].split(/=(.*)/s) : [argv[i], null];
+    const key = flag.slice(2);
+    if ((flag === "--update" || flag === "--help" || flag === "-h") && inline == null) {
+      args[flag === "--update" ? "update" : "help"] = true;
+    } else if (["fixtures", "out", "only", ...RATIOS].includes(key) && flag.startsWith("--")) {
+      const value = inline ?? argv[++i];
+      if (value == null || value === "") throw new Error(`${flag} needs a value.`);
+      if (RATIOS.includes(key)) {
+        const n = Number(value);
+        if (!(n >= 0 && n <= 1)) throw new Error(`${flag} must be a number from 0 to 1.`);
+        args[camel(key)] = n;
+      } else {
+        args[key] = key === "only" ? value.split(",").map((v) => v.trim()).filter(Boolean) : value;
+      }
+    } else {
+      throw new Error(`Unknown argument ${argv[i]}.`);
+    }
+  }
+  return args;
+}
+
+/**
+ * The page of a fixture: the first top-level frame of its saved JSON, generated like an HTML export
+ * without fonts or preview scaling, so nothing is fetched and the page is exactly the frame's size.
+ * images maps a node id or imageRef to the image's path relative to the page.
+ * Returns { html, css, width, height }.
+ */
+export function fixturePage(json, { images = {} } = {}) {
+  const { document } = normalizeDocument(json);
+  const frameNode = getAllTopScreens(document)[0];
+  if (!frameNode) throw new Error("The JSON has no top-level frame to render.");
+  const { width, height } = frameNode.absoluteBoundingBox;
+  const tree = buildTree(frameNode, images);
+  return {
+    html: treeToHtml(tree, "styles.css"),
+    css: treeToCss(tree),
+    width: Math.round(width),
+    height: Math.round(height),
+  };
+}
+
+// A node's paints as [r, g, b, alpha] in 0–255 / 0–1; throws for anything but solid colors
+const solidPaints = (node, paints) =>
+  (paints || [])
+    .filter((p) => p.visible !== false)
+    .map((p) => {
+      if (p.type !== "SOLID") throw new Error(`${node.name || node.id} has a ${p.type} paint, which cannot be drawn.`);
+      const { r, g, b, a = 1 } = p.color;
+      return [Math.round(r * 255), Math.round(g * 255), Math.round(b * 255), a * (p.opacity ?? 1) * (node.opacity ?? 1)];
+    });
+
+/**
+ * Draws the reference of a fixture made of flat shapes from its geometry, as Figma would export it:
+ * the solid fills and INSIDE strokes of axis-aligned, square-cornered frames and rectangles on white.
+ * Throws for layers it cannot draw (text, rotation, corner radii, effects, other paints or strokes).
+ * Returns an image ({ width, height, data }, see Png.jsx).
+ */
+export function drawReference(json) {
+  const { document } = normalizeDocument(json);
+  const frameNode = getAllTopScreens(document)[0];
+  if (!frameNode) throw new Error("The JSON has no top-level frame to render.");
+  const origin = frameNode.absoluteBoundingBox;
+  const width = Math.round(origin.width);
+  const height = Math.round(origin.height);
+  const data = new Uint8Array(width * height * 4).fill(255);
+
+  const paint = (x0, y0, x1, y1, [r, g, b, a]) => {
+    for (let y = Math.max(0, y0); y < Math.min(height, y1); y++) {
+      for (let x = Math.max(0, x0); x < Math.min(width, x1); x++) {
+        const i = (y * width + x) * 4;
+        [r, g, b].forEach((v, c) => (data[i + c] = Math.round(v * a + data[i + c] * (1 - a))));
+      }
+    }
+  };
+  const draw = (node) => {
+    if (node.visible === false) return;
+    const what = node.name || node.id;
+    if (!["FRAME", "RECTANGLE", "GROUP"].includes(node.type)) throw new Error(`${what} is a ${node.type}, which cannot be drawn.`);
+    if (node.rotation || node.cornerRadius || node.rectangleCornerRadii || (node.effects || []).some((e) => e.visible !== false)) {
+      throw new Error(`${what} is rotated, rounded or has effects, which cannot be drawn.`);
+    }
+    const box = node.absoluteBoundingBox;
+    const [x0, y0] = [Math.round(box.x - origin.x), Math.round(box.y - origin.y)];
+    const [x1, y1] = [Math.round(box.x - origin.x + box.width), Math.round(box.y - origin.y + box.height)];
+    solidPaints(node, node.fills).forEach((c) => paint(x0, y0, x1, y1, c));
+    const strokes = solidPaints(node, node.strokes);
+    const w = Math.round(node.strokeWeight || 0);
+    if (strokes.length && w) {
+      if ((node.strokeAlign || "INSIDE") !== "INSIDE" || node.individualStrokeWeights) {
+        throw new Error(`${what} has a stroke that is not a uniform INSIDE one, which cannot be drawn.`);
+      }
+      // Top and bottom bands, then the sides between them, so no pixel is painted twice
+      strokes.forEach((c) => {
+        paint(x0, y0, x1, y0 + w, c);
+        paint(x0, y1 - w, x1, y1, c);
+        paint(x0, y0 + w, x0 + w, y1 - w, c);
+        paint(x1 - w, y0 + w, x1, y1 - w, c);
+      });
+    }
+    (node.children || []).forEach(draw);
+  };
+  draw(frameNode);
+  return { width, height, data };
+}
+
+// A pixel's color over white, as Figma exports transparent frames onto nothing and browsers onto white
+const onWhite = (data, i) => {
+  const a = data[i + 3] / 255;
+  return [0, 1, 2].map((c) => data[i + c] * a + 255 * (1 - a));
+};
+
+/**
+ * Compares two images ({ width, height, data }, see Png.jsx). A pixel differs when one of its
+ * channels is off by more than threshold (0–1) of the full range; pixels that only one image has
+ * (the sizes differ) always do.
+ * Returns { mismatched, ratio, diff }: diff shows the reference faded to gray, with the differing
+ * pixels in red.
+ */
+export function diffImages(actual, reference, { threshold = 0.1 } = {}) {
+  const width = Math.max(actual.width, reference.width);
+  const height = Math.max(actual.height, reference.height);
+  const data = new Uint8Array(width * height * 4);
+  const limit = threshold * 255;
+  let mismatched = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const at = (y * width + x) * 4;
+      const inActual = x < actual.width && y < actual.height;
+      const inReference = x < reference.width && y < reference.height;
+      const ref = inReference ? onWhite(reference.data, (y * reference.width + x) * 4) : [255, 255, 255];
+      const differs =
+        !inActual ||
+        !inReference ||
+        onWhite(actual.data, (y * actual.width + x) * 4).some((v, c) => Math.abs(v - ref[c]) > limit);
+      if (differs) {
+        mismatched++;
+        data.set([255, 0, 0, 255], at);
+      } else {
+        const gray = Math.round(255 - (255 - (ref[0] * 0.3 + ref[1] * 0.59 + ref[2] * 0.11)) * 0.25);
+        data.set([gray, gray, gray, 255], at);
+      }
+    }
+  }
+  return { mismatched, ratio: width * height ? mismatched / (width * height) : 0, diff: { width, height, data } };
+}
+
+const percent = (r) => `${Number((r * 100).toFixed(3))}%`;
+
+/**
+ * Runs the visual tests and resolves to the exit code: 0 when every fixture matches its reference
+ * (or --update saved new ones), 1 when one differs or could not be rendered, 2 for a bad command line
+ * or when screenshot throws an error with code "no_browser".
+ * io: { readDir(path) → names (throws when missing), readFile(path) → bytes (a Buffer, so JSON reads
+ * as text), writeFile(path, bytes | text) (creating folders), log, error }.
+ * screenshot({ htmlPath, width, height }) → PNG bytes renders the written page at the frame's size.
+ */
+export async function runVisualTests(argv, { io, screenshot }) {
+  let args;
+  try {
+    args = parseVisualArgs(argv);
+  } catch (err) {
+    io.error(err.message);
+    io.error(USAGE);
+    return 2;
+  }
+  if (args.help) {
+    io.log(USAGE);
+    return 0;
+  }
+
+  const names = (await io.readDir(args.fixtures)).filter((n) => !args.only.length || args.only.includes(n)).sort();
+  const unknown = args.only.filter((n) => !names.includes(n));
+  if (unknown.length) {
+    io.error(`No fixture named ${unknown.join(", ")}.`);
+    return 2;
+  }
+
+  let failed = 0;
+  for (const name of names) {
+    const dir = `${args.fixtures}/${name}`;
+    const out = `${args.out}/${name}`;
+    try {
+      const text = async (file) => String(await io.readFile(`${dir}/${file}`));
+      const overrides = await text("fixture.json").then(JSON.parse, () => ({}));
+      const { threshold, maxDiff } = { threshold: args.threshold, maxDiff: args.maxDiff, ...overrides };
+      const json = JSON.parse(await text("node.json"));
+      if (args.update && overrides.reference === "drawn") {
+        await io.writeFile(`${dir}/reference.png`, encodePng(drawReference(json)));
+        io.log(`${name}: reference drawn`);
+        continue;
+      }
+
+      // Renders are copied next to the page, keyed like uploaded images (see readUploads)
+      const images = {};
+      for (const file of await io.readDir(`${dir}/images`).catch(() => [])) {
+        const stem = file.replace(/\.[^.]+$/, "");
+        await io.writeFile(`${out}/page/images/${file}`, await io.readFile(`${dir}/images/${file}`));
+        images[stem] = images[stem.replace(/-/g, ":")] = `images/${file}`;
+      }
+      const page = fixturePage(json, { images });
+      await io.writeFile(`${out}/page/index.html`, page.html);
+      await io.writeFile(`${out}/page/styles.css`, page.css);
+
+      const shot = await screenshot({ htmlPath: `${out}/page/index.html`, width: page.width, height: page.height });
+      await io.writeFile(`${out}/actual.png`, shot);
+      if (args.update) {
+        await io.writeFile(`${dir}/reference.png`, shot);
+        io.log(`${name}: reference updated`);
+        continue;
+      }
+
+      const reference = await io.readFile(`${dir}/reference.png`).catch(() => null);
+      if (!reference) {
+        failed++;
+        io.error(`${name}: no reference.png; export the frame from Figma at 1x, or run with --update.`);
+        continue;
+      }
+      const result = diffImages(decodePng(shot), decodePng(reference), { threshold });
+      await io.writeFile(`${out}/diff.png`, encodePng(result.diff));
+      if (result.ratio > maxDiff) {
+        failed++;
+        io.error(`${name}: ${percent(result.ratio)} of pixels differ (at most ${percent(maxDiff)}); see ${out}/diff.png`);
+      } else {
+        io.log(`${name}: ok (${percent(result.ratio)} of pixels differ)`);
+      }
+    } catch (err) {
+      // Without a browser no fixture can run, so stop rather than fail each one
+      if (err?.code === "no_browser") {
+        io.error(err.message);
+        return 2;
+      }
+      failed++;
+      io.error(`${name}: failed: ${err?.message || err}`);
+    }
+  }
+
+  io.log(`${names.length - failed} of ${names.length} fixtures passed.`);
+  return failed ? 1 : 0;
+}
@@ -0,0 +1,204 @@
+import { readdirSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { box, solid } from '../testNodes';
+import { decodePng, encodePng } from './Png';
+import { diffImages, drawReference, fixturePage, parseVisualArgs, runVisualTests } from './Visual';
+
+// A width × height image of one color, with the pixels in `spots` painted another
+const fill = (width, height, color, spots = {}) => {
+  const data = new Uint8Array(width * height * 4);
+  for (let i = 0; i < width * height; i++) data.set(spots[i] || color, i * 4);
+  return { width, height, data };
+};
+const WHITE = [255, 255, 255, 255];
+
+const nodesJson = {
+  name: 'Fixture',
+  nodes: {
+    '1:1': {
+      document: {
+        id: '1:1',
+        type: 'FRAME',
+        name: 'Card',
+        absoluteBoundingBox: { x: 0, y: 0, width: 4, height: 2.2 },
+        fills: [{ type: 'SOLID', color: { r: 1, g: 1, b: 1, a: 1 } }],
+        children: [
+          {
+            id: '1:2',
+            type: 'RECTANGLE',
+            name: 'Photo',
+            absoluteBoundingBox: { x: 0, y: 0, width: 2, height: 2 },
+            fills: [{ type: 'IMAGE', imageRef: 'abc' }]
+          }
+        ]
+      }
+    }
+  }
+};
+
+// An in-memory file system and console
+const makeIo = (files = {}) => {
+  const written = {};
+  const logs = [];
+  const errors = [];
+  return {
+    written,
+    logs,
+    errors,
+    readDir: async (path) => {
+      const names = Object.keys(files)
+        .filter((p) => p.startsWith(`${path}/`))
+        .map((p) => p.slice(path.length + 1).split('/')[0]);
+      if (!names.length) throw new Error(`ENOENT: ${path}`);
+      return [...new Set(names)];
+    },
+    readFile: async (path) => {
+      if (!(path in files)) throw new Error(`ENOENT: ${path}`);
+      return files[path];
+    },
+    writeFile: async (path, data) => {
+      written[path] = data;
+    },
+    log: (m) => logs.push(m),
+    error: (m) => errors.push(m)
+  };
+};
+
+test('parses the visual test options', () => {
+  expect(parseVisualArgs(['--threshold=0.2', '--max-diff', '0.05', '--only', 'a, b', '--update'])).toEqual({
+    fixtures: 'visual/fixtures',
+    out: 'visual/output',
+    threshold: 0.2,
+    maxDiff: 0.05,
+    only: ['a', 'b'],
+    update: true,
+    help: false
+  });
+  expect(() => parseVisualArgs(['--threshold', '2'])).toThrow('--threshold must be a number from 0 to 1.');
+  expect(() => parseVisualArgs(['--out'])).toThrow('--out needs a value.');
+  expect(() => parseVisualArgs(['fixtures'])).toThrow('Unknown argument fixtures.');
+});
+
+test('counts the pixels that differ beyond the threshold and draws them red', () => {
+  const reference = fill(3, 2, WHITE, { 0: [0, 0, 0, 255] });
+  // One pixel slightly off, one far off, and a transparent pixel that shows as white
+  const actual = fill(3, 2, WHITE, { 0: [10, 10, 10, 255], 4: [255, 0, 0, 255], 5: [0, 0, 0, 0] });
+
+  const result = diffImages(actual, reference, { threshold: 0.1 });
+  expect(result.mismatched).toBe(1);
+  expect(result.ratio).toBeCloseTo(1 / 6);
+  expect([...result.diff.data.slice(16, 20)]).toEqual([255, 0, 0, 255]);
+  // Matching pixels are the reference faded: black becomes a light gray
+  expect([...result.diff.data.slice(0, 4)]).toEqual([191, 191, 191, 255]);
+
+  expect(diffImages(actual, reference, { threshold: 0.01 }).mismatched).toBe(2);
+  // The black pixel, and the row the reference does not have
+  expect(diffImages(fill(3, 3, WHITE), reference).mismatched).toBe(4);
+});
+
+test('builds the page of a fixture at the frame size', () => {
+  const page = fixturePage(nodesJson, { images: { abc: 'images/abc.png' } });
+  expect(page.width).toBe(4);
+  expect(page.height).toBe(2);
+  expect(page.html).toContain('href="./styles.css"');
+  expect(page.html).not.toContain('fonts.googleapis.com');
+  expect(page.css).toContain('images/abc.png');
+  expect(() => fixturePage({ nodes: {} })).toThrow('The JSON has no top-level frame to render.');
+});
+
+test('screenshots each fixture, writes diff images and fails on differences', async () => {
+  const reference = encodePng(fill(4, 2, WHITE));
+  const io = makeIo({
+    'visual/fixtures/card/node.json': JSON.stringify(nodesJson),
+    'visual/fixtures/card/reference.png': reference,
+    'visual/fixtures/card/images/abc.png': new Uint8Array([1]),
+    'visual/fixtures/loose/node.json': JSON.stringify(nodesJson),
+    'visual/fixtures/loose/reference.png': reference,
+    'visual/fixtures/loose/fixture.json': JSON.stringify({ maxDiff: 0.5 }),
+    'visual/fixtures/new/node.json': JSON.stringify(nodesJson)
+  });
+  const shots = [];
+  // Half of the screenshot is red
+  const screenshot = async (page) => {
+    shots.push(page);
+    return encodePng(fill(4, 2, WHITE, { 0: [255, 0, 0, 255], 1: [255, 0, 0, 255], 4: [255, 0, 0, 255], 5: [255, 0, 0, 255] }));
+  };
+
+  expect(await runVisualTests([], { io, screenshot })).toBe(1);
+  expect(shots[0]).toEqual({ htmlPath: 'visual/output/card/page/index.html', width: 4, height: 2 });
+  expect(io.written['visual/output/card/page/images/abc.png']).toEqual(new Uint8Array([1]));
+  expect(io.written['visual/output/card/page/styles.css']).toContain('images/abc.png');
+  expect(io.written['visual/output/card/diff.png']).toBeInstanceOf(Uint8Array);
+  expect(io.errors).toEqual([
+    'card: 50% of pixels differ (at most 0.1%); see visual/output/card/diff.png',
+    'new: no reference.png; export the frame from Figma at 1x, or run with --update.'
+  ]);
+  expect(io.logs).toEqual(['loose: ok (50% of pixels differ)', '1 of 3 fixtures passed.']);
+
+  expect(await runVisualTests(['--only', 'new', '--update'], { io, screenshot })).toBe(0);
+  expect(io.written['visual/fixtures/new/reference.png']).toBeInstanceOf(Uint8Array);
+  expect(await runVisualTests(['--only', 'gone'], { io, screenshot })).toBe(2);
+});
+
+test('stops when there is no browser to screenshot with', async () => {
+  const io = makeIo({
+    'visual/fixtures/a/node.json': JSON.stringify(nodesJson),
+    'visual/fixtures/b/node.json': JSON.stringify(nodesJson)
+  });
+  const screenshot = async () => {
+    throw Object.assign(new Error('No Chrome found (tried chrome); set CHROME_PATH.'), { code: 'no_browser' });
+  };
+
+  expect(await runVisualTests([], { io, screenshot })).toBe(2);
+  expect(io.errors).toEqual(['No Chrome found (tried chrome); set CHROME_PATH.']);
+});
+
+test('redraws the references of drawn fixtures without a browser', async () => {
+  const frame = { id: '1:1', type: 'FRAME', absoluteBoundingBox: box(0, 0, 2, 1), fills: solid(0, 0, 0) };
+  const io = makeIo({
+    'visual/fixtures/flat/node.json': JSON.stringify({ nodes: { '1:1': { document: frame } } }),
+    'visual/fixtures/flat/fixture.json': JSON.stringify({ reference: 'drawn' })
+  });
+  const screenshot = jest.fn();
+
+  expect(await runVisualTests(['--update'], { io, screenshot })).toBe(0);
+  expect(screenshot).not.toHaveBeenCalled();
+  expect(decodePng(io.written['visual/fixtures/flat/reference.png'])).toEqual(fill(2, 1, [0, 0, 0, 255]));
+  expect(io.logs[0]).toBe('flat: reference drawn');
+});
+
+test('draws flat shapes with their fills, opacity and inside strokes', () => {
+  const rect = { id: '1:2', type: 'RECTANGLE', absoluteBoundingBox: box(1, 0, 3, 3), fills: solid(0, 0, 1, 0.5) };
+  const framed = (child) => ({
+    nodes: { '1:1': { document: { id: '1:1', type: 'FRAME', absoluteBoundingBox: box(0, 0, 4, 3), children: [child] } } }
+  });
+
+  const stroked = { ...rect, strokes: solid(1, 0, 0), strokeWeight: 1, strokeAlign: 'INSIDE' };
+  const image = drawReference(framed(stroked));
+  const at = (x, y) => [...image.data.slice((y * 4 + x) * 4, (y * 4 + x) * 4 + 4)];
+  expect(at(0, 0)).toEqual(WHITE);
+  expect(at(1, 0)).toEqual([255, 0, 0, 255]);
+  expect(at(2, 1)).toEqual([128, 128, 255, 255]);
+
+  expect(() => drawReference(framed({ ...rect, type: 'TEXT' }))).toThrow('1:2 is a TEXT, which cannot be drawn.');
+  expect(() => drawReference(framed({ ...rect, cornerRadius: 4 }))).toThrow('cannot be drawn');
+  expect(() => drawReference(framed({ ...stroked, strokeAlign: 'OUTSIDE' }))).toThrow('not a uniform INSIDE one');
+  expect(() => drawReference(framed({ ...rect, fills: [{ type: 'GRADIENT_LINEAR' }] }))).toThrow('GRADIENT_LINEAR paint');
+});
+
+test('the shipped drawn references match their fixtures', () => {
+  const fixtures = join(__dirname, '../../visual/fixtures');
+  const read = (name, file) => readFileSync(join(fixtures, name, file));
+  const drawn = readdirSync(fixtures).filter((name) => {
+    try {
+      return JSON.parse(read(name, 'fixture.json')).reference === 'drawn';
+    } catch {
+      return false;
+    }
+  });
+  expect(drawn.length).toBeGreaterThan(0);
+  drawn.forEach((name) => {
+    const result = diffImages(drawReference(JSON.parse(read(name, 'node.json'))), decodePng(read(name, 'reference.png')), { threshold: 0 });
+    expect([name, result.mismatched]).toEqual([name, 0]);
+  });
+});